@@ -0,0 +1,116 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const HttpResult = require('./http-result');
+
+/**
+ * Represents the results of updating an asset's metadata. These results contain information
+ * such as the amount of time the update took, and any error that may have occurred.
+ */
+class AssetMetadataResult extends HttpResult {
+  /**
+   * Constructs a new instance using the provided information. Can then be used to provide
+   * additional details as needed.
+   *
+   * @param {object} options Options as provided when the upload instance was instantiated.
+   * @param {DirectBinaryUploadOptions} uploadOptions Options as provided when the update was
+   *  initiated.
+   * @param {string} assetPath Full path of the asset whose metadata was updated.
+   * @param {object} properties Metadata properties that were set on the asset.
+   */
+  constructor(options, uploadOptions, assetPath, properties) {
+    super(options, uploadOptions);
+
+    this.assetPath = assetPath;
+    this.properties = properties;
+    this.response = false;
+    this.error = false;
+  }
+
+  /**
+   * Sets the response to the update request.
+   *
+   * @param {*} response Response to the update request from the underlying client.
+   */
+  setUpdateResponse(response) {
+    this.response = response;
+  }
+
+  /**
+   * Sets the error that was the result of the update request.
+   *
+   * @param {import('./upload-error')} error Error to the update request.
+   */
+  setUpdateError(error) {
+    this.error = error;
+  }
+
+  /**
+   * Retrieves the full path of the asset whose metadata was updated.
+   *
+   * @returns {string} Path of an asset.
+   */
+  getAssetPath() {
+    return this.assetPath;
+  }
+
+  /**
+   * Retrieves the metadata properties that were set on the asset.
+   *
+   * @returns {object} Simple object whose keys are property names.
+   */
+  getProperties() {
+    return this.properties;
+  }
+
+  /**
+   * Retrieves the error that prevented the asset's metadata from being updated, if any.
+   *
+   * @returns {import('./upload-error')} An error, or false if the update succeeded.
+   */
+  getUpdateError() {
+    return this.error;
+  }
+
+  /**
+   * Retrieves the amount of time, in milliseconds, it took to update the metadata.
+   *
+   * @returns {number} Time span in milliseconds.
+   */
+  getUpdateTime() {
+    if (this.response && this.response.cloudClient) {
+      return this.response.cloudClient.requestTime;
+    }
+    return 0;
+  }
+
+  /**
+   * Converts the result instance into a simple object containing all result data.
+   *
+   * @returns {object} Result data in a simple format.
+   */
+  toJSON() {
+    const json = {
+      elapsedTime: this.getUpdateTime(),
+      assetPath: this.getAssetPath(),
+      properties: { ...this.getProperties() },
+      ...super.toJSON(),
+    };
+
+    if (this.error) {
+      json.error = this.error.toJSON();
+    }
+    return json;
+  }
+}
+
+module.exports = AssetMetadataResult;
@@ -0,0 +1,287 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const Path = require('path');
+
+const fs = require('./fs-promise');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
+
+/**
+ * Names of the files, in order of precedence, from which the command line interface
+ * will read its configuration.
+ */
+const CONFIG_FILE_NAMES = ['.aemuploadrc.json', 'aem-upload.config.js'];
+
+/**
+ * Settings that may be provided in a configuration file or profile, and the type of
+ * each setting's value.
+ */
+const SETTING_TYPES = {
+  target: 'string',
+  deep: 'boolean',
+  concurrency: 'number',
+  retries: 'number',
+  retryDelay: 'number',
+  timeout: 'number',
+  headers: 'object',
+  credentials: 'object',
+  replace: 'boolean',
+  createVersion: 'boolean',
+  onConflict: 'string',
+  include: 'array',
+  exclude: 'array',
+  allowedExtensions: 'array',
+  deniedExtensions: 'array',
+  minFileSize: 'number',
+  maxFileSize: 'number',
+};
+
+/**
+ * Retrieves the type of a setting's value, as it's named in SETTING_TYPES.
+ *
+ * @param {*} value Value whose type will be retrieved.
+ * @returns {string} The value's type.
+ */
+function getSettingType(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Matches a reference to an environment variable, in the format ${NAME}.
+ */
+const ENVIRONMENT_REFERENCE = /\$\{([^}]+)\}/g;
+
+/**
+ * Verifies that none of the headers in a configuration file or profile contain values
+ * that are stored in the file. Each header's value must reference an environment
+ * variable, and authorization must be provided through the credentials setting.
+ *
+ * @param {object} headers Headers to validate.
+ * @param {string} source Description of where the headers came from, used in error
+ *  messages.
+ */
+function validateHeaders(headers, source) {
+  Object.keys(headers || {}).forEach((name) => {
+    if (name.toLowerCase() === 'authorization') {
+      throw new UploadError(`Header '${name}' in ${source} is not allowed. Use the 'credentials' setting to provide the names of the environment variables that contain credentials`, ErrorCodes.INVALID_OPTIONS);
+    }
+    if (typeof headers[name] !== 'string' || !headers[name].match(ENVIRONMENT_REFERENCE)) {
+      throw new UploadError(`Header '${name}' in ${source} must reference an environment variable in the format \${NAME}, so that its value isn't stored in the file. Use the 'credentials' setting for credentials`, ErrorCodes.INVALID_OPTIONS);
+    }
+  });
+}
+
+/**
+ * Verifies that each of the settings in a configuration file or profile is known, and
+ * has a value of the correct type. Header values must reference environment variables.
+ *
+ * @param {object} settings Settings to validate.
+ * @param {string} source Description of where the settings came from, used in error
+ *  messages.
+ */
+function validateSettings(settings, source) {
+  Object.keys(settings).forEach((name) => {
+    if (!SETTING_TYPES[name]) {
+      throw new UploadError(`Unknown setting '${name}' in ${source}`, ErrorCodes.INVALID_OPTIONS);
+    }
+    const type = getSettingType(settings[name]);
+    if (type !== SETTING_TYPES[name]) {
+      throw new UploadError(`Setting '${name}' in ${source} must be of type ${SETTING_TYPES[name]}, but was ${type}`, ErrorCodes.INVALID_OPTIONS);
+    }
+    if (name === 'headers') {
+      validateHeaders(settings.headers, source);
+    }
+  });
+}
+
+/**
+ * Replaces references to environment variables, in the format ${NAME}, with the
+ * variables' values.
+ *
+ * @param {string} value Value whose references will be replaced.
+ * @param {object} env Environment variables.
+ * @returns {string} The value with its references replaced.
+ */
+function expandEnvironment(value, env) {
+  return String(value).replace(ENVIRONMENT_REFERENCE, (match, name) => {
+    if (env[name] === undefined) {
+      throw new UploadError(`Environment variable '${name}' is not set`, ErrorCodes.INVALID_OPTIONS);
+    }
+    return env[name];
+  });
+}
+
+/**
+ * Retrieves the value of an environment variable that's required by the credentials
+ * setting.
+ *
+ * @param {object} env Environment variables.
+ * @param {string} name Name of the variable.
+ * @returns {string} The variable's value.
+ */
+function getRequiredEnvironment(env, name) {
+  if (!env[name]) {
+    throw new UploadError(`Environment variable '${name}' is not set`, ErrorCodes.INVALID_OPTIONS);
+  }
+  return env[name];
+}
+
+/**
+ * Converts the credentials setting to an Authorization header. The setting references
+ * environment variables that contain the credentials, so that the credentials themselves
+ * aren't stored in the configuration file.
+ *
+ * @param {object} credentials Credentials setting, with either "tokenEnv", or
+ *  "usernameEnv" and "passwordEnv".
+ * @param {object} env Environment variables.
+ * @returns {string} Value for the Authorization header.
+ */
+function getAuthorization(credentials, env) {
+  const { tokenEnv, usernameEnv, passwordEnv } = credentials;
+  if (tokenEnv) {
+    return `Bearer ${getRequiredEnvironment(env, tokenEnv)}`;
+  }
+  if (usernameEnv && passwordEnv) {
+    const username = getRequiredEnvironment(env, usernameEnv);
+    const password = getRequiredEnvironment(env, passwordEnv);
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  throw new UploadError('Setting \'credentials\' must have either \'tokenEnv\', or \'usernameEnv\' and \'passwordEnv\'', ErrorCodes.INVALID_OPTIONS);
+}
+
+/**
+ * Finds the configuration file that applies to a directory. The directory and each of
+ * its ancestors are searched, and the first configuration file found is used.
+ *
+ * @param {string} directory Full path to the directory where the search will start.
+ * @returns {Promise<string>} Resolves with the full path to the configuration file, or
+ *  undefined if there isn't one.
+ */
+async function findConfigFile(directory) {
+  let currentDirectory = Path.resolve(directory);
+  for (;;) {
+    for (let i = 0; i < CONFIG_FILE_NAMES.length; i += 1) {
+      const configPath = Path.join(currentDirectory, CONFIG_FILE_NAMES[i]);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const stat = await fs.stat(configPath);
+        if (stat.isFile()) {
+          return configPath;
+        }
+      } catch (e) {
+        // file doesn't exist in this directory
+      }
+    }
+    const parentDirectory = Path.dirname(currentDirectory);
+    if (parentDirectory === currentDirectory) {
+      return undefined;
+    }
+    currentDirectory = parentDirectory;
+  }
+}
+
+/**
+ * Reads a configuration file. JSON files are parsed, and javascript files are required
+ * and should export the configuration.
+ *
+ * @param {string} configPath Full path to the configuration file.
+ * @returns {Promise<object>} Resolves with the file's configuration.
+ */
+async function readConfigFile(configPath) {
+  let config;
+  try {
+    if (Path.extname(configPath) === '.js') {
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      config = require(Path.resolve(configPath));
+    } else {
+      config = JSON.parse(String(await fs.readFile(configPath)));
+    }
+  } catch (e) {
+    throw new UploadError(`Unable to read configuration file ${configPath}: ${e.message}`, ErrorCodes.INVALID_OPTIONS);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new UploadError(`Configuration file ${configPath} must contain an object`, ErrorCodes.INVALID_OPTIONS);
+  }
+  return config;
+}
+
+/**
+ * Loads the settings of the command line interface from a configuration file. The file
+ * may contain settings that apply to every upload, and a "profiles" object whose keys are
+ * profile names, such as "dev" or "prod", and whose values contain settings that override
+ * the file's settings when the profile is used.
+ *
+ * The target may reference environment variables in the format ${NAME}, headers must
+ * reference them, and credentials are always read from environment variables.
+ *
+ * @param {object} [options] Controls how the settings are loaded.
+ * @param {string} [options.configPath] Path to the configuration file. If not specified,
+ *  the file will be found by searching the working directory and its ancestors.
+ * @param {string} [options.profile] Name of the profile to use.
+ * @param {string} [options.cwd] Directory from which the search for a configuration file
+ *  will start. Default: the process's working directory.
+ * @param {object} [options.env] Environment variables. Default: the process's environment.
+ * @returns {Promise<object>} Resolves with the settings. Headers, including the
+ *  Authorization header built from the credentials, will be in "headers". Will be empty
+ *  if there is no configuration file.
+ */
+async function loadSettings(options = {}) {
+  const {
+    profile,
+    cwd = process.cwd(),
+    env = process.env,
+  } = options;
+
+  const configPath = options.configPath
+    ? Path.resolve(cwd, options.configPath) : await findConfigFile(cwd);
+  if (!configPath) {
+    if (profile) {
+      throw new UploadError(`Profile '${profile}' was specified, but no configuration file was found`, ErrorCodes.INVALID_OPTIONS);
+    }
+    return {};
+  }
+
+  const { profiles = {}, ...fileSettings } = await readConfigFile(configPath);
+  validateSettings(fileSettings, configPath);
+
+  let profileSettings = {};
+  if (profile) {
+    if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+      throw new UploadError(`Profile '${profile}' does not exist in ${configPath}`, ErrorCodes.INVALID_OPTIONS);
+    }
+    profileSettings = profiles[profile];
+    validateSettings(profileSettings, `profile '${profile}' of ${configPath}`);
+  }
+
+  const { credentials, ...settings } = { ...fileSettings, ...profileSettings };
+  const headers = { ...fileSettings.headers, ...profileSettings.headers };
+  Object.keys(headers).forEach((name) => {
+    headers[name] = expandEnvironment(headers[name], env);
+  });
+  if (credentials) {
+    headers.Authorization = getAuthorization(credentials, env);
+  }
+  if (Object.keys(headers).length) {
+    settings.headers = headers;
+  }
+  if (settings.target) {
+    settings.target = expandEnvironment(settings.target, env);
+  }
+  return settings;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  findConfigFile,
+  loadSettings,
+};
@@ -0,0 +1,477 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { parseArgs, format } = require('util');
+const filesize = require('filesize');
+
+const FileSystemUpload = require('./filesystem-upload');
+const FileSystemUploadOptions = require('./filesystem-upload-options');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
+const { loadSettings } = require('./cli-config');
+
+/**
+ * Exit codes of the command line interface.
+ */
+const ExitCodes = {
+  /**
+   * All files were uploaded.
+   */
+  SUCCESS: 0,
+
+  /**
+   * The upload failed, or one or more files failed to upload.
+   */
+  FAILED: 1,
+
+  /**
+   * The command line arguments were invalid.
+   */
+  INVALID_USAGE: 2,
+};
+
+const USAGE = `Usage: aem-upload <paths...> --target <url> [options]
+
+Uploads local files and folders to a folder in AEM.
+
+Options:
+  -t, --target <url>        Full URL of the AEM folder to upload to. Required, unless
+                            provided in a configuration file.
+  -d, --deep                Include all descendent folders and files.
+      --no-deep             Only include the folders' immediate files, even if the
+                            configuration file turns on deep uploads.
+  -c, --concurrency <n>     Maximum number of HTTP requests to run at once.
+      --retries <n>         Number of times to retry a failed HTTP request.
+      --retry-delay <ms>    Milliseconds to wait before retrying a failed HTTP request.
+      --timeout <ms>        Milliseconds to wait for an HTTP request before giving up.
+  -H, --header <header>     HTTP header to send with each request, as "Name: value".
+                            May be repeated.
+      --replace             Replace assets that already exist.
+      --create-version      Create a new version of assets that already exist.
+      --no-replace, --no-create-version
+                            Turn off a setting from the configuration file.
+      --on-conflict <policy>
+                            What to do with files whose asset already exists: skip,
+                            replace, version, fail, or rename.
+      --config <path>       Configuration file to use. Default: the nearest
+                            .aemuploadrc.json or aem-upload.config.js.
+  -p, --profile <name>      Profile from the configuration file to use.
+  -q, --quiet               Only report errors.
+  -v, --verbose             Log details of the upload.
+      --json                Write the upload's result to stdout as JSON, instead of
+                            each file's outcome.
+  -h, --help                Show this help.
+`;
+
+const CLI_OPTIONS = {
+  target: { type: 'string', short: 't' },
+  deep: { type: 'boolean', short: 'd' },
+  'no-deep': { type: 'boolean' },
+  concurrency: { type: 'string', short: 'c' },
+  retries: { type: 'string' },
+  'retry-delay': { type: 'string' },
+  timeout: { type: 'string' },
+  header: { type: 'string', short: 'H', multiple: true },
+  replace: { type: 'boolean' },
+  'create-version': { type: 'boolean' },
+  'no-replace': { type: 'boolean' },
+  'no-create-version': { type: 'boolean' },
+  'on-conflict': { type: 'string' },
+  config: { type: 'string' },
+  profile: { type: 'string', short: 'p' },
+  quiet: { type: 'boolean', short: 'q' },
+  verbose: { type: 'boolean', short: 'v' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Converts the value of a numeric command line option to a number.
+ *
+ * @param {string} value Value as provided on the command line.
+ * @param {string} name Name of the option, used in error messages.
+ * @returns {number} The option's value.
+ */
+function parseNumber(value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new UploadError(`--${name} must be a whole number, but was '${value}'`, ErrorCodes.INVALID_OPTIONS);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Converts the values of the header command line option to HTTP headers.
+ *
+ * @param {Array<string>} headers Values as provided on the command line, each in the
+ *  format "Name: value".
+ * @returns {object} Simple object whose keys are header names.
+ */
+function parseHeaders(headers) {
+  const parsed = {};
+  headers.forEach((header) => {
+    const separator = header.indexOf(':');
+    const name = separator > 0 ? header.substring(0, separator).trim() : '';
+    if (!name) {
+      throw new UploadError(`--header must be in the format 'Name: value', but was '${header}'`, ErrorCodes.INVALID_OPTIONS);
+    }
+    parsed[name] = header.substring(separator + 1).trim();
+  });
+  return parsed;
+}
+
+/**
+ * Retrieves the value of a boolean command line option that can be turned off with a
+ * "--no-" prefix, such as --deep and --no-deep.
+ *
+ * @param {object} values Values of the command line options.
+ * @param {string} name Name of the option, without the prefix.
+ * @returns {boolean} True if the option was provided, false if its negation was
+ *  provided, or undefined if neither was provided.
+ */
+function getFlag(values, name) {
+  if (values[name] && values[`no-${name}`]) {
+    throw new UploadError(`--${name} and --no-${name} cannot be used together`, ErrorCodes.INVALID_OPTIONS);
+  }
+  if (values[name]) {
+    return true;
+  }
+  return values[`no-${name}`] ? false : undefined;
+}
+
+/**
+ * Converts the values of command line options to settings, using the same names as the
+ * settings of a configuration file.
+ *
+ * @param {object} values Values of the command line options.
+ * @returns {object} Settings for each of the options that were provided.
+ */
+function getArgumentSettings(values) {
+  const settings = {};
+  if (values.target !== undefined) {
+    settings.target = values.target;
+  }
+  const deep = getFlag(values, 'deep');
+  if (deep !== undefined) {
+    settings.deep = deep;
+  }
+  if (values.concurrency !== undefined) {
+    settings.concurrency = parseNumber(values.concurrency, 'concurrency');
+  }
+  if (values.retries !== undefined) {
+    settings.retries = parseNumber(values.retries, 'retries');
+  }
+  if (values['retry-delay'] !== undefined) {
+    settings.retryDelay = parseNumber(values['retry-delay'], 'retry-delay');
+  }
+  if (values.timeout !== undefined) {
+    settings.timeout = parseNumber(values.timeout, 'timeout');
+  }
+  if (values.header) {
+    settings.headers = parseHeaders(values.header);
+  }
+  const replace = getFlag(values, 'replace');
+  const createVersion = getFlag(values, 'create-version');
+  if (replace && createVersion) {
+    throw new UploadError('--replace and --create-version cannot be used together', ErrorCodes.INVALID_OPTIONS);
+  }
+  if (replace !== undefined) {
+    settings.replace = replace;
+  }
+  if (createVersion !== undefined) {
+    settings.createVersion = createVersion;
+  }
+  // turning on one of the flags turns off the other one from the configuration file
+  if (replace) {
+    settings.createVersion = false;
+  } else if (createVersion) {
+    settings.replace = false;
+  }
+  if (values['on-conflict'] !== undefined) {
+    settings.onConflict = values['on-conflict'];
+  }
+  return settings;
+}
+
+/**
+ * Creates the options of a file system upload from settings.
+ *
+ * @param {object} settings Settings, from the command line and configuration file.
+ * @returns {FileSystemUploadOptions} Options for the upload.
+ */
+function createUploadOptions(settings) {
+  if (!settings.target) {
+    throw new UploadError('--target is required', ErrorCodes.INVALID_OPTIONS);
+  }
+  if (settings.replace && settings.createVersion) {
+    throw new UploadError('Settings \'replace\' and \'createVersion\' cannot be used together', ErrorCodes.INVALID_OPTIONS);
+  }
+
+  const uploadOptions = new FileSystemUploadOptions()
+    .withUrl(settings.target)
+    .withDeepUpload(!!settings.deep);
+  if (settings.concurrency !== undefined) {
+    uploadOptions.withMaxConcurrent(settings.concurrency);
+  }
+  if (settings.retries !== undefined) {
+    uploadOptions.withHttpRetryCount(settings.retries);
+  }
+  if (settings.retryDelay !== undefined) {
+    uploadOptions.withHttpRetryDelay(settings.retryDelay);
+  }
+  if (settings.timeout !== undefined) {
+    uploadOptions.withHttpRequestTimeout(settings.timeout);
+  }
+  if (settings.headers) {
+    uploadOptions.withHttpOptions({ headers: settings.headers });
+  }
+  if (settings.replace !== undefined || settings.createVersion !== undefined) {
+    uploadOptions.withUploadFileOptions({
+      replace: !!settings.replace,
+      createVersion: !!settings.createVersion,
+    });
+  }
+  if (settings.onConflict !== undefined) {
+    uploadOptions.withConflictPolicy(settings.onConflict);
+  }
+  if (settings.include) {
+    uploadOptions.withIncludePatterns(settings.include);
+  }
+  if (settings.exclude) {
+    uploadOptions.withExcludePatterns(settings.exclude);
+  }
+  if (settings.allowedExtensions) {
+    uploadOptions.withAllowedExtensions(settings.allowedExtensions);
+  }
+  if (settings.deniedExtensions) {
+    uploadOptions.withDeniedExtensions(settings.deniedExtensions);
+  }
+  if (settings.minFileSize !== undefined) {
+    uploadOptions.withMinFileSize(settings.minFileSize);
+  }
+  if (settings.maxFileSize !== undefined) {
+    uploadOptions.withMaxFileSize(settings.maxFileSize);
+  }
+  return uploadOptions;
+}
+
+/**
+ * Converts command line arguments to the options of a file system upload. Settings from
+ * the configuration file, and from the selected profile, are used for any options that
+ * aren't provided on the command line. Headers are merged, with headers from the command
+ * line taking precedence.
+ *
+ * @param {Array<string>} args Command line arguments, not including the node executable
+ *  or the script.
+ * @param {object} [configOptions] Controls how the configuration file is found. See
+ *  loadSettings() in the cli-config module.
+ * @returns {Promise<object>} Resolves with the parsed arguments, with the "localPaths" to
+ *  upload, the "uploadOptions" to use, and the "help", "quiet", "verbose", and "json"
+ *  flags.
+ */
+async function parseArguments(args, configOptions = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new UploadError(e.message, ErrorCodes.INVALID_OPTIONS);
+  }
+
+  const { values, positionals } = parsed;
+  const result = {
+    help: !!values.help,
+    quiet: !!values.quiet,
+    verbose: !!values.verbose,
+    json: !!values.json,
+    localPaths: positionals,
+  };
+  if (result.help) {
+    return result;
+  }
+
+  const argumentSettings = getArgumentSettings(values);
+  const fileSettings = await loadSettings({
+    ...configOptions,
+    configPath: values.config,
+    profile: values.profile,
+  });
+  const settings = { ...fileSettings, ...argumentSettings };
+  if (fileSettings.headers && argumentSettings.headers) {
+    settings.headers = { ...fileSettings.headers, ...argumentSettings.headers };
+  }
+
+  result.uploadOptions = createUploadOptions(settings);
+  if (!positionals.length) {
+    throw new UploadError('At least one local path to upload is required', ErrorCodes.INVALID_OPTIONS);
+  }
+  return result;
+}
+
+/**
+ * Creates a logger that writes the upload's diagnostic messages to a stream, each on its
+ * own line and prefixed with its level.
+ *
+ * @param {object} stream Stream to which messages will be written.
+ * @returns {object} Logger with debug(), info(), warn(), and error() methods.
+ */
+function createLogger(stream) {
+  const logger = {};
+  ['debug', 'info', 'warn', 'error'].forEach((level) => {
+    logger[level] = (...args) => stream.write(`${level.toUpperCase()}: ${format(...args)}\n`);
+  });
+  return logger;
+}
+
+/**
+ * Writes the progress of an upload to the console as its events are sent. When the
+ * stream is a terminal, the overall progress is shown on a single line that's updated
+ * as files are transferred.
+ *
+ * @param {FileSystemUpload} upload Upload whose progress will be shown.
+ * @param {object} streams Where output will be written.
+ * @param {object} streams.stdout Stream to which each file's outcome will be written.
+ * @param {object} streams.stderr Stream to which progress and errors will be written.
+ * @param {boolean} quiet If true, only errors will be written.
+ * @returns {object} Counts that will be updated as the upload progresses, including the
+ *  number of files that "failed".
+ */
+function monitorProgress(upload, { stdout, stderr }, quiet) {
+  const counts = {
+    fileCount: 0,
+    totalSize: 0,
+    finished: 0,
+    failed: 0,
+  };
+  const transferred = new Map();
+  const showProgress = !quiet && stderr.isTTY;
+  let progressShown = false;
+
+  const clearProgress = () => {
+    if (progressShown) {
+      stderr.write('\r\x1b[K');
+      progressShown = false;
+    }
+  };
+  const writeLine = (stream, line) => {
+    clearProgress();
+    stream.write(`${line}\n`);
+  };
+  const renderProgress = () => {
+    if (!showProgress) {
+      return;
+    }
+    let totalTransferred = 0;
+    transferred.forEach((fileTransferred) => {
+      totalTransferred += fileTransferred;
+    });
+    const percent = counts.totalSize
+      ? Math.floor((totalTransferred / counts.totalSize) * 100) : 0;
+    stderr.write(`\r\x1b[KUploading ${counts.finished} of ${counts.fileCount} files: ${percent}% (${filesize(totalTransferred)} of ${filesize(counts.totalSize)})`);
+    progressShown = true;
+  };
+
+  upload.on('fileuploadstart', ({ fileCount, totalSize }) => {
+    counts.fileCount += fileCount;
+    counts.totalSize += totalSize;
+    renderProgress();
+  });
+  upload.on('fileprogress', ({ targetFile, transferred: fileTransferred }) => {
+    transferred.set(targetFile, fileTransferred);
+    renderProgress();
+  });
+  upload.on('fileend', ({ targetFile, fileSize }) => {
+    counts.finished += 1;
+    transferred.set(targetFile, fileSize);
+    if (!quiet) {
+      writeLine(stdout, `Uploaded ${targetFile}`);
+    }
+    renderProgress();
+  });
+  upload.on('fileskipped', ({ targetFile }) => {
+    counts.finished += 1;
+    if (!quiet) {
+      writeLine(stdout, `Skipped ${targetFile}`);
+    }
+    renderProgress();
+  });
+  upload.on('fileerror', ({ fileName, targetFile, errors = [] }) => {
+    counts.finished += 1;
+    counts.failed += 1;
+    const message = errors.length ? errors[0].message : 'unknown error';
+    writeLine(stderr, `Failed ${targetFile || fileName}: ${message}`);
+    renderProgress();
+  });
+  upload.on('fileuploadend', clearProgress);
+  return counts;
+}
+
+/**
+ * Runs the command line interface, uploading the local paths provided in the arguments.
+ *
+ * @param {Array<string>} args Command line arguments, not including the node executable
+ *  or the script.
+ * @param {object} [streams] Where output will be written.
+ * @param {object} [streams.stdout] Stream to which each file's outcome will be written.
+ *  Default: the process's stdout.
+ * @param {object} [streams.stderr] Stream to which progress and errors will be written.
+ *  Default: the process's stderr.
+ * @param {object} [configOptions] Controls how the configuration file is found. See
+ *  parseArguments().
+ * @returns {Promise<number>} Resolves with the code that the process should exit with.
+ *  One of the values from ExitCodes.
+ */
+async function run(args, streams = {}, configOptions = {}) {
+  const { stdout = process.stdout, stderr = process.stderr } = streams;
+
+  let parsed;
+  try {
+    parsed = await parseArguments(args, configOptions);
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}`);
+    return ExitCodes.INVALID_USAGE;
+  }
+  if (parsed.help) {
+    stdout.write(USAGE);
+    return ExitCodes.SUCCESS;
+  }
+
+  const {
+    uploadOptions,
+    localPaths,
+    quiet,
+    json,
+  } = parsed;
+  // diagnostics go to stderr so that stdout only contains the upload's output
+  const upload = new FileSystemUpload(parsed.verbose ? { log: createLogger(stderr) } : {});
+  const counts = monitorProgress(upload, { stdout, stderr }, quiet || json);
+
+  let result;
+  try {
+    result = await upload.upload(uploadOptions, localPaths);
+  } catch (e) {
+    stderr.write(`Upload failed: ${e.message}\n`);
+    return ExitCodes.FAILED;
+  }
+
+  result.errors.forEach(({ message }) => stderr.write(`Error: ${message}\n`));
+  if (json) {
+    stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else if (!quiet) {
+    stdout.write(`Uploaded ${result.totalCompleted} of ${result.totalFiles} files (${filesize(result.totalFileSize)}) in ${(result.totalTime / 1000).toFixed(1)}s\n`);
+  }
+  return result.errors.length || counts.failed ? ExitCodes.FAILED : ExitCodes.SUCCESS;
+}
+
+module.exports = {
+  ExitCodes,
+  parseArguments,
+  run,
+};
@@ -42,6 +42,57 @@ module.exports.DefaultValues = {
    * upload process.
    */
   MAX_FILE_UPLOAD: 1000,
+
+  /**
+   * Pattern used to build a new name for a file whose asset already exists, when the
+   * upload's conflict policy is to rename files.
+   */
+  RENAME_PATTERN: '{name}-{n}{ext}',
+
+  /**
+   * Maximum number of new names that will be tried for a file whose asset already exists,
+   * when the upload's conflict policy is to rename files.
+   */
+  MAX_RENAME_ATTEMPTS: 100,
+
+  /**
+   * Maximum number of items that mirror mode will remove from AEM in a single upload.
+   */
+  MAX_MIRROR_REMOVALS: 100,
+
+  /**
+   * Maximum number of files that will be transferred in a single batch.
+   */
+  MAX_BATCH_FILES: 1000,
+
+  /**
+   * Maximum total size, in bytes, of the files that will be transferred in a single
+   * batch: 5 GB.
+   */
+  MAX_BATCH_SIZE: 5 * 1024 * 1024 * 1024,
+
+  /**
+   * Number of batches that will be transferred at the same time.
+   */
+  MAX_CONCURRENT_BATCHES: 1,
+
+  /**
+   * Number of times that the stability check will examine a file before the file is
+   * considered unstable.
+   */
+  MAX_STABILITY_CHECKS: 1,
+
+  /**
+   * Timespan, in milliseconds, between each time that a file system watcher checks its
+   * local directories for new or changed files.
+   */
+  WATCH_INTERVAL: 2000,
+
+  /**
+   * Number of times that a file system watcher will upload a file again after the file
+   * failed to upload, before giving up on the file until it changes.
+   */
+  MAX_WATCH_RETRIES: 3,
 };
 
 module.exports.RegularExpressions = {
@@ -64,6 +115,214 @@ module.exports.RegularExpressions = {
   INVALID_ASSET_CHARACTERS_REGEX: /[#%{}?&]/g,
 };
 
+/**
+ * Reasons that might be given when an item is skipped by the upload process.
+ */
+module.exports.SkipReasons = {
+  /**
+   * The item was already uploaded according to the upload's resume journal.
+   */
+  JOURNAL: 'journal',
+
+  /**
+   * The item already exists in AEM, and the upload's conflict policy is to skip
+   * existing items.
+   */
+  EXISTS: 'exists',
+
+  /**
+   * The item was excluded by the upload's include or exclude patterns.
+   */
+  EXCLUDED: 'excluded',
+
+  /**
+   * The item was ignored by an .aemignore file.
+   */
+  IGNORED: 'ignored',
+
+  /**
+   * The item is a symbolic link, and the upload's symlink policy is to skip links.
+   */
+  SYMLINK: 'symlink',
+
+  /**
+   * The item is a symbolic link to one of the directories that contain it, so following
+   * it would walk the same directories forever.
+   */
+  SYMLINK_CYCLE: 'symlinkcycle',
+
+  /**
+   * The item is a temp or system file, such as a file that an application creates
+   * while saving.
+   */
+  TEMP: 'temp',
+
+  /**
+   * The file is smaller than the upload's minimum file size, or larger than its maximum
+   * file size.
+   */
+  FILE_SIZE: 'filesize',
+
+  /**
+   * The file's extension is denied by the upload, or isn't one of its allowed extensions.
+   */
+  EXTENSION: 'extension',
+
+  /**
+   * The type of the file's content isn't one of the upload's allowed mime types.
+   */
+  MIME_TYPE: 'mimetype',
+
+  /**
+   * The file's size or modification time kept changing during the upload's stability
+   * check, which usually means that it's still being written.
+   */
+  UNSTABLE: 'unstable',
+
+  /**
+   * The file is a sidecar containing metadata for another file in the upload, and was
+   * applied to that file's asset instead of being uploaded.
+   */
+  SIDECAR: 'sidecar',
+};
+
+/**
+ * Names of the lists of built-in patterns that a file system upload can use to identify
+ * temp and system files.
+ */
+module.exports.TempFilePresets = {
+  /**
+   * Hidden files and folders, and temp files created by common applications and by
+   * Windows. Used unless other presets are specified.
+   */
+  DEFAULT: 'default',
+
+  /**
+   * Files created by macOS, such as .DS_Store files and AppleDouble (._*) files.
+   */
+  MACOS: 'macos',
+
+  /**
+   * Files created by Linux desktops and editors, such as backup (*~) and swap files.
+   */
+  LINUX: 'linux',
+
+  /**
+   * Lock, cache, and preview files created by creative tools, such as InDesign lock files
+   * and Premiere Pro peak files.
+   */
+  CREATIVE: 'creative',
+};
+
+/**
+ * Policies that determine what a file system upload will do when it finds a symbolic link
+ * while walking a local directory.
+ */
+module.exports.SymlinkPolicies = {
+  /**
+   * Upload the directory or file that the link points to, as if it were at the link's
+   * location.
+   */
+  FOLLOW: 'follow',
+
+  /**
+   * Leave the link out of the upload.
+   */
+  SKIP: 'skip',
+
+  /**
+   * Leave the link out of the upload, and report it as an error.
+   */
+  ERROR: 'error',
+};
+
+/**
+ * Policies that determine what the upload will do when a file's target asset already
+ * exists in AEM.
+ */
+module.exports.ConflictPolicies = {
+  /**
+   * Leave the existing asset alone and don't upload the file.
+   */
+  SKIP: 'skip',
+
+  /**
+   * Replace the existing asset's binary with the file.
+   */
+  REPLACE: 'replace',
+
+  /**
+   * Upload the file as a new version of the existing asset.
+   */
+  VERSION: 'version',
+
+  /**
+   * Don't upload the file, and report it as a failure.
+   */
+  FAIL: 'fail',
+
+  /**
+   * Upload the file to a new asset whose name doesn't conflict with any existing asset.
+   */
+  RENAME: 'rename',
+};
+
+/**
+ * Decisions that the upload can make about a file based on the upload's conflict policy.
+ * In addition to these values, the decision for a file whose target asset already exists
+ * will be the value of the conflict policy itself.
+ */
+module.exports.ConflictDecisions = {
+  /**
+   * The file's target asset doesn't exist, so the file was uploaded as a new asset.
+   */
+  CREATE: 'create',
+};
+
+/**
+ * Statuses that a file can have when a file system upload is in sync mode.
+ */
+module.exports.SyncStatuses = {
+  /**
+   * The file doesn't exist in AEM, and will be uploaded.
+   */
+  NEW: 'new',
+
+  /**
+   * The file has changed since it was uploaded to AEM, and will be uploaded again.
+   */
+  UPDATED: 'updated',
+
+  /**
+   * The file is the same as its asset in AEM, and will not be uploaded.
+   */
+  UNCHANGED: 'unchanged',
+
+  /**
+   * The file couldn't be compared with its asset in AEM, and will not be uploaded.
+   */
+  FAILED: 'failed',
+};
+
+/**
+ * Actions that mirror mode can take to remove an item from AEM.
+ */
+module.exports.MirrorActions = {
+  /**
+   * The item is deleted.
+   */
+  DELETE: 'delete',
+
+  /**
+   * The item is moved to an archive folder.
+   */
+  ARCHIVE: 'archive',
+};
+
 module.exports.HttpMethods = {
   POST: 'POST',
+  HEAD: 'HEAD',
+  DELETE: 'DELETE',
+  MOVE: 'MOVE',
+  PUT: 'PUT',
 };
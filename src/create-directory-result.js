@@ -55,6 +55,16 @@ class CreateDirectoryResult extends HttpResult {
     this.error = error;
   }
 
+  /**
+   * Retrieves the error that was the result of the create request, if any.
+   *
+   * @returns {import('./upload-error')|boolean} Error to the create request, or false if
+   *  there was no error.
+   */
+  getCreateError() {
+    return this.error;
+  }
+
   /**
    * Retrieves the full path of the folder as it was created in AEM.
    *
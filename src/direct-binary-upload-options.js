@@ -12,8 +12,10 @@ governing permissions and limitations under the License.
 
 const URL = require('url');
 
-const { trimRight } = require('./utils');
-const { DefaultValues } = require('./constants');
+const { trimRight, validateCount } = require('./utils');
+const { DefaultValues, ConflictPolicies, RegularExpressions } = require('./constants');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
 
 /**
  * Options that generally control how a direct binary upload will behave. The class contains
@@ -165,6 +167,136 @@ class DirectBinaryUploadOptions {
     return this;
   }
 
+  /**
+   * Sets a controller that can be used to cancel the upload while it's in progress. The
+   * controller is expected to be an AbortController, or any object with a compatible
+   * <code>signal</code> property. When the controller's signal is aborted, the upload will
+   * stop creating folders, will not start any files that haven't started yet, and will abort
+   * any HTTP requests that are in progress.
+   *
+   * @param {AbortController} controller Controller whose signal will cancel the upload.
+   * @returns {DirectBinaryUploadOptions} The current options instance. Allows for chaining.
+   */
+  withController(controller) {
+    this.controller = controller;
+    return this;
+  }
+
+  /**
+   * Sets the policy that determines what the upload will do when a file's target asset
+   * already exists in AEM. When a policy is specified, the upload will check whether
+   * each file's target asset exists before the file's binary is uploaded. The policy
+   * takes precedence over the <code>replace</code> and <code>createVersion</code>
+   * options of individual files whose target asset exists.
+   *
+   * @param {string} conflictPolicy One of the values from ConflictPolicies in the
+   *  constants module: skip, replace, version, fail, or rename.
+   * @returns {DirectBinaryUploadOptions} The current options instance. Allows for chaining.
+   */
+  withConflictPolicy(conflictPolicy) {
+    if (!Object.values(ConflictPolicies).includes(conflictPolicy)) {
+      throw new UploadError(
+        `Invalid conflict policy '${conflictPolicy}'`,
+        ErrorCodes.INVALID_OPTIONS,
+      );
+    }
+    this.options.conflictPolicy = conflictPolicy;
+    return this;
+  }
+
+  /**
+   * Sets the pattern used to build a new name for a file whose asset already exists, when
+   * the conflict policy is "rename". The pattern may contain the following placeholders:
+   * * {name}: The file's original name, without its extension.
+   * * {n}: A number, starting at 1, that will be increased until a name is found that
+   *   doesn't conflict with an existing asset. Required.
+   * * {ext}: The file's extension, including the leading period. Will be an empty string
+   *   if the file doesn't have an extension.
+   *
+   * Default: <code>{name}-{n}{ext}</code>, which would rename "photo.jpg" to "photo-1.jpg".
+   *
+   * @param {string} renamePattern Pattern for new file names.
+   * @returns {DirectBinaryUploadOptions} The current options instance. Allows for chaining.
+   */
+  withRenamePattern(renamePattern) {
+    if (!String(renamePattern).includes('{n}')) {
+      throw new UploadError(
+        'Rename pattern must contain the {n} placeholder',
+        ErrorCodes.INVALID_OPTIONS,
+      );
+    }
+    if (new RegExp(RegularExpressions.INVALID_CHARACTERS_REGEX.source).test(renamePattern)) {
+      throw new UploadError(
+        'Rename pattern contains invalid characters',
+        ErrorCodes.INVALID_OPTIONS,
+      );
+    }
+    this.options.renamePattern = renamePattern;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of files that will be transferred in a single batch. Uploads
+   * with more files than this will be split into multiple batches, each of which is
+   * transferred separately. Default: 1000.
+   *
+   * @param {number} maxBatchFiles Maximum number of files in each batch. Must be a whole
+   *  number of at least 1.
+   * @returns {DirectBinaryUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMaxBatchFiles(maxBatchFiles) {
+    this.options.maxBatchFiles = validateCount(maxBatchFiles, 1);
+    return this;
+  }
+
+  /**
+   * Sets the maximum total size of the files that will be transferred in a single batch.
+   * A file that is larger than this value will be transferred in a batch by itself.
+   * Default: 5 GB.
+   *
+   * @param {number} maxBatchSize Maximum size, in bytes, of each batch. Must be a whole
+   *  number of at least 1.
+   * @returns {DirectBinaryUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMaxBatchSize(maxBatchSize) {
+    this.options.maxBatchSize = validateCount(maxBatchSize, 1);
+    return this;
+  }
+
+  /**
+   * Sets the number of batches that will be transferred at the same time. With the
+   * default value of 1, each batch will start after the previous batch has finished.
+   *
+   * @param {number} maxConcurrentBatches Number of batches to transfer at once. Must be a
+   *  whole number of at least 1.
+   * @returns {DirectBinaryUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMaxConcurrentBatches(maxConcurrentBatches) {
+    this.options.maxConcurrentBatches = validateCount(maxConcurrentBatches, 1);
+    return this;
+  }
+
+  /**
+   * Sets AEM tags that will be assigned to every asset that the upload creates, in
+   * addition to any tags provided in the <code>tags</code> option of individual files.
+   * Tags are assigned through the assets' <code>cq:tags</code> property once they've
+   * been uploaded. Tags that don't exist in AEM will not be assigned, and will be
+   * reported in the upload's result.
+   *
+   * @param {Array<string>} tags Tag IDs, such as "brand:summer" or "brand:summer/2024".
+   * @returns {DirectBinaryUploadOptions} The current options instance. Allows for chaining.
+   */
+  withTags(tags) {
+    if (!Array.isArray(tags) || tags.some((tag) => !tag || typeof tag !== 'string')) {
+      throw new UploadError(
+        'Tags must be an array of tag IDs',
+        ErrorCodes.INVALID_OPTIONS,
+      );
+    }
+    this.options.tags = tags;
+    return this;
+  }
+
   /**
    * Retrieves the target URL to which files will be uploaded.
    *
@@ -268,6 +400,83 @@ class DirectBinaryUploadOptions {
     return this.options.requestTimeout;
   }
 
+  /**
+   * Retrieves the controller that can be used to cancel the upload, as provided to the
+   * options instance.
+   *
+   * @returns {AbortController} The upload's controller, or undefined if none was provided.
+   */
+  getController() {
+    return this.controller;
+  }
+
+  /**
+   * Retrieves the policy that determines what the upload will do when a file's target
+   * asset already exists.
+   *
+   * @returns {string} A conflict policy, or undefined if the upload doesn't check for
+   *  existing assets.
+   */
+  getConflictPolicy() {
+    return this.options.conflictPolicy;
+  }
+
+  /**
+   * Retrieves the pattern used to build a new name for a file whose asset already exists.
+   *
+   * @returns {string} A rename pattern.
+   */
+  getRenamePattern() {
+    return this.options.renamePattern || DefaultValues.RENAME_PATTERN;
+  }
+
+  /**
+   * Retrieves the maximum number of files that will be transferred in a single batch.
+   *
+   * @returns {number} Number of files.
+   */
+  getMaxBatchFiles() {
+    return this.options.maxBatchFiles || DefaultValues.MAX_BATCH_FILES;
+  }
+
+  /**
+   * Retrieves the maximum total size of the files that will be transferred in a single batch.
+   *
+   * @returns {number} Size, in bytes.
+   */
+  getMaxBatchSize() {
+    return this.options.maxBatchSize || DefaultValues.MAX_BATCH_SIZE;
+  }
+
+  /**
+   * Retrieves the number of batches that will be transferred at the same time.
+   *
+   * @returns {number} Number of batches.
+   */
+  getMaxConcurrentBatches() {
+    return this.options.maxConcurrentBatches || DefaultValues.MAX_CONCURRENT_BATCHES;
+  }
+
+  /**
+   * Retrieves the AEM tags that will be assigned to every asset that the upload creates.
+   *
+   * @returns {Array<string>} Tag IDs, which will be empty if no tags were provided.
+   */
+  getTags() {
+    return this.options.tags || [];
+  }
+
+  /**
+   * Retrieves a value indicating whether or not the upload has been cancelled through
+   * the options' controller.
+   *
+   * @returns {boolean} True if the upload was cancelled, false otherwise.
+   */
+  isCancelled() {
+    const { signal } = this.getController() || {};
+    return !!(signal && signal.aborted);
+  }
+
   /**
    * Overridden to return an object appropriate for representing this class as a
    * JSON object.
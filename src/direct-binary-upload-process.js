@@ -14,13 +14,58 @@ const {
   AEMUpload,
 } = require('@adobe/httptransfer');
 const httpTransferLogger = require('@adobe/httptransfer/lib/logger');
+const Path = require('path');
 const { v4: uuid } = require('uuid');
 
 const UploadOptionsBase = require('./upload-options-base');
 const FileUploadResults = require('./file-upload-results');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
 const {
+  assetExists,
   getHttpTransferOptions,
 } = require('./http-utils');
+const {
+  ConflictPolicies,
+  ConflictDecisions,
+  DefaultValues,
+  SkipReasons,
+} = require('./constants');
+const {
+  ensureNotCancelled,
+  waitForCancel,
+  getTargetPath,
+} = require('./utils');
+
+/**
+ * Splits a list of files into batches, so that no batch has more than a given number of
+ * files or a given total size. Files keep their original order.
+ *
+ * @param {Array} transferFiles Files as provided in the httptransfer options.
+ * @param {number} maxFiles Maximum number of files in each batch.
+ * @param {number} maxSize Maximum total size, in bytes, of each batch. A file that is larger
+ *  than this value will be placed in a batch by itself.
+ * @returns {Array<Array>} The batches of files.
+ */
+function getBatches(transferFiles, maxFiles, maxSize) {
+  const batches = [];
+  let batch = [];
+  let batchSize = 0;
+  transferFiles.forEach((transferFile) => {
+    const { fileSize = 0 } = transferFile;
+    if (batch.length && (batch.length >= maxFiles || batchSize + fileSize > maxSize)) {
+      batches.push(batch);
+      batch = [];
+      batchSize = 0;
+    }
+    batch.push(transferFile);
+    batchSize += fileSize;
+  });
+  if (batch.length) {
+    batches.push(batch);
+  }
+  return batches;
+}
 
 /**
  * Contains all logic for the process that uploads a set of files using direct binary access.
@@ -44,10 +89,33 @@ const {
  *     the file so far.
  * * fileend: Sent after the last part of a file has uploaded successfully. Will only
  *   be sent if the file transfers completely.
- * * filecancelled: Sent if the file was cancelled before it could finish.
+ * * filecancelled: Sent if the file was cancelled before it could finish, which will
+ *   happen for all unfinished files if the upload is cancelled through the controller
+ *   provided in the upload options.
  * * fileerror: Sent if one of the file's parts failed to transfer. The event data
  *   will include these additional elements:
  *   * {Array} errors: List of errors that occurred to prevent the upload.
+ * * fileskipped: Sent if the file was not uploaded because its target asset already
+ *   exists and the upload's conflict policy is to skip existing assets.
+ *
+ * If a file was renamed because its target asset already exists, the data for its events
+ * will describe the file's new target, and will include these additional elements:
+ * * {string} originalFileName: The name of the file before it was renamed.
+ * * {string} originalTargetFile: Full path in AEM to the file's original target.
+ *
+ * The process will also send the following events, without any data, as the state of
+ * the upload changes:
+ *
+ * * uploadpaused: Sent when the upload is paused.
+ * * uploadresumed: Sent when a paused upload is resumed.
+ *
+ * Files are transferred in batches, based on the batch limits in the upload options. The
+ * following events are sent for each batch, with an object containing the upload's ID,
+ * the batch's number (starting at 1), and the number and total size of its files:
+ *
+ * * batchstart: Sent before the batch's files begin to transfer.
+ * * batchend: Sent after all of the batch's files have finished. The event data will
+ *   include the number of files in the batch that succeeded, failed, and were skipped.
  */
 class DirectBinaryUploadProcess extends UploadOptionsBase {
   /**
@@ -59,11 +127,17 @@ class DirectBinaryUploadProcess extends UploadOptionsBase {
   constructor(options, uploadOptions) {
     super(options, uploadOptions);
 
-    this.fileResults = {};
+    this.fileResults = new FileUploadResults(options, uploadOptions);
+    this.fileCount = 0;
+    this.totalSize = 0;
     this.fileEvents = {};
     this.fileTransfer = {};
     this.completeUri = '';
     this.uploadId = uuid();
+    this.batchCount = 0;
+    this.paused = false;
+    this.pauseRequested = false;
+    this.addFileTotals(uploadOptions.getUploadFiles());
 
     const { log } = options;
     if (log) {
@@ -83,19 +157,100 @@ class DirectBinaryUploadProcess extends UploadOptionsBase {
     return this.uploadId;
   }
 
+  /**
+   * Retrieves the total number of files in the upload, including files that were added
+   * using addUploadFiles().
+   *
+   * @returns {number} Number of files.
+   */
+  getFileCount() {
+    return this.fileCount;
+  }
+
   /**
    * Retrieves the total size of the upload, which is determined based on the file size
-   * specified on each upload file.
+   * specified on each upload file. Includes files that were added using addUploadFiles().
    *
    * @returns {number} Total size, in bytes.
    */
   getTotalSize() {
-    let totalSize = 0;
-    this.getUploadOptions().getUploadFiles().forEach((uploadFile) => {
+    return this.totalSize;
+  }
+
+  /**
+   * Adds a list of files to the process's file count and total size.
+   *
+   * @param {Array} uploadFiles Files, in the same format as provided to
+   *  DirectBinaryUploadOptions.withUploadFiles().
+   */
+  addFileTotals(uploadFiles) {
+    uploadFiles.forEach((uploadFile) => {
       const { fileSize = 0 } = uploadFile;
-      totalSize += fileSize;
+      this.fileCount += 1;
+      this.totalSize += fileSize;
+    });
+  }
+
+  /**
+   * Pauses the upload. While paused, the process will not start any new work, such as
+   * creating folders or beginning the transfer of files. Any transfers that are already
+   * in progress, including the rest of a batch whose files have started, will be allowed
+   * to finish. Has no effect if the upload is already paused.
+   */
+  pause() {
+    if (!this.paused) {
+      this.paused = true;
+      this.pauseRequested = true;
+      this.logInfo('Upload PAUSED');
+      this.emit('uploadpaused');
+    }
+  }
+
+  /**
+   * Resumes the upload after a call to pause(). Has no effect if the upload is not paused.
+   */
+  resume() {
+    if (this.paused) {
+      this.paused = false;
+      this.logInfo('Upload RESUMED');
+      this.emit('uploadresumed');
+    }
+  }
+
+  /**
+   * Retrieves a value indicating whether or not the upload is currently paused.
+   *
+   * @returns {boolean} True if the upload is paused, false otherwise.
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Waits for the upload to be resumed if it's currently paused. Will also stop
+   * waiting if the upload is cancelled.
+   *
+   * @returns {Promise} Resolves immediately if the upload isn't paused, otherwise
+   *  resolves when the upload is resumed or cancelled.
+   */
+  async waitWhilePaused() {
+    if (!this.isPaused()) {
+      return;
+    }
+
+    const { cancelled, dispose } = waitForCancel(this.getUploadOptions());
+    let onResume;
+    const resumed = new Promise((resolve) => {
+      onResume = resolve;
+      this.once('uploadresumed', onResume);
     });
-    return totalSize;
+
+    try {
+      await Promise.race([resumed, cancelled]);
+    } finally {
+      dispose();
+      this.removeListener('uploadresumed', onResume);
+    }
   }
 
   /**
@@ -103,45 +258,438 @@ class DirectBinaryUploadProcess extends UploadOptionsBase {
    *
    * @param {import('./upload-result')} uploadResult Result to which information about
    *  the upload will be added.
-   * @returns {Promise} Resolves when all files have been uploaded.
+   * @returns {Promise} Resolves when all files have been uploaded. Will be rejected with
+   *  an error whose code is USER_CANCELLED if the upload was cancelled.
    */
   async upload(uploadResult) {
-    const aemUploadOptions = getHttpTransferOptions(this.getOptions(), this.getUploadOptions());
-    const fileResults = new FileUploadResults(this.getOptions(), this.getUploadOptions());
+    await this.transferFiles(uploadResult, this.getUploadOptions().getUploadFiles());
+
+    // output json result to logger
+    this.logInfo(`Uploading result in JSON: ${JSON.stringify(uploadResult, null, 4)}`);
+  }
+
+  /**
+   * Uploads files in addition to those provided in the upload options. Can be called
+   * multiple times, for example to upload files as they're discovered instead of
+   * gathering all of them first. The results of the files will be added to the same
+   * result as the process's other files.
+   *
+   * @param {import('./upload-result')} uploadResult Result to which information about
+   *  the files will be added.
+   * @param {Array} uploadFiles Files to upload, in the same format as provided to
+   *  DirectBinaryUploadOptions.withUploadFiles().
+   * @returns {Promise} Resolves when all the files have been uploaded. Will be rejected
+   *  with an error whose code is USER_CANCELLED if the upload was cancelled.
+   */
+  async addUploadFiles(uploadResult, uploadFiles) {
+    this.addFileTotals(uploadFiles);
+    await this.transferFiles(uploadResult, uploadFiles);
+  }
+
+  /**
+   * Uploads a list of files, splitting them into batches based on the batch limits in the
+   * upload options. Each batch is transferred using its own httptransfer session.
+   *
+   * @param {import('./upload-result')} uploadResult Result to which information about
+   *  the files will be added.
+   * @param {Array} uploadFiles Files to upload, in the same format as provided to
+   *  DirectBinaryUploadOptions.withUploadFiles().
+   * @returns {Promise} Resolves when all the files have been uploaded. Will be rejected
+   *  with an error whose code is USER_CANCELLED if the upload was cancelled.
+   */
+  async transferFiles(uploadResult, uploadFiles) {
+    const uploadOptions = this.getUploadOptions();
+    const aemUploadOptions = getHttpTransferOptions(
+      this.getOptions(),
+      uploadOptions,
+      uploadFiles,
+    );
+    const { fileResults } = this;
     fileResults.addHttpTransferOptions(aemUploadOptions);
+
+    // renamed files shouldn't take the name of another file being transferred. files
+    // from previous transfers already exist, so they don't need to be included.
+    const reservedFiles = new Set(aemUploadOptions.uploadFiles.map(
+      ({ fileUrl }) => getTargetPath(fileUrl),
+    ));
+    const batches = getBatches(
+      aemUploadOptions.uploadFiles,
+      uploadOptions.getMaxBatchFiles(),
+      uploadOptions.getMaxBatchSize(),
+    );
+
+    await this.waitWhilePaused();
+
+    uploadResult.startTimer();
+
+    // each worker transfers one batch at a time, until there are no batches left
+    let nextBatch = 0;
+    const transferBatches = async () => {
+      while (nextBatch < batches.length && !uploadOptions.isCancelled()) {
+        const batchFiles = batches[nextBatch];
+        nextBatch += 1;
+        // eslint-disable-next-line no-await-in-loop
+        await this.transferBatch(uploadResult, {
+          ...aemUploadOptions,
+          uploadFiles: batchFiles,
+        }, reservedFiles);
+      }
+    };
+    const workerCount = Math.min(uploadOptions.getMaxConcurrentBatches(), batches.length);
+    const workers = [];
+    for (let i = 0; i < workerCount; i += 1) {
+      workers.push(transferBatches());
+    }
+    await Promise.all(workers);
+
+    if (uploadOptions.isCancelled()) {
+      this.logInfo('Upload was cancelled, cancelling all pending files');
+      fileResults.getPendingFileEventData().forEach((data) => this.cancelFile(fileResults, data));
+    }
+
+    uploadResult.setFileUploadResults(fileResults);
+    uploadResult.stopTimer();
+
+    ensureNotCancelled(uploadOptions);
+  }
+
+  /**
+   * Uploads a single batch of files using an httptransfer session.
+   *
+   * @param {import('./upload-result')} uploadResult Result to which skipped files will
+   *  be added.
+   * @param {object} aemUploadOptions The httptransfer options for the batch.
+   * @param {Set} reservedFiles Full paths in AEM that are already taken by files in the
+   *  upload.
+   * @returns {Promise} Resolves when all of the batch's files have finished.
+   */
+  async transferBatch(uploadResult, aemUploadOptions, reservedFiles) {
+    const uploadOptions = this.getUploadOptions();
+    const { fileResults } = this;
     const aemUpload = new AEMUpload();
     aemUpload.on('filestart', (data) => {
       this.logInfo(`Upload START '${data.fileName}': ${data.fileSize} bytes`);
-      this.emit('filestart', data);
+      this.emit('filestart', fileResults.addOriginalTarget(data));
     });
     aemUpload.on('fileprogress', (data) => {
       this.logInfo(`Upload PROGRESS '${data.fileName}': ${data.transferred} of ${data.fileSize} bytes`);
-      this.emit('fileprogress', data);
+      this.emit('fileprogress', fileResults.addOriginalTarget(data));
     });
     aemUpload.on('fileend', (data) => {
       this.logInfo(`Upload COMPLETE '${data.fileName}': ${data.fileSize} bytes`);
-      fileResults.addFileEventResult(data);
-      this.emit('fileend', data);
+      const eventData = fileResults.addOriginalTarget(data);
+      fileResults.addFileEventResult(eventData);
+      this.emit('fileend', eventData);
     });
     aemUpload.on('fileerror', (data) => {
+      const eventData = fileResults.addOriginalTarget(data);
+      if (uploadOptions.isCancelled()) {
+        // errors are expected for in-progress files when the upload is cancelled
+        this.cancelFile(fileResults, eventData);
+        return;
+      }
       this.logError(`Upload FAILED '${data.fileName}': '${data.errors[0].message}'`);
-      fileResults.addFileEventResult(data);
-      this.emit('fileerror', data);
+      fileResults.addFileEventResult(eventData);
+      this.emit('fileerror', eventData);
     });
 
-    const fileCount = aemUploadOptions.uploadFiles.length;
+    await this.waitWhilePaused();
+    if (uploadOptions.isCancelled()) {
+      return;
+    }
 
-    uploadResult.startTimer();
+    this.batchCount += 1;
+    const batchData = {
+      uploadId: this.getUploadId(),
+      batchNumber: this.batchCount,
+      fileCount: aemUploadOptions.uploadFiles.length,
+      totalSize: aemUploadOptions.uploadFiles
+        .reduce((total, { fileSize = 0 }) => total + fileSize, 0),
+    };
+    const batchCounts = this.countBatchFiles(aemUploadOptions.uploadFiles);
+    this.logInfo(`Batch ${batchData.batchNumber} START: ${batchData.fileCount} files, ${batchData.totalSize} bytes`);
+    this.emit('batchstart', batchData);
 
-    this.logInfo(`sending ${fileCount} files to httptransfer`);
-    await aemUpload.uploadFiles(aemUploadOptions);
-    this.logInfo('successfully uploaded files with httptransfer');
+    try {
+      const transferFiles = await this.applyConflictPolicy(
+        uploadResult,
+        fileResults,
+        aemUploadOptions.uploadFiles,
+        reservedFiles,
+      );
 
-    uploadResult.setFileUploadResults(fileResults);
-    uploadResult.stopTimer();
+      // httptransfer starts all of a session's files at once, so a pause can't hold files
+      // that were already handed to it. the batch is sent as a single session unless the
+      // upload has been paused, after which files are sent a few at a time so that later
+      // pauses take effect between them.
+      let transferred = 0;
+      while (transferred < transferFiles.length) {
+        // eslint-disable-next-line no-await-in-loop
+        await this.waitWhilePaused();
+        if (uploadOptions.isCancelled()) {
+          break;
+        }
+        const chunkSize = this.pauseRequested
+          ? uploadOptions.getMaxConcurrent()
+          : transferFiles.length - transferred;
+        // eslint-disable-next-line no-await-in-loop
+        await this.transferChunk(aemUpload, {
+          ...aemUploadOptions,
+          uploadFiles: transferFiles.slice(transferred, transferred + chunkSize),
+        });
+        transferred += chunkSize;
+      }
+    } finally {
+      const counts = batchCounts.stop();
+      this.logInfo(`Batch ${batchData.batchNumber} END: ${counts.successCount} succeeded, ${counts.failureCount} failed, ${counts.skippedCount} skipped`);
+      this.emit('batchend', { ...batchData, ...counts });
+    }
+  }
 
-    // output json result to logger
-    this.logInfo(`Uploading result in JSON: ${JSON.stringify(uploadResult, null, 4)}`);
+  /**
+   * Transfers some of a batch's files using an httptransfer session. Stops waiting for the
+   * transfer if the upload is cancelled.
+   *
+   * @param {AEMUpload} aemUpload The httptransfer instance whose events are being
+   *  monitored for the batch.
+   * @param {object} transferOptions The httptransfer options for the files.
+   * @returns {Promise} Resolves when all of the files have finished, or when the upload is
+   *  cancelled.
+   */
+  async transferChunk(aemUpload, transferOptions) {
+    const uploadOptions = this.getUploadOptions();
+    this.logInfo(`sending ${transferOptions.uploadFiles.length} files to httptransfer`);
+    const { cancelled, dispose } = waitForCancel(uploadOptions);
+    const transfer = aemUpload.uploadFiles(transferOptions);
+    try {
+      await Promise.race([transfer, cancelled]);
+    } finally {
+      dispose();
+    }
+
+    if (uploadOptions.isCancelled()) {
+      // the transfer will unwind on its own now that its requests have been aborted
+      transfer.catch((e) => this.logDebug(`Transfer finished after cancel: ${e.message}`));
+    } else {
+      this.logInfo('successfully uploaded files with httptransfer');
+    }
+  }
+
+  /**
+   * Starts counting the files of a batch that succeed, fail, or are skipped, based on the
+   * process's file events.
+   *
+   * @param {Array} transferFiles The batch's files, as provided in the httptransfer options.
+   * @returns {object} Has a stop() method, which stops counting and returns an object with
+   *  "successCount", "failureCount", and "skippedCount" properties.
+   */
+  countBatchFiles(transferFiles) {
+    const batchFiles = new Set(transferFiles.map(
+      ({ fileUrl }) => getTargetPath(fileUrl),
+    ));
+    const counts = {
+      successCount: 0,
+      failureCount: 0,
+      skippedCount: 0,
+    };
+    const listeners = {
+      fileend: 'successCount',
+      fileerror: 'failureCount',
+      fileskipped: 'skippedCount',
+    };
+    const handlers = Object.keys(listeners).map((eventName) => {
+      const handler = ({ targetFile, originalTargetFile }) => {
+        if (batchFiles.has(originalTargetFile || targetFile)) {
+          counts[listeners[eventName]] += 1;
+        }
+      };
+      this.on(eventName, handler);
+      return { eventName, handler };
+    });
+
+    return {
+      stop: () => {
+        handlers.forEach(({ eventName, handler }) => this.removeListener(eventName, handler));
+        return counts;
+      },
+    };
+  }
+
+  /**
+   * Checks whether the target asset of each file already exists, then applies the upload's
+   * conflict policy to the files whose asset does. The decision made for each file will be
+   * recorded in the file results. Does nothing if the upload doesn't have a conflict policy.
+   *
+   * @param {import('./upload-result')} uploadResult Result to which skipped files will
+   *  be added.
+   * @param {import('./file-upload-results')} fileResults Results to which each file's
+   *  decision will be added.
+   * @param {Array} transferFiles Files as provided in the httptransfer options.
+   * @param {Set} reservedFiles Full paths in AEM that are already taken by files in the
+   *  upload. Renamed files won't use any of these paths.
+   * @returns {Promise<Array>} Resolves with the files that should be transferred, modified
+   *  as needed to follow the conflict policy.
+   */
+  async applyConflictPolicy(uploadResult, fileResults, transferFiles, reservedFiles) {
+    const uploadOptions = this.getUploadOptions();
+    if (!uploadOptions.getConflictPolicy()) {
+      return transferFiles;
+    }
+
+    const resolvedFiles = [];
+    const batchSize = uploadOptions.getMaxConcurrent();
+    for (let i = 0; i < transferFiles.length && !uploadOptions.isCancelled(); i += batchSize) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.waitWhilePaused();
+      // eslint-disable-next-line no-await-in-loop
+      const batch = await Promise.all(transferFiles.slice(i, i + batchSize).map(
+        (transferFile) => this.resolveConflict(
+          uploadResult,
+          fileResults,
+          transferFile,
+          reservedFiles,
+        ),
+      ));
+      batch.filter((transferFile) => !!transferFile)
+        .forEach((transferFile) => resolvedFiles.push(transferFile));
+    }
+    return resolvedFiles;
+  }
+
+  /**
+   * Checks whether a file's target asset already exists, and applies the upload's conflict
+   * policy to the file if it does.
+   *
+   * @param {import('./upload-result')} uploadResult Result to which the file will be added
+   *  if it's skipped.
+   * @param {import('./file-upload-results')} fileResults Results to which the file's
+   *  decision will be added.
+   * @param {object} transferFile The file as provided in the httptransfer options.
+   * @param {Set} reservedFiles Full paths in AEM that are already taken by files in the
+   *  upload. A renamed file's new path will be added to the set.
+   * @returns {Promise<object>} Resolves with the file as it should be transferred, or
+   *  false if the file shouldn't be transferred.
+   */
+  async resolveConflict(uploadResult, fileResults, transferFile, reservedFiles) {
+    const uploadOptions = this.getUploadOptions();
+    const conflictPolicy = uploadOptions.getConflictPolicy();
+    const targetFile = getTargetPath(transferFile.fileUrl);
+    const eventData = fileResults.getFileEventData(targetFile);
+
+    try {
+      if (!await assetExists(uploadOptions, targetFile)) {
+        fileResults.setConflictDecision(targetFile, ConflictDecisions.CREATE);
+        return transferFile;
+      }
+
+      this.logInfo(`Asset '${targetFile}' already exists, applying conflict policy '${conflictPolicy}'`);
+      if (conflictPolicy === ConflictPolicies.RENAME) {
+        const fileUrl = await this.getAvailableFileUrl(transferFile.fileUrl, reservedFiles);
+        fileResults.setConflictDecision(targetFile, conflictPolicy, fileUrl);
+        return { ...transferFile, fileUrl };
+      }
+    } catch (e) {
+      if (uploadOptions.isCancelled()) {
+        // the file will be reported as cancelled along with all other pending files
+        return false;
+      }
+      const errors = [UploadError.fromError(e, `Unable to determine whether asset ${targetFile} exists`)];
+      this.logError(`Upload FAILED '${eventData.fileName}': '${errors[0].message}'`);
+      fileResults.addFileEventResult({ ...eventData, errors });
+      this.emit('fileerror', { ...eventData, errors });
+      return false;
+    }
+
+    fileResults.setConflictDecision(targetFile, conflictPolicy);
+    if (conflictPolicy === ConflictPolicies.SKIP) {
+      this.logInfo(`Upload SKIPPED '${eventData.fileName}'`);
+      const skippedItem = {
+        targetPath: targetFile,
+        reason: SkipReasons.EXISTS,
+      };
+      if (transferFile.filePath) {
+        skippedItem.localPath = transferFile.filePath;
+      }
+      uploadResult.addSkippedItem(skippedItem);
+      this.emit('fileskipped', eventData);
+      return false;
+    }
+    if (conflictPolicy === ConflictPolicies.FAIL) {
+      const errors = [new UploadError(`Asset ${targetFile} already exists`, ErrorCodes.ALREADY_EXISTS)];
+      this.logError(`Upload FAILED '${eventData.fileName}': '${errors[0].message}'`);
+      fileResults.addFileEventResult({ ...eventData, errors });
+      this.emit('fileerror', { ...eventData, errors });
+      return false;
+    }
+    if (conflictPolicy === ConflictPolicies.VERSION) {
+      const { replace, ...versionFile } = transferFile;
+      return { ...versionFile, createVersion: true };
+    }
+
+    const {
+      createVersion,
+      versionLabel,
+      versionComment,
+      ...replaceFile
+    } = transferFile;
+    return { ...replaceFile, replace: true };
+  }
+
+  /**
+   * Finds a URL for a file whose name doesn't conflict with an existing asset. The URL
+   * will be the same as the file's original URL, with the file's name changed according
+   * to the upload's rename pattern. For example, "photo.jpg" might become "photo-1.jpg".
+   * At most DefaultValues.MAX_RENAME_ATTEMPTS names will be tried.
+   *
+   * @param {string} fileUrl The file's original URL.
+   * @param {Set} reservedFiles Full paths in AEM that are already taken by files in the
+   *  upload. The path of the URL that is found will be added to the set.
+   * @returns {Promise<string>} Resolves with the available URL. Will be rejected with an
+   *  error whose code is ALREADY_EXISTS if none of the names that were tried are available.
+   */
+  async getAvailableFileUrl(fileUrl, reservedFiles) {
+    const uploadOptions = this.getUploadOptions();
+    const parentUrl = fileUrl.substr(0, fileUrl.lastIndexOf('/'));
+    const targetFile = getTargetPath(fileUrl);
+    const extension = Path.posix.extname(targetFile);
+    const name = Path.posix.basename(targetFile, extension);
+
+    for (let n = 1; n <= DefaultValues.MAX_RENAME_ATTEMPTS; n += 1) {
+      const availableName = uploadOptions.getRenamePattern()
+        .replaceAll('{name}', name)
+        .replaceAll('{n}', n)
+        .replaceAll('{ext}', extension);
+      const availableUrl = `${parentUrl}/${encodeURIComponent(availableName)}`;
+      const availableFile = getTargetPath(availableUrl);
+      if (!reservedFiles.has(availableFile)) {
+        reservedFiles.add(availableFile);
+        // eslint-disable-next-line no-await-in-loop
+        if (!await assetExists(uploadOptions, availableFile)) {
+          return availableUrl;
+        }
+      }
+    }
+    throw new UploadError(
+      `Unable to find an available name for asset ${targetFile} after ${DefaultValues.MAX_RENAME_ATTEMPTS} attempts`,
+      ErrorCodes.ALREADY_EXISTS,
+    );
+  }
+
+  /**
+   * Records a file as cancelled, and notifies consumers that the file was cancelled.
+   *
+   * @param {import('./file-upload-results')} fileResults Results to which the file's
+   *  cancellation will be added.
+   * @param {object} data Event data for the file that was cancelled.
+   */
+  cancelFile(fileResults, data) {
+    const { errors, ...eventData } = data;
+    this.logInfo(`Upload CANCELLED '${eventData.fileName}'`);
+    fileResults.addFileEventResult({
+      ...eventData,
+      errors: [new UploadError('File upload was cancelled by the user', ErrorCodes.USER_CANCELLED)],
+    });
+    this.emit('filecancelled', eventData);
   }
 }
 
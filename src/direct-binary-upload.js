@@ -13,12 +13,104 @@ governing permissions and limitations under the License.
 const UploadBase = require('./upload-base');
 const DirectBinaryUploadProcess = require('./direct-binary-upload-process');
 const UploadResult = require('./upload-result');
+const AssetMetadataResult = require('./asset-metadata-result');
+const UploadTags = require('./upload-tags');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
+const { updateAssetMetadata } = require('./http-utils');
+const { concurrentLoop } = require('./utils');
+
+/**
+ * Verifies that the information needed to update an asset's metadata was provided.
+ *
+ * @param {string} assetPath Full path to the asset in AEM.
+ * @param {object} properties Metadata properties to set on the asset.
+ */
+function ensureValidMetadata(assetPath, properties) {
+  if (!assetPath) {
+    throw new UploadError('An asset path is required to set metadata', ErrorCodes.INVALID_OPTIONS);
+  }
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new UploadError(`Metadata properties for ${assetPath} must be an object`, ErrorCodes.INVALID_OPTIONS);
+  }
+}
 
 /**
  * Provides capabilities for uploading assets to an AEM instance configured with
  * direct binary access.
  */
 class DirectBinaryUpload extends UploadBase {
+  /**
+   * Constructs a new upload instance with the given options.
+   *
+   * @param {object} [options] Options controlling the upload. See UploadBase for
+   *  more information.
+   */
+  constructor(options = {}) {
+    super(options);
+    this.uploadProcesses = new Set();
+    this.paused = false;
+  }
+
+  /**
+   * Pauses all of the instance's uploads that are currently in progress, and any uploads
+   * that are started while paused. While paused, an upload will not create any new folders
+   * or begin transferring any new files; transfers that are already in progress will be
+   * allowed to finish.
+   */
+  pause() {
+    this.paused = true;
+    this.uploadProcesses.forEach((uploadProcess) => uploadProcess.pause());
+  }
+
+  /**
+   * Resumes all of the instance's uploads after a call to pause().
+   */
+  resume() {
+    this.paused = false;
+    this.uploadProcesses.forEach((uploadProcess) => uploadProcess.resume());
+  }
+
+  /**
+   * Retrieves a value indicating whether or not the instance's uploads are paused.
+   *
+   * @returns {boolean} True if paused, false otherwise.
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Overridden to keep track of the upload process so that it can be paused and resumed.
+   *
+   * @param {import('./direct-binary-upload-process')} uploadProcess The
+   *  upload process that will be performing the work of the upload.
+   * @param {number} [directoryCount=0] If specified, the number of directories
+   *  that will be created by the upload process.
+   */
+  beforeUploadProcess(uploadProcess, directoryCount = 0) {
+    this.uploadProcesses.add(uploadProcess);
+    super.beforeUploadProcess(uploadProcess, directoryCount);
+    if (this.isPaused()) {
+      uploadProcess.pause();
+    }
+  }
+
+  /**
+   * Overridden to stop tracking the upload process once it's finished.
+   *
+   * @param {import('./direct-binary-upload-process')} uploadProcess The
+   *  upload process that performed the work of the upload.
+   * @param {import('./upload-result')} uploadResult Result information
+   *  about the upload.
+   * @param {number} [directoryCount=0] If specified, the number of directories
+   *  that were created by the upload process.
+   */
+  afterUploadProcess(uploadProcess, uploadResult, directoryCount = 0) {
+    this.uploadProcesses.delete(uploadProcess);
+    super.afterUploadProcess(uploadProcess, uploadResult, directoryCount);
+  }
+
   /**
    * Uploads multiple files to a target AEM instance. Through configuration,
    * supports various potential sources, including a node.js process or a
@@ -32,13 +124,100 @@ class DirectBinaryUpload extends UploadBase {
   async uploadFiles(options) {
     const uploadProcess = new DirectBinaryUploadProcess(this.getOptions(), options);
     const uploadResult = new UploadResult(this.getOptions(), options);
+    const uploadTags = new UploadTags(this.getOptions(), options);
+    uploadTags.addUploadFiles(options.getUploadFiles());
+    uploadProcess.on('fileend', (data) => uploadTags.addUploadedFile(data));
 
     this.beforeUploadProcess(uploadProcess);
     await this.executeUploadProcess(uploadProcess, uploadResult);
+    await this.applyUploadTags(options, uploadResult, uploadTags);
     this.afterUploadProcess(uploadProcess, uploadResult);
 
     return uploadResult.toJSON();
   }
+
+  /**
+   * Assigns tags to each uploaded asset, based on the tags of the upload's options and of
+   * the asset's file. The outcome for each asset will be added to the upload's result.
+   * Does nothing if the upload was cancelled.
+   *
+   * @param {DirectBinaryUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which the tagged assets will be added.
+   * @param {UploadTags} uploadTags Tracks the tags of the upload's files.
+   * @returns {Promise} Resolves when all tags have been assigned.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async applyUploadTags(options, uploadResult, uploadTags) {
+    if (options.isCancelled()) {
+      return;
+    }
+    const results = await uploadTags.applyTags();
+    results.forEach((result) => uploadResult.addTaggedAsset(result));
+  }
+
+  /**
+   * Sets metadata properties on an asset that already exists in AEM, such as an asset that
+   * was just uploaded. The properties will be set on the asset's jcr:content/metadata node
+   * using the Assets HTTP API. Existing properties that aren't provided will be left
+   * unchanged.
+   *
+   * @param {DirectBinaryUploadOptions} options Options whose URL and HTTP options will be
+   *  used to submit the request.
+   * @param {string} assetPath Full path to the asset in AEM, such as
+   *  "/content/dam/folder/asset.jpg". Should not be URL encoded.
+   * @param {object} properties Simple object whose keys are property names, such as
+   *  "dc:title", and whose values are the properties' values.
+   * @returns {Promise} Will be resolved when the update has finished. The data passed in
+   *  resolution will be an AssetMetadataResult as JSON, which will contain an error if the
+   *  update failed. Will be rejected if the asset path or properties are missing.
+   */
+  async setAssetMetadata(options, assetPath, properties) {
+    ensureValidMetadata(assetPath, properties);
+
+    const metadataResult = new AssetMetadataResult(
+      this.getOptions(),
+      options,
+      assetPath,
+      properties,
+    );
+    try {
+      metadataResult.setUpdateResponse(
+        await updateAssetMetadata(options, assetPath, properties),
+      );
+      this.logInfo(`Updated metadata of asset '${assetPath}'`);
+    } catch (e) {
+      const uploadError = UploadError.fromError(e, `Unable to update metadata of ${assetPath}`);
+      this.logWarn(uploadError.getMessage());
+      metadataResult.setUpdateError(uploadError);
+    }
+    return metadataResult.toJSON();
+  }
+
+  /**
+   * Sets metadata properties on multiple assets that already exist in AEM. The assets
+   * will be updated concurrently, up to the maximum concurrency of the options.
+   *
+   * @param {DirectBinaryUploadOptions} options Options whose URL, HTTP, and concurrency
+   *  options will be used to submit the requests.
+   * @param {Array<object>} assets Assets to update, each with an "assetPath" and the
+   *  "properties" to set on it. See setAssetMetadata().
+   * @returns {Promise<Array>} Will be resolved when all updates have finished. The data
+   *  passed in resolution will be an AssetMetadataResult as JSON for each asset, in the
+   *  same order as the assets were provided. Will be rejected, without updating any
+   *  assets, if any of the assets is missing a path or properties.
+   */
+  async setAssetMetadataBatch(options, assets) {
+    assets.forEach(({ assetPath, properties }) => ensureValidMetadata(assetPath, properties));
+    const results = [];
+    await concurrentLoop(
+      assets,
+      options.getMaxConcurrent(),
+      async ({ assetPath, properties }, index) => {
+        results[index] = await this.setAssetMetadata(options, assetPath, properties);
+      },
+    );
+    return results;
+  }
 }
 
 module.exports = DirectBinaryUpload;
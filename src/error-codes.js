@@ -64,4 +64,40 @@ module.exports = {
    * Payload provided by user is too large.
    */
   TOO_LARGE: 'ETOOLARGE',
+
+  /**
+   * A symbolic link was found in a local directory, and the upload doesn't allow links.
+   */
+  SYMLINK_NOT_ALLOWED: 'ESYMLINKNOTALLOWED',
+
+  /**
+   * A local file can't be read by the current user, or no longer exists.
+   */
+  FILE_NOT_READABLE: 'EFILENOTREADABLE',
+
+  /**
+   * A local file is empty, and the upload doesn't allow empty files.
+   */
+  FILE_EMPTY: 'EFILEEMPTY',
+
+  /**
+   * The size of a local file changed after its directory was read, which usually means that
+   * the file is still being written.
+   */
+  FILE_SIZE_CHANGED: 'EFILESIZECHANGED',
+
+  /**
+   * A local file is locked by another process.
+   */
+  FILE_LOCKED: 'EFILELOCKED',
+
+  /**
+   * A sidecar metadata file next to a local file doesn't contain valid metadata.
+   */
+  INVALID_SIDECAR: 'EINVALIDSIDECAR',
+
+  /**
+   * An upload manifest, or one of its rows, doesn't describe a valid upload.
+   */
+  INVALID_MANIFEST: 'EINVALIDMANIFEST',
 };
@@ -15,6 +15,8 @@ const DirectBinaryUploadOptions = require('./direct-binary-upload-options');
 const DirectBinaryUploadErrorCodes = require('./error-codes');
 const FileSystemUpload = require('./filesystem-upload');
 const FileSystemUploadOptions = require('./filesystem-upload-options');
+const FileSystemWatcher = require('./filesystem-watcher');
+const ManifestUpload = require('./manifest-upload');
 
 module.exports = {
   DirectBinaryUpload,
@@ -22,4 +24,6 @@ module.exports = {
   DirectBinaryUploadErrorCodes,
   FileSystemUpload,
   FileSystemUploadOptions,
+  FileSystemWatcher,
+  ManifestUpload,
 };
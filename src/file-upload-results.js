@@ -10,7 +10,10 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-const { getAverage } = require('./utils');
+const Path = require('path');
+
+const { getTargetPath } = require('./utils');
+const { ConflictPolicies } = require('./constants');
 const UploadOptionsBase = require('./upload-options-base');
 
 class FileUploadResults extends UploadOptionsBase {
@@ -24,14 +27,55 @@ class FileUploadResults extends UploadOptionsBase {
   constructor(options, uploadOptions) {
     super(options, uploadOptions);
     this.fileLookup = {};
+    this.summarizedCount = 0;
+    this.summarizedSize = 0;
+    this.summarizedSuccessCount = 0;
   }
 
   /**
-   * Retrieves the total number of files that were included in the upload.
+   * Retrieves the total number of files that were included in the upload, including
+   * files that were summarized.
    * @returns {number} File count.
    */
   getTotalFileCount() {
-    return Object.keys(this.fileLookup).length;
+    return Object.keys(this.fileLookup).length + this.summarizedCount;
+  }
+
+  /**
+   * Retrieves the number of files whose information was removed by summarizeFinishedFiles().
+   * @returns {number} File count.
+   */
+  getSummarizedFileCount() {
+    return this.summarizedCount;
+  }
+
+  /**
+   * Removes the information of files that uploaded successfully, or that were skipped
+   * because of the upload's conflict policy. The files will still be included in the
+   * totals, but will no longer be included in the results' JSON. Files that failed, or
+   * that haven't finished, are kept.
+   */
+  summarizeFinishedFiles() {
+    Object.keys(this.fileLookup).forEach((targetFile) => {
+      const { result, conflictDecision, fileSize = 0 } = this.fileLookup[targetFile];
+      const succeeded = result && !result.errors;
+      if (succeeded || (!result && conflictDecision === ConflictPolicies.SKIP)) {
+        this.summarizedCount += 1;
+        this.summarizedSize += fileSize;
+        if (succeeded) {
+          this.summarizedSuccessCount += 1;
+        }
+        delete this.fileLookup[targetFile];
+      }
+    });
+  }
+
+  /**
+   * Retrieves the full path in AEM of each file included in the upload.
+   * @returns {Array<string>} Full paths to files.
+   */
+  getTargetFiles() {
+    return Object.keys(this.fileLookup);
   }
 
   /**
@@ -41,7 +85,7 @@ class FileUploadResults extends UploadOptionsBase {
   addHttpTransferOptions(transferOptions) {
     transferOptions.uploadFiles.forEach((uploadFile) => {
       const { fileUrl } = uploadFile;
-      const targetPath = decodeURI(new URL(fileUrl).pathname);
+      const targetPath = getTargetPath(fileUrl);
 
       const fileInfo = { ...uploadFile };
       if (fileInfo.blob) {
@@ -63,6 +107,79 @@ class FileUploadResults extends UploadOptionsBase {
     }
   }
 
+  /**
+   * Retrieves event data for all files that don't have a result yet, meaning
+   * that they have neither finished nor failed.
+   * @returns {Array} Event data for each pending file, in the same format as
+   *  node-httptransfer events.
+   */
+  getPendingFileEventData() {
+    return Object.keys(this.fileLookup)
+      .filter((targetFile) => {
+        const { result, conflictDecision } = this.fileLookup[targetFile];
+        return !result && conflictDecision !== ConflictPolicies.SKIP;
+      })
+      .map((targetFile) => this.getFileEventData(targetFile));
+  }
+
+  /**
+   * Builds the data that would be sent with events for a file included in the upload.
+   * @param {string} targetFile Full path to the file in AEM.
+   * @returns {object} Event data for the file.
+   */
+  getFileEventData(targetFile) {
+    const { fileSize } = this.fileLookup[targetFile] || {};
+    return {
+      fileName: Path.posix.basename(targetFile),
+      fileSize,
+      targetFolder: Path.posix.dirname(targetFile),
+      targetFile,
+    };
+  }
+
+  /**
+   * Adds information about a file's original target to the file's event data, if the file
+   * was renamed because of a conflict.
+   * @param {object} data Event data for a file.
+   * @returns {object} The event data, with the addition of "originalFileName" and
+   *  "originalTargetFile" if the file was renamed.
+   */
+  addOriginalTarget(data) {
+    const { originalFileUrl } = this.fileLookup[data.targetFile] || {};
+    if (!originalFileUrl) {
+      return data;
+    }
+    const originalTargetFile = getTargetPath(originalFileUrl);
+    return {
+      ...data,
+      originalFileName: Path.posix.basename(originalTargetFile),
+      originalTargetFile,
+    };
+  }
+
+  /**
+   * Records the decision that the upload made about a file based on its conflict policy.
+   * @param {string} targetFile Full path to the file in AEM, as originally provided
+   *  to the upload.
+   * @param {string} conflictDecision The decision that was made. Will be either "create"
+   *  or one of the conflict policies.
+   * @param {string} [finalFileUrl] If specified, the URL to which the file will be uploaded
+   *  instead of its original URL.
+   */
+  setConflictDecision(targetFile, conflictDecision, finalFileUrl) {
+    const fileInfo = this.fileLookup[targetFile];
+    if (!fileInfo) {
+      return;
+    }
+    fileInfo.conflictDecision = conflictDecision;
+    if (finalFileUrl) {
+      fileInfo.originalFileUrl = fileInfo.fileUrl;
+      fileInfo.fileUrl = finalFileUrl;
+      delete this.fileLookup[targetFile];
+      this.fileLookup[getTargetPath(finalFileUrl)] = fileInfo;
+    }
+  }
+
   /**
    * Retrieves the total size, in bytes, of all files that were uploaded.
    * @returns {number} Size, in bytes.
@@ -70,7 +187,7 @@ class FileUploadResults extends UploadOptionsBase {
   getTotalSize() {
     return Object.keys(this.fileLookup)
       .map((file) => this.fileLookup[file].fileSize)
-      .reduce((a, b) => a + b);
+      .reduce((a, b) => a + b, this.summarizedSize);
   }
 
   /**
@@ -79,10 +196,8 @@ class FileUploadResults extends UploadOptionsBase {
    * @returns {number} Size, in bytes.
    */
   getAverageSize() {
-    return getAverage(
-      Object.keys(this.fileLookup)
-        .map((file) => this.fileLookup[file].fileSize),
-    );
+    const fileCount = this.getTotalFileCount();
+    return fileCount ? Math.round(this.getTotalSize() / fileCount) : 0;
   }
 
   /**
@@ -90,7 +205,7 @@ class FileUploadResults extends UploadOptionsBase {
    * @returns {number} File count.
    */
   getSuccessCount() {
-    let count = 0;
+    let count = this.summarizedSuccessCount;
     Object.keys(this.fileLookup).forEach((file) => {
       const { result } = this.fileLookup[file];
       if (result) {
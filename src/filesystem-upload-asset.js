@@ -31,10 +31,13 @@ class FileSystemUploadAsset extends FileSystemUploadDirectory {
    * @param {FileSystemUploadDirectory} [directory] If provided, the
    *  directory to which the asset belongs. If not provided then the
    *  asset will be treated as the root.
+   * @param {number} [modifiedTime] Time, in milliseconds since the epoch,
+   *  when the local asset was last modified.
    */
-  constructor(uploadOptions, localPath, remoteNodeName, size, directory) {
+  constructor(uploadOptions, localPath, remoteNodeName, size, directory, modifiedTime) {
     super(uploadOptions, localPath, remoteNodeName, directory);
     this.size = size;
+    this.modifiedTime = modifiedTime;
   }
 
   /**
@@ -44,6 +47,26 @@ class FileSystemUploadAsset extends FileSystemUploadDirectory {
   getSize() {
     return this.size;
   }
+
+  /**
+   * Retrieves the time when the local asset was last modified, as provided
+   * in the constructor.
+   * @returns {number} Time in milliseconds since the epoch.
+   */
+  getModifiedTime() {
+    return this.modifiedTime;
+  }
+
+  /**
+   * Replaces the asset's size and modification time with newer values, such
+   * as when the local asset changed after it was first read.
+   * @param {number} size Size in bytes.
+   * @param {number} modifiedTime Time in milliseconds since the epoch.
+   */
+  updateStats(size, modifiedTime) {
+    this.size = size;
+    this.modifiedTime = modifiedTime;
+  }
 }
 
 module.exports = FileSystemUploadAsset;
@@ -85,6 +85,16 @@ class FileSystemUploadDirectory {
     return this.remoteName;
   }
 
+  /**
+   * Retrieves the parent directory of the item, as provided in the
+   * constructor.
+   * @returns {FileSystemUploadDirectory} The parent directory, or
+   *  undefined if the item is the root of the upload.
+   */
+  getParent() {
+    return this.parent;
+  }
+
   /**
    * The name of the item as it was originally provided in the local
    * path.
@@ -0,0 +1,104 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const Path = require('path');
+
+const { SkipReasons } = require('./constants');
+const { sniffMimeType, matchesMimeType } = require('./mime-utils');
+
+/**
+ * Converts a list of extensions to lower case, without leading dots.
+ * @param {Array<string>} extensions Extensions to normalize.
+ * @returns {Array<string>} The normalized extensions.
+ */
+function normalizeExtensions(extensions) {
+  return extensions.map((extension) => String(extension).toLowerCase().replace(/^\./, ''));
+}
+
+/**
+ * Retrieves a value indicating whether a file name has any of the given extensions.
+ * Extensions may have multiple parts, such as "tar.gz".
+ * @param {string} fileName Name of the file to check, in lower case.
+ * @param {Array<string>} extensions Normalized extensions.
+ * @returns {boolean} True if the file has one of the extensions.
+ */
+function hasExtension(fileName, extensions) {
+  return extensions.some((extension) => fileName.endsWith(`.${extension}`));
+}
+
+/**
+ * Decides which local files are included in a file system upload, based on the size,
+ * extension, and type of each file. The type of a file is determined by examining its
+ * content, so that a file with a misleading extension is still identified correctly.
+ */
+class FileSystemUploadFileFilter {
+  /**
+   * Constructs a new filter with the given rules.
+   * @param {object} rules Rules that files must follow to be included.
+   * @param {number} [rules.minFileSize] Files smaller than this size, in bytes, will be
+   *  excluded.
+   * @param {number} [rules.maxFileSize] Files larger than this size, in bytes, will be
+   *  excluded.
+   * @param {Array<string>} [rules.allowedExtensions] If not empty, only files with one of
+   *  the extensions will be included.
+   * @param {Array<string>} [rules.deniedExtensions] Files with any of the extensions will
+   *  be excluded.
+   * @param {Array<string>} [rules.allowedMimeTypes] If not empty, only files whose type
+   *  matches one of the mime types will be included. Types may use a wildcard subtype,
+   *  such as "image/*".
+   */
+  constructor(rules) {
+    const {
+      minFileSize = 0,
+      maxFileSize,
+      allowedExtensions = [],
+      deniedExtensions = [],
+      allowedMimeTypes = [],
+    } = rules;
+    this.minFileSize = minFileSize;
+    this.maxFileSize = maxFileSize;
+    this.allowedExtensions = normalizeExtensions(allowedExtensions);
+    this.deniedExtensions = normalizeExtensions(deniedExtensions);
+    this.allowedMimeTypes = allowedMimeTypes;
+  }
+
+  /**
+   * Determines why a local file should be excluded from the upload, if it should be. The
+   * file's content will only be read if the filter has allowed mime types.
+   * @param {string} filePath Full path to the file.
+   * @param {number} size Size of the file, in bytes.
+   * @returns {Promise<string>} Resolves with one of the values from SkipReasons, or
+   *  undefined if the file should be included.
+   */
+  async getExcludeReason(filePath, size) {
+    if (size < this.minFileSize
+      || (this.maxFileSize !== undefined && size > this.maxFileSize)) {
+      return SkipReasons.FILE_SIZE;
+    }
+
+    const fileName = Path.basename(filePath).toLowerCase();
+    if (hasExtension(fileName, this.deniedExtensions)
+      || (this.allowedExtensions.length && !hasExtension(fileName, this.allowedExtensions))) {
+      return SkipReasons.EXTENSION;
+    }
+
+    if (this.allowedMimeTypes.length) {
+      const mimeType = await sniffMimeType(filePath);
+      if (!this.allowedMimeTypes.some((pattern) => matchesMimeType(mimeType, pattern))) {
+        return SkipReasons.MIME_TYPE;
+      }
+    }
+    return undefined;
+  }
+}
+
+module.exports = FileSystemUploadFileFilter;
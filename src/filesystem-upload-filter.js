@@ -0,0 +1,87 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const Path = require('path');
+const minimatch = require('minimatch');
+
+const MATCH_OPTIONS = { dot: true };
+
+/**
+ * Finds the last pattern in a list that matches a path. Patterns starting with "!" are
+ * negated, meaning that a path they match is removed from the patterns that came before it.
+ * @param {Array<string>} patterns Glob patterns to check, in order.
+ * @param {string} path Path to match, relative to the directory being walked.
+ * @returns {boolean} True if the last matching pattern is a normal pattern, false if it's a
+ *  negated pattern, or undefined if none of the patterns match.
+ */
+function getLastMatch(patterns, path) {
+  let matched;
+  patterns.forEach((pattern) => {
+    const isNegated = pattern.startsWith('!');
+    const globPattern = isNegated ? pattern.substr(1) : pattern;
+    if (minimatch(path, globPattern, MATCH_OPTIONS)) {
+      matched = !isNegated;
+    }
+  });
+  return matched;
+}
+
+/**
+ * Decides which local directories and files are included in a file system upload, based on
+ * glob patterns. Patterns are matched against paths relative to the directory being uploaded,
+ * using "/" as the separator regardless of platform.
+ */
+class FileSystemUploadFilter {
+  /**
+   * Constructs a new filter with the given patterns.
+   * @param {Array<string>} [includePatterns] If any of the patterns are normal patterns, only
+   *  files that match one of them will be included. Negated patterns, which start with "!",
+   *  exclude the directories and files that they match.
+   * @param {Array<string>} [excludePatterns] Directories and files that match any of the
+   *  patterns will be excluded. Negated patterns, which start with "!", include the
+   *  directories and files that they match again.
+   */
+  constructor(includePatterns = [], excludePatterns = []) {
+    this.includePatterns = includePatterns;
+    this.excludePatterns = excludePatterns;
+    this.requireInclude = includePatterns.some((pattern) => !pattern.startsWith('!'));
+  }
+
+  /**
+   * Retrieves a value indicating whether or not a local item should be excluded from the
+   * upload. An excluded directory will not be walked, so none of its descendents will be
+   * included either. Normal include patterns only apply to files, so that directories
+   * containing matching files are still walked.
+   * @param {string} relativePath Path of the item, relative to the directory being uploaded.
+   * @param {boolean} isDirectory True if the item is a directory, false if it's a file.
+   * @returns {boolean} True if the item should be excluded, false otherwise.
+   */
+  isExcluded(relativePath, isDirectory) {
+    let matchPath = relativePath.split(Path.sep).join('/');
+    if (isDirectory) {
+      // allows patterns such as "drafts/" and "**/drafts/**" to match the directory itself
+      matchPath = `${matchPath}/`;
+    }
+
+    if (getLastMatch(this.excludePatterns, matchPath)) {
+      return true;
+    }
+
+    const included = getLastMatch(this.includePatterns, matchPath);
+    if (included === false) {
+      return true;
+    }
+    return !isDirectory && this.requireInclude && !included;
+  }
+}
+
+module.exports = FileSystemUploadFilter;
@@ -0,0 +1,138 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const Path = require('path');
+const minimatch = require('minimatch');
+
+const fs = require('./fs-promise');
+const UploadError = require('./upload-error');
+
+const IGNORE_FILE_NAME = '.aemignore';
+const MATCH_OPTIONS = { dot: true };
+
+/**
+ * Converts a line from an ignore file to a rule, using the same semantics as a .gitignore
+ * file.
+ * @param {string} line Line to convert.
+ * @returns {object} A rule with "pattern", "negated", and "directoryOnly" properties, or
+ *  undefined if the line doesn't contain a pattern.
+ */
+function parseRule(line) {
+  // trailing spaces are ignored unless they're escaped
+  let pattern = line.replace(/\r$/, '').replace(/(^|[^\\])\s+$/, '$1');
+  if (!pattern || pattern.startsWith('#')) {
+    return undefined;
+  }
+
+  const negated = pattern.startsWith('!');
+  if (negated) {
+    pattern = pattern.substr(1);
+  } else if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) {
+    pattern = pattern.substr(1);
+  }
+
+  const directoryOnly = pattern.endsWith('/');
+  if (directoryOnly) {
+    pattern = pattern.substr(0, pattern.length - 1);
+  }
+  if (!pattern) {
+    return undefined;
+  }
+
+  // a pattern with a slash is relative to the ignore file's directory, otherwise
+  // it will match at any level below the directory
+  if (pattern.includes('/')) {
+    pattern = pattern.startsWith('/') ? pattern.substr(1) : pattern;
+  } else {
+    pattern = `**/${pattern}`;
+  }
+
+  return { pattern, negated, directoryOnly };
+}
+
+/**
+ * Determines which local directories and files are ignored by the .aemignore files in a
+ * directory tree. An .aemignore file uses the same format as a .gitignore file, and applies
+ * to the directory that contains it and all of that directory's descendents. The rules of
+ * a file in a descendent directory take precedence over the rules of its ancestors.
+ */
+class FileSystemUploadIgnore {
+  /**
+   * Constructs a new instance with the rules of a single ignore file.
+   * @param {string} directoryPath Full path to the directory containing the ignore file.
+   * @param {Array<object>} rules Rules from the ignore file.
+   * @param {FileSystemUploadIgnore} [parent] Rules from the ignore files of the directory's
+   *  ancestors.
+   */
+  constructor(directoryPath, rules, parent) {
+    this.directoryPath = directoryPath;
+    this.rules = rules;
+    this.parent = parent;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not a local item is an ignore file.
+   * @param {string} itemPath Full path to the item.
+   * @returns {boolean} True if the item is an ignore file.
+   */
+  static isIgnoreFile(itemPath) {
+    return Path.basename(itemPath) === IGNORE_FILE_NAME;
+  }
+
+  /**
+   * Reads the ignore file in a directory, if there is one.
+   * @param {string} directoryPath Full path to the directory whose ignore file should be read.
+   * @param {FileSystemUploadIgnore} [parent] Rules from the ignore files of the directory's
+   *  ancestors.
+   * @returns {Promise<FileSystemUploadIgnore>} Resolves with the rules that apply to the
+   *  directory's contents. Will be the parent if the directory doesn't have an ignore file.
+   */
+  static async load(directoryPath, parent) {
+    const ignorePath = Path.join(directoryPath, IGNORE_FILE_NAME);
+    let contents;
+    try {
+      contents = await fs.readFile(ignorePath, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return parent;
+      }
+      throw UploadError.fromError(e, `Unable to read ignore file ${ignorePath}`);
+    }
+
+    const rules = contents.split('\n')
+      .map((line) => parseRule(line))
+      .filter((rule) => rule);
+    if (!rules.length) {
+      return parent;
+    }
+    return new FileSystemUploadIgnore(directoryPath, rules, parent);
+  }
+
+  /**
+   * Retrieves a value indicating whether or not a local item is ignored.
+   * @param {string} itemPath Full path to the item.
+   * @param {boolean} isDirectory True if the item is a directory, false if it's a file.
+   * @returns {boolean} True if the item is ignored, false otherwise.
+   */
+  isIgnored(itemPath, isDirectory) {
+    let ignored = this.parent ? this.parent.isIgnored(itemPath, isDirectory) : false;
+    const relativePath = Path.relative(this.directoryPath, itemPath).split(Path.sep).join('/');
+    this.rules.forEach(({ pattern, negated, directoryOnly }) => {
+      if ((isDirectory || !directoryOnly) && minimatch(relativePath, pattern, MATCH_OPTIONS)) {
+        ignored = !negated;
+      }
+    });
+    return ignored;
+  }
+}
+
+module.exports = FileSystemUploadIgnore;
@@ -85,10 +85,12 @@ class FileSystemUploadItemManager {
    * @param {string} localPath Asset path whose information will be used
    *  to create the FileSystemUploadAsset instance.
    * @param {number} size Size, in bytes, of the asset.
+   * @param {number} [modifiedTime] Time, in milliseconds since the epoch, when
+   *  the asset was last modified.
    * @returns {Promise} Resolved with a FileSystemUploadAsset instance
    *  representing of the given asset path.
    */
-  async getAsset(localPath, size) {
+  async getAsset(localPath, size, modifiedTime) {
     const normalizedPath = normalizePath(localPath);
     const parent = !this.keepFlat
       ? await getItemManagerParent(this, this.rootPath, localPath)
@@ -104,6 +106,7 @@ class FileSystemUploadItemManager {
           nodeName,
           size,
           parent,
+          modifiedTime,
         ),
       );
     }
@@ -111,6 +114,14 @@ class FileSystemUploadItemManager {
     return this.assets.get(normalizedPath);
   }
 
+  /**
+   * Removes all assets from the manager's cache. Can be used to limit the
+   * manager's memory usage when its assets are no longer needed.
+   */
+  clearAssets() {
+    this.assets.clear();
+  }
+
   /**
    * Retrieves a value indicating whether the given local directory path
    * has been cached in the manager.
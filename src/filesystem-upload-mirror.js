@@ -0,0 +1,179 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const Path = require('path');
+
+const UploadOptionsBase = require('./upload-options-base');
+const UploadError = require('./upload-error');
+const FileSystemUploadSync = require('./filesystem-upload-sync');
+const { submitRequest, getAbortOptions } = require('./http-utils');
+const { trimContentDam } = require('./utils');
+const { HttpMethods, MirrorActions } = require('./constants');
+
+/**
+ * Builds the name of the folder, inside the archive folder, that will receive the items
+ * archived by a single upload. The name is based on the time of the upload so that
+ * archiving an item with the same path more than once doesn't conflict.
+ *
+ * @param {Date} date Time at which the items are being archived.
+ * @returns {string} A folder name that is safe to use in AEM.
+ */
+function getArchiveRunName(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Finds and removes the assets and folders under an upload's target folder that don't
+ * exist in the local file system, so that the target folder mirrors the local files
+ * that were uploaded.
+ */
+class FileSystemUploadMirror extends UploadOptionsBase {
+  /**
+   * Constructs a new instance using the provided information.
+   *
+   * @param {object} options Options as provided when the upload instance was instantiated.
+   * @param {import('./filesystem-upload-options')} uploadOptions Options as provided when
+   *  the upload was initiated.
+   */
+  constructor(options, uploadOptions) {
+    super(options, uploadOptions);
+    this.sync = new FileSystemUploadSync(options, uploadOptions);
+    this.archiveRunName = getArchiveRunName(new Date());
+  }
+
+  /**
+   * Determines whether the archive folder is the upload's target folder or one of its
+   * descendents. Archiving into such a folder would cause mirror mode to remove the
+   * archive itself.
+   *
+   * @returns {boolean} True if the archive folder is inside the target folder.
+   */
+  isArchiveInTargetFolder() {
+    const uploadOptions = this.getUploadOptions();
+    const archiveFolder = uploadOptions.getMirrorArchiveFolder();
+    const targetFolder = uploadOptions.getTargetFolderPath();
+    return !!archiveFolder
+      && (archiveFolder === targetFolder || archiveFolder.startsWith(`${targetFolder}/`));
+  }
+
+  /**
+   * Walks the upload's target folder in AEM and finds all items that should be removed.
+   * Only the top-most item of a removed tree is included; for example, the assets in a
+   * folder that will be removed are not included individually.
+   *
+   * @param {Set<string>} localPaths Full AEM paths of all the folders and assets that
+   *  correspond to local items. Items with these paths won't be removed.
+   * @param {boolean} includeFolders If true, the walk will include the target folder's
+   *  descendent folders. If false, only assets immediately inside the target folder will
+   *  be considered.
+   * @returns {Promise<Array>} Resolves with a list of simple objects, each with the
+   *  following elements:
+   *  * {string} targetPath: Full path to the item in AEM.
+   *  * {boolean} isFolder: True if the item is a folder, false if it's an asset.
+   */
+  async getItemsToRemove(localPaths, includeFolders) {
+    const toRemove = [];
+    const folders = [this.getUploadOptions().getTargetFolderPath()];
+
+    while (folders.length) {
+      const folderPath = folders.shift();
+      // eslint-disable-next-line no-await-in-loop
+      const { assets, folders: subFolders } = await this.sync.getFolderContents(folderPath);
+      Object.keys(assets).forEach((assetName) => {
+        const targetPath = Path.posix.join(folderPath, assetName);
+        if (!localPaths.has(targetPath)) {
+          toRemove.push({ targetPath, isFolder: false });
+        }
+      });
+      if (includeFolders) {
+        subFolders.forEach((subFolderName) => {
+          const targetPath = Path.posix.join(folderPath, subFolderName);
+          if (localPaths.has(targetPath)) {
+            folders.push(targetPath);
+          } else {
+            toRemove.push({ targetPath, isFolder: true });
+          }
+        });
+      }
+    }
+
+    return toRemove;
+  }
+
+  /**
+   * Retrieves the path to which an item will be moved when it's archived. The path
+   * will be the item's path relative to the target folder, inside a folder of the
+   * archive folder that is named after the time of the upload.
+   *
+   * @param {string} targetPath Full path to an item in AEM.
+   * @returns {string} Full path to the item's location in the archive folder.
+   */
+  getArchivePath(targetPath) {
+    const uploadOptions = this.getUploadOptions();
+    const relativePath = Path.posix.relative(uploadOptions.getTargetFolderPath(), targetPath);
+    return Path.posix.join(
+      uploadOptions.getMirrorArchiveFolder(),
+      this.archiveRunName,
+      relativePath,
+    );
+  }
+
+  /**
+   * Removes an item from AEM, either by deleting it or by moving it to the archive folder.
+   * When archiving, the item's parent folder in the archive must already exist.
+   *
+   * @param {string} targetPath Full path to the item in AEM.
+   * @returns {Promise} Resolves when the item has been removed. Will be rejected if AEM
+   *  responds with a failure.
+   */
+  async removeItem(targetPath) {
+    const uploadOptions = this.getUploadOptions();
+    const { headers: optionHeaders = {} } = uploadOptions.getHttpOptions();
+    const requestOptions = {
+      ...uploadOptions.getHttpOptions(),
+      ...getAbortOptions(uploadOptions),
+      headers: { ...optionHeaders },
+      method: HttpMethods.DELETE,
+    };
+    if (this.getAction() === MirrorActions.ARCHIVE) {
+      requestOptions.method = HttpMethods.MOVE;
+      requestOptions.headers['X-Destination'] = `/api/assets${encodeURI(trimContentDam(this.getArchivePath(targetPath)))}`;
+      requestOptions.headers['X-Depth'] = 'infinity';
+      requestOptions.headers['X-Overwrite'] = 'F';
+    }
+
+    this.logInfo(`Removing '${targetPath}' from AEM using ${requestOptions.method}`);
+    const response = await submitRequest(
+      `${uploadOptions.getUrlPrefix()}/api/assets${encodeURI(trimContentDam(targetPath))}`,
+      requestOptions,
+    );
+    if (!response.ok) {
+      throw UploadError.fromError({
+        response,
+        stack: new Error().stack,
+      });
+    }
+  }
+
+  /**
+   * Retrieves the action that will be used to remove items.
+   *
+   * @returns {string} One of the values from MirrorActions.
+   */
+  getAction() {
+    return this.getUploadOptions().getMirrorArchiveFolder()
+      ? MirrorActions.ARCHIVE
+      : MirrorActions.DELETE;
+  }
+}
+
+module.exports = FileSystemUploadMirror;
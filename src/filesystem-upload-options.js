@@ -11,10 +11,57 @@ governing permissions and limitations under the License.
 */
 
 const DirectBinaryUploadOptions = require('./direct-binary-upload-options');
-const { DefaultValues, RegularExpressions } = require('./constants');
+const {
+  DefaultValues,
+  RegularExpressions,
+  SymlinkPolicies,
+  TempFilePresets,
+} = require('./constants');
+const UploadJournal = require('./upload-journal');
+const { normalizePath, validateCount } = require('./utils');
 const UploadError = require('./upload-error');
 const ErrorCodes = require('./error-codes');
 
+/**
+ * Ensures that a value is a list of glob patterns.
+ * @param {Array<string>} patterns Value to validate.
+ * @returns {Array<string>} The given patterns.
+ */
+function validatePatterns(patterns) {
+  if (!Array.isArray(patterns) || patterns.some((pattern) => typeof pattern !== 'string')) {
+    throw new UploadError('Patterns must be an array of strings', ErrorCodes.INVALID_OPTIONS);
+  }
+  return patterns;
+}
+
+/**
+ * Ensures that a value is a list of strings.
+ * @param {Array<string>} values Value to validate.
+ * @param {string} name Name of the option, used in the error message.
+ * @returns {Array<string>} The given values.
+ */
+function validateStrings(values, name) {
+  if (!Array.isArray(values) || values.some((value) => typeof value !== 'string')) {
+    throw new UploadError(`${name} must be an array of strings`, ErrorCodes.INVALID_OPTIONS);
+  }
+  return values;
+}
+
+/**
+ * Ensures that a value is a valid file size.
+ * @param {number} size Value to validate.
+ * @returns {number} The given size.
+ */
+function validateFileSize(size) {
+  if (typeof size !== 'number' || !(size >= 0)) {
+    throw new UploadError(
+      `File size must be a non-negative number of bytes, got '${size}'`,
+      ErrorCodes.INVALID_OPTIONS,
+    );
+  }
+  return size;
+}
+
 /**
  * Options specific to a file system upload. Also supports all options defined by
  * DirectBinaryUploadOptions.
@@ -65,6 +112,10 @@ class FileSystemUploadOptions extends DirectBinaryUploadOptions {
       newOptions.uploadFileOptions = uploadOptions.uploadFileOptions;
     }
 
+    if (uploadOptions.resumeJournal) {
+      newOptions.resumeJournal = uploadOptions.resumeJournal;
+    }
+
     return newOptions;
   }
 
@@ -72,6 +123,9 @@ class FileSystemUploadOptions extends DirectBinaryUploadOptions {
    * Sets the maximum number of files that can be uploaded using the module at one time. If
    * the total number of files exceeds this number then the library will throw an exception
    * with code TOO_LARGE.
+   *
+   * In streaming mode there is no limit on the total number of files. Instead, the value is
+   * the number of files that will be gathered from the file system before they're uploaded.
    * @param {*} maxFileCount
    * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
    */
@@ -168,6 +222,407 @@ class FileSystemUploadOptions extends DirectBinaryUploadOptions {
     return this;
   }
 
+  /**
+   * Sets glob patterns that local files must match to be included in the upload. Patterns
+   * are matched against paths relative to the directory being uploaded. Patterns that start
+   * with <code>!</code> are negated, and exclude the directories and files that they match.
+   * @param {Array<string>} patterns Glob patterns to include.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withIncludePatterns(patterns) {
+    this.options.includePatterns = validatePatterns(patterns);
+    return this;
+  }
+
+  /**
+   * Sets glob patterns for local directories and files that will be excluded from the upload.
+   * Patterns are matched against paths relative to the directory being uploaded. Patterns
+   * that start with <code>!</code> are negated, and include the directories and files that
+   * they match again.
+   * @param {Array<string>} patterns Glob patterns to exclude.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withExcludePatterns(patterns) {
+    this.options.excludePatterns = validatePatterns(patterns);
+    return this;
+  }
+
+  /**
+   * Sets the full paths of the only local files that will be uploaded from the directories
+   * provided to the upload. Each file will be uploaded to the AEM folder that matches its
+   * local directory, and only the directories that contain one of the files will be read.
+   * Other files will be left out of the upload entirely, and will not be included in the
+   * upload result's skipped items.
+   * @param {Array<string>} paths Full paths to local files. An empty array includes all
+   *  files.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withIncludePaths(paths) {
+    this.options.includePaths = validateStrings(paths, 'Include paths');
+    return this;
+  }
+
+  /**
+   * Sets the lists of built-in patterns that will be used to identify temp and system
+   * files, which are never uploaded. Temp files found while walking a local directory
+   * will be included in the upload result's skipped items. Default: only the "default"
+   * preset, which includes hidden files and temp files created by common applications.
+   * @param {Array<string>} presets Names of presets from TempFilePresets in the constants
+   *  module: default, macos, linux, or creative. An empty array will use only the
+   *  patterns provided to withTempFilePatterns().
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withTempFilePresets(presets) {
+    const validPresets = Object.values(TempFilePresets);
+    if (!Array.isArray(presets) || presets.some((preset) => !validPresets.includes(preset))) {
+      throw new UploadError(
+        `Temp file presets must be an array containing any of: ${validPresets.join(', ')}`,
+        ErrorCodes.INVALID_OPTIONS,
+      );
+    }
+    this.options.tempFilePresets = presets;
+    return this;
+  }
+
+  /**
+   * Sets additional patterns that will be used to identify temp and system files, along
+   * with the patterns of the upload's temp file presets. Patterns are matched against the
+   * name of each local directory and file.
+   * @param {Array<string|RegExp>} patterns Each pattern may be a regular expression, or a
+   *  glob pattern such as "*.bak".
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withTempFilePatterns(patterns) {
+    if (!Array.isArray(patterns) || patterns.some(
+      (pattern) => typeof pattern !== 'string' && !(pattern instanceof RegExp),
+    )) {
+      throw new UploadError(
+        'Temp file patterns must be an array of strings or regular expressions',
+        ErrorCodes.INVALID_OPTIONS,
+      );
+    }
+    this.options.tempFilePatterns = patterns;
+    return this;
+  }
+
+  /**
+   * Sets the minimum size of the files that will be uploaded. Smaller files will be
+   * included in the upload result's skipped items. Default: no minimum.
+   * @param {number} minFileSize Size, in bytes.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMinFileSize(minFileSize) {
+    this.options.minFileSize = validateFileSize(minFileSize);
+    return this;
+  }
+
+  /**
+   * Sets the maximum size of the files that will be uploaded. Larger files will be
+   * included in the upload result's skipped items. Default: no maximum.
+   * @param {number} maxFileSize Size, in bytes.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMaxFileSize(maxFileSize) {
+    this.options.maxFileSize = validateFileSize(maxFileSize);
+    return this;
+  }
+
+  /**
+   * Sets the extensions of the files that will be uploaded. Files with other extensions
+   * will be included in the upload result's skipped items. Extensions are case
+   * insensitive, and may be given with or without a leading dot.
+   * @param {Array<string>} extensions Extensions such as "jpg" or "tar.gz". An empty
+   *  array allows all extensions.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withAllowedExtensions(extensions) {
+    this.options.allowedExtensions = validateStrings(extensions, 'Allowed extensions');
+    return this;
+  }
+
+  /**
+   * Sets the extensions of files that will not be uploaded. Files with these extensions
+   * will be included in the upload result's skipped items, even if they are allowed by
+   * withAllowedExtensions().
+   * @param {Array<string>} extensions Extensions such as "exe" or ".bak".
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withDeniedExtensions(extensions) {
+    this.options.deniedExtensions = validateStrings(extensions, 'Denied extensions');
+    return this;
+  }
+
+  /**
+   * Sets the mime types of the files that will be uploaded. The type of each file is
+   * determined from the first bytes of its content, falling back to its extension if the
+   * content isn't a recognized format. Files of other types will be included in the
+   * upload result's skipped items.
+   * @param {Array<string>} mimeTypes Types such as "application/pdf", or types with a
+   *  wildcard subtype such as "image/*". An empty array allows all types.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withAllowedMimeTypes(mimeTypes) {
+    this.options.allowedMimeTypes = validateStrings(mimeTypes, 'Allowed mime types');
+    return this;
+  }
+
+  /**
+   * Sets the policy that determines what the upload will do when it finds a symbolic link
+   * while walking a local directory. When following links, a link to one of the
+   * directories that contains it will be skipped, since following it would never end.
+   * Links that are provided directly to the upload as local paths are always followed.
+   * @param {string} symlinkPolicy One of the values from SymlinkPolicies in the constants
+   *  module: follow, skip, or error. Default: follow.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withSymlinkPolicy(symlinkPolicy) {
+    if (!Object.values(SymlinkPolicies).includes(symlinkPolicy)) {
+      throw new UploadError(
+        `Invalid symlink policy '${symlinkPolicy}'`,
+        ErrorCodes.INVALID_OPTIONS,
+      );
+    }
+    this.options.symlinkPolicy = symlinkPolicy;
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not the upload should be in streaming mode. In
+   * streaming mode, files will be uploaded as directories are walked, instead of walking
+   * all directories before uploading any files. This limits the number of files that are
+   * held in memory at once, and removes the limit on the total number of files that can
+   * be uploaded. Files will be uploaded in groups whose size is the value provided to
+   * withMaxUploadFiles(). The upload's result will only list items that had problems,
+   * such as files that failed, and will count the others.
+   * @param {boolean} streamingMode True if the upload should be in streaming mode, false
+   *  otherwise.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withStreamingMode(streamingMode) {
+    this.options.streamingMode = streamingMode;
+    return this;
+  }
+
+  /**
+   * Enables a stability check that detects local files that are still being written, such
+   * as files that are in the middle of being copied into a hot folder. After the local
+   * paths have been read, the upload will wait for the given delay, then examine each file
+   * again. Files whose size or modification time changed will be deferred and examined
+   * again after another delay, up to the number of checks provided to
+   * withMaxStabilityChecks(). Files that are still changing after the last check will not
+   * be uploaded, and will be included in the upload result's skipped items.
+   * @param {number} stabilityCheckDelay Timespan to wait before each check, in
+   *  milliseconds. A value of 0 disables the check. Default: 0.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withStabilityCheckDelay(stabilityCheckDelay) {
+    this.options.stabilityCheckDelay = validateCount(stabilityCheckDelay);
+    return this;
+  }
+
+  /**
+   * Sets the number of times that the stability check will examine a file that keeps
+   * changing before skipping it. Has no effect unless withStabilityCheckDelay() is used.
+   * @param {number} maxStabilityChecks Number of checks, which must be at least 1. Default: 1,
+   *  meaning that files which change are skipped without being deferred.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMaxStabilityChecks(maxStabilityChecks) {
+    this.options.maxStabilityChecks = validateCount(maxStabilityChecks, 1);
+    return this;
+  }
+
+  /**
+   * Sets the timespan between each time that a FileSystemWatcher checks its local
+   * directories for new or changed files. A file is uploaded once it's unchanged between
+   * two checks, so the interval also determines how long a file must stop changing before
+   * it's uploaded.
+   * @param {number} watchInterval Timespan in milliseconds, which must be a whole number of
+   *  at least 1. Default: 2000.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withWatchInterval(watchInterval) {
+    this.options.watchInterval = validateCount(watchInterval, 1);
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not a FileSystemWatcher should upload the files
+   * that already exist in its local directories when it starts. Existing files are
+   * uploaded in the same way as new files, once they're unchanged between two checks.
+   * @param {boolean} uploadExisting True if existing files should be uploaded, false if
+   *  only files that are added or changed after the watcher starts should be uploaded.
+   *  Default: true.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withWatchUploadExisting(uploadExisting) {
+    this.options.watchUploadExisting = uploadExisting;
+    return this;
+  }
+
+  /**
+   * Sets the number of times that a FileSystemWatcher will upload a file again after the
+   * file failed to upload. Once a file has failed this many retries, the watcher won't
+   * upload it again until it changes.
+   * @param {number} maxRetries Maximum number of retries. Default: 3.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMaxWatchRetries(maxRetries) {
+    this.options.maxWatchRetries = validateCount(maxRetries);
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not each local file should be validated before
+   * it's uploaded. A valid file can be read by the current user, isn't locked by another
+   * process, hasn't changed size since its directory was read, and isn't empty unless
+   * empty files are allowed by withAllowEmptyFiles(). Locked files are only detected on
+   * Windows, since locks on other platforms are advisory. Invalid files will not be
+   * uploaded, and will be included in the upload result's invalid files with an error
+   * describing the problem.
+   * @param {boolean} preflightValidation True if files should be validated, false
+   *  otherwise.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withPreflightValidation(preflightValidation) {
+    this.options.preflightValidation = preflightValidation;
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not empty files are valid when the upload uses
+   * pre-flight validation. Default: false.
+   * @param {boolean} allowEmptyFiles True if empty files should be uploaded, false
+   *  otherwise.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withAllowEmptyFiles(allowEmptyFiles) {
+    this.options.allowEmptyFiles = allowEmptyFiles;
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not the upload should apply metadata from sidecar
+   * files. A sidecar is a file next to a local file, with the same name followed by
+   * ".json" or ".xmp", or with its extension replaced by ".xmp". For example, "photo.jpg"
+   * may have "photo.jpg.json", "photo.jpg.xmp", or "photo.xmp" sidecars. After a file is
+   * uploaded, the properties in its sidecars will be applied to the asset's metadata.
+   * Sidecars will not be uploaded as assets.
+   * @param {boolean} sidecarMetadata True if sidecar metadata should be applied, false
+   *  otherwise.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withSidecarMetadata(sidecarMetadata) {
+    this.options.sidecarMetadata = sidecarMetadata;
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not the upload should assign a tag to each asset
+   * based on the local directories containing the asset's file, relative to the directory
+   * being uploaded. The first directory is the tag's namespace, and the remaining
+   * directories are its path. For example, the file "brand/summer/2024/photo.jpg" will
+   * receive the tag "brand:summer/2024". Directory names are cleaned in the same way as
+   * the names of the folders created in AEM. Files at the root of the upload, or
+   * immediately inside one of its directories, won't receive a tag.
+   * @param {boolean} folderTags True if folder tags should be assigned, false otherwise.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withFolderTags(folderTags) {
+    this.options.folderTags = folderTags;
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not the upload should be in sync mode. In sync
+   * mode, each local file will be compared with its asset in AEM, and only files that are
+   * new or have changed will be uploaded. Files that have changed will replace their
+   * existing asset, unless the upload file options specify that a new version should be
+   * created.
+   * @param {boolean} syncMode True if the upload should be in sync mode, false otherwise.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withSyncMode(syncMode) {
+    this.options.syncMode = syncMode;
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not sync mode should compare the checksum of each
+   * local file with the checksum AEM has for its asset. Checksums are only compared when the
+   * sizes of the file and the asset match, and take precedence over modification times.
+   * Calculating a checksum requires reading the entire file.
+   * @param {boolean} syncChecksum True if checksums should be compared, false otherwise.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withSyncChecksum(syncChecksum) {
+    this.options.syncChecksum = syncChecksum;
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not the upload should be in mirror mode. In mirror
+   * mode, assets and folders under the target folder that don't correspond to any of the
+   * local items being uploaded will be removed from AEM after the upload, so that the
+   * target folder reflects the local items. Folders are only considered in a deep upload.
+   * @param {boolean} mirrorMode True if the upload should be in mirror mode, false otherwise.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMirrorMode(mirrorMode) {
+    this.options.mirrorMode = mirrorMode;
+    return this;
+  }
+
+  /**
+   * Sets a folder in AEM to which mirror mode will move items instead of deleting them.
+   * Each upload archives its items in a new folder, named after the time of the upload,
+   * where items keep their path relative to the target folder. The archive folder can't
+   * be the target folder or one of its descendents.
+   * @param {string} archiveFolder Full path to a folder in AEM.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMirrorArchiveFolder(archiveFolder) {
+    this.options.mirrorArchiveFolder = archiveFolder;
+    return this;
+  }
+
+  /**
+   * Sets a value indicating whether or not mirror mode should only report the items that
+   * it would remove, without actually removing them.
+   * @param {boolean} dryRun True if items should only be reported, false otherwise.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMirrorDryRun(dryRun) {
+    this.options.mirrorDryRun = dryRun;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of items that mirror mode will remove. If mirror mode finds
+   * more items than this then it won't remove any of them, and the upload will report an
+   * error with code TOO_LARGE. Default: 100.
+   * @param {number} maxRemovals Maximum number of items to remove.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withMaxMirrorRemovals(maxRemovals) {
+    this.options.maxMirrorRemovals = validateCount(maxRemovals);
+    return this;
+  }
+
+  /**
+   * Sets the path to a file that will be used as a journal of the upload's progress. As
+   * folders are created and files finish uploading, they will be recorded in the journal.
+   * If an upload is run again with the same journal, for example after the process
+   * exited before the upload could finish, then the folders and files recorded in the
+   * journal will be skipped. The journal file will be created if it doesn't exist.
+   * @param {string} journalPath Full path to the journal file.
+   * @returns {FileSystemUploadOptions} The current options instance. Allows for chaining.
+   */
+  withResumeJournal(journalPath) {
+    this.resumeJournal = new UploadJournal(journalPath);
+    return this;
+  }
+
   /**
    * Retrieves the maximum number of files that the module can upload in a single upload
    * request.
@@ -224,6 +679,279 @@ class FileSystemUploadOptions extends DirectBinaryUploadOptions {
   getUploadFileOptions() {
     return this.uploadFileOptions || {};
   }
+
+  /**
+   * Retrieves the glob patterns that local files must match to be included in the upload.
+   *
+   * @returns {Array<string>} Glob patterns, which will be empty if all files are included.
+   */
+  getIncludePatterns() {
+    return this.options.includePatterns || [];
+  }
+
+  /**
+   * Retrieves the glob patterns for local directories and files that will be excluded from
+   * the upload.
+   *
+   * @returns {Array<string>} Glob patterns, which will be empty if nothing is excluded.
+   */
+  getExcludePatterns() {
+    return this.options.excludePatterns || [];
+  }
+
+  /**
+   * Retrieves the full paths of the only local files that will be uploaded from the
+   * directories provided to the upload.
+   *
+   * @returns {Array<string>} Full paths, which will be empty if all files are included.
+   */
+  getIncludePaths() {
+    return this.options.includePaths || [];
+  }
+
+  /**
+   * Retrieves the names of the built-in pattern lists that will be used to identify temp
+   * and system files.
+   *
+   * @returns {Array<string>} Names of temp file presets.
+   */
+  getTempFilePresets() {
+    return this.options.tempFilePresets || [TempFilePresets.DEFAULT];
+  }
+
+  /**
+   * Retrieves the additional patterns that will be used to identify temp and system files.
+   *
+   * @returns {Array<string|RegExp>} Regular expressions and glob patterns.
+   */
+  getTempFilePatterns() {
+    return this.options.tempFilePatterns || [];
+  }
+
+  /**
+   * Retrieves the minimum size of the files that will be uploaded.
+   *
+   * @returns {number} Size, in bytes. Will be 0 if there is no minimum.
+   */
+  getMinFileSize() {
+    return this.options.minFileSize || 0;
+  }
+
+  /**
+   * Retrieves the maximum size of the files that will be uploaded.
+   *
+   * @returns {number} Size, in bytes. Will be undefined if there is no maximum.
+   */
+  getMaxFileSize() {
+    return this.options.maxFileSize;
+  }
+
+  /**
+   * Retrieves the extensions of the files that will be uploaded.
+   *
+   * @returns {Array<string>} Extensions, which will be empty if all extensions are allowed.
+   */
+  getAllowedExtensions() {
+    return this.options.allowedExtensions || [];
+  }
+
+  /**
+   * Retrieves the extensions of files that will not be uploaded.
+   *
+   * @returns {Array<string>} Extensions, which will be empty if no extensions are denied.
+   */
+  getDeniedExtensions() {
+    return this.options.deniedExtensions || [];
+  }
+
+  /**
+   * Retrieves the mime types of the files that will be uploaded.
+   *
+   * @returns {Array<string>} Mime types, which will be empty if all types are allowed.
+   */
+  getAllowedMimeTypes() {
+    return this.options.allowedMimeTypes || [];
+  }
+
+  /**
+   * Retrieves the policy that determines what the upload will do when it finds a
+   * symbolic link while walking a local directory.
+   *
+   * @returns {string} A symlink policy.
+   */
+  getSymlinkPolicy() {
+    return this.options.symlinkPolicy || SymlinkPolicies.FOLLOW;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not the upload is in streaming mode.
+   *
+   * @returns {boolean} True if the upload is in streaming mode, false otherwise.
+   */
+  getStreamingMode() {
+    return !!this.options.streamingMode;
+  }
+
+  /**
+   * Retrieves the timespan that the stability check will wait before examining local
+   * files.
+   *
+   * @returns {number} Timespan in milliseconds, which will be 0 if there is no check.
+   */
+  getStabilityCheckDelay() {
+    return this.options.stabilityCheckDelay || 0;
+  }
+
+  /**
+   * Retrieves the number of times that the stability check will examine a file that
+   * keeps changing before skipping it.
+   *
+   * @returns {number} Number of checks.
+   */
+  getMaxStabilityChecks() {
+    return this.options.maxStabilityChecks || DefaultValues.MAX_STABILITY_CHECKS;
+  }
+
+  /**
+   * Retrieves the timespan between each time that a FileSystemWatcher checks its local
+   * directories for new or changed files.
+   *
+   * @returns {number} Timespan in milliseconds.
+   */
+  getWatchInterval() {
+    return this.options.watchInterval || DefaultValues.WATCH_INTERVAL;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not a FileSystemWatcher will upload the
+   * files that already exist in its local directories when it starts.
+   *
+   * @returns {boolean} True if existing files will be uploaded, false otherwise.
+   */
+  getWatchUploadExisting() {
+    return this.options.watchUploadExisting !== false;
+  }
+
+  /**
+   * Retrieves the number of times that a FileSystemWatcher will upload a file again after
+   * the file failed to upload.
+   *
+   * @returns {number} Maximum number of retries.
+   */
+  getMaxWatchRetries() {
+    return this.options.maxWatchRetries === undefined
+      ? DefaultValues.MAX_WATCH_RETRIES
+      : this.options.maxWatchRetries;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not each local file will be validated before
+   * it's uploaded.
+   *
+   * @returns {boolean} True if files will be validated, false otherwise.
+   */
+  getPreflightValidation() {
+    return !!this.options.preflightValidation;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not empty files are valid when the upload
+   * uses pre-flight validation.
+   *
+   * @returns {boolean} True if empty files will be uploaded, false otherwise.
+   */
+  getAllowEmptyFiles() {
+    return !!this.options.allowEmptyFiles;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not the upload will apply metadata from
+   * sidecar files.
+   *
+   * @returns {boolean} True if sidecar metadata will be applied, false otherwise.
+   */
+  getSidecarMetadata() {
+    return !!this.options.sidecarMetadata;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not the upload will assign tags to assets
+   * based on the local directories containing their files.
+   *
+   * @returns {boolean} True if folder tags will be assigned, false otherwise.
+   */
+  getFolderTags() {
+    return !!this.options.folderTags;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not the upload is in sync mode.
+   *
+   * @returns {boolean} True if the upload is in sync mode, false otherwise.
+   */
+  getSyncMode() {
+    return !!this.options.syncMode;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not sync mode will compare checksums.
+   *
+   * @returns {boolean} True if checksums will be compared, false otherwise.
+   */
+  getSyncChecksum() {
+    return !!this.options.syncChecksum;
+  }
+
+  /**
+   * Retrieves a value indicating whether or not the upload is in mirror mode.
+   *
+   * @returns {boolean} True if the upload is in mirror mode, false otherwise.
+   */
+  getMirrorMode() {
+    return !!this.options.mirrorMode;
+  }
+
+  /**
+   * Retrieves the folder to which mirror mode will move items instead of deleting them.
+   *
+   * @returns {string} Full path to a folder in AEM, or an empty string if items will
+   *  be deleted.
+   */
+  getMirrorArchiveFolder() {
+    return normalizePath(this.options.mirrorArchiveFolder);
+  }
+
+  /**
+   * Retrieves a value indicating whether or not mirror mode will only report the items
+   * that it would remove.
+   *
+   * @returns {boolean} True if items will only be reported, false otherwise.
+   */
+  getMirrorDryRun() {
+    return !!this.options.mirrorDryRun;
+  }
+
+  /**
+   * Retrieves the maximum number of items that mirror mode will remove.
+   *
+   * @returns {number} Maximum number of items.
+   */
+  getMaxMirrorRemovals() {
+    return this.options.maxMirrorRemovals === undefined
+      ? DefaultValues.MAX_MIRROR_REMOVALS
+      : this.options.maxMirrorRemovals;
+  }
+
+  /**
+   * Retrieves the journal that will be used to record the upload's progress, if
+   * one was specified.
+   *
+   * @returns {import('./upload-journal')} A journal, or undefined if the upload
+   *  doesn't use one.
+   */
+  getResumeJournal() {
+    return this.resumeJournal;
+  }
 }
 
 module.exports = FileSystemUploadOptions;
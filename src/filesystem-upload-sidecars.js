@@ -0,0 +1,188 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const Path = require('path');
+
+const fs = require('./fs-promise');
+const UploadOptionsBase = require('./upload-options-base');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
+const { parseXmp } = require('./xmp-utils');
+const { updateAssetMetadata } = require('./http-utils');
+const { concurrentLoop } = require('./utils');
+const { SkipReasons } = require('./constants');
+
+/**
+ * Retrieves the paths of the sidecar files that might contain metadata for a local file,
+ * in the order that their metadata will be applied. For "photo.jpg", the sidecars are
+ * "photo.xmp", "photo.jpg.xmp", and "photo.jpg.json".
+ *
+ * @param {string} localPath Full path to the local file.
+ * @returns {Array<string>} Full paths to the possible sidecar files.
+ */
+function getSidecarCandidates(localPath) {
+  const candidates = [];
+  const extension = Path.extname(localPath);
+  if (extension && extension !== Path.basename(localPath)) {
+    candidates.push(`${localPath.substring(0, localPath.length - extension.length)}.xmp`);
+  }
+  candidates.push(`${localPath}.xmp`);
+  candidates.push(`${localPath}.json`);
+  return candidates;
+}
+
+/**
+ * Reads the metadata properties from a sidecar file. XMP files are parsed for their
+ * properties, and JSON files should contain a simple object whose keys are property names.
+ *
+ * @param {string} sidecarPath Full path to the sidecar file.
+ * @returns {Promise<object>} Resolves with the sidecar's properties.
+ */
+async function readSidecar(sidecarPath) {
+  let content;
+  try {
+    content = String(await fs.readFile(sidecarPath));
+  } catch (e) {
+    throw new UploadError(`Unable to read sidecar ${sidecarPath}: ${e.message}`, ErrorCodes.FILE_NOT_READABLE);
+  }
+
+  if (Path.extname(sidecarPath).toLowerCase() === '.xmp') {
+    return parseXmp(content);
+  }
+
+  let properties;
+  try {
+    properties = JSON.parse(content);
+  } catch (e) {
+    throw new UploadError(`Sidecar ${sidecarPath} is not valid JSON: ${e.message}`, ErrorCodes.INVALID_SIDECAR);
+  }
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new UploadError(`Sidecar ${sidecarPath} must contain an object of metadata properties`, ErrorCodes.INVALID_SIDECAR);
+  }
+  return properties;
+}
+
+/**
+ * Finds sidecar metadata files next to the files in an upload, and applies their
+ * metadata to each file's asset once it's been uploaded. Sidecars are not uploaded as
+ * assets themselves.
+ */
+class FileSystemUploadSidecars extends UploadOptionsBase {
+  /**
+   * Constructs a new instance using the provided information.
+   *
+   * @param {object} options Options as provided when the upload instance was instantiated.
+   * @param {import('./filesystem-upload-options')} uploadOptions Options as provided when
+   *  the upload was initiated.
+   */
+  constructor(options, uploadOptions) {
+    super(options, uploadOptions);
+    this.sidecars = new Map();
+    this.uploadedAssets = [];
+  }
+
+  /**
+   * Finds the sidecar files of each of the given files, then removes the sidecars from
+   * the list so that they won't be uploaded.
+   *
+   * @param {Array<import('./filesystem-upload-asset')>} files Local files in the upload.
+   * @returns {Promise<object>} Resolves with the "files" that should be uploaded, and the
+   *  sidecar files that were "excluded", in the same format as the excluded items of a
+   *  directory walk.
+   */
+  async removeSidecars(files) {
+    const fileSidecars = [];
+    await concurrentLoop(
+      files,
+      this.getUploadOptions().getMaxConcurrent(),
+      async (file, index) => {
+        const candidates = getSidecarCandidates(file.getLocalPath());
+        const exists = await Promise.all(candidates.map((candidate) => fs.stat(candidate)
+          .then((stat) => stat.isFile())
+          .catch(() => false)));
+        fileSidecars[index] = candidates.filter((candidate, i) => exists[i]);
+      },
+    );
+
+    const sidecarPaths = new Set();
+    fileSidecars.forEach((paths) => paths.forEach((path) => sidecarPaths.add(path)));
+
+    const remaining = [];
+    const excluded = [];
+    files.forEach((file, index) => {
+      const localPath = file.getLocalPath();
+      if (sidecarPaths.has(localPath)) {
+        excluded.push({ path: localPath, isDirectory: false, reason: SkipReasons.SIDECAR });
+        return;
+      }
+      if (fileSidecars[index].length) {
+        this.sidecars.set(file.getRemotePath(), fileSidecars[index]);
+      }
+      remaining.push(file);
+    });
+    return { files: remaining, excluded };
+  }
+
+  /**
+   * Records that a file finished uploading, so that the metadata from its sidecars will be
+   * applied to its asset.
+   *
+   * @param {object} fileData Event data for the file, as sent with the "fileend" event.
+   */
+  addUploadedFile(fileData) {
+    const { targetFile, originalTargetFile } = fileData;
+    const sidecarPaths = this.sidecars.get(originalTargetFile || targetFile);
+    if (sidecarPaths) {
+      this.uploadedAssets.push({ targetPath: targetFile, sidecarPaths });
+    }
+  }
+
+  /**
+   * Applies the metadata from each uploaded file's sidecars to the file's asset. The
+   * properties from the sidecars are merged, with later sidecars taking precedence.
+   * Afterwards, the sidecars of all files are forgotten, so the method should only be
+   * called once the files have finished uploading.
+   *
+   * @returns {Promise<Array>} Resolves with information about each asset whose metadata
+   *  was applied, with the asset's "targetPath", the "sidecarPaths" whose metadata was
+   *  applied, and an "error" if the metadata couldn't be applied.
+   */
+  async applyMetadata() {
+    const results = [];
+    const uploadOptions = this.getUploadOptions();
+    await concurrentLoop(
+      this.uploadedAssets,
+      uploadOptions.getMaxConcurrent(),
+      async ({ targetPath, sidecarPaths }, index) => {
+        const result = { targetPath, sidecarPaths };
+        try {
+          let properties = {};
+          for (let i = 0; i < sidecarPaths.length; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            properties = { ...properties, ...(await readSidecar(sidecarPaths[i])) };
+          }
+          await updateAssetMetadata(uploadOptions, targetPath, properties);
+          this.logInfo(`Applied sidecar metadata to '${targetPath}'`);
+        } catch (e) {
+          result.error = UploadError.fromError(e, `Unable to apply sidecar metadata to ${targetPath}`);
+          this.logWarn(result.error.getMessage());
+        }
+        results[index] = result;
+      },
+    );
+    this.sidecars.clear();
+    this.uploadedAssets = [];
+    return results;
+  }
+}
+
+module.exports = FileSystemUploadSidecars;
@@ -0,0 +1,193 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const crypto = require('crypto');
+const Path = require('path');
+const fs = require('./fs-promise');
+
+const UploadOptionsBase = require('./upload-options-base');
+const UploadError = require('./upload-error');
+const { submitRequest, getAbortOptions } = require('./http-utils');
+const { trimContentDam } = require('./utils');
+const { SyncStatuses } = require('./constants');
+
+const PAGE_SIZE = 100;
+
+/**
+ * Calculates the SHA-1 checksum of a file's content.
+ * @param {string} filePath Full path to a local file.
+ * @returns {Promise<string>} Resolves with the file's checksum, as a hex string.
+ */
+function getFileChecksum(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', (data) => hash.update(data));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Converts an asset entity, as provided by the Assets HTTP API, to the information
+ * needed to compare the asset with a local file.
+ * @param {object} entity An asset entity.
+ * @returns {object} Simple object with the asset's size, checksum, and last modified
+ *  time in milliseconds. Values that aren't available in the entity will be undefined.
+ */
+function getAssetInfo(entity) {
+  const { properties = {} } = entity;
+  const { metadata = {} } = properties;
+  const lastModified = properties['jcr:lastModified'] || metadata['jcr:lastModified'];
+  const size = metadata['dam:size'];
+  return {
+    size: size === undefined ? undefined : Number(size),
+    checksum: metadata['dam:sha1'],
+    lastModified: lastModified ? new Date(lastModified).getTime() : undefined,
+  };
+}
+
+/**
+ * Compares local files with the assets that already exist in AEM, to determine which
+ * files need to be uploaded when a file system upload is in sync mode. Information
+ * about existing assets is retrieved from the Assets HTTP API, one folder at a time.
+ */
+class FileSystemUploadSync extends UploadOptionsBase {
+  /**
+   * Constructs a new instance using the provided information.
+   *
+   * @param {object} options Options as provided when the upload instance was instantiated.
+   * @param {import('./filesystem-upload-options')} uploadOptions Options as provided when
+   *  the upload was initiated.
+   */
+  constructor(options, uploadOptions) {
+    super(options, uploadOptions);
+    this.folderContents = {};
+  }
+
+  /**
+   * Determines whether a local file is new, has been updated, or is unchanged when
+   * compared with its asset in AEM. The file is considered updated if its size is
+   * different from the asset's. If the sizes match, the file's checksum will be compared
+   * with the asset's when checksums are enabled in the options; otherwise the file is
+   * considered updated if it was modified after the asset.
+   *
+   * @param {string} localPath Full path to the local file.
+   * @param {string} targetFile Full path to the file's asset in AEM.
+   * @param {number} fileSize Size, in bytes, of the local file.
+   * @returns {Promise<string>} Resolves with one of the values from SyncStatuses.
+   */
+  async getSyncStatus(localPath, targetFile, fileSize) {
+    const { assets } = await this.getFolderContents(Path.posix.dirname(targetFile));
+    const asset = assets[Path.posix.basename(targetFile)];
+
+    if (!asset) {
+      return SyncStatuses.NEW;
+    }
+
+    if (asset.size !== undefined && asset.size !== fileSize) {
+      return SyncStatuses.UPDATED;
+    }
+
+    if (this.getUploadOptions().getSyncChecksum() && asset.checksum) {
+      const checksum = await getFileChecksum(localPath);
+      return checksum === asset.checksum ? SyncStatuses.UNCHANGED : SyncStatuses.UPDATED;
+    }
+
+    if (asset.lastModified !== undefined) {
+      const { mtime } = await fs.stat(localPath);
+      return mtime.getTime() > asset.lastModified
+        ? SyncStatuses.UPDATED
+        : SyncStatuses.UNCHANGED;
+    }
+
+    return SyncStatuses.UNCHANGED;
+  }
+
+  /**
+   * Retrieves information about the assets and folders in a folder in AEM. The information
+   * for each folder is only retrieved once.
+   *
+   * @param {string} folderPath Full path to a folder in AEM.
+   * @returns {Promise<object>} Resolves with a simple object containing the following
+   *  elements. Both will be empty if the folder doesn't exist.
+   *  * {object} assets: Keys are asset names, and values are the information for the asset.
+   *  * {Array<string>} folders: Names of the folder's sub-folders.
+   */
+  getFolderContents(folderPath) {
+    if (!this.folderContents[folderPath]) {
+      this.folderContents[folderPath] = this.requestFolderContents(folderPath);
+    }
+    return this.folderContents[folderPath];
+  }
+
+  /**
+   * Requests information about the assets and folders in a folder from the Assets HTTP API,
+   * following the API's paging until all items have been retrieved.
+   *
+   * @param {string} folderPath Full path to a folder in AEM.
+   * @returns {Promise<object>} Resolves with the folder's contents, as described in
+   *  getFolderContents().
+   */
+  async requestFolderContents(folderPath) {
+    const uploadOptions = this.getUploadOptions();
+    const folderUrl = `${uploadOptions.getUrlPrefix()}/api/assets${encodeURI(trimContentDam(folderPath))}.json`;
+    const requestOptions = {
+      ...uploadOptions.getHttpOptions(),
+      ...getAbortOptions(uploadOptions),
+    };
+
+    const contents = {
+      assets: {},
+      folders: [],
+    };
+    let offset = 0;
+    let total = 0;
+    do {
+      this.logInfo(`Retrieving contents of AEM folder '${folderPath}' starting at ${offset}`);
+      // eslint-disable-next-line no-await-in-loop
+      const response = await submitRequest(`${folderUrl}?offset=${offset}&limit=${PAGE_SIZE}`, requestOptions);
+      if (response.status === 404) {
+        return contents;
+      }
+      if (!response.ok) {
+        throw UploadError.fromError({
+          response,
+          stack: new Error().stack,
+        });
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const { properties = {}, entities = [] } = await response.json();
+      entities.forEach((entity) => {
+        const entityClass = entity.class || [];
+        if (entityClass.includes('assets/asset')) {
+          contents.assets[entity.properties.name] = getAssetInfo(entity);
+        } else if (entityClass.includes('assets/folder')) {
+          contents.folders.push(entity.properties.name);
+        }
+      });
+
+      const { total: pagingTotal = 0 } = properties['srn:paging'] || {};
+      offset += entities.length;
+      total = pagingTotal;
+      if (!entities.length) {
+        // a page without items would otherwise request the same offset forever
+        break;
+      }
+    } while (offset < total);
+
+    return contents;
+  }
+}
+
+module.exports = FileSystemUploadSync;
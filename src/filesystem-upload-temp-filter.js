@@ -0,0 +1,135 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const Path = require('path');
+const minimatch = require('minimatch');
+
+const { TempFilePresets } = require('./constants');
+
+const MATCH_OPTIONS = { dot: true };
+
+const TEMP_PATTERNS = [
+  /^\/~(.*)/, // catch all paths starting with ~
+  /^\/\.(.*)/, // catch all paths starting with .
+];
+
+/**
+ * Patterns for the names of temp and system files, for each of the presets in
+ * TempFilePresets.
+ */
+const PRESET_PATTERNS = {
+  [TempFilePresets.DEFAULT]: [
+    /^[.~]/i,
+    /^TestFile/, // InDesign: on file open, InDesign creates .dat.nosync* file, renames it TestFile, and deletes it
+    /\.tmp$/i, // Illustrator: on save, creates one or more *.tmp files, renames them to original file name
+    /\.~tmp$/i, // some default Windows applications use this file format
+    // Windows
+    /^desktop\.ini/i,
+    /^Thumbs\.db/i,
+    /^Adobe Bridge Cache\.bc$/i,
+    /^Adobe Bridge Cache\.bct$/i,
+  ],
+  [TempFilePresets.MACOS]: [
+    /^\.DS_Store$/,
+    /^\._/, // AppleDouble files, which hold the metadata of the file with the same name
+    /^Icon\r$/, // custom folder icons
+    /^__MACOSX$/, // created when zipping files in Finder
+    /^\.Spotlight-V100$/,
+    /^\.Trashes$/,
+    /^\.fseventsd$/,
+    /^\.TemporaryItems$/,
+    /^\.DocumentRevisions-V100$/,
+    /^\.VolumeIcon\.icns$/,
+    /^\.apdisk$/,
+  ],
+  [TempFilePresets.LINUX]: [
+    /~$/, // backup files created by many editors
+    /^\.directory$/, // KDE folder settings
+    /^\.Trash-/,
+    /^\.nfs/, // files that were deleted while still open on an NFS mount
+    /^\.fuse_hidden/,
+    /^\..*\.sw[op]$/, // vim swap files
+    /^\.~lock\..*#$/, // LibreOffice lock files
+    /^lost\+found$/,
+  ],
+  [TempFilePresets.CREATIVE]: [
+    /\.idlk$/i, // InDesign lock files
+    /^\.BridgeCache(T)?$/,
+    /^\.BridgeSort$/,
+    /^\.BridgeLabelsAndRatings$/,
+    /\.pek$/i, // Premiere Pro and Audition peak files
+    /\.cfa$/i, // Premiere Pro conformed audio files
+    /^Adobe Premiere Pro Auto-Save$/,
+    /^Media Cache( Files)?$/,
+    /\.lrdata$/i, // Lightroom previews
+    /^\.picasa\.ini$/i,
+  ],
+};
+
+/**
+ * Determines whether a name matches a single pattern.
+ * @param {string} name Name of a directory or file.
+ * @param {string|RegExp} pattern A regular expression, or a glob pattern.
+ * @returns {boolean} True if the name matches.
+ */
+function matchesPattern(name, pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(name);
+  }
+  return minimatch(name, pattern, MATCH_OPTIONS);
+}
+
+/**
+ * Decides which local directories and files are temp or system files that should never
+ * be uploaded, such as files that applications create while saving, or files that an
+ * operating system uses to store its own information. Patterns are matched against the
+ * name of each directory and file.
+ */
+class FileSystemUploadTempFilter {
+  /**
+   * Constructs a new filter with the given presets and patterns.
+   * @param {Array<string>} [presets] Names of preset pattern lists to use, from
+   *  TempFilePresets. Default: the "default" preset.
+   * @param {Array<string|RegExp>} [patterns] Additional patterns. Each may be a regular
+   *  expression, or a glob pattern.
+   */
+  constructor(presets = [TempFilePresets.DEFAULT], patterns = []) {
+    this.includeRootPatterns = presets.includes(TempFilePresets.DEFAULT);
+    this.patterns = presets
+      .map((preset) => PRESET_PATTERNS[preset] || [])
+      .reduce((allPatterns, presetPatterns) => allPatterns.concat(presetPatterns), [])
+      .concat(patterns);
+  }
+
+  /**
+   * Retrieves a value indicating whether or not a local item is a temp file, or a temp
+   * directory.
+   * @param {string} path Full path to the item.
+   * @returns {boolean} True if the item is temp, false otherwise.
+   */
+  isTemp(path) {
+    const tempPath = String(path || '').replace(/\\/g, '/').replace(/\/$/, '');
+
+    if (!tempPath || tempPath === '/') {
+      return false;
+    }
+
+    if (this.includeRootPatterns && TEMP_PATTERNS.some((pattern) => pattern.test(tempPath))) {
+      return true;
+    }
+
+    const pathName = Path.posix.basename(tempPath);
+    return this.patterns.some((pattern) => matchesPattern(pathName, pattern));
+  }
+}
+
+module.exports = FileSystemUploadTempFilter;
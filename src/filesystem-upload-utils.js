@@ -12,10 +12,21 @@ governing permissions and limitations under the License.
 
 const Path = require('path');
 
+const fs = require('./fs-promise');
 const { DefaultValues, RegularExpressions } = require('./constants');
 const { normalizePath } = require('./utils');
 const UploadError = require('./upload-error');
 const ErrorCodes = require('./error-codes');
+const FileSystemUploadFilter = require('./filesystem-upload-filter');
+const FileSystemUploadTempFilter = require('./filesystem-upload-temp-filter');
+const FileSystemUploadFileFilter = require('./filesystem-upload-file-filter');
+
+/**
+ * Code of the error raised on Windows when opening a file for writing while another
+ * process has it open without allowing others to write to it, such as a file that's
+ * being copied.
+ */
+const LOCKED_ERROR_CODE = 'EBUSY';
 
 /**
  * Retrieves the option indicating whether or not the upload is deep. Takes
@@ -48,6 +59,110 @@ function getMaxFileCount(uploadOptions) {
   return uploadOptions.getMaxUploadFiles();
 }
 
+/**
+ * Retrieves the journal used to record the upload's progress. Takes into account
+ * that the options might not be FileSystemUploadOptions.
+ * @param {FileSystemUploadOptions|DirectBinaryUploadOptions} uploadOptions Options
+ *  to retrieve value from.
+ * @returns {import('./upload-journal')} The upload's journal, or undefined if there
+ *  is none.
+ */
+function getResumeJournal(uploadOptions) {
+  if (!uploadOptions.getResumeJournal) {
+    return undefined;
+  }
+  return uploadOptions.getResumeJournal();
+}
+
+/**
+ * Retrieves a filter for the include and exclude patterns of the upload. Takes into
+ * account that the options might not be FileSystemUploadOptions.
+ * @param {FileSystemUploadOptions|DirectBinaryUploadOptions} uploadOptions Options
+ *  to retrieve value from.
+ * @returns {FileSystemUploadFilter} A filter for the upload's patterns, or undefined
+ *  if the upload doesn't have any patterns.
+ */
+function getUploadFilter(uploadOptions) {
+  if (!uploadOptions.getIncludePatterns) {
+    return undefined;
+  }
+  const includePatterns = uploadOptions.getIncludePatterns();
+  const excludePatterns = uploadOptions.getExcludePatterns();
+  if (!includePatterns.length && !excludePatterns.length) {
+    return undefined;
+  }
+  return new FileSystemUploadFilter(includePatterns, excludePatterns);
+}
+
+/**
+ * Builds the set of local paths that an upload will read when it's limited to specific
+ * files. Takes into account that the options might not be FileSystemUploadOptions.
+ * @param {FileSystemUploadOptions|DirectBinaryUploadOptions} uploadOptions Options
+ *  to retrieve value from.
+ * @returns {Set<string>} The absolute path of each included file and of each of its
+ *  ancestor directories, or undefined if the upload includes all files.
+ */
+function getIncludePathSet(uploadOptions) {
+  if (!uploadOptions.getIncludePaths || !uploadOptions.getIncludePaths().length) {
+    return undefined;
+  }
+  const includePaths = new Set();
+  uploadOptions.getIncludePaths().forEach((includePath) => {
+    let currPath = Path.resolve(includePath);
+    while (!includePaths.has(currPath)) {
+      includePaths.add(currPath);
+      currPath = Path.dirname(currPath);
+    }
+  });
+  return includePaths;
+}
+
+/**
+ * Builds the filter that decides which local directories and files are temp, based on
+ * the temp file presets and patterns of an upload.
+ * @param {FileSystemUploadOptions} uploadOptions Options for the upload.
+ * @returns {FileSystemUploadTempFilter} A filter for the upload's temp files.
+ */
+function getTempFilter(uploadOptions) {
+  if (!uploadOptions.getTempFilePresets) {
+    return new FileSystemUploadTempFilter();
+  }
+  return new FileSystemUploadTempFilter(
+    uploadOptions.getTempFilePresets(),
+    uploadOptions.getTempFilePatterns(),
+  );
+}
+
+/**
+ * Builds the filter that decides which local files are included based on their size,
+ * extension, and type. Takes into account that the options might not be
+ * FileSystemUploadOptions.
+ * @param {FileSystemUploadOptions|DirectBinaryUploadOptions} uploadOptions Options
+ *  to retrieve value from.
+ * @returns {FileSystemUploadFileFilter} A filter for the upload's file rules, or
+ *  undefined if the upload doesn't have any rules.
+ */
+function getFileFilter(uploadOptions) {
+  if (!uploadOptions.getAllowedMimeTypes) {
+    return undefined;
+  }
+  const rules = {
+    minFileSize: uploadOptions.getMinFileSize(),
+    maxFileSize: uploadOptions.getMaxFileSize(),
+    allowedExtensions: uploadOptions.getAllowedExtensions(),
+    deniedExtensions: uploadOptions.getDeniedExtensions(),
+    allowedMimeTypes: uploadOptions.getAllowedMimeTypes(),
+  };
+  if (!rules.minFileSize
+    && rules.maxFileSize === undefined
+    && !rules.allowedExtensions.length
+    && !rules.deniedExtensions.length
+    && !rules.allowedMimeTypes.length) {
+    return undefined;
+  }
+  return new FileSystemUploadFileFilter(rules);
+}
+
 /**
  * Uses a processor function to clean a node name, then cleans generally disallowed characters
  * from the name.
@@ -99,6 +214,77 @@ async function cleanAssetName(uploadOptions, assetName) {
   return `${cleanName}${ext}`;
 }
 
+/**
+ * Determines whether another process has locked a local file. Only Windows enforces
+ * locks, by refusing to open a file that another process has open without sharing it.
+ * Locks on other platforms are advisory, so files are never considered locked there.
+ * @param {string} filePath Full path to the file.
+ * @returns {Promise<boolean>} Resolves with true if the file is locked.
+ */
+async function isFileLocked(filePath) {
+  if (process.platform !== 'win32') {
+    return false;
+  }
+  try {
+    const fd = await fs.open(filePath, 'r+');
+    await fs.close(fd);
+  } catch (e) {
+    // files that can't be written for other reasons, such as read-only files, can
+    // still be uploaded
+    return e.code === LOCKED_ERROR_CODE;
+  }
+  return false;
+}
+
+/**
+ * Validates that a local file can be uploaded: it can be read by the current user, it
+ * isn't locked by another process, it hasn't changed size since its directory was read,
+ * and it isn't empty unless empty files are allowed. Locked files are only detected on
+ * Windows; see isFileLocked().
+ * @param {string} filePath Full path to the file.
+ * @param {number} expectedSize Size of the file, in bytes, when its directory was read.
+ * @param {boolean} allowEmptyFiles True if empty files are valid.
+ * @returns {Promise<UploadError>} Resolves with an error describing why the file can't
+ *  be uploaded, or undefined if the file is valid.
+ */
+async function validateLocalFile(filePath, expectedSize, allowEmptyFiles) {
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch (e) {
+    return new UploadError(
+      `File ${filePath} is not readable: ${e.message}`,
+      ErrorCodes.FILE_NOT_READABLE,
+    );
+  }
+
+  if (stat.size !== expectedSize) {
+    return new UploadError(
+      `Size of file ${filePath} changed from ${expectedSize} to ${stat.size} bytes`,
+      ErrorCodes.FILE_SIZE_CHANGED,
+    );
+  }
+  if (!stat.size && !allowEmptyFiles) {
+    return new UploadError(`File ${filePath} is empty`, ErrorCodes.FILE_EMPTY);
+  }
+
+  if (await isFileLocked(filePath)) {
+    return new UploadError(`File ${filePath} is locked`, ErrorCodes.FILE_LOCKED);
+  }
+
+  let fd;
+  try {
+    fd = await fs.open(filePath, 'r');
+  } catch (e) {
+    return new UploadError(
+      `File ${filePath} is not readable: ${e.message}`,
+      ErrorCodes.FILE_NOT_READABLE,
+    );
+  }
+  await fs.close(fd);
+  return undefined;
+}
+
 async function getItemManagerParent(itemManager, rootPath, localPath) {
   const normalizedPath = normalizePath(localPath);
   let parent;
@@ -114,10 +300,40 @@ async function getItemManagerParent(itemManager, rootPath, localPath) {
   return parent;
 }
 
+/**
+ * Builds the ID of the tag to assign to a file based on the local directories containing
+ * the file, relative to the root directory of the upload. The first directory is the
+ * tag's namespace, and the remaining directories are its path. Each directory is named
+ * after its node name in AEM, so the names are cleaned in the same way as folders.
+ * @param {import('./filesystem-upload-asset')} file File whose tag will be built.
+ * @returns {string} The tag's ID, or undefined if the file isn't at least two
+ *  directories below the root of the upload, since a namespace alone isn't a tag.
+ */
+function getFolderTag(file) {
+  const names = [];
+  let directory = file.getParent();
+  while (directory && directory.getParent()) {
+    names.unshift(directory.getRemoteNodeName());
+    directory = directory.getParent();
+  }
+  if (names.length < 2) {
+    return undefined;
+  }
+  const [namespace, ...path] = names;
+  return `${namespace}:${path.join('/')}`;
+}
+
 module.exports = {
   isDeepUpload,
   getMaxFileCount,
+  getResumeJournal,
+  getUploadFilter,
+  getIncludePathSet,
+  getTempFilter,
+  getFileFilter,
+  validateLocalFile,
   cleanFolderName,
   cleanAssetName,
   getItemManagerParent,
+  getFolderTag,
 };
@@ -19,10 +19,18 @@ const FileSystemUploadOptions = require('./filesystem-upload-options');
 const {
   trimContentDam,
   walkDirectory,
+  streamDirectory,
+  concurrentLoop,
   isTempPath,
+  getTempItem,
+  ensureNotCancelled,
+  ignoreCancelled,
+  waitUnlessCancelled,
+  getTargetPath,
 } = require('./utils');
 const {
   submitRequest,
+  getAbortOptions,
 } = require('./http-utils');
 const UploadError = require('./upload-error');
 const ErrorCodes = require('./error-codes');
@@ -30,10 +38,48 @@ const UploadResult = require('./upload-result');
 const {
   isDeepUpload,
   getMaxFileCount,
+  getResumeJournal,
+  getUploadFilter,
+  getIncludePathSet,
+  getTempFilter,
+  getFileFilter,
+  validateLocalFile,
+  getFolderTag,
 } = require('./filesystem-upload-utils');
 const FileSystemUploadItemManager = require('./filesystem-upload-item-manager');
+const FileSystemUploadSync = require('./filesystem-upload-sync');
+const FileSystemUploadSidecars = require('./filesystem-upload-sidecars');
+const UploadTags = require('./upload-tags');
+const FileSystemUploadMirror = require('./filesystem-upload-mirror');
 const CreateDirectoryResult = require('./create-directory-result');
-const { HttpMethods } = require('./constants');
+const {
+  HttpMethods,
+  SkipReasons,
+  SyncStatuses,
+  MirrorActions,
+} = require('./constants');
+
+/**
+ * Determines why a file that was provided directly to the upload as a local path should be
+ * excluded from the upload, if it should be.
+ * @param {string} filePath Full path to the file.
+ * @param {number} size Size of the file, in bytes.
+ * @param {import('./filesystem-upload-filter')} [filter] Filter for the upload's include
+ *  and exclude patterns.
+ * @param {import('./filesystem-upload-file-filter')} [fileFilter] Filter for the upload's
+ *  file size, extension, and type rules.
+ * @returns {Promise<string>} Resolves with one of the values from SkipReasons, or
+ *  undefined if the file should be included.
+ */
+async function getFileExcludeReason(filePath, size, filter, fileFilter) {
+  if (filter && filter.isExcluded(Path.basename(filePath), false)) {
+    return SkipReasons.EXCLUDED;
+  }
+  if (fileFilter) {
+    return fileFilter.getExcludeReason(filePath, size);
+  }
+  return undefined;
+}
 
 /**
  * Uploads one or more files from the local file system to a target AEM instance using direct
@@ -55,43 +101,109 @@ class FileSystemUpload extends DirectBinaryUpload {
     const fileSystemUploadOptions = FileSystemUploadOptions.fromOptions(options);
     const uploadOptions = this.getOptions();
     const uploadResult = new UploadResult(uploadOptions, fileSystemUploadOptions);
-    await this.createTargetFolder(fileSystemUploadOptions, uploadResult);
+    const journal = fileSystemUploadOptions.getResumeJournal();
+    if (journal) {
+      await journal.load();
+    }
+    await ignoreCancelled(this.createTargetFolder(fileSystemUploadOptions, uploadResult));
+    if (fileSystemUploadOptions.getStreamingMode()) {
+      return this.streamUpload(fileSystemUploadOptions, uploadResult, localPaths);
+    }
+
     const {
       directories,
-      files,
+      files: walkedFiles,
       errors,
+      excluded,
       totalSize,
     } = await this.getUploadInformation(fileSystemUploadOptions, localPaths);
 
+    this.addExcludedItems(uploadResult, excluded);
+    this.addWalkErrors(uploadResult, errors);
+    const sidecars = new FileSystemUploadSidecars(this.getOptions(), fileSystemUploadOptions);
+    const files = await this.removeSidecarFiles(
+      fileSystemUploadOptions,
+      uploadResult,
+      sidecars,
+      walkedFiles,
+    );
+
     this.logInfo(`From ${localPaths.length} paths, filesystem upload compiled upload of ${directories.length} directories, ${files.length} files, with a total size of ${totalSize}. Encountered ${errors.length} filesystem-related errors.`);
 
-    const uploadFiles = this.convertToUploadFilesWithUrl(fileSystemUploadOptions, files);
+    const stableFiles = await this.removeUnstableFiles(
+      fileSystemUploadOptions,
+      uploadResult,
+      files,
+    );
+    const uploadFiles = await this.removeUnchangedFiles(
+      fileSystemUploadOptions,
+      uploadResult,
+      await this.removeInvalidFiles(
+        fileSystemUploadOptions,
+        uploadResult,
+        this.removeJournaledFiles(
+          fileSystemUploadOptions,
+          uploadResult,
+          this.convertToUploadFilesWithUrl(fileSystemUploadOptions, stableFiles),
+        ),
+      ),
+    );
 
     // initiate the upload process
-    const fileUploadOptions = FileSystemUploadOptions.fromOptions(fileSystemUploadOptions)
-      .withUploadFiles(uploadFiles);
-
-    const uploadProcess = new DirectBinaryUploadProcess(
-      this.getOptions(),
-      fileUploadOptions,
-    );
+    const uploadProcess = this.createUploadProcess(fileSystemUploadOptions, uploadFiles);
+    const uploadTags = new UploadTags(this.getOptions(), fileSystemUploadOptions);
+    uploadTags.addUploadFiles(uploadFiles);
+    // files may be uploaded to a different asset than the one their name maps to, for
+    // example when renamed because of a conflict, so mirror mode must keep the final asset
+    const targetPaths = new Set();
+    uploadProcess.on('fileend', (data) => {
+      sidecars.addUploadedFile(data);
+      uploadTags.addUploadedFile(data);
+      if (fileSystemUploadOptions.getMirrorMode()) {
+        targetPaths.add(data.targetFile);
+      }
+    });
 
     this.beforeUploadProcess(uploadProcess, directories.length);
-    await this.createUploadDirectories(
+    await ignoreCancelled(this.createUploadDirectories(
       fileSystemUploadOptions,
       uploadResult,
       directories,
-    );
+      uploadProcess,
+    ));
 
     if (uploadFiles.length) {
+      // if the upload was cancelled, the upload process will take care of reporting
+      // all of its files as cancelled.
       this.logInfo(`Uploading ${uploadFiles.length} files`);
 
       await this.executeUploadProcess(uploadProcess, uploadResult);
+    } else if (fileSystemUploadOptions.isCancelled()) {
+      uploadResult.addUploadError(new UploadError('Upload was cancelled by the user', ErrorCodes.USER_CANCELLED));
     } else {
       this.logInfo('No files found in provided paths, skipping upload.');
     }
 
-    this.afterUploadProcess(uploadProcess, uploadResult, directories.length);
+    await this.applySidecarMetadata(fileSystemUploadOptions, uploadResult, sidecars);
+    await this.applyUploadTags(fileSystemUploadOptions, uploadResult, uploadTags);
+
+    if (fileSystemUploadOptions.getMirrorMode()) {
+      this.getTargetPaths(fileSystemUploadOptions, directories, files)
+        .forEach((targetPath) => targetPaths.add(targetPath));
+      await this.mirrorTargetFolder(
+        fileSystemUploadOptions,
+        uploadResult,
+        { targetPaths, errors },
+        uploadProcess,
+      );
+    }
+
+    await this.finishUpload(
+      fileSystemUploadOptions,
+      uploadResult,
+      uploadProcess,
+      directories.length,
+    );
 
     // we have a list of multiple results (for each directory upload). Merge all those
     // into a single result that contains metrics for the overall upload of all
@@ -99,6 +211,563 @@ class FileSystemUpload extends DirectBinaryUpload {
     return uploadResult.toJSON();
   }
 
+  /**
+   * Uploads local paths in streaming mode. Directories are walked one at a time, and their
+   * files are uploaded in groups as they're found, instead of after all directories have
+   * been walked. The size of each group is the maximum number of upload files from the
+   * options.
+   *
+   * Only the current group's files are held while they're uploaded. Once a group has been
+   * uploaded, its sidecar metadata and tags are applied, and the entries that the upload's
+   * result has for its items are replaced with counts, except for items that had problems.
+   * Mirror mode still needs the AEM path of every local item until the upload finishes.
+   *
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which information about the upload will
+   *  be added.
+   * @param {Array<string>} localPaths List of local paths to upload.
+   * @returns {Promise} Will be resolved with the upload's result as JSON.
+   */
+  async streamUpload(options, uploadResult, localPaths) {
+    const uploadProcess = this.createUploadProcess(options, []);
+    const sidecars = new FileSystemUploadSidecars(this.getOptions(), options);
+    const uploadTags = new UploadTags(this.getOptions(), options);
+    const targetPaths = new Set();
+    uploadProcess.on('fileend', (data) => {
+      sidecars.addUploadedFile(data);
+      uploadTags.addUploadedFile(data);
+      if (options.getMirrorMode()) {
+        targetPaths.add(data.targetFile);
+      }
+    });
+    const allErrors = [];
+    let directoryCount = 0;
+    let pendingDirectories = [];
+    let pendingFiles = [];
+
+    const uploadPending = async () => {
+      const directories = pendingDirectories;
+      const files = pendingFiles;
+      pendingDirectories = [];
+      pendingFiles = [];
+
+      await this.createUploadDirectories(options, uploadResult, directories, uploadProcess);
+      const stableFiles = await this.removeUnstableFiles(options, uploadResult, files);
+      const uploadFiles = await this.removeUnchangedFiles(
+        options,
+        uploadResult,
+        await this.removeInvalidFiles(
+          options,
+          uploadResult,
+          this.removeJournaledFiles(
+            options,
+            uploadResult,
+            this.convertToUploadFilesWithUrl(options, stableFiles),
+          ),
+        ),
+      );
+      if (uploadFiles.length) {
+        this.logInfo(`Uploading ${uploadFiles.length} files`);
+        uploadTags.addUploadFiles(uploadFiles);
+        try {
+          await uploadProcess.addUploadFiles(uploadResult, uploadFiles);
+        } catch (e) {
+          ensureNotCancelled(options);
+          uploadResult.addUploadError(e);
+        }
+      }
+      await this.applySidecarMetadata(options, uploadResult, sidecars);
+      await this.applyUploadTags(options, uploadResult, uploadTags);
+      uploadResult.summarizeItems();
+    };
+
+    this.beforeUploadProcess(uploadProcess);
+    this.forwardProcessEvents(uploadProcess);
+    try {
+      await this.streamUploadInformation(options, localPaths, async (contents) => {
+        const {
+          directories,
+          errors,
+          excluded,
+        } = contents;
+        ensureNotCancelled(options);
+
+        this.addExcludedItems(uploadResult, excluded);
+        this.addWalkErrors(uploadResult, errors);
+        const files = await this.removeSidecarFiles(
+          options,
+          uploadResult,
+          sidecars,
+          contents.files,
+        );
+        errors.forEach((error) => allErrors.push(error));
+        if (options.getMirrorMode()) {
+          this.getTargetPaths(options, directories, files)
+            .forEach((targetPath) => targetPaths.add(targetPath));
+        }
+
+        directoryCount += directories.length;
+        pendingDirectories = pendingDirectories.concat(directories);
+        pendingFiles = pendingFiles.concat(files);
+        if (pendingFiles.length >= getMaxFileCount(options)) {
+          await uploadPending();
+        }
+      });
+      await uploadPending();
+      ensureNotCancelled(options);
+    } catch (e) {
+      if (UploadError.fromError(e).getCode() !== ErrorCodes.USER_CANCELLED) {
+        throw e;
+      }
+      uploadResult.addUploadError(e);
+    }
+
+    this.logInfo(`From ${localPaths.length} paths, filesystem upload streamed ${directoryCount} directories and ${uploadProcess.getFileCount()} files, with a total size of ${uploadProcess.getTotalSize()}. Encountered ${allErrors.length} filesystem-related errors.`);
+
+    if (options.getMirrorMode()) {
+      await this.mirrorTargetFolder(
+        options,
+        uploadResult,
+        { targetPaths, errors: allErrors },
+        uploadProcess,
+      );
+    }
+
+    await this.finishUpload(options, uploadResult, uploadProcess, directoryCount);
+    return uploadResult.toJSON();
+  }
+
+  /**
+   * Creates the process that will upload files, and records the files that it uploads in
+   * the upload's resume journal, if there is one.
+   *
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {Array} uploadFiles Files that the process will upload.
+   * @returns {DirectBinaryUploadProcess} The new upload process.
+   */
+  createUploadProcess(options, uploadFiles) {
+    const fileUploadOptions = FileSystemUploadOptions.fromOptions(options)
+      .withUploadFiles(uploadFiles);
+
+    const uploadProcess = new DirectBinaryUploadProcess(
+      this.getOptions(),
+      fileUploadOptions,
+    );
+
+    const journal = options.getResumeJournal();
+    if (journal) {
+      // renamed files are recorded under their original target, which is the path
+      // that will be checked the next time the upload runs
+      uploadProcess.on('fileend', (data) => journal.addFile(
+        data.originalTargetFile || data.targetFile,
+        data.fileSize,
+      ));
+    }
+    return uploadProcess;
+  }
+
+  /**
+   * Finishes an upload by writing any remaining entries to the upload's resume journal,
+   * then notifying consumers that the upload has ended.
+   *
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which journal errors will be added.
+   * @param {DirectBinaryUploadProcess} uploadProcess The process that uploaded the files.
+   * @param {number} directoryCount The number of directories in the upload.
+   */
+  async finishUpload(options, uploadResult, uploadProcess, directoryCount) {
+    const journal = options.getResumeJournal();
+    if (journal) {
+      try {
+        await journal.flush();
+      } catch (e) {
+        uploadResult.addUploadError(e);
+      }
+    }
+
+    this.afterUploadProcess(uploadProcess, uploadResult, directoryCount);
+  }
+
+  /**
+   * Adds local items that were excluded from the upload to the upload's result as skipped
+   * items.
+   *
+   * @param {UploadResult} uploadResult Result to which the items will be added.
+   * @param {Array} excluded Excluded items, as provided by getUploadInformation().
+   */
+  // eslint-disable-next-line class-methods-use-this
+  addExcludedItems(uploadResult, excluded) {
+    excluded.forEach(({ path, reason }) => uploadResult.addSkippedItem({
+      localPath: path,
+      reason,
+    }));
+  }
+
+  /**
+   * Adds errors that occurred while reading local items to the upload's result. These
+   * include errors raised by the upload itself, such as a symbolic link that the upload's
+   * symlink policy doesn't allow, and errors from the file system, such as a path that
+   * doesn't exist or couldn't be read.
+   *
+   * @param {UploadResult} uploadResult Result to which the errors will be added.
+   * @param {Array} errors Errors, as provided by getUploadInformation().
+   */
+  // eslint-disable-next-line class-methods-use-this
+  addWalkErrors(uploadResult, errors) {
+    errors.forEach((error) => uploadResult.addUploadError(
+      UploadError.fromError(error, 'Unable to read local item'),
+    ));
+  }
+
+  /**
+   * Retrieves the full path in AEM of each of the given local items.
+   *
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {Array<import('./filesystem-upload-directory')>} directories Local directories.
+   * @param {Array<import('./filesystem-upload-asset')>} files Local files.
+   * @returns {Array<string>} Full paths in AEM, which will not be URL encoded.
+   */
+  getTargetPaths(options, directories, files) {
+    return directories.map((directory) => directory.getRemotePath())
+      .concat(this.convertToUploadFilesWithUrl(options, files)
+        .map(({ fileUrl }) => getTargetPath(fileUrl)));
+  }
+
+  /**
+   * Builds a plan of where the upload would place each of the given local paths, without
+   * making any HTTP requests. The plan uses the same processing as upload(), including how
+   * folder and asset names are cleaned, so it can be reviewed before running the upload.
+   *
+   * @param {import('./direct-binary-upload-options')} options Controls how the upload process
+   *  behaves.
+   * @param {Array<string>} localPaths List of local paths that would be uploaded.
+   * @returns {Promise} Will be resolved with the upload's plan, which has the following
+   *  properties:
+   *  * {string} host: Host of the target AEM instance.
+   *  * {string} targetFolder: Full path to the upload's target folder.
+   *  * {Array} folders: Each folder that the upload would create if it doesn't already exist,
+   *    in the order they would be created. Each item has "localPath" (absent for the target
+   *    folder and its parents), "targetPath", "folderTitle", "nodeName", and "renamed"
+   *    properties.
+   *  * {Array} files: Each file that the upload would include. Each item has "localPath",
+   *    "targetPath", "fileUrl", "fileSize", "fileName", "nodeName", and "renamed" properties.
+   *  * {number} totalFiles: Number of files in the plan.
+   *  * {number} totalSize: Size, in bytes, of all files in the plan.
+   *  * {Array} excluded: Local directories and files that were excluded by the upload's
+   *    include or exclude patterns, ignored by an .aemignore file, skipped because
+   *    they're temp files or symbolic links, or excluded by the upload's file size,
+   *    extension, or mime type rules. Each item has "localPath" and "reason" properties.
+   *  * {Array} errors: Errors that occurred while reading the local paths.
+   */
+  async plan(options, localPaths) {
+    const fileSystemUploadOptions = FileSystemUploadOptions.fromOptions(options);
+    const {
+      directories,
+      files: walkedFiles,
+      errors,
+      excluded,
+      totalSize,
+    } = await this.getUploadInformation(fileSystemUploadOptions, localPaths);
+
+    let files = walkedFiles;
+    if (fileSystemUploadOptions.getSidecarMetadata()) {
+      const sidecars = new FileSystemUploadSidecars(this.getOptions(), fileSystemUploadOptions);
+      const { files: assetFiles, excluded: sidecarFiles } = await sidecars.removeSidecars(files);
+      files = assetFiles;
+      sidecarFiles.forEach((sidecarFile) => excluded.push(sidecarFile));
+    }
+
+    const folders = [];
+    const trimmedTarget = trimContentDam(fileSystemUploadOptions.getTargetFolderPath());
+    if (trimmedTarget) {
+      let currPath = '/content/dam';
+      trimmedTarget.split('/').filter((e) => e.length).forEach((nodeName) => {
+        currPath += `/${nodeName}`;
+        folders.push({
+          targetPath: currPath,
+          folderTitle: nodeName,
+          nodeName,
+          renamed: false,
+        });
+      });
+    }
+    directories.forEach((directory) => {
+      folders.push({
+        localPath: directory.getLocalPath(),
+        targetPath: directory.getRemotePath(),
+        folderTitle: directory.getName(),
+        nodeName: directory.getRemoteNodeName(),
+        renamed: directory.getName() !== directory.getRemoteNodeName(),
+      });
+    });
+
+    const uploadFiles = this.convertToUploadFilesWithUrl(fileSystemUploadOptions, files);
+    const planFiles = files.map((file, index) => ({
+      localPath: file.getLocalPath(),
+      targetPath: getTargetPath(uploadFiles[index].fileUrl),
+      fileUrl: uploadFiles[index].fileUrl,
+      fileSize: file.getSize(),
+      fileName: file.getName(),
+      nodeName: file.getRemoteNodeName(),
+      renamed: file.getName() !== file.getRemoteNodeName(),
+    }));
+
+    this.logInfo(`From ${localPaths.length} paths, filesystem upload plan includes ${folders.length} folders and ${planFiles.length} files, with a total size of ${totalSize}`);
+
+    return {
+      host: fileSystemUploadOptions.getUrlPrefix(),
+      targetFolder: fileSystemUploadOptions.getTargetFolderPath(),
+      folders,
+      files: planFiles,
+      totalFiles: planFiles.length,
+      totalSize,
+      excluded: excluded.map(({ path, reason }) => ({ localPath: path, reason })),
+      errors: errors.map((e) => UploadError.fromError(e).toJSON()),
+    };
+  }
+
+  /**
+   * Removes files that the upload's resume journal indicates were already uploaded. Each
+   * removed file will be added to the upload's result as a skipped item.
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which skipped files will be added.
+   * @param {Array} uploadFiles List of files as generated by convertToUploadFilesWithUrl().
+   * @returns {Array} The files that still need to be uploaded.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  removeJournaledFiles(options, uploadResult, uploadFiles) {
+    const journal = options.getResumeJournal();
+    if (!journal) {
+      return uploadFiles;
+    }
+    return uploadFiles.filter((uploadFile) => {
+      const {
+        fileUrl,
+        filePath,
+        fileSize,
+        modifiedTime,
+      } = uploadFile;
+      const targetPath = getTargetPath(fileUrl);
+      if (journal.hasFile(targetPath, fileSize, modifiedTime)) {
+        uploadResult.addSkippedItem({
+          localPath: filePath,
+          targetPath,
+          reason: SkipReasons.JOURNAL,
+        });
+        return false;
+      }
+      if (modifiedTime !== undefined) {
+        journal.setModifiedTime(targetPath, modifiedTime);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * When the upload has a stability check, waits for the check's delay, then removes the
+   * files whose size or modification time changed since they were read. Changed files are
+   * deferred and examined again after another delay, until they stop changing or the
+   * upload's maximum number of checks is reached. Each file that is still changing will
+   * be added to the upload's result as a skipped item.
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which unstable files will be added.
+   * @param {Array<import('./filesystem-upload-asset')>} files Files to check.
+   * @returns {Promise<Array>} Resolves with the files that are stable. The size of a
+   *  deferred file will be its size after it stopped changing.
+   */
+  async removeUnstableFiles(options, uploadResult, files) {
+    const delay = options.getStabilityCheckDelay();
+    if (!delay || !files.length) {
+      return files;
+    }
+
+    let pendingFiles = files;
+    for (let check = 0; check < options.getMaxStabilityChecks(); check += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await waitUnlessCancelled(options, delay);
+      if (options.isCancelled()) {
+        // the upload process will report the files as cancelled
+        return files;
+      }
+
+      const changedFiles = [];
+      // eslint-disable-next-line no-await-in-loop
+      await concurrentLoop(pendingFiles, options.getMaxConcurrent(), async (file) => {
+        let stat;
+        try {
+          stat = await fs.stat(file.getLocalPath());
+        } catch (e) {
+          // a file that disappeared is treated as still changing
+          changedFiles.push(file);
+          return;
+        }
+        if (stat.size !== file.getSize() || stat.mtimeMs !== file.getModifiedTime()) {
+          file.updateStats(stat.size, stat.mtimeMs);
+          changedFiles.push(file);
+        }
+      });
+      pendingFiles = changedFiles;
+      if (!pendingFiles.length) {
+        break;
+      }
+    }
+
+    const unstableFiles = new Set(pendingFiles);
+    unstableFiles.forEach((file) => uploadResult.addSkippedItem({
+      localPath: file.getLocalPath(),
+      reason: SkipReasons.UNSTABLE,
+    }));
+    if (unstableFiles.size) {
+      this.logWarn(`Stability check found ${unstableFiles.size} files that are still changing`);
+    }
+    return files.filter((file) => !unstableFiles.has(file));
+  }
+
+  /**
+   * When the upload uses pre-flight validation, validates each file and removes the files
+   * that can't be uploaded. Each removed file will be added to the upload's result as an
+   * invalid file, and a "fileerror" event will be sent for it.
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which invalid files will be added.
+   * @param {Array} uploadFiles List of files as generated by convertToUploadFilesWithUrl().
+   * @returns {Promise<Array>} Resolves with the files that are valid.
+   */
+  async removeInvalidFiles(options, uploadResult, uploadFiles) {
+    if (!options.getPreflightValidation()) {
+      return uploadFiles;
+    }
+
+    const errors = [];
+    await concurrentLoop(uploadFiles, options.getMaxConcurrent(), async (uploadFile, index) => {
+      const { filePath, fileSize } = uploadFile;
+      errors[index] = await validateLocalFile(filePath, fileSize, options.getAllowEmptyFiles());
+    });
+    return uploadFiles.filter(({ fileUrl, filePath, fileSize }, index) => {
+      const error = errors[index];
+      if (!error) {
+        return true;
+      }
+      const targetFile = getTargetPath(fileUrl);
+      this.logWarn(error.getMessage());
+      uploadResult.addInvalidFile({ localPath: filePath, targetPath: targetFile, error });
+      this.sendFileError(targetFile, fileSize, error);
+      return false;
+    });
+  }
+
+  /**
+   * Sends a "fileerror" event for a file that was removed from the upload before it was
+   * transferred.
+   * @param {string} targetFile Full path to the file's asset in AEM.
+   * @param {number} fileSize Size, in bytes, of the file.
+   * @param {UploadError} error Describes why the file wasn't uploaded.
+   */
+  sendFileError(targetFile, fileSize, error) {
+    this.sendEvent('fileerror', {
+      fileName: Path.posix.basename(targetFile),
+      fileSize,
+      targetFolder: Path.posix.dirname(targetFile),
+      targetFile,
+      errors: [error.toJSON()],
+    });
+  }
+
+  /**
+   * When the upload applies sidecar metadata, removes the sidecar files from a list of local
+   * files so that they won't be uploaded. The sidecars will be added to the upload's result
+   * as skipped items.
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which the sidecars will be added.
+   * @param {FileSystemUploadSidecars} sidecars Tracks the sidecars of the upload's files.
+   * @param {Array<import('./filesystem-upload-asset')>} files Local files in the upload.
+   * @returns {Promise<Array>} Resolves with the files that should be uploaded.
+   */
+  async removeSidecarFiles(options, uploadResult, sidecars, files) {
+    if (!options.getSidecarMetadata()) {
+      return files;
+    }
+    const { files: assetFiles, excluded } = await sidecars.removeSidecars(files);
+    this.addExcludedItems(uploadResult, excluded);
+    return assetFiles;
+  }
+
+  /**
+   * When the upload applies sidecar metadata, applies the metadata of each uploaded file's
+   * sidecars to the file's asset. The outcome for each asset will be added to the upload's
+   * result.
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which the outcomes will be added.
+   * @param {FileSystemUploadSidecars} sidecars Tracks the sidecars of the upload's files.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async applySidecarMetadata(options, uploadResult, sidecars) {
+    if (!options.getSidecarMetadata() || options.isCancelled()) {
+      return;
+    }
+    const results = await sidecars.applyMetadata();
+    results.forEach((result) => uploadResult.addSidecarMetadata(result));
+  }
+
+  /**
+   * When the upload is in sync mode, compares each file with its asset in AEM and removes
+   * the files that are unchanged. Files that have been updated will be modified to replace
+   * their existing asset. Files that couldn't be compared, for example because their AEM
+   * folder couldn't be retrieved, will also be removed. The result of each comparison will
+   * be added to the upload's result. If the upload is cancelled, the files that weren't
+   * compared are left for the upload process to report as cancelled.
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which each comparison will be added.
+   * @param {Array} uploadFiles List of files as generated by convertToUploadFilesWithUrl().
+   * @returns {Promise<Array>} Resolves with the files that need to be uploaded.
+   */
+  async removeUnchangedFiles(options, uploadResult, uploadFiles) {
+    if (!options.getSyncMode()) {
+      return uploadFiles;
+    }
+
+    const sync = new FileSystemUploadSync(this.getOptions(), options);
+    const syncStatuses = [];
+    const syncErrors = [];
+    await ignoreCancelled(concurrentLoop(
+      uploadFiles,
+      options.getMaxConcurrent(),
+      async (uploadFile, index) => {
+        const { fileUrl, filePath, fileSize } = uploadFile;
+        const targetFile = getTargetPath(fileUrl);
+        try {
+          syncStatuses[index] = await sync.getSyncStatus(filePath, targetFile, fileSize);
+        } catch (e) {
+          ensureNotCancelled(options);
+          syncStatuses[index] = SyncStatuses.FAILED;
+          syncErrors[index] = UploadError.fromError(e, `Unable to compare '${filePath}' with its asset in AEM`);
+        }
+      },
+    ));
+    uploadFiles.forEach(({ fileUrl, filePath, fileSize }, index) => {
+      const syncStatus = syncStatuses[index];
+      const error = syncErrors[index];
+      const targetPath = getTargetPath(fileUrl);
+      if (error) {
+        this.logWarn(error.getMessage());
+        uploadResult.addSyncItem(syncStatus, { localPath: filePath, targetPath, error });
+        this.sendFileError(targetPath, fileSize, error);
+      } else if (syncStatus) {
+        uploadResult.addSyncItem(syncStatus, { localPath: filePath, targetPath });
+      }
+    });
+
+    this.logInfo(`Sync mode found ${syncStatuses.filter((status) => status === SyncStatuses.NEW || status === SyncStatuses.UPDATED).length} of ${uploadFiles.length} files to upload`);
+    return uploadFiles
+      .map((uploadFile, index) => {
+        if (syncStatuses[index] === SyncStatuses.UPDATED && !uploadFile.createVersion) {
+          return { ...uploadFile, replace: true };
+        }
+        return uploadFile;
+      })
+      .filter((uploadFile, index) => syncStatuses[index] !== SyncStatuses.UNCHANGED
+        && syncStatuses[index] !== SyncStatuses.FAILED);
+  }
+
   /**
    * Converts a list of FileSystemUploadAsset instances to a list of UploadFile items, ready
    * for use in upload options.
@@ -137,12 +806,18 @@ class FileSystemUpload extends DirectBinaryUpload {
     const fileList = [];
 
     files.forEach((file) => {
-      fileList.push({
+      const uploadFile = {
         ...options.getUploadFileOptions(),
         fileUrl: `${file.getParentRemoteUrl()}/${encodeURIComponent(file.getRemoteNodeName())}`,
         filePath: file.getLocalPath(),
         fileSize: file.getSize(),
-      });
+        modifiedTime: file.getModifiedTime(),
+      };
+      const folderTag = options.getFolderTags() ? getFolderTag(file) : undefined;
+      if (folderTag) {
+        uploadFile.tags = [...(uploadFile.tags || []), folderTag];
+      }
+      fileList.push(uploadFile);
     });
 
     return fileList;
@@ -162,6 +837,11 @@ class FileSystemUpload extends DirectBinaryUpload {
    *  * {Array} files: List of full paths to all files included in the upload.
    *  * {Array} errors: List of any errors that occurred during processing, which may result in
    *    some paths being excluded from the final result.
+   *  * {Array} excluded: List of directories and files that were excluded by the upload's
+   *    include or exclude patterns, ignored by an .aemignore file, skipped because
+   *    they're temp files or symbolic links, or excluded by the upload's file size,
+   *    extension, or mime type rules. Each item has "path", "isDirectory", and
+   *    "reason" properties.
    *  * {number} totalSize: Size, in bytes, of all files included in the upload.
    *  * {boolean} isDirectory: True if the path is a directory, false otherwise.
    */
@@ -170,12 +850,26 @@ class FileSystemUpload extends DirectBinaryUpload {
     let allFiles = [];
     let allDirectories = [];
     let allErrors = [];
+    let allExcluded = [];
     let allTotalSize = 0;
     const isDeep = isDeepUpload(options);
+    const filter = getUploadFilter(options);
+    const tempFilter = getTempFilter(options);
+    const fileFilter = getFileFilter(options);
+    const walkOptions = {
+      filter,
+      tempFilter,
+      fileFilter,
+      includePaths: getIncludePathSet(options),
+      symlinkPolicy: options.getSymlinkPolicy(),
+    };
 
     for (let i = 0; i < localPaths.length; i += 1) {
       const currPath = localPaths[i];
-      if (!isTempPath(currPath)) {
+      if (isTempPath(currPath, tempFilter)) {
+        // eslint-disable-next-line no-await-in-loop
+        allExcluded.push(await getTempItem(currPath));
+      } else {
         let stat = false;
 
         try {
@@ -191,36 +885,44 @@ class FileSystemUpload extends DirectBinaryUpload {
             directories,
             files,
             errors,
+            excluded,
             totalSize,
           // eslint-disable-next-line no-await-in-loop
-          } = await walkDirectory(currPath, getMaxFileCount(options), isDeep);
+          } = await walkDirectory(currPath, getMaxFileCount(options), isDeep, walkOptions);
           const itemManager = new FileSystemUploadItemManager(options, currPath, !isDeep);
-          if (isDeep) {
-            // directories only need to be included for deep uploads
-            // eslint-disable-next-line no-await-in-loop
-            allDirectories.push(await itemManager.getDirectory(currPath));
-            const subDirectories = [];
-            for (let directoryIndex = 0; directoryIndex < directories.length; directoryIndex += 1) {
-              const { path: dirPath } = directories[directoryIndex];
-              // eslint-disable-next-line no-await-in-loop
-              subDirectories.push(await itemManager.getDirectory(dirPath));
-            }
-            allDirectories = allDirectories.concat(subDirectories);
-          }
-          const subAssets = [];
-          for (let assetIndex = 0; assetIndex < files.length; assetIndex += 1) {
-            const { path: filePath, size: fileSize } = files[assetIndex];
-            // eslint-disable-next-line no-await-in-loop
-            subAssets.push(await itemManager.getAsset(filePath, fileSize));
-          }
+          const {
+            directories: subDirectories,
+            files: subAssets,
+          // eslint-disable-next-line no-await-in-loop
+          } = await this.convertToUploadItems(
+            itemManager,
+            isDeep,
+            [{ path: currPath }, ...directories],
+            files,
+          );
+          allDirectories = allDirectories.concat(subDirectories);
           allFiles = allFiles.concat(subAssets);
           allErrors = allErrors.concat(errors);
+          allExcluded = allExcluded.concat(excluded);
           allTotalSize += totalSize;
         } else if (stat.isFile()) {
-          const itemManager = new FileSystemUploadItemManager(options, currPath);
-          // eslint-disable-next-line no-await-in-loop
-          allFiles.push(await itemManager.getAsset(currPath, stat.size));
-          allTotalSize += stat.size;
+          let reason;
+          try {
+            // eslint-disable-next-line no-await-in-loop
+            reason = await getFileExcludeReason(currPath, stat.size, filter, fileFilter);
+          } catch (e) {
+            allErrors.push(e);
+            // eslint-disable-next-line no-continue
+            continue;
+          }
+          if (reason) {
+            allExcluded.push({ path: currPath, isDirectory: false, reason });
+          } else {
+            const itemManager = new FileSystemUploadItemManager(options, currPath);
+            // eslint-disable-next-line no-await-in-loop
+            allFiles.push(await itemManager.getAsset(currPath, stat.size, stat.mtimeMs));
+            allTotalSize += stat.size;
+          }
         }
       }
 
@@ -234,10 +936,234 @@ class FileSystemUpload extends DirectBinaryUpload {
       directories: allDirectories,
       files: allFiles,
       errors: allErrors,
+      excluded: allExcluded,
       totalSize: allTotalSize,
     };
   }
 
+  /**
+   * Iterates over a list of local paths provided to the upload in the same way as
+   * getUploadInformation(), except that the contents of each directory are provided to a
+   * callback as soon as the directory has been read, instead of gathering all paths first.
+   * There is no limit on the number of files.
+   * @param {FileSystemUploadOptions} options Controls how the upload behaves.
+   * @param {Array<string>} localPaths List of local paths to iterate.
+   * @param {function} contentsCallback Will be called with the contents of each directory,
+   *  and of each file path, as an object with the same "directories", "files", "errors",
+   *  and "excluded" properties as the result of getUploadInformation(). The iteration will
+   *  wait for the Promise returned by the callback to resolve before continuing.
+   * @returns {Promise} Resolves when all paths have been iterated.
+   */
+  async streamUploadInformation(options, localPaths, contentsCallback) {
+    const isDeep = isDeepUpload(options);
+    const filter = getUploadFilter(options);
+    const tempFilter = getTempFilter(options);
+    const fileFilter = getFileFilter(options);
+    const walkOptions = {
+      filter,
+      tempFilter,
+      fileFilter,
+      includePaths: getIncludePathSet(options),
+      symlinkPolicy: options.getSymlinkPolicy(),
+    };
+    const emptyContents = {
+      directories: [],
+      files: [],
+      errors: [],
+      excluded: [],
+    };
+
+    for (let i = 0; i < localPaths.length; i += 1) {
+      const currPath = localPaths[i];
+      if (isTempPath(currPath, tempFilter)) {
+        // eslint-disable-next-line no-await-in-loop
+        await contentsCallback({ ...emptyContents, excluded: [await getTempItem(currPath)] });
+      } else {
+        let stat = false;
+
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          stat = await fs.stat(currPath);
+        } catch (e) {
+          // eslint-disable-next-line no-await-in-loop
+          await contentsCallback({ ...emptyContents, errors: [e] });
+          // eslint-disable-next-line no-continue
+          continue;
+        }
+        if (stat.isDirectory()) {
+          const itemManager = new FileSystemUploadItemManager(options, currPath, !isDeep);
+          let rootDirectories = [{ path: currPath }];
+          // eslint-disable-next-line no-await-in-loop
+          await streamDirectory(currPath, isDeep, walkOptions, async (contents) => {
+            const { directories, files } = await this.convertToUploadItems(
+              itemManager,
+              isDeep,
+              rootDirectories.concat(contents.directories),
+              contents.files,
+            );
+            rootDirectories = [];
+            // assets are only needed once, so don't keep them in memory
+            itemManager.clearAssets();
+            await contentsCallback({
+              directories,
+              files,
+              errors: contents.errors,
+              excluded: contents.excluded,
+            });
+          });
+        } else if (stat.isFile()) {
+          let reason;
+          try {
+            // eslint-disable-next-line no-await-in-loop
+            reason = await getFileExcludeReason(currPath, stat.size, filter, fileFilter);
+          } catch (e) {
+            // eslint-disable-next-line no-await-in-loop
+            await contentsCallback({ ...emptyContents, errors: [e] });
+            // eslint-disable-next-line no-continue
+            continue;
+          }
+          if (reason) {
+            // eslint-disable-next-line no-await-in-loop
+            await contentsCallback({
+              ...emptyContents,
+              excluded: [{ path: currPath, isDirectory: false, reason }],
+            });
+          } else {
+            const itemManager = new FileSystemUploadItemManager(options, currPath);
+            // eslint-disable-next-line no-await-in-loop
+            const asset = await itemManager.getAsset(currPath, stat.size, stat.mtimeMs);
+            // eslint-disable-next-line no-await-in-loop
+            await contentsCallback({ ...emptyContents, files: [asset] });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Converts directories and files found while walking a local directory to the items
+   * that will be uploaded.
+   * @param {FileSystemUploadItemManager} itemManager Item manager for the directory
+   *  being walked.
+   * @param {boolean} isDeep True if the upload is deep. Directories are only included in
+   *  deep uploads.
+   * @param {Array} directories Directories as provided by walkDirectory(), each with a
+   *  "path" property.
+   * @param {Array} files Files as provided by walkDirectory(), each with "path", "size",
+   *  and "modifiedTime" properties.
+   * @returns {Promise<object>} Resolves with a "directories" list of
+   *  FileSystemUploadDirectory instances, and a "files" list of FileSystemUploadAsset
+   *  instances.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async convertToUploadItems(itemManager, isDeep, directories, files) {
+    const uploadDirectories = [];
+    const uploadFiles = [];
+    if (isDeep) {
+      for (let i = 0; i < directories.length; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        uploadDirectories.push(await itemManager.getDirectory(directories[i].path));
+      }
+    }
+    for (let i = 0; i < files.length; i += 1) {
+      const { path: filePath, size: fileSize, modifiedTime } = files[i];
+      // eslint-disable-next-line no-await-in-loop
+      uploadFiles.push(await itemManager.getAsset(filePath, fileSize, modifiedTime));
+    }
+    return {
+      directories: uploadDirectories,
+      files: uploadFiles,
+    };
+  }
+
+  /**
+   * Removes the assets and folders under the target folder that don't correspond to any
+   * of the local items in the upload. Each item that is found will be added to the upload's
+   * result. No items will be removed if the upload was cancelled, if there were errors
+   * reading the local items, if the upload is a dry run, or if the number of items exceeds
+   * the maximum allowed by the options.
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which items and errors will be added.
+   * @param {object} uploadInformation Local items in the upload.
+   * @param {Set<string>} uploadInformation.targetPaths Full paths in AEM of all local
+   *  directories and files in the upload.
+   * @param {Array} uploadInformation.errors Errors that occurred while reading local items.
+   * @param {import('./direct-binary-upload-process')} uploadProcess The process that
+   *  uploaded the files. No items will be removed while the process is paused.
+   */
+  async mirrorTargetFolder(options, uploadResult, uploadInformation, uploadProcess) {
+    const { targetPaths, errors } = uploadInformation;
+    if (options.isCancelled()) {
+      return;
+    }
+    if (options.getIncludePaths().length) {
+      // every other item would appear to have been removed locally
+      uploadResult.addUploadError(new UploadError('Mirror mode did not remove any items because the upload is limited to include paths', ErrorCodes.INVALID_OPTIONS));
+      return;
+    }
+    if (errors.length) {
+      uploadResult.addUploadError(new UploadError('Mirror mode did not remove any items because there were errors reading local files', ErrorCodes.UNKNOWN));
+      return;
+    }
+
+    const mirror = new FileSystemUploadMirror(this.getOptions(), options);
+    if (mirror.isArchiveInTargetFolder()) {
+      uploadResult.addUploadError(new UploadError('Mirror mode did not remove any items because the archive folder is inside the target folder', ErrorCodes.INVALID_OPTIONS));
+      return;
+    }
+
+    let toRemove;
+    try {
+      toRemove = await mirror.getItemsToRemove(targetPaths, isDeepUpload(options));
+    } catch (e) {
+      uploadResult.addUploadError(e);
+      return;
+    }
+
+    const action = mirror.getAction();
+    const maxRemovals = options.getMaxMirrorRemovals();
+    const canRemove = !options.getMirrorDryRun() && toRemove.length <= maxRemovals;
+    if (!options.getMirrorDryRun() && !canRemove) {
+      uploadResult.addUploadError(new UploadError(`Mirror mode found ${toRemove.length} items to remove, which exceeds the maximum of ${maxRemovals}`, ErrorCodes.TOO_LARGE));
+    }
+
+    for (let i = 0; i < toRemove.length; i += 1) {
+      const { targetPath, isFolder } = toRemove[i];
+      const mirrorItem = {
+        targetPath,
+        isFolder,
+        action,
+        removed: false,
+      };
+      if (action === MirrorActions.ARCHIVE) {
+        mirrorItem.archivePath = mirror.getArchivePath(targetPath);
+      }
+
+      if (canRemove && !options.isCancelled()) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await uploadProcess.waitWhilePaused();
+          if (mirrorItem.archivePath) {
+            // eslint-disable-next-line no-await-in-loop
+            await this.createAemFolderPath(
+              options,
+              uploadResult,
+              Path.posix.dirname(mirrorItem.archivePath),
+            );
+          }
+          // eslint-disable-next-line no-await-in-loop
+          await mirror.removeItem(targetPath);
+          mirrorItem.removed = true;
+        } catch (e) {
+          if (!options.isCancelled()) {
+            uploadResult.addUploadError(UploadError.fromError(e, `Unable to remove ${targetPath}`));
+          }
+        }
+      }
+      uploadResult.addMirrorItem(mirrorItem);
+    }
+  }
+
   /**
    * Given path information for a local path upload, creates all the directories required to
    * complete the upload. The method will iterate all of the paths in the given information,
@@ -247,9 +1173,16 @@ class FileSystemUpload extends DirectBinaryUpload {
    * @param {UploadResult} uploadResult Statistics about the upload process.
    * @param {Array} directories An array of FileSystemUploadDirectory instances for the
    *  directories to be created.
+   * @param {import('./direct-binary-upload-process')} [uploadProcess] If specified, the
+   *  process that will upload the files. No directories will be created while the process
+   *  is paused.
    */
-  async createUploadDirectories(options, uploadResult, directories) {
+  async createUploadDirectories(options, uploadResult, directories, uploadProcess) {
     for (let i = 0; i < directories.length; i += 1) {
+      if (uploadProcess) {
+        // eslint-disable-next-line no-await-in-loop
+        await uploadProcess.waitWhilePaused();
+      }
       // eslint-disable-next-line no-await-in-loop
       await this.createAemFolderFromFileSystemInfo(
         options,
@@ -269,8 +1202,20 @@ class FileSystemUpload extends DirectBinaryUpload {
    *  rejected with an error.
    */
   async createTargetFolder(options, uploadResult) {
-    const targetFolder = options.getTargetFolderPath();
-    const trimmedFolder = trimContentDam(targetFolder);
+    return this.createAemFolderPath(options, uploadResult, options.getTargetFolderPath());
+  }
+
+  /**
+   * Creates a folder and all of its parents if they do not already exist.
+   * @param {import('./direct-binary-upload-options')} options Options controlling how the upload
+   *  process behaves.
+   * @param {UploadResult} uploadResult Various statistics about the upload operation.
+   * @param {string} folderPath Full path of the folder to create.
+   * @returns {Promise} Will be resolved if the folders are created successfully, otherwise will be
+   *  rejected with an error.
+   */
+  async createAemFolderPath(options, uploadResult, folderPath) {
+    const trimmedFolder = trimContentDam(folderPath);
 
     if (trimmedFolder) {
       let currPath = '/content/dam';
@@ -314,14 +1259,26 @@ class FileSystemUpload extends DirectBinaryUpload {
    *  the target folder in the provided options will be used.
    * @param {string} [folderTitle] If specified, the value to use as the title of the folder. If not
    *  specified then the value will be derived from the folder's path.
+   * @param {object} [folderProperties] If specified, additional properties to set on the folder
+   *  when it's created. Properties of a folder that already exists are not changed.
    * @returns {Promise} Will be resolved if the folder is created successfully, otherwise will be
-   *  rejected with an error.
+   *  rejected with an error. The error's code will be USER_CANCELLED if the upload was
+   *  cancelled.
    */
-  async createAemFolder(options, uploadResult, folderPath = '', folderTitle = '') {
+  async createAemFolder(options, uploadResult, folderPath = '', folderTitle = '', folderProperties = {}) {
     const targetFolder = folderPath || options.getTargetFolderPath();
     const trimmedFolder = trimContentDam(targetFolder);
 
-    if (trimmedFolder) {
+    ensureNotCancelled(options);
+
+    const journal = getResumeJournal(options);
+    if (trimmedFolder && journal && journal.hasFolder(targetFolder)) {
+      this.logInfo(`AEM folder '${targetFolder}' was created by a previous upload`);
+      uploadResult.addSkippedItem({
+        targetPath: targetFolder,
+        reason: SkipReasons.JOURNAL,
+      });
+    } else if (trimmedFolder) {
       const folderName = folderTitle || Path.basename(trimmedFolder);
       const createResult = new CreateDirectoryResult(
         this.getOptions(),
@@ -335,6 +1292,7 @@ class FileSystemUpload extends DirectBinaryUpload {
         const { headers: optionHeaders = {} } = options.getHttpOptions();
         const requestOptions = {
           ...options.getHttpOptions(),
+          ...getAbortOptions(options),
           headers: {
             ...optionHeaders,
             'Content-Type': 'application/json',
@@ -343,6 +1301,7 @@ class FileSystemUpload extends DirectBinaryUpload {
           body: JSON.stringify({
             class: 'assetFolder',
             properties: {
+              ...folderProperties,
               'jcr:title': folderName,
             },
           }),
@@ -362,6 +1321,8 @@ class FileSystemUpload extends DirectBinaryUpload {
           targetFolder,
         });
       } catch (e) {
+        // an aborted request is reported as a cancellation instead of a failure
+        ensureNotCancelled(options);
         const uploadError = UploadError.fromError(e);
         createResult.setCreateError(uploadError);
         if (uploadError.code === ErrorCodes.ALREADY_EXISTS) {
@@ -370,6 +1331,9 @@ class FileSystemUpload extends DirectBinaryUpload {
           throw uploadError;
         }
       }
+      if (journal) {
+        journal.addFolder(targetFolder);
+      }
       uploadResult.addCreateDirectoryResult(createResult);
     }
   }
@@ -0,0 +1,312 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('./fs-promise');
+const UploadBase = require('./upload-base');
+const FileSystemUpload = require('./filesystem-upload');
+const FileSystemUploadOptions = require('./filesystem-upload-options');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
+const { ConflictPolicies, SkipReasons } = require('./constants');
+const { streamDirectory, isTempPath } = require('./utils');
+const {
+  isDeepUpload,
+  getMaxFileCount,
+  getUploadFilter,
+  getTempFilter,
+} = require('./filesystem-upload-utils');
+
+/**
+ * Events of the underlying file system upload that are sent to the watcher's consumers.
+ */
+const FORWARDED_EVENTS = [
+  'fileuploadstart',
+  'fileuploadend',
+  'filestart',
+  'fileprogress',
+  'fileend',
+  'fileerror',
+  'filecancelled',
+  'fileskipped',
+  'foldercreated',
+  'batchstart',
+  'batchend',
+];
+
+/**
+ * Retrieves the local paths of the files in a batch that failed to upload. A file failed
+ * unless the upload's result shows that it was uploaded, or that it was intentionally
+ * skipped because it already exists in AEM. Files that the upload dropped before
+ * transferring them, such as files that failed pre-flight validation or the stability
+ * check, are failures too.
+ *
+ * @param {Array<string>} paths Full paths to the local files in the batch.
+ * @param {object} result Upload result, as provided by FileSystemUpload.upload().
+ * @returns {Array<string>} Full paths to the local files that failed.
+ */
+function getFailedPaths(paths, result) {
+  const finishedPaths = new Set();
+  result.detailedResult.forEach(({ filePath, result: fileResult, conflictDecision }) => {
+    if (fileResult ? !fileResult.errors : conflictDecision === ConflictPolicies.SKIP) {
+      finishedPaths.add(filePath);
+    }
+  });
+  (result.skippedItems || []).forEach(({ localPath, reason }) => {
+    if (localPath && reason !== SkipReasons.UNSTABLE) {
+      finishedPaths.add(localPath);
+    }
+  });
+  if (result.sync) {
+    result.sync.unchanged.forEach(({ localPath }) => finishedPaths.add(localPath));
+  }
+  return paths.filter((path) => !finishedPaths.has(path));
+}
+
+/**
+ * Monitors local directories, and uploads new or changed files to the AEM folders that match
+ * their local directories. The directories are checked for changes at a regular interval. A
+ * file is uploaded once it's unchanged between two checks, so that files which are still
+ * being copied aren't uploaded until they're complete. All files that are ready at the same
+ * time are uploaded together, as a batch, using a FileSystemUpload.
+ *
+ * Files that already exist when the watcher starts are uploaded too, unless the options
+ * turn this off. A file that fails to upload stays queued, and is uploaded again with the
+ * next batch until it reaches the options' maximum number of retries.
+ *
+ * The following events are sent by the watcher, in addition to the events of each batch's
+ * FileSystemUpload, such as "filestart", "fileend", and "fileerror":
+ * * watchbatchstart: Sent when a batch of files is about to be uploaded.
+ * * watchbatchend: Sent when a batch of files has finished uploading.
+ */
+class FileSystemWatcher extends UploadBase {
+  /**
+   * Constructs a new watcher that isn't watching any directories yet.
+   *
+   * @param {object} [options] Options controlling the watcher's uploads. See UploadBase.
+   */
+  constructor(options = {}) {
+    super(options);
+    this.fileSystemUpload = new FileSystemUpload(options);
+    FORWARDED_EVENTS.forEach((eventName) => this.fileSystemUpload.on(
+      eventName,
+      (data) => this.sendEvent(eventName, data),
+    ));
+    this.files = new Map();
+    this.changedFiles = new Set();
+    this.failedFiles = new Map();
+    this.batchCount = 0;
+    this.stopped = false;
+  }
+
+  /**
+   * Starts watching a list of local paths. Each directory's files will be uploaded to the
+   * options' target folder in the same way as FileSystemUpload.upload().
+   *
+   * @param {FileSystemUploadOptions} options Controls how files are uploaded. Mirror mode
+   *  and streaming mode are not supported, and will be turned off.
+   * @param {Array<string>} localPaths Local directories or files to watch.
+   * @returns {Promise} Resolves when the existing files have been read, and the watcher
+   *  has started checking for changes. Existing files will be uploaded with the first
+   *  batch, unless the options turn this off.
+   */
+  async start(options, localPaths) {
+    if (this.watchOptions) {
+      throw new UploadError('Watcher has already been started', ErrorCodes.INVALID_OPTIONS);
+    }
+    this.watchOptions = FileSystemUploadOptions.fromOptions(options)
+      .withMirrorMode(false)
+      .withStreamingMode(false);
+    this.localPaths = localPaths;
+    this.files = await this.readFiles();
+    if (this.watchOptions.getWatchUploadExisting()) {
+      this.files.forEach((file, path) => this.changedFiles.add(path));
+    }
+    this.logInfo(`Watching ${localPaths.length} paths containing ${this.files.size} files`);
+    this.scheduleCheck();
+  }
+
+  /**
+   * Stops watching. If a batch is being uploaded, it will be allowed to finish.
+   *
+   * @returns {Promise} Resolves when the watcher has stopped.
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timeout);
+    await this.pendingCheck;
+  }
+
+  /**
+   * Retrieves the number of batches that the watcher has uploaded.
+   *
+   * @returns {number} Number of batches.
+   */
+  getBatchCount() {
+    return this.batchCount;
+  }
+
+  /**
+   * Schedules the next check for changes, unless the watcher has been stopped.
+   */
+  scheduleCheck() {
+    if (this.stopped) {
+      return;
+    }
+    this.timeout = setTimeout(() => {
+      this.pendingCheck = this.check()
+        .catch((e) => this.logError('Unable to check watched paths for changes', e))
+        .then(() => this.scheduleCheck());
+    }, this.watchOptions.getWatchInterval());
+  }
+
+  /**
+   * Reads the files in the watched paths, using the upload's temp file and include or
+   * exclude rules.
+   *
+   * @returns {Promise<Map>} Resolves with information about each file, keyed by the file's
+   *  path. Each value has the "localPath" being watched that contains the file, and a
+   *  "version" that changes whenever the file is modified.
+   */
+  async readFiles() {
+    const options = this.watchOptions;
+    const tempFilter = getTempFilter(options);
+    const walkOptions = {
+      filter: getUploadFilter(options),
+      tempFilter,
+      symlinkPolicy: options.getSymlinkPolicy(),
+    };
+    const files = new Map();
+
+    for (let i = 0; i < this.localPaths.length; i += 1) {
+      const localPath = this.localPaths[i];
+      let stat;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        stat = await fs.stat(localPath);
+      } catch (e) {
+        this.logDebug(`Unable to read watched path ${localPath}: ${e.message}`);
+      }
+
+      if (!stat || isTempPath(localPath, tempFilter)) {
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+      if (stat.isDirectory()) {
+        // eslint-disable-next-line no-await-in-loop
+        await streamDirectory(localPath, isDeepUpload(options), walkOptions, async (contents) => {
+          contents.files.forEach(({ path, size, modifiedTime }) => files.set(path, {
+            localPath,
+            version: `${size}:${modifiedTime}`,
+          }));
+        });
+      } else if (stat.isFile()) {
+        files.set(localPath, { localPath, version: `${stat.size}:${stat.mtimeMs}` });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Checks the watched paths for new or changed files, then uploads the files that have
+   * stopped changing since the previous check.
+   *
+   * @returns {Promise} Resolves when all files that are ready have been uploaded.
+   */
+  async check() {
+    const files = await this.readFiles();
+    const readyFiles = [];
+    files.forEach(({ localPath, version }, path) => {
+      const previous = this.files.get(path);
+      if (!previous || previous.version !== version) {
+        this.changedFiles.add(path);
+        this.failedFiles.delete(path);
+      } else if (this.changedFiles.has(path)) {
+        readyFiles.push({ path, localPath });
+      }
+    });
+    this.changedFiles.forEach((path) => {
+      if (!files.has(path)) {
+        this.changedFiles.delete(path);
+        this.failedFiles.delete(path);
+      }
+    });
+    this.files = files;
+
+    const maxFileCount = getMaxFileCount(this.watchOptions);
+    for (let i = 0; i < readyFiles.length && !this.stopped; i += maxFileCount) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.uploadBatch(readyFiles.slice(i, i + maxFileCount));
+    }
+  }
+
+  /**
+   * Uploads a batch of files that are ready. Each file will be uploaded to the AEM folder
+   * that matches its local directory.
+   *
+   * @param {Array} batchFiles Files to upload, each with the "path" of the file and the
+   *  "localPath" being watched that contains it.
+   * @returns {Promise} Resolves when the batch has finished uploading.
+   */
+  async uploadBatch(batchFiles) {
+    this.batchCount += 1;
+    const paths = batchFiles.map(({ path }) => path);
+    const eventData = {
+      batchNumber: this.batchCount,
+      fileCount: paths.length,
+      localPaths: paths,
+    };
+    this.sendEvent('watchbatchstart', eventData);
+
+    const localPaths = [...new Set(batchFiles.map(({ localPath }) => localPath))];
+    const options = FileSystemUploadOptions.fromOptions(this.watchOptions)
+      .withIncludePaths(paths);
+    const endEventData = { ...eventData };
+    let failedPaths = paths;
+    try {
+      endEventData.result = await this.fileSystemUpload.upload(options, localPaths);
+      failedPaths = getFailedPaths(paths, endEventData.result);
+    } catch (e) {
+      const error = UploadError.fromError(e, 'Unable to upload watched files');
+      this.logError(error.getMessage());
+      endEventData.error = error.toJSON();
+    }
+    this.finishBatchFiles(paths, new Set(failedPaths));
+    this.sendEvent('watchbatchend', endEventData);
+  }
+
+  /**
+   * Removes the files of a batch from the queue of changed files. Files that failed are
+   * kept in the queue so that they're uploaded again, unless they've already been retried
+   * the maximum number of times.
+   *
+   * @param {Array<string>} paths Paths of all the files in the batch.
+   * @param {Set<string>} failedPaths Paths of the files that failed to upload.
+   */
+  finishBatchFiles(paths, failedPaths) {
+    const maxRetries = this.watchOptions.getMaxWatchRetries();
+    paths.forEach((path) => {
+      if (!failedPaths.has(path)) {
+        this.changedFiles.delete(path);
+        this.failedFiles.delete(path);
+        return;
+      }
+      const failures = (this.failedFiles.get(path) || 0) + 1;
+      if (failures > maxRetries) {
+        this.logError(`Giving up on watched file ${path} after ${failures} failed uploads. It will be uploaded again if it changes`);
+        this.changedFiles.delete(path);
+      }
+      this.failedFiles.set(path, failures);
+    });
+  }
+}
+
+module.exports = FileSystemWatcher;
@@ -19,8 +19,13 @@ const unsupportedError = () => {
 };
 
 let stat = unsupportedError;
+let lstat = unsupportedError;
 let readdir = unsupportedError;
+let readFile = unsupportedError;
+let appendFile = unsupportedError;
 let createReadStream = unsupportedError;
+let open = unsupportedError;
+let close = unsupportedError;
 
 // fs module is not supported in browsers
 if (fs) {
@@ -35,6 +40,15 @@ if (fs) {
       res(stats);
     });
   });
+  lstat = (path) => new Promise((res, rej) => {
+    fs.lstat(path, (err, stats) => {
+      if (err) {
+        rej(err);
+        return;
+      }
+      res(stats);
+    });
+  });
   readdir = (path) => new Promise((res, rej) => {
     fs.readdir(path, (err, result) => {
       if (err) {
@@ -44,11 +58,52 @@ if (fs) {
       res(result);
     });
   });
+  readFile = (path, encoding) => new Promise((res, rej) => {
+    fs.readFile(path, encoding, (err, result) => {
+      if (err) {
+        rej(err);
+        return;
+      }
+      res(result);
+    });
+  });
+  appendFile = (path, data) => new Promise((res, rej) => {
+    fs.writeFile(path, data, { flag: 'a' }, (err) => {
+      if (err) {
+        rej(err);
+        return;
+      }
+      res();
+    });
+  });
   createReadStream = fs.createReadStream;
+  open = (path, flags) => new Promise((res, rej) => {
+    fs.open(path, flags, (err, fd) => {
+      if (err) {
+        rej(err);
+        return;
+      }
+      res(fd);
+    });
+  });
+  close = (fd) => new Promise((res, rej) => {
+    fs.close(fd, (err) => {
+      if (err) {
+        rej(err);
+        return;
+      }
+      res();
+    });
+  });
 }
 
 module.exports = {
   stat,
+  lstat,
   readdir,
+  readFile,
+  appendFile,
   createReadStream,
+  open,
+  close,
 };
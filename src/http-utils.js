@@ -14,6 +14,9 @@ const originalFetch = require('node-fetch');
 const { fetchClient } = require('@adobe/cloud-service-client');
 
 const UploadFile = require('./upload-file');
+const UploadError = require('./upload-error');
+const { trimContentDam } = require('./utils');
+const { HttpMethods } = require('./constants');
 
 const fetch = fetchClient(originalFetch, {
   handleCookies: true,
@@ -29,18 +32,161 @@ function submitRequest(url, options = {}) {
   return fetch(url, options);
 }
 
+/**
+ * Retrieves request options that will abort an HTTP request when the upload that the
+ * given options represent is cancelled.
+ * @param {import('./direct-binary-upload-options')} uploadOptions Options whose
+ *  controller will be used.
+ * @returns {object} Raw fetch options with the "signal" of the options' controller, or
+ *  an empty object if the options don't have a controller.
+ */
+function getAbortOptions(uploadOptions) {
+  const controller = uploadOptions.getController();
+  return controller ? { signal: controller.signal } : {};
+}
+
+/**
+ * Determines whether or not an asset exists in AEM, using the Assets HTTP API.
+ * @param {import('./direct-binary-upload-options')} uploadOptions Options whose
+ *  URL and HTTP options will be used to submit the request.
+ * @param {string} assetPath Full path to the asset in AEM. Should not be URL encoded.
+ * @returns {Promise<boolean>} Resolves with true if the asset exists, or false if it
+ *  doesn't. Will be rejected if AEM responds with an unexpected status.
+ */
+async function assetExists(uploadOptions, assetPath) {
+  const assetUrl = `${uploadOptions.getUrlPrefix()}/api/assets${encodeURI(trimContentDam(assetPath))}.json`;
+  const requestOptions = {
+    ...uploadOptions.getHttpOptions(),
+    ...getAbortOptions(uploadOptions),
+    method: HttpMethods.HEAD,
+  };
+  const response = await submitRequest(assetUrl, requestOptions);
+  if (response.ok) {
+    return true;
+  }
+  if (response.status === 404) {
+    return false;
+  }
+  throw UploadError.fromError({
+    response,
+    stack: new Error().stack,
+  });
+}
+
+/**
+ * Determines whether or not a tag exists in AEM. Tags whose IDs don't have a namespace
+ * belong to the default namespace.
+ * @param {import('./direct-binary-upload-options')} uploadOptions Options whose
+ *  URL and HTTP options will be used to submit the request.
+ * @param {string} tagId ID of the tag, such as "brand:summer/2024".
+ * @returns {Promise<boolean>} Resolves with true if the tag exists, or false if it
+ *  doesn't. Will be rejected if AEM responds with an unexpected status.
+ */
+async function tagExists(uploadOptions, tagId) {
+  const separator = tagId.indexOf(':');
+  const namespace = separator >= 0 ? tagId.substring(0, separator) : 'default';
+  const tagPath = `${namespace}/${tagId.substring(separator + 1)}`.replace(/\/+$/, '');
+  const tagUrl = `${uploadOptions.getUrlPrefix()}/content/cq:tags/${encodeURI(tagPath)}.json`;
+  const requestOptions = {
+    ...uploadOptions.getHttpOptions(),
+    ...getAbortOptions(uploadOptions),
+    method: HttpMethods.HEAD,
+  };
+  const response = await submitRequest(tagUrl, requestOptions);
+  if (response.ok) {
+    return true;
+  }
+  if (response.status === 404) {
+    return false;
+  }
+  throw UploadError.fromError({
+    response,
+    stack: new Error().stack,
+  });
+}
+
+/**
+ * Retrieves the metadata of an asset in AEM, using the Assets HTTP API.
+ * @param {import('./direct-binary-upload-options')} uploadOptions Options whose
+ *  URL and HTTP options will be used to submit the request.
+ * @param {string} assetPath Full path to the asset in AEM. Should not be URL encoded.
+ * @returns {Promise<object>} Resolves with a simple object containing the properties of
+ *  the asset's jcr:content/metadata node. Will be rejected if AEM responds with an
+ *  unsuccessful status.
+ */
+async function getAssetMetadata(uploadOptions, assetPath) {
+  const assetUrl = `${uploadOptions.getUrlPrefix()}/api/assets${encodeURI(trimContentDam(assetPath))}.json`;
+  const requestOptions = {
+    ...uploadOptions.getHttpOptions(),
+    ...getAbortOptions(uploadOptions),
+  };
+  const response = await submitRequest(assetUrl, requestOptions);
+  if (!response.ok) {
+    throw UploadError.fromError({
+      response,
+      stack: new Error().stack,
+    });
+  }
+  const { properties = {} } = await response.json();
+  return properties.metadata || {};
+}
+
+/**
+ * Updates the metadata of an asset in AEM, using the Assets HTTP API. The given properties
+ * will be set on the asset's jcr:content/metadata node. Existing properties that aren't
+ * provided will be left unchanged.
+ * @param {import('./direct-binary-upload-options')} uploadOptions Options whose
+ *  URL and HTTP options will be used to submit the request.
+ * @param {string} assetPath Full path to the asset in AEM. Should not be URL encoded.
+ * @param {object} properties Simple object whose keys are property names, such as
+ *  "dc:title", and whose values are the properties' values.
+ * @returns {Promise<*>} Resolves with the response to the request when the metadata has
+ *  been updated. Will be rejected if AEM responds with an unsuccessful status.
+ */
+async function updateAssetMetadata(uploadOptions, assetPath, properties) {
+  const assetUrl = `${uploadOptions.getUrlPrefix()}/api/assets${encodeURI(trimContentDam(assetPath))}`;
+  const { headers = {} } = uploadOptions.getHttpOptions();
+  const requestOptions = {
+    ...uploadOptions.getHttpOptions(),
+    ...getAbortOptions(uploadOptions),
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+    },
+    method: HttpMethods.PUT,
+    body: JSON.stringify({
+      class: 'asset',
+      properties,
+    }),
+  };
+  const response = await submitRequest(assetUrl, requestOptions);
+  if (!response.ok) {
+    throw UploadError.fromError({
+      response,
+      stack: new Error().stack,
+    });
+  }
+  return response;
+}
+
 /**
  * Converts options provided in a DirectBinaryUploadOptions instance to a format
  * suitable to pass to the httptransfer module.
  * @param {object} options General upload object options.
  * @param {import('./direct-binary-upload-options')} directBinaryUploadOptions Options
  *  to convert.
+ * @param {Array} [uploadFiles] Files to include in the transfer options. Defaults to
+ *  the upload files of the given options.
  */
-function getHttpTransferOptions(options, directBinaryUploadOptions) {
+function getHttpTransferOptions(
+  options,
+  directBinaryUploadOptions,
+  uploadFiles = directBinaryUploadOptions.getUploadFiles(),
+) {
   // the httptransfer module accepts a full fileUrl instead of a single
   // url with individual file names. if needed, convert the format with a
   // single url and individual file names to the fileUrl format.
-  const convertedFiles = directBinaryUploadOptions.getUploadFiles().map((uploadFile) => {
+  const convertedFiles = uploadFiles.map((uploadFile) => {
     const uploadFileInstance = new UploadFile(options, directBinaryUploadOptions, uploadFile);
     const transferOptions = uploadFileInstance.toJSON();
     if (uploadFile.blob) {
@@ -51,7 +197,11 @@ function getHttpTransferOptions(options, directBinaryUploadOptions) {
   });
 
   let headers = {};
-  const requestOptions = { ...directBinaryUploadOptions.getHttpOptions() };
+  // aborting the controller will abort any of the transfer's in-progress requests
+  const requestOptions = {
+    ...directBinaryUploadOptions.getHttpOptions(),
+    ...getAbortOptions(directBinaryUploadOptions),
+  };
   if (requestOptions.headers) {
     // passing raw request options to node-httptransfer is somewhat limited because the
     // options will be used by init/complete requests to AEM, and inidividual part
@@ -88,5 +238,10 @@ function getHttpTransferOptions(options, directBinaryUploadOptions) {
 
 module.exports = {
   submitRequest,
+  getAbortOptions,
+  assetExists,
+  tagExists,
+  getAssetMetadata,
+  updateAssetMetadata,
   getHttpTransferOptions,
 };
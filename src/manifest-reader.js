@@ -0,0 +1,381 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const Path = require('path');
+const yaml = require('js-yaml');
+
+const fs = require('./fs-promise');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
+
+/**
+ * File extensions of the manifests that can be read.
+ */
+const MANIFEST_EXTENSIONS = ['.csv', '.json', '.yaml', '.yml'];
+
+/**
+ * Columns of a manifest that describe the upload instead of the asset's metadata, keyed by
+ * their normalized names. The value of each is the name of the row property that the
+ * column's value will be stored in.
+ */
+const RESERVED_COLUMNS = {
+  localpath: 'localPath',
+  targetpath: 'targetPath',
+};
+
+/**
+ * Columns of a manifest whose values are applied to a metadata property with a different
+ * name, keyed by their normalized names.
+ */
+const METADATA_COLUMNS = {
+  title: 'dc:title',
+};
+
+/**
+ * Properties that may be provided for a folder in a structured manifest, and the type of
+ * each property's value.
+ */
+const FOLDER_FIELDS = {
+  path: 'string',
+  title: 'string',
+  properties: 'object',
+  files: 'array',
+  folders: 'array',
+};
+
+/**
+ * Properties that may be provided for a file in a structured manifest, and the type of
+ * each property's value.
+ */
+const FILE_FIELDS = {
+  localPath: 'string',
+  name: 'string',
+  replace: 'boolean',
+  createVersion: 'boolean',
+  versionLabel: 'string',
+  versionComment: 'string',
+  metadata: 'object',
+  tags: 'array',
+};
+
+/**
+ * Normalizes the name of a column so that spreadsheet-style headers, such as "Local Path"
+ * or "local_path", match the manifest's reserved columns.
+ *
+ * @param {string} name Name of the column, as it appears in the manifest.
+ * @returns {string} The normalized name.
+ */
+function normalizeColumnName(name) {
+  return name.toLowerCase().replace(/[\s_-]/g, '');
+}
+
+/**
+ * Parses CSV content into records. Fields may be quoted with double quotes, in which case
+ * they may contain commas, line breaks, and escaped double quotes ("").
+ *
+ * @param {string} content CSV content to parse.
+ * @returns {Array<object>} Each of the records in the content, with the "line" number
+ *  where the record begins, and the record's "values".
+ */
+function parseCsv(content) {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 0;
+
+  const endRecord = () => {
+    values.push(value);
+    records.push({ line: recordLine, values });
+    values = [];
+    value = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        value += char;
+      }
+    } else if (char === '"' && !value.trim()) {
+      quoted = true;
+      quoteLine = line;
+      value = '';
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new UploadError(`Quoted value beginning on line ${quoteLine} is never closed`, ErrorCodes.INVALID_MANIFEST);
+  }
+  if (values.length || value) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * Reads the rows of a CSV manifest. The first record contains the names of the columns,
+ * and each following record is a row describing a file to upload. The "localPath" and
+ * "targetPath" columns are required. The "title" column is applied to the asset's
+ * "dc:title" property, and any other column is applied to the metadata property of the
+ * same name.
+ *
+ * @param {string} content Content of the manifest.
+ * @returns {Array<object>} Each of the manifest's rows, with the "line" number where the row
+ *  begins, its "localPath" and "targetPath", and the "metadata" properties to apply to its
+ *  asset. Rows that can't be used will have an "error".
+ */
+function readCsvManifest(content) {
+  const records = parseCsv(content)
+    .filter(({ values }) => values.some((value) => value.trim()));
+  if (!records.length) {
+    return [];
+  }
+
+  const [header, ...rowRecords] = records;
+  const columns = header.values.map((name) => {
+    const trimmed = name.trim();
+    const normalized = normalizeColumnName(trimmed);
+    return {
+      name: trimmed,
+      property: RESERVED_COLUMNS[normalized],
+      metadata: METADATA_COLUMNS[normalized] || trimmed,
+    };
+  });
+
+  const names = new Set();
+  columns.forEach(({ name, property, metadata }) => {
+    const key = property || metadata;
+    if (!name) {
+      throw new UploadError(`Column names on line ${header.line} must not be empty`, ErrorCodes.INVALID_MANIFEST);
+    }
+    if (names.has(key)) {
+      throw new UploadError(`Column '${name}' on line ${header.line} is a duplicate`, ErrorCodes.INVALID_MANIFEST);
+    }
+    names.add(key);
+  });
+  Object.values(RESERVED_COLUMNS).forEach((property) => {
+    if (!names.has(property)) {
+      throw new UploadError(`Manifest is missing required column '${property}'`, ErrorCodes.INVALID_MANIFEST);
+    }
+  });
+
+  return rowRecords.map(({ line, values }) => {
+    const row = { line, metadata: {} };
+    values.forEach((rawValue, index) => {
+      const value = rawValue.trim();
+      if (index >= columns.length || !value) {
+        return;
+      }
+      const { property, metadata } = columns[index];
+      if (property) {
+        row[property] = value;
+      } else {
+        row.metadata[metadata] = value;
+      }
+    });
+    if (values.length > columns.length) {
+      row.error = new UploadError(`Row on line ${line} has ${values.length} values, but the manifest only has ${columns.length} columns`, ErrorCodes.INVALID_MANIFEST);
+    }
+    return row;
+  });
+}
+
+/**
+ * Retrieves the type of a value in a structured manifest, as it's named in FOLDER_FIELDS
+ * and FILE_FIELDS.
+ *
+ * @param {*} value Value whose type will be retrieved.
+ * @returns {string} The value's type.
+ */
+function getFieldType(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Verifies that an item in a structured manifest is an object, and that each of its
+ * properties is known and has a value of the correct type.
+ *
+ * @param {*} item Item to validate.
+ * @param {object} fields The properties that the item may have, and their types.
+ * @param {string} location Location of the item in the manifest, used in error messages.
+ */
+function validateFields(item, fields, location) {
+  if (getFieldType(item) !== 'object') {
+    throw new UploadError(`Item at ${location} must be an object`, ErrorCodes.INVALID_MANIFEST);
+  }
+  Object.keys(item).forEach((name) => {
+    if (!fields[name]) {
+      throw new UploadError(`Unknown property '${name}' in item at ${location}`, ErrorCodes.INVALID_MANIFEST);
+    }
+    const type = getFieldType(item[name]);
+    if (type !== fields[name]) {
+      throw new UploadError(`Property '${name}' in item at ${location} must be of type ${fields[name]}, but was ${type}`, ErrorCodes.INVALID_MANIFEST);
+    }
+  });
+}
+
+/**
+ * Joins a path in AEM to the path of its parent folder. Paths that begin with a slash are
+ * absolute, and are used as-is.
+ *
+ * @param {string} parentPath Path of the parent folder. Will be empty for items at the
+ *  root of the manifest.
+ * @param {string} path Path to join.
+ * @returns {string} The joined path.
+ */
+function joinTargetPath(parentPath, path) {
+  if (!parentPath || path.startsWith('/')) {
+    return path;
+  }
+  return `${parentPath}/${path}`;
+}
+
+/**
+ * Reads the rows of a structured manifest, such as one provided as JSON or YAML. The
+ * manifest is an object with "files" to upload to the upload's target folder, and
+ * "folders" to create. Each folder has a "path", an optional "title" and "properties",
+ * and its own "files" and "folders". Each file has a "localPath", an optional "name" for
+ * its asset, "metadata" to apply to its asset, and the "replace", "createVersion",
+ * "versionLabel", "versionComment", and "tags" options of an UploadFile.
+ *
+ * @param {object} manifest The parsed manifest.
+ * @returns {object} The manifest's "rows", in the same format as readCsvManifest() except
+ *  that each row has a "location" in the manifest instead of a line number, and may have
+ *  "fileOptions" for its UploadFile. Also has the manifest's "folders", each with its
+ *  "location", "path", and optional "title" and "properties".
+ */
+function readStructuredManifest(manifest) {
+  const rows = [];
+  const folders = [];
+
+  const readFolder = (folder, folderPath, location) => {
+    const prefix = location ? `${location}.` : '';
+    (folder.files || []).forEach((file, index) => {
+      const fileLocation = `${prefix}files[${index}]`;
+      validateFields(file, FILE_FIELDS, fileLocation);
+      const {
+        localPath,
+        name,
+        metadata = {},
+        ...fileOptions
+      } = file;
+      const row = {
+        location: fileLocation,
+        localPath,
+        metadata,
+        fileOptions,
+      };
+      if (localPath) {
+        row.targetPath = joinTargetPath(folderPath, name || Path.basename(localPath));
+      }
+      rows.push(row);
+    });
+
+    (folder.folders || []).forEach((childFolder, index) => {
+      const childLocation = `${prefix}folders[${index}]`;
+      validateFields(childFolder, FOLDER_FIELDS, childLocation);
+      if (!childFolder.path) {
+        throw new UploadError(`Folder at ${childLocation} is missing a path`, ErrorCodes.INVALID_MANIFEST);
+      }
+      const childPath = joinTargetPath(folderPath, childFolder.path.replace(/\/+$/, ''));
+      folders.push({
+        location: childLocation,
+        path: childPath,
+        title: childFolder.title,
+        properties: childFolder.properties,
+      });
+      readFolder(childFolder, childPath, childLocation);
+    });
+  };
+
+  validateFields(manifest, { files: 'array', folders: 'array' }, 'the root');
+  readFolder(manifest, '', '');
+  return { rows, folders };
+}
+
+/**
+ * Parses the content of a manifest based on the manifest's file extension.
+ *
+ * @param {string} extension Lowercase file extension of the manifest.
+ * @param {string} content Content of the manifest.
+ * @returns {object} The manifest's "rows" and "folders".
+ */
+function parseManifest(extension, content) {
+  if (extension === '.csv') {
+    return { rows: readCsvManifest(content), folders: [] };
+  }
+  if (extension === '.json') {
+    return readStructuredManifest(JSON.parse(content));
+  }
+  return readStructuredManifest(yaml.load(content));
+}
+
+/**
+ * Reads an upload manifest, which lists local files to upload, the path in AEM to which
+ * each file will be uploaded, and metadata to apply to each file's asset. Manifests may be
+ * CSV files, or JSON or YAML files that describe a tree of folders.
+ *
+ * @param {string} manifestPath Full path to the manifest file.
+ * @returns {Promise<object>} Resolves with the manifest's "rows", and the "folders" that
+ *  it describes. See readCsvManifest() and readStructuredManifest().
+ */
+async function readManifest(manifestPath) {
+  const extension = Path.extname(manifestPath).toLowerCase();
+  if (!MANIFEST_EXTENSIONS.includes(extension)) {
+    throw new UploadError(`Manifest ${manifestPath} must be a CSV, JSON, or YAML file`, ErrorCodes.INVALID_MANIFEST);
+  }
+
+  let content;
+  try {
+    content = String(await fs.readFile(manifestPath));
+  } catch (e) {
+    throw new UploadError(`Unable to read manifest ${manifestPath}: ${e.message}`, ErrorCodes.FILE_NOT_READABLE);
+  }
+
+  try {
+    return parseManifest(extension, content);
+  } catch (e) {
+    throw new UploadError(`Manifest ${manifestPath} is invalid: ${e.message}`, ErrorCodes.INVALID_MANIFEST);
+  }
+}
+
+module.exports = {
+  parseCsv,
+  readManifest,
+};
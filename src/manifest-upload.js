@@ -0,0 +1,366 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const Path = require('path');
+
+const fs = require('./fs-promise');
+const FileSystemUpload = require('./filesystem-upload');
+const FileSystemUploadOptions = require('./filesystem-upload-options');
+const UploadResult = require('./upload-result');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
+const UploadTags = require('./upload-tags');
+const { readManifest } = require('./manifest-reader');
+const { updateAssetMetadata } = require('./http-utils');
+const {
+  concurrentLoop,
+  ignoreCancelled,
+  trimContentDam,
+  getTargetPath,
+} = require('./utils');
+
+/**
+ * Retrieves the full path in AEM of an item in a manifest. Paths that don't begin with a
+ * slash are relative to the upload's target folder.
+ *
+ * @param {FileSystemUploadOptions} options Options for the upload.
+ * @param {string} targetPath Path of the item, as provided in the manifest.
+ * @returns {string} Full path to the item.
+ */
+function resolveTargetPath(options, targetPath) {
+  if (targetPath.startsWith('/')) {
+    return Path.posix.normalize(targetPath);
+  }
+  return Path.posix.normalize(`${options.getTargetFolderPath()}/${targetPath}`);
+}
+
+/**
+ * Retrieves the full path in AEM of a manifest row's asset. Target paths that end with a
+ * slash are folders, to which the local file's name will be added.
+ *
+ * @param {FileSystemUploadOptions} options Options for the upload.
+ * @param {object} row Row from the manifest.
+ * @returns {string} Full path to the asset.
+ */
+function getAssetPath(options, row) {
+  let { targetPath } = row;
+  if (targetPath.endsWith('/')) {
+    targetPath += Path.basename(row.localPath);
+  }
+  return resolveTargetPath(options, targetPath);
+}
+
+/**
+ * Retrieves the given folders, and each of their ancestors below /content/dam, in the
+ * order that they must be created.
+ *
+ * @param {Array<string>} paths Full paths to folders in AEM.
+ * @returns {Array<string>} Full paths to the folders, with each folder's ancestors before
+ *  the folder itself.
+ */
+function getFolderPaths(paths) {
+  const folderPaths = new Set();
+  paths.forEach((path) => {
+    let folderPath = path;
+    while (trimContentDam(folderPath) && folderPath !== '/') {
+      folderPaths.add(folderPath);
+      folderPath = Path.posix.dirname(folderPath);
+    }
+  });
+  return [...folderPaths].sort();
+}
+
+/**
+ * Retrieves the location of a row in its manifest, for use in messages. Rows from CSV
+ * manifests have line numbers, and rows from structured manifests have locations such as
+ * "folders[0].files[1]".
+ *
+ * @param {object} row Row from the manifest.
+ * @returns {string} The row's location.
+ */
+function getRowReference(row) {
+  return row.line ? `line ${row.line}` : row.location;
+}
+
+/**
+ * Retrieves the properties that identify a row of a manifest in the upload's result.
+ *
+ * @param {object} row Row from the manifest.
+ * @returns {object} Either the row's "line" number, or its "location" in the manifest.
+ */
+function getRowResultInfo(row) {
+  return row.line ? { line: row.line } : { location: row.location };
+}
+
+/**
+ * Uploads the files listed in an upload manifest, such as a CSV file prepared in a
+ * spreadsheet, or a JSON or YAML file describing a tree of folders. Each row of the manifest
+ * provides the local path of a file, the path in AEM to which the file will be uploaded,
+ * and metadata that will be applied to the file's asset once it's uploaded.
+ *
+ * Rows that can't be uploaded, for example because their local file doesn't exist, are
+ * reported in the upload's result with their line numbers or locations in the manifest,
+ * and the remaining rows are uploaded.
+ */
+class ManifestUpload extends FileSystemUpload {
+  /**
+   * Reads an upload manifest, creates the AEM folders that it describes or that its rows
+   * will be uploaded to, then uploads the file of each valid row and applies the row's
+   * metadata to its asset.
+   *
+   * @param {import('./direct-binary-upload-options')} options Controls how the upload process
+   *  behaves. Target paths in the manifest that aren't absolute are relative to the options'
+   *  target folder.
+   * @param {string} manifestPath Path to the manifest file. Local paths in the manifest that
+   *  aren't absolute are relative to the folder containing the manifest.
+   * @returns {Promise} Will be resolved when all the files have been uploaded. The data
+   *  passed in successful resolution will be an UploadResult as JSON.
+   */
+  async upload(options, manifestPath) {
+    const manifestOptions = FileSystemUploadOptions.fromOptions(options);
+    const uploadResult = new UploadResult(this.getOptions(), manifestOptions);
+    const journal = manifestOptions.getResumeJournal();
+    if (journal) {
+      await journal.load();
+    }
+
+    const manifest = await readManifest(manifestPath);
+    const rows = await this.getValidRows(
+      manifestOptions,
+      uploadResult,
+      Path.dirname(Path.resolve(manifestPath)),
+      manifest.rows,
+    );
+    this.logInfo(`Manifest ${manifestPath} contains ${rows.length} valid rows, and ${uploadResult.getInvalidRows().length} invalid rows`);
+
+    const uploadFiles = await this.removeUnchangedFiles(
+      manifestOptions,
+      uploadResult,
+      await this.removeInvalidFiles(
+        manifestOptions,
+        uploadResult,
+        this.removeJournaledFiles(
+          manifestOptions,
+          uploadResult,
+          rows.map((row) => this.convertToUploadFile(manifestOptions, row)),
+        ),
+      ),
+    );
+    const folders = new Map();
+    manifest.folders.forEach(({ path, title, properties }) => folders.set(
+      resolveTargetPath(manifestOptions, path),
+      { title, properties },
+    ));
+    const folderPaths = getFolderPaths([
+      ...folders.keys(),
+      ...uploadFiles.map(({ fileUrl }) => Path.posix.dirname(getTargetPath(fileUrl))),
+    ]);
+
+    // renamed files are tracked by their original target, which is the row's asset path
+    const uploadedTargets = new Map();
+    const uploadProcess = this.createUploadProcess(manifestOptions, uploadFiles);
+    const uploadTags = new UploadTags(this.getOptions(), manifestOptions);
+    uploadTags.addUploadFiles(uploadFiles);
+    uploadProcess.on('fileend', (data) => {
+      const { targetFile, originalTargetFile } = data;
+      uploadedTargets.set(originalTargetFile || targetFile, targetFile);
+      uploadTags.addUploadedFile(data);
+    });
+
+    this.beforeUploadProcess(uploadProcess, folderPaths.length);
+    await ignoreCancelled(this.createManifestFolders(
+      manifestOptions,
+      uploadResult,
+      folderPaths,
+      folders,
+    ));
+
+    if (uploadFiles.length) {
+      this.logInfo(`Uploading ${uploadFiles.length} files`);
+      await this.executeUploadProcess(uploadProcess, uploadResult);
+    } else if (manifestOptions.isCancelled()) {
+      uploadResult.addUploadError(new UploadError('Upload was cancelled by the user', ErrorCodes.USER_CANCELLED));
+    } else {
+      this.logInfo('No files to upload found in manifest, skipping upload.');
+    }
+
+    const uploadedRows = rows
+      .filter(({ assetPath }) => uploadedTargets.has(assetPath))
+      .map((row) => ({ ...row, assetPath: uploadedTargets.get(row.assetPath) }));
+    await this.applyManifestMetadata(manifestOptions, uploadResult, uploadedRows);
+    await this.applyUploadTags(manifestOptions, uploadResult, uploadTags);
+    await this.finishUpload(manifestOptions, uploadResult, uploadProcess, folderPaths.length);
+    return uploadResult.toJSON();
+  }
+
+  /**
+   * Validates the rows of a manifest. Rows that are invalid are added to the upload's
+   * result, and won't be uploaded.
+   *
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which invalid rows will be added.
+   * @param {string} manifestDirectory Full path to the folder containing the manifest.
+   * @param {Array<object>} rows Rows as read from the manifest.
+   * @returns {Promise<Array<object>>} Resolves with the rows that are valid. Each row will
+   *  have the full "localPath" of its file, the file's "fileSize" and "modifiedTime", and
+   *  the full "assetPath" of its asset.
+   */
+  async getValidRows(options, uploadResult, manifestDirectory, rows) {
+    const validatedRows = [];
+    await concurrentLoop(rows, options.getMaxConcurrent(), async (row, index) => {
+      validatedRows[index] = await this.validateRow(options, manifestDirectory, row);
+    });
+
+    const assetPaths = new Map();
+    return validatedRows.filter((row) => {
+      const { assetPath } = row;
+      let { error } = row;
+      if (!error && assetPaths.has(assetPath)) {
+        error = new UploadError(`Manifest row at ${getRowReference(row)} has the same target path as the row at ${getRowReference(assetPaths.get(assetPath))}`, ErrorCodes.INVALID_MANIFEST);
+      }
+      if (error) {
+        this.logWarn(error.getMessage());
+        uploadResult.addInvalidRow({
+          ...getRowResultInfo(row),
+          localPath: row.localPath,
+          targetPath: assetPath || row.targetPath,
+          error,
+        });
+        return false;
+      }
+      assetPaths.set(assetPath, row);
+      return true;
+    });
+  }
+
+  /**
+   * Validates a single row of a manifest, ensuring that it has a target path that resolves
+   * to an asset under /content/dam, and a local file that exists.
+   *
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {string} manifestDirectory Full path to the folder containing the manifest.
+   * @param {object} row Row as read from the manifest.
+   * @returns {Promise<object>} Resolves with a copy of the row, with its full "localPath"
+   *  and "assetPath", and its "fileSize" and "modifiedTime". If the row is invalid, the
+   *  copy will have an "error" describing why.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async validateRow(options, manifestDirectory, row) {
+    const reference = getRowReference(row);
+    if (row.error) {
+      return row;
+    }
+    if (!row.localPath) {
+      return { ...row, error: new UploadError(`Manifest row at ${reference} is missing a local path`, ErrorCodes.INVALID_MANIFEST) };
+    }
+    const localPath = Path.resolve(manifestDirectory, row.localPath);
+    if (!row.targetPath) {
+      return { ...row, localPath, error: new UploadError(`Manifest row at ${reference} is missing a target path`, ErrorCodes.INVALID_MANIFEST) };
+    }
+
+    const assetPath = getAssetPath(options, row);
+    if (!assetPath.startsWith('/content/dam/')) {
+      return { ...row, localPath, error: new UploadError(`Manifest row at ${reference} has target path ${row.targetPath}, which is not under /content/dam`, ErrorCodes.INVALID_MANIFEST) };
+    }
+
+    const validatedRow = { ...row, localPath, assetPath };
+    try {
+      const stat = await fs.stat(localPath);
+      if (!stat.isFile()) {
+        validatedRow.error = new UploadError(`Manifest row at ${reference} has local path ${localPath}, which is not a file`, ErrorCodes.INVALID_MANIFEST);
+      }
+      validatedRow.fileSize = stat.size;
+      validatedRow.modifiedTime = stat.mtimeMs;
+    } catch (e) {
+      validatedRow.error = new UploadError(`Manifest row at ${reference} has local path ${localPath}, which can't be read: ${e.message}`, ErrorCodes.FILE_NOT_READABLE);
+    }
+    return validatedRow;
+  }
+
+  /**
+   * Converts a valid manifest row to an UploadFile item, ready for use in upload options.
+   * File options provided by the row, such as "replace", override those of the upload.
+   *
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {object} row Row that was validated by getValidRows().
+   * @returns {object} File ready for use with DirectBinaryUploadOptions.withUploadFiles().
+   */
+  // eslint-disable-next-line class-methods-use-this
+  convertToUploadFile(options, row) {
+    const encodedPath = row.assetPath
+      .split('/')
+      .map((segment) => encodeURIComponent(segment))
+      .join('/');
+    return {
+      ...options.getUploadFileOptions(),
+      ...row.fileOptions,
+      fileUrl: `${options.getUrlPrefix()}${encodedPath}`,
+      filePath: row.localPath,
+      fileSize: row.fileSize,
+      modifiedTime: row.modifiedTime,
+    };
+  }
+
+  /**
+   * Creates the folders in AEM that the manifest describes, and that the manifest's files
+   * will be uploaded to.
+   *
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which created folders will be added.
+   * @param {Array<string>} folderPaths Full paths to the folders to create, with each
+   *  folder's ancestors before the folder itself.
+   * @param {Map} folders The "title" and "properties" of folders described by the
+   *  manifest, keyed by each folder's full path.
+   * @returns {Promise} Resolves when the folders have been created.
+   */
+  async createManifestFolders(options, uploadResult, folderPaths, folders) {
+    for (let i = 0; i < folderPaths.length; i += 1) {
+      const { title, properties } = folders.get(folderPaths[i]) || {};
+      // eslint-disable-next-line no-await-in-loop
+      await this.createAemFolder(options, uploadResult, folderPaths[i], title, properties);
+    }
+  }
+
+  /**
+   * Applies the metadata from each uploaded row of the manifest to the row's asset. Rows
+   * without metadata are ignored.
+   *
+   * @param {FileSystemUploadOptions} options Options for the upload.
+   * @param {UploadResult} uploadResult Result to which the outcome for each asset will be
+   *  added.
+   * @param {Array<object>} uploadedRows Rows whose files were uploaded, with the full
+   *  "assetPath" of each file's asset.
+   * @returns {Promise} Resolves when the metadata has been applied.
+   */
+  async applyManifestMetadata(options, uploadResult, uploadedRows) {
+    if (options.isCancelled()) {
+      return;
+    }
+    const rows = uploadedRows.filter(({ metadata }) => Object.keys(metadata).length);
+    const results = [];
+    await concurrentLoop(rows, options.getMaxConcurrent(), async (row, index) => {
+      const { assetPath, metadata } = row;
+      const result = { ...getRowResultInfo(row), targetPath: assetPath };
+      try {
+        await updateAssetMetadata(options, assetPath, metadata);
+        this.logInfo(`Applied manifest metadata to '${assetPath}'`);
+      } catch (e) {
+        result.error = UploadError.fromError(e, `Unable to apply manifest metadata to ${assetPath}`);
+        this.logWarn(result.error.getMessage());
+      }
+      results[index] = result;
+    });
+    results.forEach((result) => uploadResult.addManifestMetadata(result));
+  }
+}
+
+module.exports = ManifestUpload;
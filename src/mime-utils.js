@@ -0,0 +1,141 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const mime = require('mime');
+
+const fs = require('./fs-promise');
+
+const HEADER_LENGTH = 512;
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+/**
+ * Magic byte signatures of common file types. Each signature's bytes must appear at its
+ * offset for a file to be the signature's type.
+ */
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', bytes: 'GIF87a' },
+  { mimeType: 'image/gif', bytes: 'GIF89a' },
+  { mimeType: 'image/webp', bytes: 'WEBP', offset: 8 },
+  { mimeType: 'audio/wav', bytes: 'WAVE', offset: 8 },
+  { mimeType: 'video/x-msvideo', bytes: 'AVI ', offset: 8 },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2A, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x4D, 0x4D, 0x00, 0x2A] },
+  { mimeType: 'image/bmp', bytes: 'BM' },
+  { mimeType: 'image/vnd.adobe.photoshop', bytes: '8BPS' },
+  { mimeType: 'application/pdf', bytes: '%PDF-' },
+  { mimeType: 'application/postscript', bytes: '%!PS' },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { mimeType: 'audio/mpeg', bytes: 'ID3' },
+  { mimeType: 'audio/mpeg', bytes: [0xFF, 0xFB] },
+  { mimeType: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+];
+
+/**
+ * Mime types of ISO base media files, keyed by the major brand in the file's "ftyp" box.
+ */
+const FTYP_BRANDS = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  avif: 'image/avif',
+  'qt  ': 'video/quicktime',
+};
+
+/**
+ * Retrieves a value indicating whether a file's header matches a signature.
+ * @param {Buffer} header The first bytes of the file.
+ * @param {object} signature Signature from SIGNATURES.
+ * @returns {boolean} True if the header matches.
+ */
+function matchesSignature(header, { bytes, offset = 0 }) {
+  const signatureBytes = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : bytes;
+  if (header.length < offset + signatureBytes.length) {
+    return false;
+  }
+  for (let i = 0; i < signatureBytes.length; i += 1) {
+    if (header[offset + i] !== signatureBytes[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Determines the mime type of a file from the first bytes of its content.
+ * @param {Buffer} header The first bytes of the file.
+ * @returns {string} The file's mime type, or undefined if it can't be determined.
+ */
+function getMimeTypeFromHeader(header) {
+  const signature = SIGNATURES.find((candidate) => matchesSignature(header, candidate));
+  if (signature) {
+    return signature.mimeType;
+  }
+
+  if (header.length >= 12 && header.toString('latin1', 4, 8) === 'ftyp') {
+    return FTYP_BRANDS[header.toString('latin1', 8, 12)] || 'video/mp4';
+  }
+
+  const text = header.toString('utf8').trimStart();
+  if (text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg'))) {
+    return 'image/svg+xml';
+  }
+  return undefined;
+}
+
+/**
+ * Reads the first bytes of a file.
+ * @param {string} filePath Full path to the file.
+ * @returns {Promise<Buffer>} Resolves with up to HEADER_LENGTH bytes.
+ */
+function readHeader(filePath) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    fs.createReadStream(filePath, { start: 0, end: HEADER_LENGTH - 1 })
+      .on('data', (chunk) => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Determines the mime type of a local file by examining its content. If the content
+ * doesn't match any of the known file types, the type will be based on the file's
+ * extension instead.
+ * @param {string} filePath Full path to the file.
+ * @returns {Promise<string>} Resolves with the file's mime type. Will be
+ *  application/octet-stream if the type can't be determined.
+ */
+async function sniffMimeType(filePath) {
+  const mimeType = getMimeTypeFromHeader(await readHeader(filePath));
+  return mimeType || mime.getType(filePath) || DEFAULT_MIME_TYPE;
+}
+
+/**
+ * Retrieves a value indicating whether a mime type matches a pattern.
+ * @param {string} mimeType The mime type to check.
+ * @param {string} pattern A mime type, or a type with a wildcard subtype, such as "image/*".
+ * @returns {boolean} True if the mime type matches.
+ */
+function matchesMimeType(mimeType, pattern) {
+  const normalized = String(pattern).toLowerCase();
+  if (normalized.endsWith('/*')) {
+    return mimeType.startsWith(normalized.substr(0, normalized.length - 1));
+  }
+  return mimeType === normalized;
+}
+
+module.exports = {
+  sniffMimeType,
+  matchesMimeType,
+};
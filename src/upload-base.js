@@ -99,7 +99,7 @@ class UploadBase extends EventEmitter {
   getUploadEventData(uploadProcess, directoryCount = 0) {
     return {
       uploadId: uploadProcess.getUploadId(),
-      fileCount: uploadProcess.getUploadOptions().getUploadFiles().length,
+      fileCount: uploadProcess.getFileCount(),
       totalSize: uploadProcess.getTotalSize(),
       directoryCount,
     };
@@ -114,6 +114,8 @@ class UploadBase extends EventEmitter {
    *  that will be created by the upload process.
    */
   beforeUploadProcess(uploadProcess, directoryCount = 0) {
+    uploadProcess.on('uploadpaused', () => this.sendEvent('uploadpaused', this.getUploadEventData(uploadProcess, directoryCount)));
+    uploadProcess.on('uploadresumed', () => this.sendEvent('uploadresumed', this.getUploadEventData(uploadProcess, directoryCount)));
     this.sendEvent('fileuploadstart', this.getUploadEventData(uploadProcess, directoryCount));
   }
 
@@ -144,11 +146,7 @@ class UploadBase extends EventEmitter {
    * @returns {Promise} Resolves when the upload has finished.
    */
   async executeUploadProcess(uploadProcess, uploadResult) {
-    uploadProcess.on('filestart', (data) => this.sendEvent('filestart', data));
-    uploadProcess.on('fileprogress', (data) => this.sendEvent('fileprogress', data));
-    uploadProcess.on('fileend', (data) => this.sendEvent('fileend', data));
-    uploadProcess.on('fileerror', (data) => this.sendEvent('fileerror', data));
-    uploadProcess.on('filecancelled', (data) => this.sendEvent('filecancelled', data));
+    this.forwardProcessEvents(uploadProcess);
 
     try {
       await uploadProcess.upload(uploadResult);
@@ -156,6 +154,23 @@ class UploadBase extends EventEmitter {
       uploadResult.addUploadError(uploadError);
     }
   }
+
+  /**
+   * Sends the file and batch-level events of an upload process to external consumers.
+   *
+   * @param {import('./direct-binary-upload-process')} uploadProcess The
+   *  upload process whose events should be sent.
+   */
+  forwardProcessEvents(uploadProcess) {
+    uploadProcess.on('filestart', (data) => this.sendEvent('filestart', data));
+    uploadProcess.on('fileprogress', (data) => this.sendEvent('fileprogress', data));
+    uploadProcess.on('fileend', (data) => this.sendEvent('fileend', data));
+    uploadProcess.on('fileerror', (data) => this.sendEvent('fileerror', data));
+    uploadProcess.on('filecancelled', (data) => this.sendEvent('filecancelled', data));
+    uploadProcess.on('fileskipped', (data) => this.sendEvent('fileskipped', data));
+    uploadProcess.on('batchstart', (data) => this.sendEvent('batchstart', data));
+    uploadProcess.on('batchend', (data) => this.sendEvent('batchend', data));
+  }
 }
 
 module.exports = UploadBase;
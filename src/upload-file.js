@@ -52,6 +52,8 @@ class UploadFile extends UploadOptionsBase {
    *   Either this value or "blob" must be provided.
    * @param {Array} [fileOptions.blob] Full binary content of the file to upload. Either this
    *   value or "filePath" must be provided.
+   * @param {Array<string>} [fileOptions.tags] IDs of AEM tags that will be assigned to the
+   *   file's asset once it's uploaded.
    */
   constructor(options, uploadOptions, fileOptions) {
     super(options, uploadOptions);
@@ -140,6 +142,17 @@ class UploadFile extends UploadOptionsBase {
     return !!this.fileOptions.replace;
   }
 
+  /**
+   * Retrieves the IDs of the AEM tags that should be assigned to the file's asset.
+   *
+   * @returns {Array<string>} Tag IDs, which will be empty if the file has no tags.
+   */
+  getTags() {
+    ensureRequiredOptions(this.fileOptions);
+    const { tags = [] } = this.fileOptions;
+    return tags;
+  }
+
   /**
    * Retrieves a chunk of the file for processing, based on the start and end
    * offset. The type of value returned by this method will vary depending on
@@ -0,0 +1,185 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('./fs-promise');
+const UploadError = require('./upload-error');
+
+const FOLDER_ENTRY = 'folder';
+const FILE_ENTRY = 'file';
+
+/**
+ * Keeps a record of the work that an upload has completed, stored in a file on the local
+ * file system. Each entry is appended to the file as soon as the work is complete, so that
+ * the record will survive if the process exits before the upload finishes. A later upload
+ * using the same journal can then skip the work that was already done.
+ *
+ * The journal file consists of one JSON object per line.
+ */
+class UploadJournal {
+  /**
+   * Constructs a new journal that will be stored in the given file.
+   * @param {string} journalPath Full path to the journal's file. The file does
+   *  not need to exist.
+   */
+  constructor(journalPath) {
+    this.journalPath = journalPath;
+    this.folders = new Set();
+    this.files = new Map();
+    this.modifiedTimes = new Map();
+    this.loaded = false;
+    this.writes = Promise.resolve();
+    this.writeError = false;
+  }
+
+  /**
+   * Retrieves the path to the journal's file, as provided in the constructor.
+   * @returns {string} Path to a file.
+   */
+  getPath() {
+    return this.journalPath;
+  }
+
+  /**
+   * Reads all entries from the journal's file, if it exists. Will only read the
+   * file the first time it's called.
+   * @returns {Promise} Resolves when the journal has been read.
+   */
+  async load() {
+    if (this.loaded) {
+      return;
+    }
+
+    let contents = '';
+    try {
+      contents = await fs.readFile(this.journalPath, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw UploadError.fromError(e, `Unable to read resume journal ${this.journalPath}`);
+      }
+    }
+
+    contents.split('\n').forEach((line) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // an incomplete line is expected if the process exited while writing
+        return;
+      }
+      const {
+        type,
+        path,
+        size,
+        modifiedTime,
+      } = entry || {};
+      if (type === FOLDER_ENTRY) {
+        this.folders.add(path);
+      } else if (type === FILE_ENTRY) {
+        this.files.set(path, { size, modifiedTime });
+      }
+    });
+    this.loaded = true;
+  }
+
+  /**
+   * Retrieves a value indicating whether the journal contains a folder.
+   * @param {string} folderPath Full path to a folder in AEM.
+   * @returns {boolean} True if the folder was previously created.
+   */
+  hasFolder(folderPath) {
+    return this.folders.has(folderPath);
+  }
+
+  /**
+   * Retrieves a value indicating whether the journal contains a file.
+   * @param {string} filePath Full path to an asset in AEM.
+   * @param {number} fileSize Size, in bytes, of the file. A file whose size has changed
+   *  since it was added to the journal will not be considered part of the journal.
+   * @param {number} [modifiedTime] Time, in milliseconds since the epoch, when the local
+   *  file was last modified. A file whose modification time has changed since it was added
+   *  to the journal will not be considered part of the journal.
+   * @returns {boolean} True if the file was previously uploaded.
+   */
+  hasFile(filePath, fileSize, modifiedTime) {
+    const entry = this.files.get(filePath);
+    return !!entry && entry.size === fileSize && entry.modifiedTime === modifiedTime;
+  }
+
+  /**
+   * Records the modification time of a local file that is about to be uploaded. The time
+   * will be included in the file's entry once the file is added with addFile().
+   * @param {string} filePath Full path to the asset in AEM.
+   * @param {number} modifiedTime Time, in milliseconds since the epoch, when the local
+   *  file was last modified.
+   */
+  setModifiedTime(filePath, modifiedTime) {
+    this.modifiedTimes.set(filePath, modifiedTime);
+  }
+
+  /**
+   * Records that a folder was created. The entry will be written to the journal's file
+   * in the background; use flush() to wait for it.
+   * @param {string} folderPath Full path to the folder in AEM.
+   */
+  addFolder(folderPath) {
+    if (!this.hasFolder(folderPath)) {
+      this.folders.add(folderPath);
+      this.writeEntry({ type: FOLDER_ENTRY, path: folderPath });
+    }
+  }
+
+  /**
+   * Records that a file was uploaded. The entry will be written to the journal's file
+   * in the background; use flush() to wait for it.
+   * @param {string} filePath Full path to the asset in AEM.
+   * @param {number} fileSize Size, in bytes, of the file that was uploaded.
+   */
+  addFile(filePath, fileSize) {
+    const modifiedTime = this.modifiedTimes.get(filePath);
+    this.modifiedTimes.delete(filePath);
+    this.files.set(filePath, { size: fileSize, modifiedTime });
+    this.writeEntry({
+      type: FILE_ENTRY,
+      path: filePath,
+      size: fileSize,
+      modifiedTime,
+    });
+  }
+
+  /**
+   * Appends an entry to the journal's file. Writes are queued so that entries are
+   * written one at a time, in the order they were added.
+   * @param {object} entry Entry to write.
+   */
+  writeEntry(entry) {
+    this.writes = this.writes
+      .then(() => fs.appendFile(this.journalPath, `${JSON.stringify(entry)}\n`))
+      .catch((e) => {
+        // keep the first error so that flush() can report it
+        this.writeError = this.writeError || e;
+      });
+  }
+
+  /**
+   * Waits for all pending entries to be written to the journal's file.
+   * @returns {Promise} Resolves when all entries have been written. Will be rejected
+   *  if any of the entries could not be written.
+   */
+  async flush() {
+    await this.writes;
+    if (this.writeError) {
+      throw UploadError.fromError(this.writeError, `Unable to write resume journal ${this.journalPath}`);
+    }
+  }
+}
+
+module.exports = UploadJournal;
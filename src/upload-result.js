@@ -12,6 +12,7 @@ governing permissions and limitations under the License.
 
 const HttpResult = require('./http-result');
 const UploadError = require('./upload-error');
+const { SkipReasons } = require('./constants');
 
 /**
  * Represents results for the upload process as a whole, which might include multiple files. Results
@@ -31,7 +32,16 @@ class UploadResult extends HttpResult {
     this.totalTime = 0;
     this.fileUploadResults = false;
     this.createDirectoryResults = [];
+    this.skippedItems = [];
+    this.syncItems = false;
+    this.mirrorItems = [];
+    this.invalidFiles = [];
+    this.sidecarMetadata = [];
+    this.invalidRows = [];
+    this.manifestMetadata = [];
+    this.taggedAssets = [];
     this.errors = [];
+    this.summarizedItems = false;
   }
 
   /**
@@ -76,7 +86,7 @@ class UploadResult extends HttpResult {
    * upload.
    */
   getTotalFolderCreateTime() {
-    let createTime = 0;
+    let createTime = this.summarizedItems ? this.summarizedItems.folderCreateTime : 0;
     this.getCreateDirectoryResults().forEach((directoryResult) => {
       createTime += directoryResult.getCreateTime();
     });
@@ -167,6 +177,285 @@ class UploadResult extends HttpResult {
     return errors.concat(fileErrors);
   }
 
+  /**
+   * Adds an item that the upload intentionally did not process.
+   *
+   * @param {object} skippedItem Information about the skipped item.
+   * @param {string} skippedItem.reason The reason the item was skipped. See SkipReasons
+   *  in constants.
+   * @param {string} [skippedItem.localPath] Full path to the item on the local file system,
+   *  if applicable.
+   * @param {string} [skippedItem.targetPath] Full path to the item in AEM, if applicable.
+   */
+  addSkippedItem(skippedItem) {
+    this.skippedItems.push(skippedItem);
+  }
+
+  /**
+   * Retrieves all items that the upload intentionally did not process.
+   *
+   * @returns {Array} Information about each skipped item, as provided to addSkippedItem().
+   */
+  getSkippedItems() {
+    return this.skippedItems;
+  }
+
+  /**
+   * Adds a file that was compared with its asset in AEM because the upload was in sync mode.
+   *
+   * @param {string} syncStatus The result of the comparison. See SyncStatuses in constants.
+   * @param {object} syncItem Information about the file.
+   * @param {string} syncItem.localPath Full path to the file on the local file system.
+   * @param {string} syncItem.targetPath Full path to the file's asset in AEM.
+   * @param {UploadError} [syncItem.error] Describes why the file couldn't be compared, if
+   *  applicable.
+   */
+  addSyncItem(syncStatus, syncItem) {
+    if (!this.syncItems) {
+      this.syncItems = {
+        new: [],
+        updated: [],
+        unchanged: [],
+        failed: [],
+      };
+    }
+    this.syncItems[syncStatus].push(syncItem);
+  }
+
+  /**
+   * Retrieves all files that were compared with their asset in AEM, grouped by the result
+   * of the comparison.
+   *
+   * @returns {object|boolean} Simple object with "new", "updated", "unchanged", and "failed"
+   *  lists of files, or false if the upload wasn't in sync mode.
+   */
+  getSyncItems() {
+    return this.syncItems;
+  }
+
+  /**
+   * Adds an item that mirror mode found under the target folder that doesn't exist locally.
+   *
+   * @param {object} mirrorItem Information about the item.
+   * @param {string} mirrorItem.targetPath Full path to the item in AEM.
+   * @param {boolean} mirrorItem.isFolder True if the item is a folder, false if it's an asset.
+   * @param {string} mirrorItem.action How the item was, or would be, removed. See
+   *  MirrorActions in constants.
+   * @param {boolean} mirrorItem.removed True if the item was removed from AEM.
+   * @param {string} [mirrorItem.archivePath] Full path to which the item was, or would be,
+   *  moved when archiving.
+   */
+  addMirrorItem(mirrorItem) {
+    this.mirrorItems.push(mirrorItem);
+  }
+
+  /**
+   * Retrieves all items that mirror mode found under the target folder that don't exist
+   * locally.
+   *
+   * @returns {Array} Information about each item, as provided to addMirrorItem().
+   */
+  getMirrorItems() {
+    return this.mirrorItems;
+  }
+
+  /**
+   * Adds a local file that wasn't uploaded because it failed pre-flight validation.
+   *
+   * @param {object} invalidFile Information about the file.
+   * @param {string} invalidFile.localPath Full path to the file on the local file system.
+   * @param {string} invalidFile.targetPath Full path to the file's asset in AEM.
+   * @param {UploadError} invalidFile.error Describes why the file is invalid.
+   */
+  addInvalidFile(invalidFile) {
+    this.invalidFiles.push(invalidFile);
+  }
+
+  /**
+   * Retrieves all local files that weren't uploaded because they failed pre-flight
+   * validation.
+   *
+   * @returns {Array} Information about each file, as provided to addInvalidFile().
+   */
+  getInvalidFiles() {
+    return this.invalidFiles;
+  }
+
+  /**
+   * Adds an asset to which the upload applied metadata from sidecar files.
+   *
+   * @param {object} sidecarMetadata Information about the asset.
+   * @param {string} sidecarMetadata.targetPath Full path to the asset in AEM.
+   * @param {Array<string>} sidecarMetadata.sidecarPaths Full paths to the local sidecar
+   *  files whose metadata was applied.
+   * @param {UploadError} [sidecarMetadata.error] Describes why the metadata couldn't be
+   *  applied, if applicable.
+   */
+  addSidecarMetadata(sidecarMetadata) {
+    this.sidecarMetadata.push(sidecarMetadata);
+  }
+
+  /**
+   * Retrieves all assets to which the upload applied metadata from sidecar files.
+   *
+   * @returns {Array} Information about each asset, as provided to addSidecarMetadata().
+   */
+  getSidecarMetadata() {
+    return this.sidecarMetadata;
+  }
+
+  /**
+   * Adds a row of an upload manifest that wasn't uploaded because it failed validation.
+   *
+   * @param {object} invalidRow Information about the row.
+   * @param {number} [invalidRow.line] Line number in a CSV manifest where the row begins.
+   * @param {string} [invalidRow.location] Location of the row in a structured manifest,
+   *  such as "folders[0].files[1]".
+   * @param {string} [invalidRow.localPath] Full path to the row's local file, if it has one.
+   * @param {string} [invalidRow.targetPath] Full path to the row's asset in AEM, if it
+   *  has one.
+   * @param {UploadError} invalidRow.error Describes why the row is invalid.
+   */
+  addInvalidRow(invalidRow) {
+    this.invalidRows.push(invalidRow);
+  }
+
+  /**
+   * Retrieves all rows of an upload manifest that weren't uploaded because they failed
+   * validation.
+   *
+   * @returns {Array} Information about each row, as provided to addInvalidRow().
+   */
+  getInvalidRows() {
+    return this.invalidRows;
+  }
+
+  /**
+   * Adds an asset to which the upload applied metadata from an upload manifest.
+   *
+   * @param {object} manifestMetadata Information about the asset.
+   * @param {number} [manifestMetadata.line] Line number in a CSV manifest of the asset's row.
+   * @param {string} [manifestMetadata.location] Location of the asset's row in a structured
+   *  manifest.
+   * @param {string} manifestMetadata.targetPath Full path to the asset in AEM.
+   * @param {UploadError} [manifestMetadata.error] Describes why the metadata couldn't be
+   *  applied, if applicable.
+   */
+  addManifestMetadata(manifestMetadata) {
+    this.manifestMetadata.push(manifestMetadata);
+  }
+
+  /**
+   * Retrieves all assets to which the upload applied metadata from an upload manifest.
+   *
+   * @returns {Array} Information about each asset, as provided to addManifestMetadata().
+   */
+  getManifestMetadata() {
+    return this.manifestMetadata;
+  }
+
+  /**
+   * Adds an asset to which the upload assigned tags.
+   *
+   * @param {object} taggedAsset Information about the asset.
+   * @param {string} taggedAsset.targetPath Full path to the asset in AEM.
+   * @param {Array<string>} taggedAsset.appliedTags IDs of the tags that were assigned.
+   * @param {Array<object>} taggedAsset.failedTags Tags that couldn't be assigned, each
+   *  with the "tag" ID and an "error" describing why.
+   */
+  addTaggedAsset(taggedAsset) {
+    this.taggedAssets.push(taggedAsset);
+  }
+
+  /**
+   * Retrieves all assets to which the upload assigned tags.
+   *
+   * @returns {Array} Information about each asset, as provided to addTaggedAsset().
+   */
+  getTaggedAssets() {
+    return this.taggedAssets;
+  }
+
+  /**
+   * Replaces the entries of items that finished without problems with counts, so that the
+   * result doesn't keep an entry for each item of an upload that's too large to hold in
+   * memory. This includes files that uploaded successfully, folders that were created,
+   * skipped items, files that sync mode compared, and assets that were given sidecar
+   * metadata or tags. The result's totals still include the items. Entries that describe
+   * a problem, such as a file that failed, are kept.
+   */
+  summarizeItems() {
+    if (!this.summarizedItems) {
+      this.summarizedItems = {
+        files: 0,
+        createdFolders: 0,
+        folderCreateTime: 0,
+        skippedItems: {},
+        sync: {
+          new: 0,
+          updated: 0,
+          unchanged: 0,
+        },
+        sidecarMetadata: 0,
+        taggedAssets: 0,
+      };
+    }
+    const summary = this.summarizedItems;
+
+    if (this.fileUploadResults) {
+      this.fileUploadResults.summarizeFinishedFiles();
+      summary.files = this.fileUploadResults.getSummarizedFileCount();
+    }
+
+    this.createDirectoryResults = this.createDirectoryResults.filter((directoryResult) => {
+      if (directoryResult.getCreateError()) {
+        return true;
+      }
+      summary.createdFolders += 1;
+      summary.folderCreateTime += directoryResult.getCreateTime();
+      return false;
+    });
+
+    this.skippedItems.forEach(({ reason }) => {
+      summary.skippedItems[reason] = (summary.skippedItems[reason] || 0) + 1;
+    });
+    this.skippedItems = [];
+
+    if (this.syncItems) {
+      Object.keys(summary.sync).forEach((syncStatus) => {
+        summary.sync[syncStatus] += this.syncItems[syncStatus].length;
+        this.syncItems[syncStatus] = [];
+      });
+    }
+
+    this.sidecarMetadata = this.sidecarMetadata.filter(({ error }) => {
+      if (!error) {
+        summary.sidecarMetadata += 1;
+      }
+      return !!error;
+    });
+
+    this.taggedAssets = this.taggedAssets.filter(({ failedTags }) => {
+      if (!failedTags.length) {
+        summary.taggedAssets += 1;
+      }
+      return !!failedTags.length;
+    });
+  }
+
+  /**
+   * Retrieves the number of items of each type that were replaced with counts by
+   * summarizeItems().
+   *
+   * @returns {object|boolean} Simple object with the number of "files", "createdFolders",
+   *  "skippedItems" keyed by skip reason, "sync" items keyed by sync status,
+   *  "sidecarMetadata", and "taggedAssets" that were summarized, or false if the result
+   *  was never summarized.
+   */
+  getSummarizedItems() {
+    return this.summarizedItems;
+  }
+
   /**
    * Adds a high-level error that prevented the upload from completing.
    *
@@ -192,7 +481,7 @@ class UploadResult extends HttpResult {
    * @returns {object} Result data in a simple format.
    */
   toJSON() {
-    return {
+    const json = {
       host: this.getUploadOptions().getUrlPrefix(),
       totalFiles: this.getTotalFiles(),
       totalTime: this.getElapsedTime(),
@@ -204,6 +493,95 @@ class UploadResult extends HttpResult {
       errors: this.getUploadErrors().map((error) => error.toJSON()),
       ...super.toJSON(),
     };
+
+    const syncItems = this.getSyncItems();
+    if (syncItems) {
+      json.sync = {
+        new: [...syncItems.new],
+        updated: [...syncItems.updated],
+        unchanged: [...syncItems.unchanged],
+        failed: syncItems.failed.map(({ error, ...item }) => ({
+          ...item,
+          error: error.toJSON(),
+        })),
+      };
+    }
+
+    const mirrorItems = this.getMirrorItems();
+    if (mirrorItems.length) {
+      json.mirror = mirrorItems.map((item) => ({ ...item }));
+    }
+
+    const invalidFiles = this.getInvalidFiles();
+    if (invalidFiles.length) {
+      json.invalidFiles = invalidFiles.map(({ error, ...item }) => ({
+        ...item,
+        error: error.toJSON(),
+      }));
+    }
+
+    const sidecarMetadata = this.getSidecarMetadata();
+    if (sidecarMetadata.length) {
+      json.sidecarMetadata = sidecarMetadata.map(({ error, sidecarPaths, ...item }) => {
+        const itemJson = { ...item, sidecarPaths: [...sidecarPaths] };
+        if (error) {
+          itemJson.error = error.toJSON();
+        }
+        return itemJson;
+      });
+    }
+
+    const invalidRows = this.getInvalidRows();
+    if (invalidRows.length) {
+      json.invalidRows = invalidRows.map(({ error, ...item }) => ({
+        ...item,
+        error: error.toJSON(),
+      }));
+    }
+
+    const manifestMetadata = this.getManifestMetadata();
+    if (manifestMetadata.length) {
+      json.manifestMetadata = manifestMetadata.map(({ error, ...item }) => {
+        const itemJson = { ...item };
+        if (error) {
+          itemJson.error = error.toJSON();
+        }
+        return itemJson;
+      });
+    }
+
+    const taggedAssets = this.getTaggedAssets();
+    if (taggedAssets.length) {
+      json.taggedAssets = taggedAssets.map(({ appliedTags, failedTags, ...item }) => ({
+        ...item,
+        appliedTags: [...appliedTags],
+        failedTags: failedTags.map(({ tag, error }) => ({ tag, error: error.toJSON() })),
+      }));
+    }
+
+    const skippedItems = this.getSkippedItems();
+    const summarizedItems = this.getSummarizedItems();
+    const summarizedSkipped = summarizedItems ? summarizedItems.skippedItems : {};
+    const totalSkipped = Object.keys(summarizedSkipped)
+      .reduce((total, reason) => total + summarizedSkipped[reason], skippedItems.length);
+    if (totalSkipped) {
+      json.totalSkipped = totalSkipped;
+      json.totalJournalSkipped = skippedItems
+        .filter(({ reason }) => reason === SkipReasons.JOURNAL).length
+        + (summarizedSkipped[SkipReasons.JOURNAL] || 0);
+      json.skippedItems = skippedItems.map((item) => ({ ...item }));
+    }
+
+    if (summarizedItems) {
+      const { folderCreateTime, ...summarized } = summarizedItems;
+      json.summarizedItems = {
+        ...summarized,
+        skippedItems: { ...summarized.skippedItems },
+        sync: { ...summarized.sync },
+      };
+    }
+
+    return json;
   }
 }
 
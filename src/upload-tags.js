@@ -0,0 +1,163 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const UploadOptionsBase = require('./upload-options-base');
+const UploadFile = require('./upload-file');
+const UploadError = require('./upload-error');
+const ErrorCodes = require('./error-codes');
+const { tagExists, getAssetMetadata, updateAssetMetadata } = require('./http-utils');
+const { concurrentLoop, getTargetPath } = require('./utils');
+
+/**
+ * Assigns AEM tags to the assets of an upload once they've been uploaded. Each asset
+ * receives the tags from the upload's options, combined with the tags of its file. Tags
+ * that don't exist in AEM are not assigned. Tags that an asset already has, such as those
+ * of a replaced asset or those set by metadata earlier in the upload, are kept.
+ */
+class UploadTags extends UploadOptionsBase {
+  /**
+   * Constructs a new instance using the provided information.
+   *
+   * @param {object} options Options as provided when the upload instance was instantiated.
+   * @param {import('./direct-binary-upload-options')} uploadOptions Options as provided
+   *  when the upload was initiated.
+   */
+  constructor(options, uploadOptions) {
+    super(options, uploadOptions);
+    this.fileTags = new Map();
+    this.uploadedAssets = [];
+    this.missingTags = new Map();
+    this.checkedTags = new Set();
+  }
+
+  /**
+   * Records the tags that should be assigned to each of the given files once they've been
+   * uploaded. Files whose information is incomplete are ignored, since the upload will
+   * report them as failed.
+   *
+   * @param {Array<object>} uploadFiles Files in the upload, in the same format as the
+   *  upload options' files.
+   */
+  addUploadFiles(uploadFiles) {
+    const uploadOptions = this.getUploadOptions();
+    const uploadTags = uploadOptions.getTags();
+    uploadFiles.forEach((fileOptions) => {
+      let targetPath;
+      let tags;
+      try {
+        const uploadFile = new UploadFile(this.getOptions(), uploadOptions, fileOptions);
+        targetPath = getTargetPath(uploadFile.getFileUrl());
+        tags = [...new Set([...uploadTags, ...uploadFile.getTags()])];
+      } catch (e) {
+        return;
+      }
+      if (tags.length) {
+        this.fileTags.set(targetPath, tags);
+      }
+    });
+  }
+
+  /**
+   * Records that a file finished uploading, so that its tags will be assigned to its asset.
+   *
+   * @param {object} fileData Event data for the file, as sent with the "fileend" event.
+   */
+  addUploadedFile(fileData) {
+    const { targetFile, originalTargetFile } = fileData;
+    const tags = this.fileTags.get(originalTargetFile || targetFile);
+    if (tags) {
+      this.uploadedAssets.push({ targetPath: targetFile, tags });
+    }
+  }
+
+  /**
+   * Determines which of the uploaded assets' tags exist in AEM. Each tag is only checked
+   * once, regardless of how many assets it's assigned to, or how many times tags are
+   * applied.
+   *
+   * @returns {Promise<Map>} Resolves with an UploadError for each tag that can't be
+   *  assigned, keyed by the tag's ID.
+   */
+  async getMissingTags() {
+    const uploadOptions = this.getUploadOptions();
+    const { missingTags, checkedTags } = this;
+    const newTags = new Set();
+    this.uploadedAssets.forEach(({ tags }) => tags
+      .filter((tag) => !checkedTags.has(tag))
+      .forEach((tag) => newTags.add(tag)));
+    newTags.forEach((tag) => checkedTags.add(tag));
+
+    await concurrentLoop(
+      [...newTags],
+      uploadOptions.getMaxConcurrent(),
+      async (tag) => {
+        try {
+          if (!await tagExists(uploadOptions, tag)) {
+            missingTags.set(tag, new UploadError(`Tag '${tag}' does not exist`, ErrorCodes.NOT_FOUND));
+          }
+        } catch (e) {
+          missingTags.set(tag, UploadError.fromError(e, `Unable to determine whether tag '${tag}' exists`));
+        }
+      },
+    );
+    return missingTags;
+  }
+
+  /**
+   * Assigns the tags of each uploaded file to the file's asset by adding them to the
+   * asset's cq:tags metadata property. Afterwards, the tags of all files are forgotten, so
+   * the method should only be called once the files have finished uploading.
+   *
+   * @returns {Promise<Array>} Resolves with information about each asset that had tags,
+   *  with the asset's "targetPath", the "appliedTags" that were assigned to it, and the
+   *  "failedTags" that couldn't be assigned, each with the "tag" and an "error".
+   */
+  async applyTags() {
+    const uploadOptions = this.getUploadOptions();
+    const missingTags = await this.getMissingTags();
+    const results = [];
+    await concurrentLoop(
+      this.uploadedAssets,
+      uploadOptions.getMaxConcurrent(),
+      async ({ targetPath, tags }, index) => {
+        const result = {
+          targetPath,
+          appliedTags: tags.filter((tag) => !missingTags.has(tag)),
+          failedTags: tags.filter((tag) => missingTags.has(tag))
+            .map((tag) => ({ tag, error: missingTags.get(tag) })),
+        };
+        if (result.appliedTags.length) {
+          try {
+            const metadata = await getAssetMetadata(uploadOptions, targetPath);
+            const existingTags = [].concat(metadata['cq:tags'] || []);
+            await updateAssetMetadata(uploadOptions, targetPath, {
+              'cq:tags': [...new Set([...existingTags, ...result.appliedTags])],
+            });
+            this.logInfo(`Assigned ${result.appliedTags.length} tags to '${targetPath}'`);
+          } catch (e) {
+            const error = UploadError.fromError(e, `Unable to assign tags to ${targetPath}`);
+            this.logWarn(error.getMessage());
+            result.failedTags = result.appliedTags.map((tag) => ({ tag, error }))
+              .concat(result.failedTags);
+            result.appliedTags = [];
+          }
+        }
+        results[index] = result;
+      },
+    );
+    this.fileTags.clear();
+    this.uploadedAssets = [];
+    return results;
+  }
+}
+
+module.exports = UploadTags;
@@ -15,28 +15,19 @@ const Async = require('async');
 const AsyncLock = require('async-lock');
 const fs = require('./fs-promise');
 
-const { DefaultValues } = require('./constants');
+const {
+  DefaultValues,
+  SkipReasons,
+  SymlinkPolicies,
+} = require('./constants');
 const UploadError = require('./upload-error');
 const ErrorCodes = require('./error-codes');
+const FileSystemUploadIgnore = require('./filesystem-upload-ignore');
+const FileSystemUploadTempFilter = require('./filesystem-upload-temp-filter');
 
 const lock = new AsyncLock();
 
-const TEMP_PATTERNS = [
-  /^\/~(.*)/, // catch all paths starting with ~
-  /^\/\.(.*)/, // catch all paths starting with .
-];
-
-const TEMP_NAME_PATTERNS = [
-  /^[.~]/i,
-  /^TestFile/, // InDesign: on file open, InDesign creates .dat.nosync* file, renames it TestFile, and deletes it
-  /\.tmp$/i, // Illustrator: on save, creates one or more *.tmp files, renames them to original file name
-  /\.~tmp$/i, // some default Windows applications use this file format
-  // Windows
-  /^desktop\.ini/i,
-  /^Thumbs\.db/i,
-  /^Adobe Bridge Cache\.bc$/i,
-  /^Adobe Bridge Cache\.bct$/i,
-];
+const DEFAULT_TEMP_FILTER = new FileSystemUploadTempFilter();
 
 /**
  * Loops through a given array, concurrently invoking the given callback. The loop will have a
@@ -176,6 +167,18 @@ function trimContentDam(path) {
   return trimRight(trimmed, ['/']);
 }
 
+/**
+ * Retrieves the full path in AEM to which a URL refers. The path is decoded in the same
+ * way as the paths that node-httptransfer provides in its events, so that the two can be
+ * compared.
+ *
+ * @param {string} url Full URL of an item in AEM, whose path segments are URL encoded.
+ * @returns {string} Full path to the item, which will not be URL encoded.
+ */
+function getTargetPath(url) {
+  return decodeURIComponent(new URL(url).pathname);
+}
+
 /**
  * Normalizes a path by ensuring it only contains forward slashes and does not end with a
  * slash. If the given path is falsy then the method will return an empty string.
@@ -196,29 +199,62 @@ function normalizePath(path) {
 /**
  * Determines whether or not a given path is either a temp file, or in a temp directory.
  * @param {string} path A file system-like path.
+ * @param {import('./filesystem-upload-temp-filter')} [tempFilter] Filter that decides
+ *  which paths are temp. Default: a filter with the default temp patterns.
  * @returns {boolean} True if the path is a temp file, false otherwise.
  */
-function isTempPath(path) {
-  const tempPath = normalizePath(path);
+function isTempPath(path, tempFilter = DEFAULT_TEMP_FILTER) {
+  return tempFilter.isTemp(normalizePath(path));
+}
 
-  if (tempPath === '/') {
-    return false;
+/**
+ * Builds the information about a temp item that is excluded from an upload.
+ * @param {string} path Full path to the temp item.
+ * @returns {Promise<object>} Resolves with the item's "path", "isDirectory", and
+ *  "reason". Temp items might be in the middle of being written or deleted, so an item
+ *  that can't be read is treated as a file.
+ */
+async function getTempItem(path) {
+  let isDirectory = false;
+  try {
+    isDirectory = (await fs.lstat(path)).isDirectory();
+  } catch (e) {
+    // not a directory that can be read
   }
+  return { path, isDirectory, reason: SkipReasons.TEMP };
+}
 
-  let isTemp = TEMP_PATTERNS.some((pattern) => pattern.test(tempPath));
+/**
+ * Builds a value that uniquely identifies a directory on the local file system.
+ * @param {fs.Stats} stat Information about the directory.
+ * @returns {string} The directory's ID, based on its device and inode.
+ */
+function getDirectoryId(stat) {
+  return `${stat.dev}:${stat.ino}`;
+}
 
-  if (!isTemp) {
-    const pathName = Path.basename(tempPath);
-    isTemp = TEMP_NAME_PATTERNS.some((pattern) => pattern.test(pathName));
+/**
+ * Retrieves a value indicating whether a directory is one of the directories in
+ * a chain of ancestors.
+ * @param {object} [ancestors] Chain of directories, where each item has an "id"
+ *  and the item for its "parent" directory.
+ * @param {string} directoryId ID of the directory to find.
+ * @returns {boolean} True if the directory is in the chain.
+ */
+function isAncestor(ancestors, directoryId) {
+  for (let ancestor = ancestors; ancestor; ancestor = ancestor.parent) {
+    if (ancestor.id === directoryId) {
+      return true;
+    }
   }
-
-  return isTemp;
+  return false;
 }
 
 /**
  * Concurrently loops through all items in a directory, doing a stat
  * on each to determine if it's a directory or file. The method will
- * skip temp files and directories.
+ * skip temp files and directories, which will be added to the excluded
+ * items if there's a walk filter.
  * @param {string} directoryPath Full path to the directory to iterate.
  * @param {Array} directories All of the target directory's valid sub-directories
  *  will be added to this array.
@@ -226,13 +262,42 @@ function isTempPath(path) {
  *  added to this array.
  * @param {Array} errors Any errors encountered while processing the directory will
  *  be added to this array.
+ * @param {object} [walkFilter] If specified, determines which items are excluded.
+ * @param {string} walkFilter.rootPath Path of the directory being walked. Paths given
+ *  to the filter will be relative to this directory.
+ * @param {import('./filesystem-upload-filter')} [walkFilter.filter] Filter that will
+ *  be used to exclude items.
+ * @param {FileSystemUploadIgnore} [walkFilter.ignore] Rules from the ignore files that
+ *  apply to the directory.
+ * @param {string} [walkFilter.symlinkPolicy] What to do with symbolic links. One of the
+ *  values from SymlinkPolicies. Default: follow.
+ * @param {import('./filesystem-upload-temp-filter')} [walkFilter.tempFilter] Filter that
+ *  decides which items are temp. Default: a filter with the default temp patterns.
+ * @param {Set<string>} [walkFilter.includePaths] If specified, only items whose absolute
+ *  path is in the set will be included. Other items are left out without being excluded.
+ * @param {import('./filesystem-upload-file-filter')} [walkFilter.fileFilter] Filter that
+ *  will be used to exclude files based on their size, extension, and type.
+ * @param {object} [walkFilter.ancestors] Chain of IDs for the directory and its
+ *  ancestors, used to detect links that point to one of them.
+ * @param {Map} [walkFilter.directoryIds] The ID of each valid sub-directory will be
+ *  added to this map, keyed by the sub-directory's path.
+ * @param {Array} walkFilter.excluded Items that are excluded will be added to this array.
  * @returns {number} Total size, in bytes, of all files in the directory.
  */
-async function processDirectory(directoryPath, directories, files, errors) {
+async function processDirectory(directoryPath, directories, files, errors, walkFilter) {
   let contents = false;
 
   let totalSize = 0;
 
+  const {
+    symlinkPolicy = SymlinkPolicies.FOLLOW,
+    tempFilter,
+    includePaths,
+    ancestors,
+    directoryIds,
+    excluded,
+  } = walkFilter || {};
+
   try {
     contents = await fs.readdir(directoryPath);
   } catch (e) {
@@ -242,19 +307,92 @@ async function processDirectory(directoryPath, directories, files, errors) {
   if (contents) {
     await concurrentLoop(contents, async (childPath) => {
       const fullChildPath = Path.join(directoryPath, childPath);
-      if (!isTempPath(fullChildPath)) {
+      if (FileSystemUploadIgnore.isIgnoreFile(fullChildPath)) {
+        // ignore files are never uploaded
+        return;
+      }
+      if (includePaths && !includePaths.has(Path.resolve(fullChildPath))) {
+        return;
+      }
+      if (isTempPath(fullChildPath, tempFilter)) {
+        if (excluded) {
+          excluded.push(await getTempItem(fullChildPath));
+        }
+      } else {
         let childStat;
+        let isLink = false;
         try {
-          childStat = await fs.stat(fullChildPath);
+          childStat = await fs.lstat(fullChildPath);
+          isLink = childStat.isSymbolicLink();
+          if (isLink && symlinkPolicy === SymlinkPolicies.FOLLOW) {
+            childStat = await fs.stat(fullChildPath);
+          }
         } catch (e) {
           errors.push(e);
           return;
         }
 
-        if (childStat.isDirectory()) {
+        if (isLink && symlinkPolicy === SymlinkPolicies.SKIP) {
+          // the link itself is neither a directory nor a file
+          excluded.push({ path: fullChildPath, isDirectory: false, reason: SkipReasons.SYMLINK });
+          return;
+        }
+        if (isLink && symlinkPolicy === SymlinkPolicies.ERROR) {
+          errors.push(new UploadError(
+            `Symbolic link ${fullChildPath} is not allowed`,
+            ErrorCodes.SYMLINK_NOT_ALLOWED,
+          ));
+          return;
+        }
+
+        const isDirectory = childStat.isDirectory();
+        if (isLink && isDirectory && isAncestor(ancestors, getDirectoryId(childStat))) {
+          excluded.push({
+            path: fullChildPath,
+            isDirectory,
+            reason: SkipReasons.SYMLINK_CYCLE,
+          });
+          return;
+        }
+
+        if (walkFilter && (isDirectory || childStat.isFile())) {
+          const {
+            rootPath,
+            filter,
+            ignore,
+            fileFilter,
+          } = walkFilter;
+          const relativePath = Path.relative(rootPath, fullChildPath);
+          let reason;
+          if (ignore && ignore.isIgnored(fullChildPath, isDirectory)) {
+            reason = SkipReasons.IGNORED;
+          } else if (filter && filter.isExcluded(relativePath, isDirectory)) {
+            reason = SkipReasons.EXCLUDED;
+          } else if (fileFilter && !isDirectory) {
+            try {
+              reason = await fileFilter.getExcludeReason(fullChildPath, childStat.size);
+            } catch (e) {
+              errors.push(e);
+              return;
+            }
+          }
+          if (reason) {
+            excluded.push({ path: fullChildPath, isDirectory, reason });
+            return;
+          }
+        }
+
+        if (isDirectory) {
           directories.push({ path: fullChildPath });
+          if (directoryIds) {
+            directoryIds.set(fullChildPath, getDirectoryId(childStat));
+          }
         } else if (childStat.isFile()) {
-          files.push({ path: fullChildPath, size: childStat.size });
+          files.push({
+            path: fullChildPath,
+            size: childStat.size,
+            modifiedTime: childStat.mtimeMs,
+          });
           totalSize += childStat.size;
         }
       }
@@ -264,6 +402,94 @@ async function processDirectory(directoryPath, directories, files, errors) {
   return totalSize;
 }
 
+/**
+ * Builds the information needed to start walking a directory.
+ * @param {string} directoryPath Full path to the directory that will be walked.
+ * @returns {Promise<object>} Resolves with the directory's "path", and the chain of
+ *  "ancestors" that will be used to detect symbolic link cycles.
+ */
+async function getWalkRoot(directoryPath) {
+  let ancestors;
+  try {
+    ancestors = { id: getDirectoryId(await fs.stat(directoryPath)) };
+  } catch (e) {
+    // the error will be reported when the directory is read
+  }
+  return { path: directoryPath, ignore: undefined, ancestors };
+}
+
+/**
+ * Reads the contents of a single directory, after reading the directory's
+ * .aemignore file.
+ * @param {object} directory The directory to read.
+ * @param {string} directory.path Full path to the directory.
+ * @param {FileSystemUploadIgnore} [directory.ignore] Rules from the ignore files
+ *  of the directory's ancestors.
+ * @param {object} [directory.ancestors] Chain of IDs for the directory and its
+ *  ancestors.
+ * @param {string} rootPath Path of the directory being walked.
+ * @param {object} walkOptions Controls which items are included.
+ * @param {import('./filesystem-upload-filter')} [walkOptions.filter] Filter that
+ *  will be used to exclude items.
+ * @param {string} [walkOptions.symlinkPolicy] What to do with symbolic links.
+ * @param {import('./filesystem-upload-temp-filter')} [walkOptions.tempFilter] Filter
+ *  that decides which items are temp.
+ * @param {import('./filesystem-upload-file-filter')} [walkOptions.fileFilter] Filter
+ *  that will be used to exclude files based on their size, extension, and type.
+ * @param {Set<string>} [walkOptions.includePaths] Absolute paths of the only items
+ *  that will be included.
+ * @returns {Promise<object>} Resolves with the directory's "directories",
+ *  "files", "errors", "excluded", and "totalSize", and with "subDirectories"
+ *  that can be provided to this method to read each sub-directory.
+ */
+async function readDirectory(directory, rootPath, walkOptions) {
+  const { path: directoryPath, ancestors } = directory;
+  const {
+    filter,
+    symlinkPolicy,
+    tempFilter,
+    fileFilter,
+    includePaths,
+  } = walkOptions;
+  const contents = {
+    directories: [],
+    files: [],
+    errors: [],
+    excluded: [],
+  };
+  let { ignore } = directory;
+  try {
+    ignore = await FileSystemUploadIgnore.load(directoryPath, ignore);
+  } catch (e) {
+    contents.errors.push(e);
+  }
+  const directoryIds = new Map();
+  contents.totalSize = await processDirectory(
+    directoryPath,
+    contents.directories,
+    contents.files,
+    contents.errors,
+    {
+      rootPath,
+      filter,
+      ignore,
+      symlinkPolicy,
+      tempFilter,
+      fileFilter,
+      includePaths,
+      ancestors,
+      directoryIds,
+      excluded: contents.excluded,
+    },
+  );
+  contents.subDirectories = contents.directories.map(({ path }) => ({
+    path,
+    ignore,
+    ancestors: { id: directoryIds.get(path), parent: ancestors },
+  }));
+  return contents;
+}
+
 /**
  * Walks a directory by retrieving all the directories and files
  * in the given path, then walking all those sub directories, then
@@ -277,25 +503,57 @@ async function processDirectory(directoryPath, directories, files, errors) {
  * @param {boolean} [includeDescendents] If true, the method will walk
  *  descendent directories. If false, the method will only include files
  *  immediately below the given directory. Default value is true.
+ * @param {object} [walkOptions] Controls which items are included.
+ * @param {import('./filesystem-upload-filter')} [walkOptions.filter] If specified,
+ *  directories and files that the filter excludes will be left out of the result's
+ *  directories and files, and added to its "excluded" list instead.
+ * @param {string} [walkOptions.symlinkPolicy] What to do with symbolic links found
+ *  in the directory. One of the values from SymlinkPolicies. Default: follow.
+ * @param {import('./filesystem-upload-temp-filter')} [walkOptions.tempFilter] Filter
+ *  that decides which items are temp. Temp items will be added to the "excluded" list.
+ *  Default: a filter with the default temp patterns.
+ * @param {import('./filesystem-upload-file-filter')} [walkOptions.fileFilter] If
+ *  specified, files that it excludes will be added to the "excluded" list.
+ * @param {Set<string>} [walkOptions.includePaths] If specified, only items whose
+ *  absolute path is in the set will be included.
+ *
+ * Directories and files ignored by an .aemignore file in the walked directory, or
+ * in any of its descendents, will also be added to the "excluded" list, as will
+ * symbolic links that are skipped.
  */
-async function walkDirectory(directoryPath, maximumPaths = 5000, includeDescendents = true) {
-  let processDirectories = [{ path: directoryPath }];
+async function walkDirectory(
+  directoryPath,
+  maximumPaths = 5000,
+  includeDescendents = true,
+  walkOptions = {},
+) {
+  let processDirectories = [await getWalkRoot(directoryPath)];
   let allDirectories = [];
-  const allFiles = [];
-  const allErrors = [];
+  let allFiles = [];
+  let allErrors = [];
+  let allExcluded = [];
   let walkedTotalSize = 0;
 
   // this algorithm avoids recursion to prevent overflows. Instead,
   // use a stack to keep track of directories to process.
   while (processDirectories.length > 0) {
-    const { path: toProcess } = processDirectories.shift();
-    const directories = [];
+    const {
+      directories,
+      files,
+      errors,
+      excluded,
+      totalSize,
+      subDirectories,
     // eslint-disable-next-line no-await-in-loop
-    walkedTotalSize += await processDirectory(toProcess, directories, allFiles, allErrors);
+    } = await readDirectory(processDirectories.shift(), directoryPath, walkOptions);
     allDirectories = allDirectories.concat(directories);
+    allFiles = allFiles.concat(files);
+    allErrors = allErrors.concat(errors);
+    allExcluded = allExcluded.concat(excluded);
+    walkedTotalSize += totalSize;
 
     if (includeDescendents) {
-      processDirectories = processDirectories.concat(directories);
+      processDirectories = processDirectories.concat(subDirectories);
     }
 
     if (allDirectories.length + allFiles.length > maximumPaths) {
@@ -307,10 +565,165 @@ async function walkDirectory(directoryPath, maximumPaths = 5000, includeDescende
     directories: allDirectories,
     files: allFiles,
     errors: allErrors,
+    excluded: allExcluded,
     totalSize: walkedTotalSize,
   };
 }
 
+/**
+ * Walks a directory in the same way as walkDirectory(), except that the contents
+ * of each directory are provided to a callback as soon as the directory has been
+ * read, instead of gathering the entire tree first. The walk waits for the callback
+ * to finish before reading the next directory, so only the contents of the current
+ * directory, and the paths of the directories waiting to be walked, are held in
+ * memory. There is no limit on the number of paths.
+ *
+ * Directories are walked depth first. The contents of a directory will always be
+ * provided before the contents of its sub-directories.
+ * @param {string} directoryPath Directory to traverse.
+ * @param {boolean} includeDescendents If true, the method will walk descendent
+ *  directories. If false, the method will only include items immediately below
+ *  the given directory.
+ * @param {object} walkOptions Controls which items are included.
+ * @param {import('./filesystem-upload-filter')} [walkOptions.filter] If specified,
+ *  directories and files that the filter excludes will be provided in the
+ *  "excluded" list.
+ * @param {string} [walkOptions.symlinkPolicy] What to do with symbolic links found
+ *  in the directory. One of the values from SymlinkPolicies. Default: follow.
+ * @param {import('./filesystem-upload-temp-filter')} [walkOptions.tempFilter] Filter
+ *  that decides which items are temp. Temp items will be added to the "excluded" list.
+ *  Default: a filter with the default temp patterns.
+ * @param {import('./filesystem-upload-file-filter')} [walkOptions.fileFilter] If
+ *  specified, files that it excludes will be added to the "excluded" list.
+ * @param {Set<string>} [walkOptions.includePaths] If specified, only items whose
+ *  absolute path is in the set will be included.
+ * @param {function} contentsCallback Will be called with the contents of each
+ *  directory, as an object with the same "directories", "files", "errors",
+ *  "excluded", and "totalSize" properties as the result of walkDirectory(). May
+ *  return a Promise, in which case the walk will wait for it to resolve.
+ * @returns {Promise} Resolves when all directories have been walked. Will be
+ *  rejected if the callback throws an error.
+ */
+async function streamDirectory(directoryPath, includeDescendents, walkOptions, contentsCallback) {
+  const processDirectories = [await getWalkRoot(directoryPath)];
+
+  while (processDirectories.length > 0) {
+    // eslint-disable-next-line no-await-in-loop
+    const { subDirectories, ...contents } = await readDirectory(
+      processDirectories.pop(),
+      directoryPath,
+      walkOptions,
+    );
+    // eslint-disable-next-line no-await-in-loop
+    await contentsCallback(contents);
+
+    if (includeDescendents) {
+      // added in reverse so that they're walked in the order they were read
+      for (let i = subDirectories.length - 1; i >= 0; i -= 1) {
+        processDirectories.push(subDirectories[i]);
+      }
+    }
+  }
+}
+
+/**
+ * Throws an error with code USER_CANCELLED if the upload that the given options
+ * represent has been cancelled.
+ * @param {import('./direct-binary-upload-options')} uploadOptions Options whose
+ *  controller will be checked for cancellation.
+ */
+function ensureNotCancelled(uploadOptions) {
+  if (uploadOptions.isCancelled()) {
+    throw new UploadError('Upload was cancelled by the user', ErrorCodes.USER_CANCELLED);
+  }
+}
+
+/**
+ * Waits for a folder creation operation to finish, ignoring the error that is thrown
+ * if the operation stopped because the upload was cancelled.
+ * @param {Promise} createPromise Promise for the folder creation operation.
+ * @returns {Promise} Resolves when the operation has finished or was cancelled.
+ */
+async function ignoreCancelled(createPromise) {
+  try {
+    await createPromise;
+  } catch (e) {
+    if (UploadError.fromError(e).getCode() !== ErrorCodes.USER_CANCELLED) {
+      throw e;
+    }
+  }
+}
+
+/**
+ * Retrieves a Promise that will resolve when the upload that the given options represent
+ * is cancelled. Consumers should invoke the "dispose" function of the return value once
+ * they are no longer interested in the cancellation, so that listeners are cleaned up.
+ * @param {import('./direct-binary-upload-options')} uploadOptions Options whose
+ *  controller will be monitored for cancellation.
+ * @returns {object} Simple object with a "cancelled" Promise, which resolves when the
+ *  upload is cancelled, and a "dispose" function.
+ */
+function waitForCancel(uploadOptions) {
+  const { signal } = uploadOptions.getController() || {};
+  let onAbort = () => {};
+  const cancelled = new Promise((resolve) => {
+    if (uploadOptions.isCancelled()) {
+      resolve();
+    } else if (signal && signal.addEventListener) {
+      onAbort = () => resolve();
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+  return {
+    cancelled,
+    dispose: () => {
+      if (signal && signal.removeEventListener) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    },
+  };
+}
+
+/**
+ * Waits for a timespan to pass, or for the upload that the given options represent to be
+ * cancelled, whichever happens first.
+ * @param {import('./direct-binary-upload-options')} uploadOptions Options whose
+ *  controller will be monitored for cancellation.
+ * @param {number} delay Timespan to wait, in milliseconds.
+ * @returns {Promise} Resolves when the timespan has passed or the upload was cancelled.
+ */
+async function waitUnlessCancelled(uploadOptions, delay) {
+  const { cancelled, dispose } = waitForCancel(uploadOptions);
+  let timeout;
+  try {
+    await Promise.race([
+      cancelled,
+      new Promise((resolve) => {
+        timeout = setTimeout(resolve, delay);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timeout);
+    dispose();
+  }
+}
+
+/**
+ * Ensures that a value is a valid item count.
+ * @param {number} count Value to validate.
+ * @param {number} [minimum] Smallest count that is allowed. Default: 0.
+ * @returns {number} The given count.
+ */
+function validateCount(count, minimum = 0) {
+  if (!Number.isInteger(count) || count < minimum) {
+    throw new UploadError(
+      `Count must be a whole number of at least ${minimum}, got '${count}'`,
+      ErrorCodes.INVALID_OPTIONS,
+    );
+  }
+  return count;
+}
+
 /**
  * Creates a "thread"-specific lock on a given ID. Other threads requesting
  * a lock on the same ID won't be able to run unless there are no other
@@ -337,8 +750,16 @@ module.exports = {
   trimLeft,
   joinUrlPath,
   trimContentDam,
+  getTargetPath,
   normalizePath,
   isTempPath,
+  getTempItem,
   walkDirectory,
+  streamDirectory,
+  ensureNotCancelled,
+  ignoreCancelled,
+  waitForCancel,
+  waitUnlessCancelled,
   getLock,
+  validateCount,
 };
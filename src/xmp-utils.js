@@ -0,0 +1,117 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const DESCRIPTION_REGEX = /<rdf:Description\b([^>]*?)(?:\/>|>([\s\S]*?)<\/rdf:Description>)/g;
+const ATTRIBUTE_REGEX = /([\w.-]+:[\w.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const PROPERTY_REGEX = /<([\w.-]+:[\w.-]+)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+const LIST_REGEX = /<rdf:(Alt|Seq|Bag)\b[^>]*>([\s\S]*?)<\/rdf:\1>/;
+const LIST_ITEM_REGEX = /<rdf:li\b([^>]*)>([\s\S]*?)<\/rdf:li>/g;
+
+/**
+ * Namespace prefixes whose attributes describe the XMP structure, rather than properties.
+ */
+const STRUCTURE_PREFIXES = ['rdf', 'xmlns', 'xml'];
+
+/**
+ * Replaces XML entities in a value with the characters they represent.
+ *
+ * @param {string} value Value to decode.
+ * @returns {string} The decoded value.
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|quot|apos|amp);/g, (match, entity) => {
+    if (entity.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(entity.substring(2), 16));
+    }
+    if (entity.startsWith('#')) {
+      return String.fromCodePoint(parseInt(entity.substring(1), 10));
+    }
+    return {
+      lt: '<',
+      gt: '>',
+      quot: '"',
+      apos: '\'',
+      amp: '&',
+    }[entity];
+  });
+}
+
+/**
+ * Determines whether an attribute or element name is part of the XMP structure.
+ *
+ * @param {string} name Qualified name, including its namespace prefix.
+ * @returns {boolean} True if the name isn't a property.
+ */
+function isStructureName(name) {
+  return STRUCTURE_PREFIXES.includes(name.split(':')[0]);
+}
+
+/**
+ * Converts the content of an XMP property element to a value. Language alternatives use
+ * the default language, or the first language if there isn't a default. Ordered and
+ * unordered lists become arrays.
+ *
+ * @param {string} content The element's content.
+ * @returns {string|Array<string>} The property's value, or undefined if the property has
+ *  a structure that isn't supported.
+ */
+function getPropertyValue(content) {
+  const list = LIST_REGEX.exec(content);
+  if (list) {
+    const [, listType, listContent] = list;
+    const items = [...listContent.matchAll(LIST_ITEM_REGEX)]
+      .map(([, attributes, item]) => ({ attributes, value: decodeEntities(item.trim()) }));
+    if (listType === 'Alt') {
+      const defaultItem = items.find(({ attributes }) => attributes.includes('x-default'));
+      return (defaultItem || items[0] || {}).value;
+    }
+    return items.map(({ value }) => value);
+  }
+  if (content.includes('<')) {
+    return undefined;
+  }
+  return decodeEntities(content.trim());
+}
+
+/**
+ * Reads the properties from an XMP packet. Properties may be provided as attributes of an
+ * rdf:Description element, or as its child elements. Properties with nested structures
+ * are ignored.
+ *
+ * @param {string} xmp Content of the XMP packet.
+ * @returns {object} Simple object whose keys are qualified property names, such as
+ *  "dc:title".
+ */
+function parseXmp(xmp) {
+  const properties = {};
+  [...String(xmp).matchAll(DESCRIPTION_REGEX)].forEach(([, attributes, content = '']) => {
+    [...attributes.matchAll(ATTRIBUTE_REGEX)].forEach(([, name, doubleQuoted, singleQuoted]) => {
+      if (!isStructureName(name)) {
+        properties[name] = decodeEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+      }
+    });
+    [...content.matchAll(PROPERTY_REGEX)].forEach(([, name, , propertyContent]) => {
+      if (isStructureName(name) || propertyContent === undefined) {
+        return;
+      }
+      const value = getPropertyValue(propertyContent);
+      if (value !== undefined) {
+        properties[name] = value;
+      }
+    });
+  });
+  return properties;
+}
+
+module.exports = {
+  parseXmp,
+};
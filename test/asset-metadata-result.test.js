@@ -0,0 +1,69 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+
+const {
+  getTestOptions,
+} = require('./testutils');
+const DirectBinaryUploadOptions = require('../src/direct-binary-upload-options');
+const AssetMetadataResult = require('../src/asset-metadata-result');
+const UploadError = require('../src/upload-error');
+const ErrorCodes = require('../src/error-codes');
+
+describe('Asset Metadata Result Tests', () => {
+  function createResult() {
+    return new AssetMetadataResult(
+      getTestOptions(),
+      new DirectBinaryUploadOptions(),
+      '/content/dam/asset.jpg',
+      { 'dc:title': 'Asset' },
+    );
+  }
+
+  it('test result with response', () => {
+    const metadataResult = createResult();
+    metadataResult.setUpdateResponse({
+      status: 200,
+      cloudClient: {
+        requestTime: 50,
+      },
+    });
+    should(metadataResult.getAssetPath()).be.exactly('/content/dam/asset.jpg');
+    should(metadataResult.getProperties()).deepEqual({ 'dc:title': 'Asset' });
+    should(metadataResult.getUpdateTime()).be.exactly(50);
+    should(metadataResult.getUpdateError()).not.be.ok();
+    should(metadataResult.toJSON()).deepEqual({
+      elapsedTime: 50,
+      assetPath: '/content/dam/asset.jpg',
+      properties: { 'dc:title': 'Asset' },
+      retryErrors: [],
+    });
+  });
+
+  it('test result with error', () => {
+    const metadataResult = createResult();
+    const uploadError = new UploadError('unit test error', ErrorCodes.NOT_FOUND);
+    metadataResult.setUpdateError(uploadError);
+    should(metadataResult.getUpdateTime()).be.exactly(0);
+    should(metadataResult.getUpdateError()).be.exactly(uploadError);
+    should(metadataResult.toJSON()).deepEqual({
+      elapsedTime: 0,
+      assetPath: '/content/dam/asset.jpg',
+      properties: { 'dc:title': 'Asset' },
+      retryErrors: [],
+      error: uploadError.toJSON(),
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const Os = require('os');
+const Path = require('path');
+const fs = require('fs');
+const should = require('should');
+const MockFs = require('mock-fs');
+
+const { findConfigFile, loadSettings } = require('../src/cli-config');
+const ErrorCodes = require('../src/error-codes');
+
+const CONFIG = {
+  // eslint-disable-next-line no-template-curly-in-string
+  target: 'http://localhost:4502/content/dam/${AEM_FOLDER}',
+  headers: {
+    // eslint-disable-next-line no-template-curly-in-string
+    'X-Api-Key': '${AEM_API_KEY}',
+    // eslint-disable-next-line no-template-curly-in-string
+    'X-Source': 'config-${AEM_SOURCE}',
+  },
+  profiles: {
+    dev: {
+      // eslint-disable-next-line no-template-curly-in-string
+      headers: { 'X-Source': 'dev-${AEM_SOURCE}' },
+      credentials: { usernameEnv: 'AEM_USER', passwordEnv: 'AEM_PASSWORD' },
+    },
+    prod: {
+      target: 'https://prod.example.com/content/dam/uploads',
+      credentials: { tokenEnv: 'AEM_TOKEN' },
+    },
+  },
+};
+
+const ENV = {
+  AEM_FOLDER: 'uploads',
+  AEM_API_KEY: 'key',
+  AEM_USER: 'admin',
+  AEM_PASSWORD: 'password',
+  AEM_TOKEN: 'token',
+  AEM_SOURCE: 'cli',
+};
+
+describe('CLI Config Tests', () => {
+  afterEach(() => {
+    MockFs.restore();
+  });
+
+  it('test find config file', async () => {
+    MockFs({
+      '/test/project': {
+        '.aemuploadrc.json': '{}',
+        'aem-upload.config.js': 'module.exports = {};',
+        sub: {
+          dir: {},
+        },
+        other: {
+          'aem-upload.config.js': 'module.exports = {};',
+        },
+      },
+    });
+    should(await findConfigFile('/test/project/sub/dir')).be.exactly('/test/project/.aemuploadrc.json');
+    should(await findConfigFile('/test/project/other')).be.exactly('/test/project/other/aem-upload.config.js');
+    should(await findConfigFile('/test')).be.undefined();
+  });
+
+  it('test load settings', async () => {
+    MockFs({
+      '/test/project/.aemuploadrc.json': JSON.stringify(CONFIG),
+    });
+    const options = { cwd: '/test/project', env: ENV };
+
+    should(await loadSettings(options)).deepEqual({
+      target: 'http://localhost:4502/content/dam/uploads',
+      headers: {
+        'X-Api-Key': 'key',
+        'X-Source': 'config-cli',
+      },
+    });
+    should(await loadSettings({ ...options, profile: 'dev' })).deepEqual({
+      target: 'http://localhost:4502/content/dam/uploads',
+      headers: {
+        'X-Api-Key': 'key',
+        'X-Source': 'dev-cli',
+        Authorization: `Basic ${Buffer.from('admin:password').toString('base64')}`,
+      },
+    });
+    should(await loadSettings({ ...options, profile: 'prod' })).deepEqual({
+      target: 'https://prod.example.com/content/dam/uploads',
+      headers: {
+        'X-Api-Key': 'key',
+        'X-Source': 'config-cli',
+        Authorization: 'Bearer token',
+      },
+    });
+    should(await loadSettings({ cwd: '/test', env: ENV })).deepEqual({});
+  });
+
+  it('test load javascript settings', async () => {
+    // javascript configuration is required, so it needs a real file
+    const directory = fs.mkdtempSync(Path.join(Os.tmpdir(), 'aem-upload-config-'));
+    try {
+      fs.writeFileSync(
+        Path.join(directory, 'aem-upload.config.js'),
+        'module.exports = { deep: true, concurrency: 4 };',
+      );
+      should(await loadSettings({ cwd: directory, configPath: 'aem-upload.config.js' }))
+        .deepEqual({ deep: true, concurrency: 4 });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('test invalid settings', async () => {
+    MockFs({
+      '/test/project': {
+        '.aemuploadrc.json': JSON.stringify(CONFIG),
+        'invalid.json': '{ target: ',
+        'unknown.json': JSON.stringify({ password: 'secret' }),
+        'type.json': JSON.stringify({ profiles: { dev: { concurrency: '4' } } }),
+        'authorization.json': JSON.stringify({
+          // eslint-disable-next-line no-template-curly-in-string
+          headers: { authorization: 'Bearer ${AEM_TOKEN}' },
+        }),
+        'literal.json': JSON.stringify({
+          profiles: { dev: { headers: { Authorization: 'Basic abc' } } },
+        }),
+        'stored.json': JSON.stringify({ headers: { 'X-Api-Key': 'key' } }),
+        'number.json': JSON.stringify({ headers: { 'X-Retries': 3 } }),
+      },
+    });
+    const options = { cwd: '/test/project', env: ENV };
+
+    const invalidOptions = [
+      { ...options, configPath: 'invalid.json' },
+      { ...options, configPath: 'unknown.json' },
+      { ...options, configPath: 'type.json', profile: 'dev' },
+      { ...options, configPath: 'authorization.json' },
+      { ...options, configPath: 'literal.json', profile: 'dev' },
+      { ...options, configPath: 'stored.json' },
+      { ...options, configPath: 'number.json' },
+      { ...options, profile: 'stage' },
+      { ...options, profile: 'prod', env: { ...ENV, AEM_TOKEN: '' } },
+      { ...options, env: { AEM_FOLDER: 'uploads' } },
+      { cwd: '/test', profile: 'dev' },
+    ];
+    await Promise.all(invalidOptions.map((invalid) => should(loadSettings(invalid))
+      .be.rejectedWith({ code: ErrorCodes.INVALID_OPTIONS })));
+  });
+});
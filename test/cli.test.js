@@ -0,0 +1,264 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+const MockFs = require('mock-fs');
+
+const {
+  resetHttp,
+  allHttpUsed,
+  addDirectUpload,
+  addCreateDirectory,
+} = require('./testutils');
+
+const { ExitCodes, parseArguments, run } = require('../src/cli');
+const ErrorCodes = require('../src/error-codes');
+
+const HOST = 'http://reallyfakehostforaemuploadtesting';
+const CONFIG_OPTIONS = { cwd: '/test/project', env: { AEM_SOURCE: 'config' } };
+
+function createStream() {
+  return {
+    output: '',
+    write(data) {
+      this.output += data;
+    },
+  };
+}
+
+describe('CLI Tests', () => {
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    resetHttp();
+    stdout = createStream();
+    stderr = createStream();
+  });
+
+  afterEach(() => {
+    should(allHttpUsed()).be.ok();
+    resetHttp();
+    MockFs.restore();
+  });
+
+  it('test parse arguments', async () => {
+    const {
+      localPaths,
+      uploadOptions,
+      quiet,
+      verbose,
+    } = await parseArguments([
+      '/test/dir',
+      '/test/file.jpg',
+      '--target', `${HOST}/target`,
+      '-d',
+      '--concurrency', '4',
+      '--retries', '2',
+      '--retry-delay', '100',
+      '--timeout', '30000',
+      '-H', 'Authorization: Bearer token',
+      '--header', 'X-Custom:value: with colon',
+      '--create-version',
+      '--on-conflict', 'rename',
+      '-q',
+    ], CONFIG_OPTIONS);
+    should(localPaths).deepEqual(['/test/dir', '/test/file.jpg']);
+    should(quiet).be.ok();
+    should(verbose).not.be.ok();
+    should(uploadOptions.getUrl()).be.exactly(`${HOST}/target`);
+    should(uploadOptions.getDeepUpload()).be.ok();
+    should(uploadOptions.getMaxConcurrent()).be.exactly(4);
+    should(uploadOptions.getHttpRetryCount()).be.exactly(2);
+    should(uploadOptions.getHttpRetryDelay()).be.exactly(100);
+    should(uploadOptions.getHttpRequestTimeout()).be.exactly(30000);
+    should(uploadOptions.getHttpOptions().headers).deepEqual({
+      Authorization: 'Bearer token',
+      'X-Custom': 'value: with colon',
+    });
+    should(uploadOptions.getUploadFileOptions()).deepEqual({
+      replace: false,
+      createVersion: true,
+    });
+    should(uploadOptions.getConflictPolicy()).be.exactly('rename');
+  });
+
+  it('test parse arguments with configuration file', async () => {
+    MockFs({
+      '/test/project': {
+        '.aemuploadrc.json': JSON.stringify({
+          target: `${HOST}/default`,
+          concurrency: 2,
+          // eslint-disable-next-line no-template-curly-in-string
+          headers: { 'X-Source': '${AEM_SOURCE}' },
+          exclude: ['drafts/'],
+          profiles: {
+            prod: {
+              target: `${HOST}/prod`,
+              deep: true,
+              replace: true,
+              credentials: { tokenEnv: 'AEM_TOKEN' },
+            },
+          },
+        }),
+      },
+    });
+
+    let { uploadOptions } = await parseArguments(['/test/dir'], CONFIG_OPTIONS);
+    should(uploadOptions.getUrl()).be.exactly(`${HOST}/default`);
+    should(uploadOptions.getDeepUpload()).not.be.ok();
+    should(uploadOptions.getMaxConcurrent()).be.exactly(2);
+    should(uploadOptions.getExcludePatterns()).deepEqual(['drafts/']);
+    should(uploadOptions.getHttpOptions().headers).deepEqual({ 'X-Source': 'config' });
+
+    ({ uploadOptions } = await parseArguments([
+      '/test/dir',
+      '--profile', 'prod',
+      '--concurrency', '8',
+      '--create-version',
+      '-H', 'X-Source: command line',
+    ], { ...CONFIG_OPTIONS, env: { ...CONFIG_OPTIONS.env, AEM_TOKEN: 'token' } }));
+    should(uploadOptions.getUrl()).be.exactly(`${HOST}/prod`);
+    should(uploadOptions.getDeepUpload()).be.ok();
+    should(uploadOptions.getMaxConcurrent()).be.exactly(8);
+    should(uploadOptions.getUploadFileOptions()).deepEqual({
+      replace: false,
+      createVersion: true,
+    });
+    should(uploadOptions.getConflictPolicy()).be.undefined();
+    should(uploadOptions.getHttpOptions().headers).deepEqual({
+      'X-Source': 'command line',
+      Authorization: 'Bearer token',
+    });
+
+    ({ uploadOptions } = await parseArguments([
+      '/test/dir',
+      '--profile', 'prod',
+      '--no-deep',
+      '--no-replace',
+    ], { ...CONFIG_OPTIONS, env: { ...CONFIG_OPTIONS.env, AEM_TOKEN: 'token' } }));
+    should(uploadOptions.getDeepUpload()).not.be.ok();
+    should(uploadOptions.getUploadFileOptions()).deepEqual({
+      replace: false,
+      createVersion: false,
+    });
+
+    await should(parseArguments(['/test/dir', '--profile', 'stage'], CONFIG_OPTIONS))
+      .be.rejectedWith({ code: ErrorCodes.INVALID_OPTIONS });
+  });
+
+  it('test invalid arguments', async () => {
+    const invalidArguments = [
+      ['/test/dir'],
+      ['--target', `${HOST}/target`],
+      ['/test/dir', '--target', `${HOST}/target`, '--retries', 'many'],
+      ['/test/dir', '--target', `${HOST}/target`, '--header', 'no separator'],
+      ['/test/dir', '--target', `${HOST}/target`, '--replace', '--create-version'],
+      ['/test/dir', '--target', `${HOST}/target`, '--deep', '--no-deep'],
+      ['/test/dir', '--target', `${HOST}/target`, '--on-conflict', 'overwrite'],
+      ['/test/dir', '--target', `${HOST}/target`, '--unknown'],
+    ];
+    await Promise.all(invalidArguments.map((args) => should(parseArguments(args, CONFIG_OPTIONS))
+      .be.rejectedWith({ code: ErrorCodes.INVALID_OPTIONS })));
+
+    should(await run(['/test/dir'], { stdout, stderr }, CONFIG_OPTIONS))
+      .be.exactly(ExitCodes.INVALID_USAGE);
+    should(stderr.output).startWith('--target is required');
+    should(stderr.output).containEql('Usage: aem-upload');
+
+    should(await run(['--help'], { stdout, stderr }, CONFIG_OPTIONS)).be.exactly(ExitCodes.SUCCESS);
+    should(stdout.output).startWith('Usage: aem-upload');
+  });
+
+  it('test run upload', async () => {
+    MockFs({
+      '/test/dir': {
+        'a.jpg': '1234',
+        'b.jpg': '123',
+      },
+    });
+
+    addCreateDirectory(HOST, '/target');
+    addDirectUpload(HOST, '/target', ['a.jpg', 'b.jpg']);
+
+    const exitCode = await run(
+      ['/test/dir', '--target', `${HOST}/target`],
+      { stdout, stderr },
+      CONFIG_OPTIONS,
+    );
+    should(exitCode).be.exactly(ExitCodes.SUCCESS);
+    should(stderr.output).be.exactly('');
+    const lines = stdout.output.split('\n');
+    should(lines.slice(0, 2).sort()).deepEqual([
+      'Uploaded /target/a.jpg',
+      'Uploaded /target/b.jpg',
+    ]);
+    should(lines[2]).startWith('Uploaded 2 of 2 files');
+  });
+
+  it('test run upload with json result', async () => {
+    MockFs({
+      '/test/dir': {
+        'a.jpg': '1234',
+      },
+    });
+
+    addCreateDirectory(HOST, '/target');
+    addDirectUpload(HOST, '/target', ['a.jpg']);
+
+    const exitCode = await run(
+      ['/test/dir', '--target', `${HOST}/target`, '--json', '--verbose'],
+      { stdout, stderr },
+      CONFIG_OPTIONS,
+    );
+    should(exitCode).be.exactly(ExitCodes.SUCCESS);
+    const result = JSON.parse(stdout.output);
+    should(result.totalCompleted).be.exactly(1);
+    should(result.detailedResult[0].filePath).be.exactly('/test/dir/a.jpg');
+    should(stderr.output).match(/^INFO: /m);
+  });
+
+  it('test run upload with missing path', async () => {
+    MockFs({
+      '/test': {},
+    });
+
+    addCreateDirectory(HOST, '/target');
+
+    const exitCode = await run(
+      ['/test/missing', '--target', `${HOST}/target`],
+      { stdout, stderr },
+      CONFIG_OPTIONS,
+    );
+    should(exitCode).be.exactly(ExitCodes.FAILED);
+    should(stderr.output).containEql('/test/missing');
+  });
+
+  it('test run failed upload', async () => {
+    MockFs({
+      '/test/dir': {},
+    });
+
+    addCreateDirectory(HOST, '/target', 404);
+
+    const exitCode = await run(
+      ['/test/dir', '--target', `${HOST}/target`, '--retry-delay', '10', '--quiet'],
+      { stdout, stderr },
+      CONFIG_OPTIONS,
+    );
+    should(exitCode).be.exactly(ExitCodes.FAILED);
+    should(stdout.output).be.exactly('');
+    should(stderr.output).not.be.exactly('');
+  });
+});
@@ -14,6 +14,7 @@ governing permissions and limitations under the License.
 
 const should = require('should');
 
+const ErrorCodes = require('../src/error-codes');
 const DirectBinaryUploadOptions = require('../src/direct-binary-upload-options');
 
 describe('DirectBinaryUploadOptionsTest', () => {
@@ -61,4 +62,58 @@ describe('DirectBinaryUploadOptionsTest', () => {
       hello: 'world!',
     });
   });
+
+  it('test with controller', () => {
+    const controller = new AbortController();
+    const options = new DirectBinaryUploadOptions();
+    should(options.getController()).not.be.ok();
+    should(options.isCancelled()).not.be.ok();
+
+    options.withController(controller);
+    should(options.getController()).be.exactly(controller);
+    should(options.isCancelled()).not.be.ok();
+
+    controller.abort();
+    should(options.isCancelled()).be.ok();
+  });
+
+  it('test rename pattern', () => {
+    const options = new DirectBinaryUploadOptions();
+    should(options.getRenamePattern()).be.exactly('{name}-{n}{ext}');
+
+    options.withRenamePattern('{name} ({n}){ext}');
+    should(options.getRenamePattern()).be.exactly('{name} ({n}){ext}');
+
+    should.throws(() => options.withRenamePattern('{name}-copy{ext}'));
+    should.throws(() => options.withRenamePattern('{name}/{n}{ext}'));
+  });
+
+  it('test tags', () => {
+    const options = new DirectBinaryUploadOptions();
+    should(options.getTags()).deepEqual([]);
+
+    options.withTags(['brand:summer', 'brand:summer/2024']);
+    should(options.getTags()).deepEqual(['brand:summer', 'brand:summer/2024']);
+
+    should(() => options.withTags('brand:summer')).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withTags(['brand:summer', ''])).throw({ code: ErrorCodes.INVALID_OPTIONS });
+  });
+
+  it('test batch options', () => {
+    const options = new DirectBinaryUploadOptions()
+      .withMaxBatchFiles(10)
+      .withMaxBatchSize(1024)
+      .withMaxConcurrentBatches(2);
+    should(options.getMaxBatchFiles()).be.exactly(10);
+    should(options.getMaxBatchSize()).be.exactly(1024);
+    should(options.getMaxConcurrentBatches()).be.exactly(2);
+
+    const invalid = { code: ErrorCodes.INVALID_OPTIONS };
+    [0, -1, 1.5, NaN, '2', undefined].forEach((value) => {
+      should(() => options.withMaxBatchFiles(value)).throw(invalid);
+      should(() => options.withMaxBatchSize(value)).throw(invalid);
+      should(() => options.withMaxConcurrentBatches(value)).throw(invalid);
+    });
+    should(options.getMaxBatchFiles()).be.exactly(10);
+  });
 });
@@ -18,15 +18,19 @@ const should = require('should');
 const {
   getTestOptions,
   addDirectUpload,
+  addAssetExists,
   resetHttp,
   allHttpUsed,
   getDirectBinaryUploads,
   parseQuery,
+  expectDirectBinaryCheck,
 } = require('./testutils');
 const MockBlob = require('./mock-blob');
 const UploadResult = require('../src/upload-result');
 const DirectBinaryUploadProcess = require('../src/direct-binary-upload-process');
 const DirectBinaryUploadOptions = require('../src/direct-binary-upload-options');
+const ErrorCodes = require('../src/error-codes');
+const { DefaultValues } = require('../src/constants');
 
 const HOST = 'http://reallyfakeaemuploadhost';
 
@@ -227,5 +231,328 @@ describe('DirectBinaryUploadProcessTest', () => {
       const process = new DirectBinaryUploadProcess(getTestOptions(), options);
       should(process.getTotalSize()).be.exactly(3072);
     });
+
+    it('test pause and resume', async () => {
+      const targetFolder = '/target/pause-resume';
+      addDirectUpload(HOST, targetFolder, ['myasset.jpg']);
+
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}${targetFolder}`)
+        .withUploadFiles([{
+          fileName: 'myasset.jpg',
+          fileSize: 512,
+          blob: new MockBlob(),
+        }]);
+      const process = new DirectBinaryUploadProcess(getTestOptions(), options);
+      const events = [];
+      process.on('uploadpaused', () => events.push('uploadpaused'));
+      process.on('uploadresumed', () => events.push('uploadresumed'));
+      process.on('filestart', () => events.push('filestart'));
+
+      process.pause();
+      process.pause();
+      should(process.isPaused()).be.ok();
+
+      const upload = process.upload(new UploadResult(getTestOptions(), options));
+      await new Promise((resolve) => {
+        setTimeout(resolve, 20);
+      });
+      should(getDirectBinaryUploads().parts.length).be.exactly(0);
+
+      process.resume();
+      process.resume();
+      should(process.isPaused()).not.be.ok();
+      await upload;
+
+      should(getDirectBinaryUploads().parts.length).be.exactly(1);
+      should(events).deepEqual(['uploadpaused', 'uploadresumed', 'filestart']);
+    });
+
+    it('test cancel while paused', async () => {
+      const controller = new AbortController();
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}/target/cancel-paused`)
+        .withController(controller)
+        .withUploadFiles([{
+          fileName: 'myasset.jpg',
+          fileSize: 512,
+          blob: new MockBlob(),
+        }]);
+      const process = new DirectBinaryUploadProcess(getTestOptions(), options);
+      process.pause();
+
+      const upload = process.upload(new UploadResult(getTestOptions(), options));
+      controller.abort();
+      await should(upload).be.rejectedWith({ code: ErrorCodes.USER_CANCELLED });
+    });
+
+    it('test pause during transfer', async () => {
+      // each transfer uses a different folder so that its requests can be told apart
+      const targetFolder = '/target/pause-transfer';
+      addDirectUpload(HOST, `${targetFolder}/1`, ['a.jpg', 'b.jpg']);
+      expectDirectBinaryCheck();
+      addDirectUpload(HOST, `${targetFolder}/2`, ['c.jpg']);
+      expectDirectBinaryCheck();
+      addDirectUpload(HOST, `${targetFolder}/2`, ['d.jpg']);
+
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}${targetFolder}`)
+        .withConcurrent(false)
+        .withMaxBatchFiles(2)
+        .withUploadFiles(['1/a.jpg', '1/b.jpg', '2/c.jpg', '2/d.jpg'].map((fileName) => ({
+          fileUrl: `${HOST}${targetFolder}/${fileName}`,
+          fileSize: 512,
+          blob: new MockBlob(),
+        })));
+      const process = new DirectBinaryUploadProcess(getTestOptions(), options);
+      const events = [];
+      process.on('uploadpaused', () => events.push('uploadpaused'));
+      process.on('uploadresumed', () => events.push('uploadresumed'));
+      process.on('filestart', ({ fileName }) => {
+        events.push(`filestart ${fileName}`);
+        if (fileName === 'a.jpg' || fileName === 'c.jpg') {
+          process.pause();
+        }
+      });
+      process.on('fileend', ({ fileName }) => {
+        events.push(`fileend ${fileName}`);
+        if (fileName === 'b.jpg' || fileName === 'c.jpg') {
+          process.resume();
+        }
+      });
+
+      const uploadResult = new UploadResult(getTestOptions(), options);
+      await process.upload(uploadResult);
+      should(uploadResult.getTotalCompletedFiles()).be.exactly(4);
+
+      // the first batch was already handed to a single transfer when the upload was
+      // paused, but once paused the second batch's files are transferred one at a time
+      should(events).deepEqual([
+        'filestart a.jpg',
+        'uploadpaused',
+        'filestart b.jpg',
+        'fileend a.jpg',
+        'fileend b.jpg',
+        'uploadresumed',
+        'filestart c.jpg',
+        'uploadpaused',
+        'fileend c.jpg',
+        'uploadresumed',
+        'filestart d.jpg',
+        'fileend d.jpg',
+      ]);
+    });
+
+    async function runConflictTest(conflictPolicy, targetFolder, existingAssets, transferred) {
+      ['a.jpg', 'b.jpg'].forEach((assetName) => {
+        addAssetExists(HOST, `${targetFolder}/${assetName}`, existingAssets.includes(assetName));
+      });
+      if (transferred.length) {
+        addDirectUpload(HOST, `/content/dam${targetFolder}`, transferred);
+      }
+
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}/content/dam${targetFolder}`)
+        .withConflictPolicy(conflictPolicy)
+        .withUploadFiles([{
+          fileName: 'a.jpg',
+          fileSize: 512,
+          blob: new MockBlob(),
+        }, {
+          fileName: 'b.jpg',
+          fileSize: 512,
+          filePath: '/test/b.jpg',
+          blob: new MockBlob(),
+        }]);
+      const process = new DirectBinaryUploadProcess(getTestOptions(), options);
+      const events = [];
+      ['fileend', 'fileerror', 'fileskipped'].forEach((eventName) => {
+        process.on(eventName, ({ fileName }) => events.push(`${eventName} ${fileName}`));
+      });
+      const uploadResult = new UploadResult(getTestOptions(), options);
+      await process.upload(uploadResult);
+      return { uploadResult, events };
+    }
+
+    it('test skip conflict policy', async () => {
+      const { uploadResult, events } = await runConflictTest('skip', '/target/conflict-skip', ['b.jpg'], ['a.jpg']);
+
+      should(events).deepEqual(['fileskipped b.jpg', 'fileend a.jpg']);
+      should(uploadResult.getTotalCompletedFiles()).be.exactly(1);
+      should(uploadResult.getFileUploadResults().map(
+        ({ conflictDecision }) => conflictDecision,
+      )).deepEqual(['create', 'skip']);
+      should(uploadResult.getSkippedItems()).deepEqual([{
+        targetPath: '/content/dam/target/conflict-skip/b.jpg',
+        localPath: '/test/b.jpg',
+        reason: 'exists',
+      }]);
+    });
+
+    it('test replace conflict policy', async () => {
+      const { uploadResult } = await runConflictTest('replace', '/target/conflict-replace', ['a.jpg'], ['a.jpg', 'b.jpg']);
+
+      should(uploadResult.getTotalCompletedFiles()).be.exactly(2);
+      should(uploadResult.getFileUploadResults().map(
+        ({ conflictDecision }) => conflictDecision,
+      )).deepEqual(['replace', 'create']);
+      const completes = getDirectBinaryUploads().completes.map(({ body }) => parseQuery(body));
+      should(completes.find(({ fileName }) => fileName === 'a.jpg').replace).be.exactly('true');
+      should(completes.find(({ fileName }) => fileName === 'b.jpg').replace).be.exactly('false');
+    });
+
+    it('test version conflict policy', async () => {
+      const { uploadResult } = await runConflictTest('version', '/target/conflict-version', ['a.jpg', 'b.jpg'], ['a.jpg', 'b.jpg']);
+
+      should(uploadResult.getFileUploadResults().map(
+        ({ conflictDecision }) => conflictDecision,
+      )).deepEqual(['version', 'version']);
+      getDirectBinaryUploads().completes.forEach(({ body }) => {
+        should(parseQuery(body).createVersion).be.exactly('true');
+      });
+    });
+
+    it('test fail conflict policy', async () => {
+      const { uploadResult, events } = await runConflictTest('fail', '/target/conflict-fail', ['a.jpg'], ['b.jpg']);
+
+      should(events).deepEqual(['fileerror a.jpg', 'fileend b.jpg']);
+      should(uploadResult.getTotalCompletedFiles()).be.exactly(1);
+      const [failedFile] = uploadResult.getFileUploadResults();
+      should(failedFile.conflictDecision).be.exactly('fail');
+      should(failedFile.result.errors[0].code).be.exactly(ErrorCodes.ALREADY_EXISTS);
+    });
+
+    it('test rename conflict policy', async () => {
+      const targetFolder = '/target/conflict-rename';
+      addAssetExists(HOST, `${targetFolder}/a-1.jpg`);
+      addAssetExists(HOST, `${targetFolder}/a-2.jpg`, false);
+      const { uploadResult, events } = await runConflictTest('rename', targetFolder, ['a.jpg'], ['a-2.jpg', 'b.jpg']);
+
+      should(events.sort()).deepEqual(['fileend a-2.jpg', 'fileend b.jpg']);
+      should(uploadResult.getTotalCompletedFiles()).be.exactly(2);
+      const renamedFile = uploadResult.getFileUploadResults().find(
+        ({ conflictDecision }) => conflictDecision === 'rename',
+      );
+      should(renamedFile.fileUrl).be.exactly(`${HOST}/content/dam${targetFolder}/a-2.jpg`);
+      should(renamedFile.originalFileUrl).be.exactly(`${HOST}/content/dam${targetFolder}/a.jpg`);
+      should(renamedFile.result.targetFile).be.exactly(`/content/dam${targetFolder}/a-2.jpg`);
+      should(renamedFile.result.originalFileName).be.exactly('a.jpg');
+      should(renamedFile.result.originalTargetFile).be.exactly(`/content/dam${targetFolder}/a.jpg`);
+    });
+
+    it('test rename attempts are limited', async () => {
+      const targetFolder = '/target/conflict-rename-limit';
+      for (let n = 1; n <= DefaultValues.MAX_RENAME_ATTEMPTS; n += 1) {
+        addAssetExists(HOST, `${targetFolder}/a-${n}.jpg`);
+      }
+      const { uploadResult, events } = await runConflictTest('rename', targetFolder, ['a.jpg'], ['b.jpg']);
+
+      should(events).deepEqual(['fileerror a.jpg', 'fileend b.jpg']);
+      should(uploadResult.getTotalCompletedFiles()).be.exactly(1);
+      const failedFile = uploadResult.getFileUploadResults().find(({ result }) => result.errors);
+      should(failedFile.fileUrl).be.exactly(`${HOST}/content/dam${targetFolder}/a.jpg`);
+      should(failedFile.result.errors[0].code).be.exactly(ErrorCodes.ALREADY_EXISTS);
+      should(failedFile.result.errors[0].message).containEql(`after ${DefaultValues.MAX_RENAME_ATTEMPTS} attempts`);
+    });
+
+    it('test invalid conflict policy', () => {
+      should.throws(() => new DirectBinaryUploadOptions().withConflictPolicy('invalid'));
+    });
+
+    async function runBatchTest(targetFolder, fileSizes, batchOptions) {
+      const fileNames = Object.keys(fileSizes);
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}${targetFolder}`)
+        .withUploadFiles(fileNames.map((fileName) => ({
+          fileUrl: `${HOST}${targetFolder}/${fileName}`,
+          fileSize: fileSizes[fileName],
+          blob: new MockBlob(),
+        })));
+      batchOptions(options);
+      const process = new DirectBinaryUploadProcess(getTestOptions(), options);
+      const events = [];
+      ['batchstart', 'batchend'].forEach((eventName) => {
+        process.on(eventName, (data) => events.push({ eventName, ...data }));
+      });
+      const uploadResult = new UploadResult(getTestOptions(), options);
+      await process.upload(uploadResult);
+
+      should(uploadResult.getTotalFiles()).be.exactly(fileNames.length);
+      should(uploadResult.getTotalCompletedFiles()).be.exactly(fileNames.length);
+      return events.map(({ uploadId, ...data }) => {
+        should(uploadId).be.exactly(process.getUploadId());
+        return data;
+      });
+    }
+
+    it('test batch file count', async () => {
+      const targetFolder = '/target/batch-count';
+      addDirectUpload(HOST, targetFolder, ['a.jpg', 'b.jpg']);
+      expectDirectBinaryCheck();
+      addDirectUpload(HOST, targetFolder, ['c.jpg']);
+
+      const events = await runBatchTest(targetFolder, {
+        'a.jpg': 512,
+        'b.jpg': 512,
+        'c.jpg': 512,
+      }, (options) => options.withMaxBatchFiles(2));
+      should(events).deepEqual([{
+        eventName: 'batchstart', batchNumber: 1, fileCount: 2, totalSize: 1024,
+      }, {
+        eventName: 'batchend',
+        batchNumber: 1,
+        fileCount: 2,
+        totalSize: 1024,
+        successCount: 2,
+        failureCount: 0,
+        skippedCount: 0,
+      }, {
+        eventName: 'batchstart', batchNumber: 2, fileCount: 1, totalSize: 512,
+      }, {
+        eventName: 'batchend',
+        batchNumber: 2,
+        fileCount: 1,
+        totalSize: 512,
+        successCount: 1,
+        failureCount: 0,
+        skippedCount: 0,
+      }]);
+      should(getDirectBinaryUploads().parts.length).be.exactly(3);
+    });
+
+    it('test batch size', async () => {
+      const targetFolder = '/target/batch-size';
+      addDirectUpload(HOST, targetFolder, ['a.jpg']);
+      expectDirectBinaryCheck();
+      addDirectUpload(HOST, targetFolder, ['b.jpg', 'c.jpg']);
+
+      const events = await runBatchTest(targetFolder, {
+        'a.jpg': 1024,
+        'b.jpg': 512,
+        'c.jpg': 512,
+      }, (options) => options.withMaxBatchSize(1024));
+      should(events.filter(({ eventName }) => eventName === 'batchstart')).deepEqual([{
+        eventName: 'batchstart', batchNumber: 1, fileCount: 1, totalSize: 1024,
+      }, {
+        eventName: 'batchstart', batchNumber: 2, fileCount: 2, totalSize: 1024,
+      }]);
+    });
+
+    it('test concurrent batches', async () => {
+      // each batch uses a different folder so that its requests can be told apart
+      const targetFolder = '/target/batch-concurrent';
+      addDirectUpload(HOST, `${targetFolder}/a`, ['a.jpg']);
+      expectDirectBinaryCheck();
+      addDirectUpload(HOST, `${targetFolder}/b`, ['b.jpg']);
+
+      const events = await runBatchTest(targetFolder, {
+        'a/a.jpg': 512,
+        'b/b.jpg': 512,
+      }, (options) => options.withMaxBatchFiles(1).withMaxConcurrentBatches(2));
+      // both batches start before either of them ends
+      should(events.map(({ eventName }) => eventName)).deepEqual([
+        'batchstart', 'batchstart', 'batchend', 'batchend',
+      ]);
+    });
   });
 });
@@ -12,6 +12,7 @@ governing permissions and limitations under the License.
 
 /* eslint-env mocha */
 
+const nock = require('nock');
 const should = require('should');
 
 const {
@@ -27,6 +28,7 @@ const MockBlob = require('./mock-blob');
 
 const DirectBinaryUpload = require('../src/direct-binary-upload');
 const DirectBinaryUploadOptions = require('../src/direct-binary-upload-options');
+const ErrorCodes = require('../src/error-codes');
 
 let blob1; let blob2; let
   events;
@@ -271,5 +273,236 @@ describe('DirectBinaryUploadTest', () => {
       should(events[7].data.totalSize).be.exactly(3023);
       should(events[7].data.result).be.ok();
     });
+
+    it('cancel before upload', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}/target/cancelled`)
+        .withUploadFiles(getTestUploadFiles())
+        .withController(controller);
+
+      const upload = new DirectBinaryUpload(getTestOptions());
+      monitorEvents(upload);
+
+      const result = await upload.uploadFiles(options);
+      should(result.totalFiles).be.exactly(2);
+      should(result.totalCompleted).be.exactly(0);
+      should(result.errors.length).be.exactly(1);
+      should(result.errors[0].code).be.exactly(ErrorCodes.USER_CANCELLED);
+      should(blob1.getSlices().length).be.exactly(0);
+      should(blob2.getSlices().length).be.exactly(0);
+
+      should(events.length).be.exactly(4);
+      should(events[0].event).be.exactly('fileuploadstart');
+      should(events[1].event).be.exactly('filecancelled');
+      should(events[1].data.targetFile).be.exactly('/target/cancelled/targetfile.jpg');
+      should(events[2].event).be.exactly('filecancelled');
+      should(events[2].data.targetFile).be.exactly('/target/cancelled/targetfile2.jpg');
+      should(events[3].event).be.exactly('fileuploadend');
+    });
+
+    it('cancel during upload', async () => {
+      const targetFolder = '/target/cancel_during';
+      addDirectUpload(HOST, targetFolder, getTestUploadFiles().map((file) => file.fileName));
+      const controller = new AbortController();
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}${targetFolder}`)
+        .withUploadFiles(getTestUploadFiles())
+        .withConcurrent(false)
+        .withController(controller);
+
+      const upload = new DirectBinaryUpload(getTestOptions());
+      monitorEvents(upload);
+      upload.on('fileend', () => controller.abort());
+
+      const result = await upload.uploadFiles(options);
+      // the cancel leaves some of the mocked requests unused
+      resetHttp();
+
+      should(result.totalCompleted).be.exactly(1);
+      should(result.errors.length).be.exactly(1);
+      should(result.errors[0].code).be.exactly(ErrorCodes.USER_CANCELLED);
+      const { detailedResult } = result;
+      should(detailedResult[1].result.errors[0].code).be.exactly(ErrorCodes.USER_CANCELLED);
+
+      const cancelled = events.filter(({ event }) => event === 'filecancelled');
+      should(cancelled.length).be.exactly(1);
+      should(cancelled[0].data.fileName).be.exactly('targetfile2.jpg');
+      should(events.filter(({ event }) => event === 'fileerror').length).be.exactly(0);
+    });
+
+    it('pause and resume', async () => {
+      const targetFolder = '/target/pause_resume';
+      addDirectUpload(HOST, targetFolder, getTestUploadFiles().map((file) => file.fileName));
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}${targetFolder}`)
+        .withUploadFiles(getTestUploadFiles());
+
+      const upload = new DirectBinaryUpload(getTestOptions());
+      monitorEvents(upload);
+      upload.on('uploadpaused', (data) => events.push({ event: 'uploadpaused', data }));
+      upload.on('uploadresumed', (data) => events.push({ event: 'uploadresumed', data }));
+      upload.on('uploadpaused', () => setTimeout(() => upload.resume(), 20));
+
+      upload.pause();
+      should(upload.isPaused()).be.ok();
+      const result = await upload.uploadFiles(options);
+      should(upload.isPaused()).not.be.ok();
+      should(result.totalCompleted).be.exactly(2);
+
+      should(events[0].event).be.exactly('fileuploadstart');
+      should(events[1].event).be.exactly('uploadpaused');
+      should(events[1].data.fileCount).be.exactly(2);
+      should(events[1].data.totalSize).be.exactly(3023);
+      should(events[2].event).be.exactly('uploadresumed');
+      should(events[2].data.uploadId).be.exactly(events[1].data.uploadId);
+      should(events[3].event).be.exactly('filestart');
+      should(events[events.length - 1].event).be.exactly('fileuploadend');
+    });
+  });
+
+  describe('tags', () => {
+    it('test upload tags', async () => {
+      addDirectUpload(HOST, '/target/folder', getTestUploadFiles().map((file) => file.fileName));
+      nock(HOST)
+        .head('/content/cq:tags/brand/summer.json')
+        .reply(200)
+        .head('/content/cq:tags/brand/missing.json')
+        .reply(404)
+        .head('/content/cq:tags/default/featured.json')
+        .reply(200);
+      const requests = [];
+      nock(HOST)
+        .get('/api/assets/target/folder/targetfile.jpg.json')
+        .reply(200, {
+          properties: { metadata: { 'cq:tags': ['campaign:launch', 'featured'] } },
+        })
+        .put('/api/assets/target/folder/targetfile.jpg')
+        .reply(200, (uri, body) => requests.push({ uri, body }))
+        .get('/api/assets/target/folder/targetfile2.jpg.json')
+        .reply(404);
+
+      const uploadFiles = getTestUploadFiles();
+      uploadFiles[0].tags = ['featured', 'brand:summer'];
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}/target/folder`)
+        .withUploadFiles(uploadFiles)
+        .withTags(['brand:summer', 'brand:missing'])
+        .withConcurrent(false);
+
+      const upload = new DirectBinaryUpload(getTestOptions());
+      const result = await upload.uploadFiles(options);
+      should(result.totalCompleted).be.exactly(2);
+      should(requests).deepEqual([{
+        uri: '/api/assets/target/folder/targetfile.jpg',
+        body: {
+          class: 'asset',
+          properties: {
+            'cq:tags': ['campaign:launch', 'featured', 'brand:summer'],
+          },
+        },
+      }]);
+
+      const { taggedAssets } = result;
+      should(taggedAssets.length).be.exactly(2);
+      should(taggedAssets[0].targetPath).be.exactly('/target/folder/targetfile.jpg');
+      should(taggedAssets[0].appliedTags).deepEqual(['brand:summer', 'featured']);
+      should(taggedAssets[0].failedTags.length).be.exactly(1);
+      should(taggedAssets[0].failedTags[0].tag).be.exactly('brand:missing');
+      should(taggedAssets[0].failedTags[0].error.code).be.exactly(ErrorCodes.NOT_FOUND);
+      should(taggedAssets[1].targetPath).be.exactly('/target/folder/targetfile2.jpg');
+      should(taggedAssets[1].appliedTags).deepEqual([]);
+      should(taggedAssets[1].failedTags.map(({ tag }) => tag))
+        .deepEqual(['brand:summer', 'brand:missing']);
+    });
+
+    it('test upload tags with reserved characters', async () => {
+      addDirectUpload(HOST, '/target/folder', ['a,b+c.jpg']);
+      nock(HOST)
+        .head('/content/cq:tags/default/featured.json')
+        .reply(200);
+      const requests = [];
+      nock(HOST)
+        .get('/api/assets/target/folder/a,b+c.jpg.json')
+        .reply(200, { properties: { metadata: {} } })
+        .put('/api/assets/target/folder/a,b+c.jpg')
+        .reply(200, (uri, body) => requests.push({ uri, body }));
+
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}/target/folder`)
+        .withUploadFiles([{
+          fileName: 'a,b+c.jpg',
+          fileSize: 1024,
+          blob: new MockBlob(),
+        }])
+        .withTags(['featured']);
+
+      const upload = new DirectBinaryUpload(getTestOptions());
+      const result = await upload.uploadFiles(options);
+      should(result.totalCompleted).be.exactly(1);
+      should(requests.length).be.exactly(1);
+      should(requests[0].body.properties['cq:tags']).deepEqual(['featured']);
+
+      const { taggedAssets } = result;
+      should(taggedAssets.length).be.exactly(1);
+      should(taggedAssets[0].targetPath).be.exactly('/target/folder/a,b+c.jpg');
+      should(taggedAssets[0].appliedTags).deepEqual(['featured']);
+    });
+  });
+
+  describe('setAssetMetadata', () => {
+    it('test set asset metadata', async () => {
+      const requests = [];
+      nock(HOST)
+        .put('/api/assets/folder/asset%201.jpg')
+        .reply(200, (uri, body) => requests.push(body));
+
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}/content/dam/folder`);
+      const upload = new DirectBinaryUpload(getTestOptions());
+      const result = await upload.setAssetMetadata(options, '/content/dam/folder/asset 1.jpg', {
+        'dc:title': 'Asset',
+        'dc:subject': ['one', 'two'],
+      });
+      should(result.assetPath).be.exactly('/content/dam/folder/asset 1.jpg');
+      should(result.error).not.be.ok();
+      should(requests).deepEqual([{
+        class: 'asset',
+        properties: {
+          'dc:title': 'Asset',
+          'dc:subject': ['one', 'two'],
+        },
+      }]);
+
+      await should(upload.setAssetMetadata(options, '/content/dam/folder/asset 1.jpg'))
+        .be.rejectedWith({ code: ErrorCodes.INVALID_OPTIONS });
+    });
+
+    it('test set asset metadata batch', async () => {
+      nock(HOST)
+        .put('/api/assets/folder/found.jpg')
+        .reply(200)
+        .put('/api/assets/folder/missing.jpg')
+        .reply(404);
+
+      const options = new DirectBinaryUploadOptions()
+        .withUrl(`${HOST}/content/dam/folder`);
+      const upload = new DirectBinaryUpload(getTestOptions());
+      const results = await upload.setAssetMetadataBatch(options, [
+        { assetPath: '/content/dam/folder/found.jpg', properties: { 'dc:title': 'Found' } },
+        { assetPath: '/content/dam/folder/missing.jpg', properties: { 'dc:title': 'Missing' } },
+      ]);
+      should(results.length).be.exactly(2);
+      should(results[0].assetPath).be.exactly('/content/dam/folder/found.jpg');
+      should(results[0].error).not.be.ok();
+      should(results[1].assetPath).be.exactly('/content/dam/folder/missing.jpg');
+      should(results[1].error.code).be.exactly(ErrorCodes.NOT_FOUND);
+
+      await should(upload.setAssetMetadataBatch(options, [
+        { assetPath: '/content/dam/folder/found.jpg', properties: { 'dc:title': 'Found' } },
+        { properties: { 'dc:title': 'No Path' } },
+      ])).be.rejectedWith({ code: ErrorCodes.INVALID_OPTIONS });
+    });
   });
 });
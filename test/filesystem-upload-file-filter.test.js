@@ -0,0 +1,95 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+const MockFs = require('mock-fs');
+
+const FileSystemUploadFileFilter = require('../src/filesystem-upload-file-filter');
+const { sniffMimeType, matchesMimeType } = require('../src/mime-utils');
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46]);
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+
+describe('FileSystemUploadFileFilter Tests', () => {
+  afterEach(() => {
+    MockFs.restore();
+  });
+
+  it('test sniff mime type', async () => {
+    MockFs({
+      '/test/dir': {
+        'photo.jpg': JPEG,
+        'photo.txt': PNG,
+        'document.jpg': '%PDF-1.7',
+        'image.heic': Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic')]),
+        'movie.mp4': Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypisom')]),
+        'drawing.svg': '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+        'notes.txt': 'notes',
+        'data.unknown': 'data',
+      },
+    });
+    should(await sniffMimeType('/test/dir/photo.jpg')).be.exactly('image/jpeg');
+    should(await sniffMimeType('/test/dir/photo.txt')).be.exactly('image/png');
+    should(await sniffMimeType('/test/dir/document.jpg')).be.exactly('application/pdf');
+    should(await sniffMimeType('/test/dir/image.heic')).be.exactly('image/heic');
+    should(await sniffMimeType('/test/dir/movie.mp4')).be.exactly('video/mp4');
+    should(await sniffMimeType('/test/dir/drawing.svg')).be.exactly('image/svg+xml');
+    should(await sniffMimeType('/test/dir/notes.txt')).be.exactly('text/plain');
+    should(await sniffMimeType('/test/dir/data.unknown')).be.exactly('application/octet-stream');
+  });
+
+  it('test match mime type', () => {
+    should(matchesMimeType('image/jpeg', 'image/jpeg')).be.ok();
+    should(matchesMimeType('image/jpeg', 'IMAGE/*')).be.ok();
+    should(matchesMimeType('image/jpeg', 'image/png')).not.be.ok();
+    should(matchesMimeType('application/pdf', 'image/*')).not.be.ok();
+  });
+
+  it('test file size', async () => {
+    const filter = new FileSystemUploadFileFilter({ minFileSize: 2, maxFileSize: 10 });
+    should(await filter.getExcludeReason('/test/dir/empty.jpg', 0)).be.exactly('filesize');
+    should(await filter.getExcludeReason('/test/dir/small.jpg', 2)).be.undefined();
+    should(await filter.getExcludeReason('/test/dir/large.jpg', 10)).be.undefined();
+    should(await filter.getExcludeReason('/test/dir/huge.jpg', 11)).be.exactly('filesize');
+  });
+
+  it('test extensions', async () => {
+    const filter = new FileSystemUploadFileFilter({
+      allowedExtensions: ['.JPG', 'tar.gz', 'exe'],
+      deniedExtensions: ['exe'],
+    });
+    should(await filter.getExcludeReason('/test/dir/photo.jpg', 1)).be.undefined();
+    should(await filter.getExcludeReason('/test/dir/PHOTO.JPG', 1)).be.undefined();
+    should(await filter.getExcludeReason('/test/dir/archive.tar.gz', 1)).be.undefined();
+    should(await filter.getExcludeReason('/test/dir/archive.gz', 1)).be.exactly('extension');
+    should(await filter.getExcludeReason('/test/dir/setup.exe', 1)).be.exactly('extension');
+    should(await filter.getExcludeReason('/test/dir/jpg', 1)).be.exactly('extension');
+  });
+
+  it('test allowed mime types', async () => {
+    MockFs({
+      '/test/dir': {
+        'photo.jpg': JPEG,
+        'photo.txt': PNG,
+        'document.jpg': '%PDF-1.7',
+      },
+    });
+    const filter = new FileSystemUploadFileFilter({
+      allowedMimeTypes: ['image/*'],
+    });
+    should(await filter.getExcludeReason('/test/dir/photo.jpg', 10)).be.undefined();
+    should(await filter.getExcludeReason('/test/dir/photo.txt', 10)).be.undefined();
+    should(await filter.getExcludeReason('/test/dir/document.jpg', 8)).be.exactly('mimetype');
+  });
+});
@@ -0,0 +1,50 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+
+const FileSystemUploadFilter = require('../src/filesystem-upload-filter');
+
+describe('FileSystemUploadFilter Tests', () => {
+  it('test no patterns', () => {
+    const filter = new FileSystemUploadFilter();
+    should(filter.isExcluded('file.jpg', false)).not.be.ok();
+    should(filter.isExcluded('dir', true)).not.be.ok();
+  });
+
+  it('test include patterns', () => {
+    const filter = new FileSystemUploadFilter(['**/*.psd', '!**/drafts/**']);
+    should(filter.isExcluded('file.psd', false)).not.be.ok();
+    should(filter.isExcluded('dir/file.psd', false)).not.be.ok();
+    should(filter.isExcluded('dir/file.jpg', false)).be.ok();
+    should(filter.isExcluded('dir', true)).not.be.ok();
+    should(filter.isExcluded('dir/drafts', true)).be.ok();
+    should(filter.isExcluded('dir/drafts/file.psd', false)).be.ok();
+  });
+
+  it('test exclude patterns', () => {
+    const filter = new FileSystemUploadFilter([], ['build/', '**/*.log', '!keep.log']);
+    should(filter.isExcluded('build', true)).be.ok();
+    should(filter.isExcluded('dir/build', true)).not.be.ok();
+    should(filter.isExcluded('build.jpg', false)).not.be.ok();
+    should(filter.isExcluded('dir/output.log', false)).be.ok();
+    should(filter.isExcluded('keep.log', false)).not.be.ok();
+  });
+
+  it('test only negated include patterns', () => {
+    const filter = new FileSystemUploadFilter(['!*.tmp']);
+    should(filter.isExcluded('file.jpg', false)).not.be.ok();
+    should(filter.isExcluded('file.tmp', false)).be.ok();
+  });
+});
@@ -0,0 +1,76 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+const MockFs = require('mock-fs');
+
+const FileSystemUploadIgnore = require('../src/filesystem-upload-ignore');
+
+describe('FileSystemUploadIgnore Tests', () => {
+  afterEach(() => {
+    MockFs.restore();
+  });
+
+  it('test no ignore file', async () => {
+    MockFs({
+      '/test/dir': {},
+    });
+    should(await FileSystemUploadIgnore.load('/test/dir')).not.be.ok();
+
+    const parent = new FileSystemUploadIgnore('/test', [], undefined);
+    should(await FileSystemUploadIgnore.load('/test/dir', parent)).be.exactly(parent);
+  });
+
+  it('test ignore rules', async () => {
+    MockFs({
+      '/test/dir/.aemignore': [
+        '# comment',
+        '',
+        '*.tmp',
+        '!keep.tmp',
+        'build/',
+        '/root.jpg',
+        'docs/*.md',
+        '\\#hash.jpg',
+        'trailing.jpg   ',
+      ].join('\n'),
+    });
+    const ignore = await FileSystemUploadIgnore.load('/test/dir');
+    should(ignore.isIgnored('/test/dir/file.tmp', false)).be.ok();
+    should(ignore.isIgnored('/test/dir/sub/file.tmp', false)).be.ok();
+    should(ignore.isIgnored('/test/dir/keep.tmp', false)).not.be.ok();
+    should(ignore.isIgnored('/test/dir/sub/build', true)).be.ok();
+    should(ignore.isIgnored('/test/dir/build', false)).not.be.ok();
+    should(ignore.isIgnored('/test/dir/root.jpg', false)).be.ok();
+    should(ignore.isIgnored('/test/dir/sub/root.jpg', false)).not.be.ok();
+    should(ignore.isIgnored('/test/dir/docs/readme.md', false)).be.ok();
+    should(ignore.isIgnored('/test/dir/sub/docs/readme.md', false)).not.be.ok();
+    should(ignore.isIgnored('/test/dir/#hash.jpg', false)).be.ok();
+    should(ignore.isIgnored('/test/dir/trailing.jpg', false)).be.ok();
+    should(ignore.isIgnored('/test/dir/file.jpg', false)).not.be.ok();
+  });
+
+  it('test nested ignore files', async () => {
+    MockFs({
+      '/test/dir/.aemignore': '*.psd\n',
+      '/test/dir/sub/.aemignore': '!*.psd\n*.jpg\n',
+    });
+    const parent = await FileSystemUploadIgnore.load('/test/dir');
+    const ignore = await FileSystemUploadIgnore.load('/test/dir/sub', parent);
+    should(parent.isIgnored('/test/dir/file.psd', false)).be.ok();
+    should(parent.isIgnored('/test/dir/file.jpg', false)).not.be.ok();
+    should(ignore.isIgnored('/test/dir/sub/file.psd', false)).not.be.ok();
+    should(ignore.isIgnored('/test/dir/sub/file.jpg', false)).be.ok();
+  });
+});
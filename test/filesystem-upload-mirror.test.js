@@ -0,0 +1,153 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const nock = require('nock');
+const should = require('should');
+const Sinon = require('sinon');
+
+const {
+  getTestOptions,
+  resetHttp,
+  allHttpUsed,
+} = require('./testutils');
+const FileSystemUploadOptions = require('../src/filesystem-upload-options');
+const FileSystemUploadMirror = require('../src/filesystem-upload-mirror');
+
+const HOST = 'http://reallyfakehostforaemuploadtesting';
+
+function addFolderContents(folderPath, assetNames, folderNames = []) {
+  nock(HOST)
+    .get(`/api/assets${folderPath}.json`)
+    .query({ offset: 0, limit: 100 })
+    .reply(200, {
+      entities: assetNames.map((name) => ({
+        class: ['assets/asset'],
+        properties: { name },
+      })).concat(folderNames.map((name) => ({
+        class: ['assets/folder'],
+        properties: { name },
+      }))),
+    });
+}
+
+describe('FileSystemUploadMirror Tests', () => {
+  beforeEach(() => {
+    resetHttp();
+  });
+
+  afterEach(() => {
+    should(allHttpUsed()).be.ok();
+    resetHttp();
+  });
+
+  it('test get items to remove', async () => {
+    addFolderContents('/target', ['a.jpg', 'b.jpg'], ['keep', 'gone']);
+    addFolderContents('/target/keep', ['c.jpg']);
+
+    const mirror = new FileSystemUploadMirror(
+      getTestOptions(),
+      new FileSystemUploadOptions().withUrl(`${HOST}/content/dam/target`),
+    );
+    const toRemove = await mirror.getItemsToRemove(new Set([
+      '/content/dam/target/a.jpg',
+      '/content/dam/target/keep',
+    ]), true);
+    should(toRemove).deepEqual([
+      { targetPath: '/content/dam/target/b.jpg', isFolder: false },
+      { targetPath: '/content/dam/target/gone', isFolder: true },
+      { targetPath: '/content/dam/target/keep/c.jpg', isFolder: false },
+    ]);
+  });
+
+  it('test get items to remove without folders', async () => {
+    addFolderContents('/target', ['a.jpg'], ['gone']);
+
+    const mirror = new FileSystemUploadMirror(
+      getTestOptions(),
+      new FileSystemUploadOptions().withUrl(`${HOST}/content/dam/target`),
+    );
+    const toRemove = await mirror.getItemsToRemove(new Set(), false);
+    should(toRemove).deepEqual([
+      { targetPath: '/content/dam/target/a.jpg', isFolder: false },
+    ]);
+  });
+
+  it('test remove item', async () => {
+    nock(HOST)
+      .delete('/api/assets/target/a%20b.jpg')
+      .reply(204);
+
+    const mirror = new FileSystemUploadMirror(
+      getTestOptions(),
+      new FileSystemUploadOptions().withUrl(`${HOST}/content/dam/target`),
+    );
+    should(mirror.getAction()).be.exactly('delete');
+    await mirror.removeItem('/content/dam/target/a b.jpg');
+  });
+
+  it('test archive item', async () => {
+    nock(HOST)
+      .intercept('/api/assets/target/sub/a.jpg', 'MOVE')
+      .matchHeader('X-Destination', '/api/assets/archive/2026-01-02T03-04-05-006Z/sub/a.jpg')
+      .matchHeader('X-Depth', 'infinity')
+      .matchHeader('X-Overwrite', 'F')
+      .reply(201);
+
+    const clock = Sinon.useFakeTimers({
+      now: new Date('2026-01-02T03:04:05.006Z'),
+      toFake: ['Date'],
+    });
+    let mirror;
+    try {
+      mirror = new FileSystemUploadMirror(
+        getTestOptions(),
+        new FileSystemUploadOptions()
+          .withUrl(`${HOST}/content/dam/target`)
+          .withMirrorArchiveFolder('/content/dam/archive/'),
+      );
+    } finally {
+      clock.restore();
+    }
+    should(mirror.getAction()).be.exactly('archive');
+    should(mirror.isArchiveInTargetFolder()).not.be.ok();
+    should(mirror.getArchivePath('/content/dam/target/sub/a.jpg')).be.exactly('/content/dam/archive/2026-01-02T03-04-05-006Z/sub/a.jpg');
+    await mirror.removeItem('/content/dam/target/sub/a.jpg');
+  });
+
+  it('test archive folder inside target folder', () => {
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/content/dam/target`);
+    const isInTarget = (archiveFolder) => new FileSystemUploadMirror(
+      getTestOptions(),
+      uploadOptions.withMirrorArchiveFolder(archiveFolder),
+    ).isArchiveInTargetFolder();
+    should(isInTarget('/content/dam/target')).be.ok();
+    should(isInTarget('/content/dam/target/')).be.ok();
+    should(isInTarget('/content/dam/target/archive')).be.ok();
+    should(isInTarget('/content/dam/target-archive')).not.be.ok();
+    should(isInTarget('/content/dam')).not.be.ok();
+  });
+
+  it('test remove item failure', async () => {
+    nock(HOST)
+      .delete('/api/assets/target/a.jpg')
+      .reply(403);
+
+    const mirror = new FileSystemUploadMirror(
+      getTestOptions(),
+      new FileSystemUploadOptions().withUrl(`${HOST}/content/dam/target`),
+    );
+    await should(mirror.removeItem('/content/dam/target/a.jpg')).be.rejectedWith({ code: 'EFORBIDDEN' });
+  });
+});
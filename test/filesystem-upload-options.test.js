@@ -15,6 +15,7 @@ governing permissions and limitations under the License.
 const should = require('should');
 
 const FileSystemUploadOptions = require('../src/filesystem-upload-options');
+const ErrorCodes = require('../src/error-codes');
 
 describe('FileSystemUploadOptions Tests', () => {
   let options;
@@ -78,6 +79,156 @@ describe('FileSystemUploadOptions Tests', () => {
     should(await options.getAssetNodeNameProcessor()('A#b')).be.exactly('B#b');
   });
 
+  it('test resume journal', () => {
+    should(options.getResumeJournal()).not.be.ok();
+    options.withResumeJournal('/journal.log');
+    should(options.getResumeJournal().getPath()).be.exactly('/journal.log');
+    const copiedOptions = FileSystemUploadOptions.fromOptions(options);
+    should(copiedOptions.getResumeJournal()).be.exactly(options.getResumeJournal());
+  });
+
+  it('test include and exclude patterns', () => {
+    should(options.getIncludePatterns()).deepEqual([]);
+    should(options.getExcludePatterns()).deepEqual([]);
+    options
+      .withIncludePatterns(['**/*.psd'])
+      .withExcludePatterns(['**/drafts/**']);
+    const copiedOptions = FileSystemUploadOptions.fromOptions(options);
+    should(copiedOptions.getIncludePatterns()).deepEqual(['**/*.psd']);
+    should(copiedOptions.getExcludePatterns()).deepEqual(['**/drafts/**']);
+    should.throws(() => {
+      options.withIncludePatterns('**/*.psd');
+    });
+    should.throws(() => {
+      options.withExcludePatterns([1]);
+    });
+  });
+
+  it('test symlink policy', () => {
+    should(options.getSymlinkPolicy()).be.exactly('follow');
+    options.withSymlinkPolicy('skip');
+    should(FileSystemUploadOptions.fromOptions(options).getSymlinkPolicy()).be.exactly('skip');
+    should.throws(() => {
+      options.withSymlinkPolicy('ignore');
+    });
+  });
+
+  it('test temp file presets and patterns', () => {
+    should(options.getTempFilePresets()).deepEqual(['default']);
+    should(options.getTempFilePatterns()).deepEqual([]);
+    options
+      .withTempFilePresets(['default', 'macos'])
+      .withTempFilePatterns(['*.bak', /^scratch-/]);
+    const copiedOptions = FileSystemUploadOptions.fromOptions(options);
+    should(copiedOptions.getTempFilePresets()).deepEqual(['default', 'macos']);
+    should(copiedOptions.getTempFilePatterns()).deepEqual(['*.bak', /^scratch-/]);
+    should.throws(() => {
+      options.withTempFilePresets(['windows']);
+    });
+    should.throws(() => {
+      options.withTempFilePatterns([1]);
+    });
+  });
+
+  it('test file size, extension, and mime type rules', () => {
+    should(options.getMinFileSize()).be.exactly(0);
+    should(options.getMaxFileSize()).be.undefined();
+    should(options.getAllowedExtensions()).deepEqual([]);
+    should(options.getDeniedExtensions()).deepEqual([]);
+    should(options.getAllowedMimeTypes()).deepEqual([]);
+    options
+      .withMinFileSize(1)
+      .withMaxFileSize(1024)
+      .withAllowedExtensions(['jpg', '.PNG'])
+      .withDeniedExtensions(['exe'])
+      .withAllowedMimeTypes(['image/*']);
+    const copiedOptions = FileSystemUploadOptions.fromOptions(options);
+    should(copiedOptions.getMinFileSize()).be.exactly(1);
+    should(copiedOptions.getMaxFileSize()).be.exactly(1024);
+    should(copiedOptions.getAllowedExtensions()).deepEqual(['jpg', '.PNG']);
+    should(copiedOptions.getDeniedExtensions()).deepEqual(['exe']);
+    should(copiedOptions.getAllowedMimeTypes()).deepEqual(['image/*']);
+    should.throws(() => {
+      options.withMinFileSize(-1);
+    });
+    should.throws(() => {
+      options.withMaxFileSize('1024');
+    });
+    should.throws(() => {
+      options.withAllowedMimeTypes('image/*');
+    });
+  });
+
+  it('test maximum mirror removals', () => {
+    should(options.getMaxMirrorRemovals()).be.exactly(100);
+    options.withMaxMirrorRemovals(0);
+    should(FileSystemUploadOptions.fromOptions(options).getMaxMirrorRemovals()).be.exactly(0);
+    should(() => options.withMaxMirrorRemovals(-1)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withMaxMirrorRemovals(1.5)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withMaxMirrorRemovals('10')).throw({ code: ErrorCodes.INVALID_OPTIONS });
+  });
+
+  it('test stability check', () => {
+    should(options.getStabilityCheckDelay()).be.exactly(0);
+    should(options.getMaxStabilityChecks()).be.exactly(1);
+    options.withStabilityCheckDelay(1000).withMaxStabilityChecks(3);
+    const copiedOptions = FileSystemUploadOptions.fromOptions(options);
+    should(copiedOptions.getStabilityCheckDelay()).be.exactly(1000);
+    should(copiedOptions.getMaxStabilityChecks()).be.exactly(3);
+    should(() => options.withStabilityCheckDelay(-1)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withStabilityCheckDelay(NaN)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withStabilityCheckDelay('1000')).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withMaxStabilityChecks(0)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withMaxStabilityChecks(2.5)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withMaxStabilityChecks(-1)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    options.withStabilityCheckDelay(0);
+    should(options.getStabilityCheckDelay()).be.exactly(0);
+  });
+
+  it('test sidecar metadata', () => {
+    should(options.getSidecarMetadata()).not.be.ok();
+    options.withSidecarMetadata(true);
+    should(FileSystemUploadOptions.fromOptions(options).getSidecarMetadata()).be.ok();
+  });
+
+  it('test folder tags', () => {
+    should(options.getFolderTags()).not.be.ok();
+    options.withFolderTags(true);
+    should(FileSystemUploadOptions.fromOptions(options).getFolderTags()).be.ok();
+  });
+
+  it('test preflight validation', () => {
+    should(options.getPreflightValidation()).not.be.ok();
+    should(options.getAllowEmptyFiles()).not.be.ok();
+    options.withPreflightValidation(true).withAllowEmptyFiles(true);
+    const copiedOptions = FileSystemUploadOptions.fromOptions(options);
+    should(copiedOptions.getPreflightValidation()).be.ok();
+    should(copiedOptions.getAllowEmptyFiles()).be.ok();
+  });
+
+  it('test watch options', () => {
+    should(options.getIncludePaths()).deepEqual([]);
+    should(options.getWatchInterval()).be.exactly(2000);
+    should(options.getWatchUploadExisting()).be.ok();
+    should(options.getMaxWatchRetries()).be.exactly(3);
+    options
+      .withIncludePaths(['/test/dir/file.jpg'])
+      .withWatchInterval(500)
+      .withWatchUploadExisting(false)
+      .withMaxWatchRetries(0);
+    const copiedOptions = FileSystemUploadOptions.fromOptions(options);
+    should(copiedOptions.getIncludePaths()).deepEqual(['/test/dir/file.jpg']);
+    should(copiedOptions.getWatchInterval()).be.exactly(500);
+    should(copiedOptions.getWatchUploadExisting()).not.be.ok();
+    should(copiedOptions.getMaxWatchRetries()).be.exactly(0);
+    should.throws(() => {
+      options.withIncludePaths('/test/dir/file.jpg');
+    });
+    should(() => options.withMaxWatchRetries(-1)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withWatchInterval(0)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+    should(() => options.withWatchInterval(NaN)).throw({ code: ErrorCodes.INVALID_OPTIONS });
+  });
+
   it('test invalid replace character', () => {
     should.throws(() => {
       options.withInvalidCharacterReplaceValue(':');
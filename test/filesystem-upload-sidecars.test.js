@@ -0,0 +1,95 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+const MockFs = require('mock-fs');
+
+const { getTestOptions } = require('./testutils');
+const FileSystemUploadSidecars = require('../src/filesystem-upload-sidecars');
+const FileSystemUploadOptions = require('../src/filesystem-upload-options');
+const FileSystemUploadAsset = require('../src/filesystem-upload-asset');
+const { parseXmp } = require('../src/xmp-utils');
+
+describe('FileSystemUploadSidecars Tests', () => {
+  afterEach(() => {
+    MockFs.restore();
+  });
+
+  it('test parse xmp', () => {
+    should(parseXmp(`<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>
+      <x:xmpmeta xmlns:x="adobe:ns:meta/">
+        <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+          <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"
+            photoshop:Credit='Jane &amp; Co'/>
+          <rdf:Description rdf:about="">
+            <dc:title>
+              <rdf:Alt>
+                <rdf:li xml:lang="de">Strand</rdf:li>
+                <rdf:li xml:lang="x-default">Beach &lt;at sunset&gt;</rdf:li>
+              </rdf:Alt>
+            </dc:title>
+            <dc:subject><rdf:Seq><rdf:li>beach</rdf:li><rdf:li>sunset</rdf:li></rdf:Seq></dc:subject>
+            <xmpRights:UsageTerms>Editorial use only</xmpRights:UsageTerms>
+            <Iptc4xmpCore:CreatorContactInfo rdf:parseType="Resource">
+              <Iptc4xmpCore:CiEmailWork>jane@example.com</Iptc4xmpCore:CiEmailWork>
+            </Iptc4xmpCore:CreatorContactInfo>
+          </rdf:Description>
+        </rdf:RDF>
+      </x:xmpmeta>`)).deepEqual({
+      'photoshop:Credit': 'Jane & Co',
+      'dc:title': 'Beach <at sunset>',
+      'dc:subject': ['beach', 'sunset'],
+      'xmpRights:UsageTerms': 'Editorial use only',
+    });
+    should(parseXmp('not xmp')).deepEqual({});
+  });
+
+  it('test remove sidecars', async () => {
+    MockFs({
+      '/test/dir': {
+        'photo.jpg': '1234',
+        'photo.png': '1234',
+        'photo.xmp': '<rdf:Description/>',
+        README: '12',
+        'README.json': '{}',
+        'other.json': '{}',
+      },
+    });
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl('http://localhost/content/dam/target');
+    const sidecars = new FileSystemUploadSidecars(getTestOptions(), uploadOptions);
+    const files = ['photo.jpg', 'photo.png', 'photo.xmp', 'README', 'README.json', 'other.json']
+      .map((name) => new FileSystemUploadAsset(uploadOptions, `/test/dir/${name}`, name, 1));
+
+    const { files: assetFiles, excluded } = await sidecars.removeSidecars(files);
+    should(assetFiles.map((file) => file.getLocalPath())).deepEqual([
+      '/test/dir/photo.jpg',
+      '/test/dir/photo.png',
+      '/test/dir/README',
+      '/test/dir/other.json',
+    ]);
+    should(excluded).deepEqual([
+      { path: '/test/dir/photo.xmp', isDirectory: false, reason: 'sidecar' },
+      { path: '/test/dir/README.json', isDirectory: false, reason: 'sidecar' },
+    ]);
+
+    sidecars.addUploadedFile({ targetFile: '/content/dam/target/photo-1.png', originalTargetFile: '/content/dam/target/photo.png' });
+    sidecars.addUploadedFile({ targetFile: '/content/dam/target/other.json' });
+    should(sidecars.uploadedAssets).deepEqual([{
+      targetPath: '/content/dam/target/photo-1.png',
+      sidecarPaths: ['/test/dir/photo.xmp'],
+    }]);
+  });
+});
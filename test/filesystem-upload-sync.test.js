@@ -0,0 +1,151 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const crypto = require('crypto');
+const nock = require('nock');
+const should = require('should');
+const MockFs = require('mock-fs');
+
+const {
+  getTestOptions,
+  resetHttp,
+  allHttpUsed,
+} = require('./testutils');
+const FileSystemUploadOptions = require('../src/filesystem-upload-options');
+const FileSystemUploadSync = require('../src/filesystem-upload-sync');
+
+const HOST = 'http://reallyfakehostforaemuploadtesting';
+
+function getAssetEntity(name, size, metadata = {}) {
+  return {
+    class: ['assets/asset'],
+    properties: {
+      name,
+      'jcr:lastModified': '2026-01-02T00:00:00.000Z',
+      metadata: {
+        'dam:size': size,
+        ...metadata,
+      },
+    },
+  };
+}
+
+describe('FileSystemUploadSync Tests', () => {
+  beforeEach(() => {
+    resetHttp();
+    MockFs({
+      '/test': {
+        'new.jpg': '1234',
+        'resized.jpg': '1234',
+        'older.jpg': MockFs.file({ content: '1234', mtime: new Date('2026-01-01T00:00:00.000Z') }),
+        'newer.jpg': MockFs.file({ content: '1234', mtime: new Date('2026-01-03T00:00:00.000Z') }),
+      },
+    });
+  });
+
+  afterEach(() => {
+    should(allHttpUsed()).be.ok();
+    resetHttp();
+    MockFs.restore();
+  });
+
+  it('test sync status', async () => {
+    nock(HOST)
+      .get('/api/assets/target.json')
+      .query({ offset: 0, limit: 100 })
+      .reply(200, {
+        properties: { 'srn:paging': { total: 4, offset: 0, limit: 100 } },
+        entities: [
+          { class: ['assets/folder'], properties: { name: 'resized.jpg' } },
+          getAssetEntity('resized.jpg', 5),
+          getAssetEntity('older.jpg', 4),
+        ],
+      });
+    nock(HOST)
+      .get('/api/assets/target.json')
+      .query({ offset: 3, limit: 100 })
+      .reply(200, {
+        properties: { 'srn:paging': { total: 4, offset: 3, limit: 100 } },
+        entities: [getAssetEntity('newer.jpg', 4)],
+      });
+
+    const sync = new FileSystemUploadSync(
+      getTestOptions(),
+      new FileSystemUploadOptions().withUrl(`${HOST}/content/dam/target`),
+    );
+    should(await sync.getSyncStatus('/test/new.jpg', '/content/dam/target/new.jpg', 4)).be.exactly('new');
+    should(await sync.getSyncStatus('/test/resized.jpg', '/content/dam/target/resized.jpg', 4)).be.exactly('updated');
+    should(await sync.getSyncStatus('/test/older.jpg', '/content/dam/target/older.jpg', 4)).be.exactly('unchanged');
+    should(await sync.getSyncStatus('/test/newer.jpg', '/content/dam/target/newer.jpg', 4)).be.exactly('updated');
+  });
+
+  it('test sync status with checksum', async () => {
+    const checksum = crypto.createHash('sha1').update('1234').digest('hex');
+    nock(HOST)
+      .get('/api/assets/target.json')
+      .query({ offset: 0, limit: 100 })
+      .reply(200, {
+        entities: [
+          getAssetEntity('older.jpg', 4, { 'dam:sha1': 'abc' }),
+          getAssetEntity('newer.jpg', 4, { 'dam:sha1': checksum }),
+        ],
+      });
+
+    const sync = new FileSystemUploadSync(
+      getTestOptions(),
+      new FileSystemUploadOptions()
+        .withUrl(`${HOST}/content/dam/target`)
+        .withSyncChecksum(true),
+    );
+    should(await sync.getSyncStatus('/test/older.jpg', '/content/dam/target/older.jpg', 4)).be.exactly('updated');
+    should(await sync.getSyncStatus('/test/newer.jpg', '/content/dam/target/newer.jpg', 4)).be.exactly('unchanged');
+  });
+
+  it('test empty page', async () => {
+    nock(HOST)
+      .get('/api/assets/target.json')
+      .query({ offset: 0, limit: 100 })
+      .reply(200, {
+        properties: { 'srn:paging': { total: 5, offset: 0, limit: 100 } },
+        entities: [getAssetEntity('older.jpg', 4)],
+      });
+    nock(HOST)
+      .get('/api/assets/target.json')
+      .query({ offset: 1, limit: 100 })
+      .reply(200, {
+        properties: { 'srn:paging': { total: 5, offset: 1, limit: 100 } },
+        entities: [],
+      });
+
+    const sync = new FileSystemUploadSync(
+      getTestOptions(),
+      new FileSystemUploadOptions().withUrl(`${HOST}/content/dam/target`),
+    );
+    should(await sync.getSyncStatus('/test/older.jpg', '/content/dam/target/older.jpg', 4)).be.exactly('unchanged');
+    should(await sync.getSyncStatus('/test/new.jpg', '/content/dam/target/new.jpg', 4)).be.exactly('new');
+  });
+
+  it('test folder does not exist', async () => {
+    nock(HOST)
+      .get('/api/assets/target.json')
+      .query({ offset: 0, limit: 100 })
+      .reply(404);
+
+    const sync = new FileSystemUploadSync(
+      getTestOptions(),
+      new FileSystemUploadOptions().withUrl(`${HOST}/content/dam/target`),
+    );
+    should(await sync.getSyncStatus('/test/new.jpg', '/content/dam/target/new.jpg', 4)).be.exactly('new');
+  });
+});
@@ -0,0 +1,61 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+
+const FileSystemUploadTempFilter = require('../src/filesystem-upload-temp-filter');
+
+describe('FileSystemUploadTempFilter Tests', () => {
+  it('test default preset', () => {
+    const filter = new FileSystemUploadTempFilter();
+    should(filter.isTemp('/dir/photo.jpg')).not.be.ok();
+    should(filter.isTemp('/')).not.be.ok();
+    should(filter.isTemp('/dir/.hidden')).be.ok();
+    should(filter.isTemp('/dir/~lock.jpg')).be.ok();
+    should(filter.isTemp('/dir/TestFile')).be.ok();
+    should(filter.isTemp('/dir/save.TMP')).be.ok();
+    should(filter.isTemp('C:\\dir\\Thumbs.db')).be.ok();
+    should(filter.isTemp('/dir/Adobe Bridge Cache.bct')).be.ok();
+    should(filter.isTemp('/dir/Icon\r')).not.be.ok();
+  });
+
+  it('test macos preset', () => {
+    const filter = new FileSystemUploadTempFilter(['macos']);
+    should(filter.isTemp('/dir/.DS_Store')).be.ok();
+    should(filter.isTemp('/dir/._photo.jpg')).be.ok();
+    should(filter.isTemp('/dir/Icon\r')).be.ok();
+    should(filter.isTemp('/dir/__MACOSX')).be.ok();
+    should(filter.isTemp('/dir/Icon')).not.be.ok();
+    should(filter.isTemp('/dir/.hidden')).not.be.ok();
+  });
+
+  it('test linux and creative presets', () => {
+    const filter = new FileSystemUploadTempFilter(['linux', 'creative']);
+    should(filter.isTemp('/dir/notes.txt~')).be.ok();
+    should(filter.isTemp('/dir/.notes.txt.swp')).be.ok();
+    should(filter.isTemp('/dir/.~lock.doc.odt#')).be.ok();
+    should(filter.isTemp('/dir/layout.idlk')).be.ok();
+    should(filter.isTemp('/dir/audio.pek')).be.ok();
+    should(filter.isTemp('/dir/Media Cache Files')).be.ok();
+    should(filter.isTemp('/dir/layout.indd')).not.be.ok();
+  });
+
+  it('test custom patterns', () => {
+    const filter = new FileSystemUploadTempFilter([], ['*.bak', /^scratch-/]);
+    should(filter.isTemp('/dir/photo.bak')).be.ok();
+    should(filter.isTemp('/dir/scratch-1.jpg')).be.ok();
+    should(filter.isTemp('/dir/.hidden')).not.be.ok();
+    should(filter.isTemp('/.hidden')).not.be.ok();
+  });
+});
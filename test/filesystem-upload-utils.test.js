@@ -12,10 +12,18 @@ governing permissions and limitations under the License.
 
 /* eslint-env mocha */
 
+const fs = require('fs');
 const should = require('should');
+const MockFs = require('mock-fs');
+const Sinon = require('sinon');
 
-const { cleanFolderName, cleanAssetName } = require('../src/filesystem-upload-utils');
+const {
+  cleanFolderName,
+  cleanAssetName,
+  validateLocalFile,
+} = require('../src/filesystem-upload-utils');
 const FileSystemUploadOptions = require('../src/filesystem-upload-options');
+const ErrorCodes = require('../src/error-codes');
 
 describe('FileSystemUploadUtils Tests', () => {
   let options;
@@ -23,6 +31,11 @@ describe('FileSystemUploadUtils Tests', () => {
     options = new FileSystemUploadOptions();
   });
 
+  afterEach(() => {
+    MockFs.restore();
+    Sinon.restore();
+  });
+
   it('test clean folder name', async () => {
     should(await cleanFolderName(options, 'A b:c.d')).be.exactly('a-b-c-d');
     options.withFolderNodeNameProcessor(async (folderName) => folderName)
@@ -36,4 +49,41 @@ describe('FileSystemUploadUtils Tests', () => {
       .withInvalidCharacterReplaceValue('_');
     should(await cleanAssetName(options, 'A #b:c')).be.exactly('A #b_c');
   });
+
+  it('test validate local file', async () => {
+    MockFs({
+      '/test/dir': {
+        'file.jpg': '1234',
+        'empty.jpg': '',
+      },
+    });
+    should(await validateLocalFile('/test/dir/file.jpg', 4, false)).be.undefined();
+    should(await validateLocalFile('/test/dir/empty.jpg', 0, true)).be.undefined();
+    should((await validateLocalFile('/test/dir/empty.jpg', 0, false)).getCode())
+      .be.exactly(ErrorCodes.FILE_EMPTY);
+    should((await validateLocalFile('/test/dir/file.jpg', 3, false)).getCode())
+      .be.exactly(ErrorCodes.FILE_SIZE_CHANGED);
+    should((await validateLocalFile('/test/dir/missing.jpg', 4, false)).getCode())
+      .be.exactly(ErrorCodes.FILE_NOT_READABLE);
+
+    const openError = (code) => Object.assign(new Error(code), { code });
+    const open = Sinon.stub(fs, 'open');
+    open.callThrough();
+    open.withArgs('/test/dir/file.jpg', 'r+').yields(openError('EBUSY'));
+    // locks are advisory outside of windows, so they aren't checked
+    Sinon.stub(process, 'platform').value('linux');
+    should(await validateLocalFile('/test/dir/file.jpg', 4, false)).be.undefined();
+    should(open.calledWith('/test/dir/file.jpg', 'r+')).not.be.ok();
+
+    Sinon.stub(process, 'platform').value('win32');
+    should((await validateLocalFile('/test/dir/file.jpg', 4, false)).getCode())
+      .be.exactly(ErrorCodes.FILE_LOCKED);
+    // read-only files can't be opened for writing, but can be uploaded
+    open.withArgs('/test/dir/file.jpg', 'r+').yields(openError('EPERM'));
+    should(await validateLocalFile('/test/dir/file.jpg', 4, false)).be.undefined();
+
+    open.withArgs('/test/dir/file.jpg', 'r').yields(openError('EACCES'));
+    should((await validateLocalFile('/test/dir/file.jpg', 4, false)).getCode())
+      .be.exactly(ErrorCodes.FILE_NOT_READABLE);
+  });
 });
@@ -15,6 +15,7 @@ governing permissions and limitations under the License.
 const nock = require('nock');
 const should = require('should');
 const MockFs = require('mock-fs');
+const Sinon = require('sinon');
 
 const {
   getTestOptions,
@@ -27,11 +28,17 @@ const {
   getDirectBinaryUploads,
   addDirectUpload,
   addCreateDirectory,
+  addAssetExists,
   getFolderCreates,
+  expectDirectBinaryCheck,
 } = require('./testutils');
 
 const FileSystemUploadDirectory = require('../src/filesystem-upload-directory');
+const { readFile, appendFile } = require('../src/fs-promise');
 const UploadResult = require('../src/upload-result');
+const ErrorCodes = require('../src/error-codes');
+const DirectBinaryUploadProcess = require('../src/direct-binary-upload-process');
+const FileSystemUploadSync = require('../src/filesystem-upload-sync');
 
 function MockDirectBinaryUpload() {
 
@@ -610,5 +617,1227 @@ describe('FileSystemUpload Tests', () => {
       should(result.totalFiles).equal(2);
       should(result.totalFileSize).equal(10);
     });
+
+    it('test cancel while creating directories', async () => {
+      createFsStructure();
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withController(new AbortController());
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      monitorEvents(fileSystemUpload);
+      fileSystemUpload.on('foldercreated', ({ targetFolder }) => {
+        if (targetFolder === '/target/dir') {
+          uploadOptions.getController().abort();
+        }
+      });
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+
+      should(getFolderCreates()).deepEqual([
+        getFolderRequest('/api/assets/target', 'target'),
+        getFolderRequest('/api/assets/target/dir', 'dir'),
+      ]);
+      should(result.totalFiles).be.exactly(6);
+      should(result.totalCompleted).be.exactly(0);
+      should(result.errors.length).be.exactly(1);
+      should(result.errors[0].code).be.exactly(ErrorCodes.USER_CANCELLED);
+      should(getEvent('filecancelled', '/target/dir/3')).be.ok();
+      should(getEvent('filecancelled', `/target/dir/${SUBDIR}/subsubdir/8`)).be.ok();
+    });
+
+    it('test pause while creating directories', async () => {
+      createFsStructure();
+
+      // once paused, files are transferred up to the maximum concurrency at a time. allow
+      // all of them in a single transfer so that each folder receives one init
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withMaxConcurrent(6);
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addCreateDirectory(HOST, `/target/dir/${SUBDIR_ENCODED}`);
+      addCreateDirectory(HOST, `/target/dir/${SUBDIR_ENCODED}/subsubdir`);
+      addDirectUpload(HOST, '/target/dir', ['3', '4']);
+      addDirectUpload(HOST, `/target/dir/${SUBDIR}`, ['5', '6']);
+      addDirectUpload(HOST, `/target/dir/${SUBDIR}/subsubdir`, ['7', '8']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      let createdWhilePaused = 0;
+      let pauseCount = 0;
+      fileSystemUpload.on('uploadpaused', () => {
+        pauseCount += 1;
+      });
+      fileSystemUpload.on('foldercreated', ({ targetFolder }) => {
+        if (fileSystemUpload.isPaused()) {
+          createdWhilePaused += 1;
+        }
+        if (targetFolder === '/target/dir') {
+          fileSystemUpload.pause();
+          setTimeout(() => fileSystemUpload.resume(), 20);
+        }
+      });
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+
+      should(pauseCount).be.exactly(1);
+      should(createdWhilePaused).be.exactly(0);
+      should(getFolderCreates().length).be.exactly(4);
+      should(result.totalCompleted).be.exactly(6);
+    });
+
+    it('test resume journal', async () => {
+      const mtime = new Date(1000);
+      MockFs({
+        '/test/dir': {
+          3: MockFs.file({ content: '12345678', mtime }),
+          4: MockFs.file({ content: '1234567', mtime }),
+          5: MockFs.file({ content: '123456', mtime }),
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withResumeJournal('/journal.log');
+
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['3', '4', '5']);
+
+      let fileSystemUpload = new FileSystemUpload(getTestOptions());
+      let result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.totalCompleted).be.exactly(3);
+      should(result.skippedItems).not.be.ok();
+      const journalContents = await readFile('/journal.log', 'utf8');
+      should(journalContents.split('\n').filter((line) => line)).deepEqual([
+        JSON.stringify({ type: 'folder', path: '/content/dam/target' }),
+        JSON.stringify({
+          type: 'file', path: '/target/3', size: 8, modifiedTime: 1000,
+        }),
+        JSON.stringify({
+          type: 'file', path: '/target/4', size: 7, modifiedTime: 1000,
+        }),
+        JSON.stringify({
+          type: 'file', path: '/target/5', size: 6, modifiedTime: 1000,
+        }),
+      ]);
+
+      // a file whose size or modification time changed will be uploaded again
+      MockFs.restore();
+      MockFs({
+        '/test/dir': {
+          3: MockFs.file({ content: '12345678', mtime }),
+          4: MockFs.file({ content: '12345678', mtime }),
+          5: MockFs.file({ content: '654321', mtime: new Date(2000) }),
+        },
+        '/journal.log': journalContents,
+      });
+      resetHttp();
+      addDirectUpload(HOST, '/target', ['4', '5']);
+
+      fileSystemUpload = new FileSystemUpload(getTestOptions());
+      result = await fileSystemUpload.upload(
+        new FileSystemUploadOptions()
+          .withUrl(`${HOST}/target`)
+          .withResumeJournal('/journal.log'),
+        ['/test/dir'],
+      );
+      should(getFolderCreates().length).be.exactly(0);
+      should(result.totalFiles).be.exactly(2);
+      should(result.totalCompleted).be.exactly(2);
+      should(result.totalSkipped).be.exactly(2);
+      should(result.totalJournalSkipped).be.exactly(2);
+      should(result.skippedItems).deepEqual([{
+        targetPath: '/content/dam/target',
+        reason: 'journal',
+      }, {
+        localPath: '/test/dir/3',
+        targetPath: '/target/3',
+        reason: 'journal',
+      }]);
+    });
+
+    it('test resume journal with reserved characters', async () => {
+      MockFs({
+        '/test/dir': {
+          'a,b.jpg': '1234',
+          'c+d.jpg': '123',
+        },
+      });
+
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['a,b.jpg', 'c+d.jpg']);
+
+      let fileSystemUpload = new FileSystemUpload(getTestOptions());
+      let result = await fileSystemUpload.upload(
+        new FileSystemUploadOptions()
+          .withUrl(`${HOST}/target`)
+          .withResumeJournal('/journal.log'),
+        ['/test/dir'],
+      );
+      should(result.totalCompleted).be.exactly(2);
+
+      resetHttp();
+      fileSystemUpload = new FileSystemUpload(getTestOptions());
+      result = await fileSystemUpload.upload(
+        new FileSystemUploadOptions()
+          .withUrl(`${HOST}/target`)
+          .withResumeJournal('/journal.log'),
+        ['/test/dir'],
+      );
+      should(result.totalFiles).be.exactly(0);
+      should(result.skippedItems.filter(({ localPath }) => localPath)).deepEqual([{
+        localPath: '/test/dir/a,b.jpg',
+        targetPath: '/target/a,b.jpg',
+        reason: 'journal',
+      }, {
+        localPath: '/test/dir/c+d.jpg',
+        targetPath: '/target/c+d.jpg',
+        reason: 'journal',
+      }]);
+    });
+
+    it('test rename existing assets', async () => {
+      MockFs({
+        '/test/dir': {
+          'photo.jpg': '12345678',
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withConflictPolicy('rename')
+        .withRenamePattern('{name} copy {n}{ext}');
+
+      addCreateDirectory(HOST, '/target');
+      addAssetExists(HOST, '/target/photo.jpg');
+      addAssetExists(HOST, '/target/photo copy 1.jpg', false);
+      addDirectUpload(HOST, '/target', ['photo copy 1.jpg']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      monitorEvents(fileSystemUpload);
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+
+      should(result.totalCompleted).be.exactly(1);
+      const fileEnd = getEvent('fileend', '/target/photo copy 1.jpg');
+      should(fileEnd).be.ok();
+      should(fileEnd.originalTargetFile).be.exactly('/target/photo.jpg');
+      should(result.detailedResult[0].fileUrl).be.exactly(`${HOST}/target/photo%20copy%201.jpg`);
+      should(result.detailedResult[0].conflictDecision).be.exactly('rename');
+    });
+
+    it('test sync mode', async () => {
+      MockFs({
+        '/test/dir': {
+          3: MockFs.file({ content: '12345678', mtime: new Date('2026-01-01T00:00:00.000Z') }),
+          4: '1234567',
+          9: '123',
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withSyncMode(true);
+
+      nock(HOST)
+        .get('/api/assets/target.json')
+        .query({ offset: 0, limit: 100 })
+        .reply(200, {
+          entities: ['3', '4'].map((name) => ({
+            class: ['assets/asset'],
+            properties: {
+              name,
+              'jcr:lastModified': '2026-01-02T00:00:00.000Z',
+              metadata: { 'dam:size': 8 },
+            },
+          })),
+        });
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['4', '9']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+
+      should(result.totalFiles).be.exactly(2);
+      should(result.totalCompleted).be.exactly(2);
+      should(result.sync).deepEqual({
+        new: [{ localPath: '/test/dir/9', targetPath: '/target/9' }],
+        updated: [{ localPath: '/test/dir/4', targetPath: '/target/4' }],
+        unchanged: [{ localPath: '/test/dir/3', targetPath: '/target/3' }],
+        failed: [],
+      });
+      const { completes } = getDirectBinaryUploads();
+      const replaced = completes.map(({ body }) => new URLSearchParams(body))
+        .filter((params) => params.get('replace') === 'true')
+        .map((params) => params.get('fileName'));
+      should(replaced).deepEqual(['4']);
+    });
+
+    it('test sync mode with reserved characters', async () => {
+      MockFs({
+        '/test/dir': {
+          'a,b.jpg': MockFs.file({ content: '12345678', mtime: new Date('2026-01-01T00:00:00.000Z') }),
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withSyncMode(true);
+
+      nock(HOST)
+        .get('/api/assets/target.json')
+        .query({ offset: 0, limit: 100 })
+        .reply(200, {
+          entities: [{
+            class: ['assets/asset'],
+            properties: {
+              name: 'a,b.jpg',
+              'jcr:lastModified': '2026-01-02T00:00:00.000Z',
+              metadata: { 'dam:size': 8 },
+            },
+          }],
+        });
+      addCreateDirectory(HOST, '/target');
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+
+      should(result.totalFiles).be.exactly(0);
+      should(result.sync.unchanged).deepEqual([{ localPath: '/test/dir/a,b.jpg', targetPath: '/target/a,b.jpg' }]);
+    });
+
+    it('test sync mode folder failure', async () => {
+      MockFs({
+        '/test/dir': {
+          3: '12345678',
+          sub: {
+            4: '1234567',
+          },
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withSyncMode(true);
+
+      nock(HOST)
+        .get('/api/assets/target/dir.json')
+        .query({ offset: 0, limit: 100 })
+        .reply(403);
+      nock(HOST)
+        .get('/api/assets/target/dir/sub.json')
+        .query({ offset: 0, limit: 100 })
+        .reply(404);
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addCreateDirectory(HOST, '/target/dir/sub');
+      addDirectUpload(HOST, '/target/dir/sub', ['4']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      monitorEvents(fileSystemUpload);
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+
+      // the file whose folder couldn't be retrieved fails, but the rest of the upload continues
+      should(result.totalFiles).be.exactly(1);
+      should(result.totalCompleted).be.exactly(1);
+      should(result.sync.new).deepEqual([{ localPath: '/test/dir/sub/4', targetPath: '/target/dir/sub/4' }]);
+      should(result.sync.failed.length).be.exactly(1);
+      should(result.sync.failed[0].localPath).be.exactly('/test/dir/3');
+      should(result.sync.failed[0].targetPath).be.exactly('/target/dir/3');
+      should(result.sync.failed[0].error.code).be.exactly(ErrorCodes.FORBIDDEN);
+      should(getEvent('fileerror', '/target/dir/3')).be.ok();
+    });
+
+    it('test cancel during sync mode', async () => {
+      MockFs({
+        '/test/dir': {
+          3: '12345678',
+        },
+      });
+
+      const controller = new AbortController();
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withSyncMode(true)
+        .withController(controller);
+
+      addCreateDirectory(HOST, '/target');
+
+      // the request for the folder's contents is aborted by the cancel
+      const getSyncStatus = Sinon.stub(FileSystemUploadSync.prototype, 'getSyncStatus')
+        .callsFake(async () => {
+          controller.abort();
+          const error = new Error('The operation was aborted.');
+          error.name = 'AbortError';
+          throw error;
+        });
+      let result;
+      try {
+        const fileSystemUpload = new FileSystemUpload(getTestOptions());
+        monitorEvents(fileSystemUpload);
+        result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      } finally {
+        getSyncStatus.restore();
+      }
+
+      should(result.totalFiles).be.exactly(1);
+      should(result.totalCompleted).be.exactly(0);
+      should(result.errors.length).be.exactly(1);
+      should(result.errors[0].code).be.exactly(ErrorCodes.USER_CANCELLED);
+      should(result.sync).not.be.ok();
+      should(getEvent('filecancelled', '/target/3')).be.ok();
+    });
+
+    function addFolderContents(folderPath, assetNames, folderNames = []) {
+      nock(HOST)
+        .get(`/api/assets${folderPath}.json`)
+        .query({ offset: 0, limit: 100 })
+        .reply(200, {
+          entities: assetNames.map((name) => ({
+            class: ['assets/asset'],
+            properties: { name },
+          })).concat(folderNames.map((name) => ({
+            class: ['assets/folder'],
+            properties: { name },
+          }))),
+        });
+    }
+
+    it('test mirror mode', async () => {
+      MockFs({
+        '/test/dir': {
+          3: '12345678',
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withMirrorMode(true);
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addDirectUpload(HOST, '/target/dir', ['3']);
+      addFolderContents('/target', ['old.jpg'], ['dir', 'gone']);
+      addFolderContents('/target/dir', ['3', 'stale.jpg']);
+      ['/api/assets/target/old.jpg', '/api/assets/target/gone', '/api/assets/target/dir/stale.jpg']
+        .forEach((removePath) => nock(HOST).delete(removePath).reply(204));
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+
+      should(result.errors).deepEqual([]);
+      should(result.totalCompleted).be.exactly(1);
+      should(result.mirror).deepEqual([
+        {
+          targetPath: '/target/old.jpg', isFolder: false, action: 'delete', removed: true,
+        },
+        {
+          targetPath: '/target/gone', isFolder: true, action: 'delete', removed: true,
+        },
+        {
+          targetPath: '/target/dir/stale.jpg', isFolder: false, action: 'delete', removed: true,
+        },
+      ]);
+    });
+
+    it('test mirror mode dry run and maximum removals', async () => {
+      MockFs({
+        '/test/dir': {},
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withMirrorMode(true)
+        .withMirrorArchiveFolder('/archive')
+        .withMirrorDryRun(true)
+        .withMaxMirrorRemovals(1);
+
+      addCreateDirectory(HOST, '/target');
+      addFolderContents('/target', ['a.jpg', 'b.jpg']);
+
+      let fileSystemUpload = new FileSystemUpload(getTestOptions());
+      let result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.errors).deepEqual([]);
+      const archiveRunFolder = result.mirror[0].archivePath.replace(/\/a\.jpg$/, '');
+      should(archiveRunFolder).match(/^\/archive\/[^/]+$/);
+      should(result.mirror).deepEqual([
+        {
+          targetPath: '/target/a.jpg', isFolder: false, action: 'archive', archivePath: `${archiveRunFolder}/a.jpg`, removed: false,
+        },
+        {
+          targetPath: '/target/b.jpg', isFolder: false, action: 'archive', archivePath: `${archiveRunFolder}/b.jpg`, removed: false,
+        },
+      ]);
+
+      addCreateDirectory(HOST, '/target');
+      addFolderContents('/target', ['a.jpg', 'b.jpg']);
+      fileSystemUpload = new FileSystemUpload(getTestOptions());
+      result = await fileSystemUpload.upload(uploadOptions.withMirrorDryRun(false), ['/test/dir']);
+      should(result.errors.length).be.exactly(1);
+      should(result.errors[0].code).be.exactly(ErrorCodes.TOO_LARGE);
+      should(result.mirror.filter(({ removed }) => removed).length).be.exactly(0);
+    });
+
+    it('test mirror mode keeps renamed assets', async () => {
+      MockFs({
+        '/test/dir': {
+          'photo.jpg': '12345678',
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withConflictPolicy('rename')
+        .withMirrorMode(true);
+
+      addCreateDirectory(HOST, '/target');
+      addAssetExists(HOST, '/target/photo.jpg');
+      addAssetExists(HOST, '/target/photo-1.jpg', false);
+      addDirectUpload(HOST, '/target', ['photo-1.jpg']);
+      addFolderContents('/target', ['photo.jpg', 'photo-1.jpg', 'old.jpg']);
+      nock(HOST).delete('/api/assets/target/old.jpg').reply(204);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.errors).deepEqual([]);
+      should(result.totalCompleted).be.exactly(1);
+      should(result.mirror.map(({ targetPath }) => targetPath)).deepEqual(['/target/old.jpg']);
+    });
+
+    it('test mirror mode with reserved characters', async () => {
+      MockFs({
+        '/test/dir': {
+          'a,b.jpg': '1234',
+          'c+d.jpg': '123',
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withMirrorMode(true);
+
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['a,b.jpg', 'c+d.jpg']);
+      addFolderContents('/target', ['a,b.jpg', 'c+d.jpg']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.errors).deepEqual([]);
+      should(result.totalCompleted).be.exactly(2);
+      should(result.mirror).not.be.ok();
+    });
+
+    it('test mirror mode archive folder inside target folder', async () => {
+      MockFs({
+        '/test/dir': {},
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withMirrorMode(true)
+        .withMirrorArchiveFolder('/target/archive');
+
+      addCreateDirectory(HOST, '/target');
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.errors.length).be.exactly(1);
+      should(result.errors[0].code).be.exactly(ErrorCodes.INVALID_OPTIONS);
+      should(result.mirror).not.be.ok();
+    });
+
+    it('test include and exclude patterns', async () => {
+      MockFs({
+        '/test/dir': {
+          'cover.psd': '12345',
+          'cover.jpg': '1234',
+          drafts: {
+            'draft.psd': '123',
+          },
+          build: {
+            'output.psd': '12',
+          },
+        },
+        '/test/single.jpg': '1',
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withIncludePatterns(['**/*.psd', '!**/drafts/**'])
+        .withExcludePatterns(['build/']);
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addDirectUpload(HOST, '/target/dir', ['cover.psd']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, [
+        '/test/dir',
+        '/test/single.jpg',
+      ]);
+      should(result.totalCompleted).be.exactly(1);
+      should(result.totalSkipped).be.exactly(4);
+      should(result.totalJournalSkipped).be.exactly(0);
+      should(result.skippedItems.map(({ localPath }) => localPath).sort()).deepEqual([
+        '/test/dir/build',
+        '/test/dir/cover.jpg',
+        '/test/dir/drafts',
+        '/test/single.jpg',
+      ]);
+      should(result.skippedItems.every(({ reason }) => reason === 'excluded')).be.ok();
+    });
+
+    it('test aemignore files', async () => {
+      MockFs({
+        '/test/dir': {
+          '.aemignore': 'drafts/\n*.psd\n',
+          'cover.psd': '12345',
+          'cover.jpg': '1234',
+          drafts: {
+            'draft.jpg': '123',
+          },
+          sub: {
+            '.aemignore': '!*.psd\n',
+            'layers.psd': '12',
+          },
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withExcludePatterns(['*.jpg']);
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addCreateDirectory(HOST, '/target/dir/sub');
+      addDirectUpload(HOST, '/target/dir/sub', ['layers.psd']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.totalCompleted).be.exactly(1);
+      should(result.skippedItems.sort((a, b) => a.localPath.localeCompare(b.localPath)))
+        .deepEqual([
+          { localPath: '/test/dir/cover.jpg', reason: 'excluded' },
+          { localPath: '/test/dir/cover.psd', reason: 'ignored' },
+          { localPath: '/test/dir/drafts', reason: 'ignored' },
+        ]);
+    });
+
+    it('test temp files', async () => {
+      MockFs({
+        '/test/dir': {
+          'cover.jpg': '1234',
+          'backup.bak': '123',
+          '.DS_Store': '12',
+          '._cover.jpg': '1',
+          '.cache': {
+            'cached.jpg': '12',
+          },
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withTempFilePresets(['default', 'macos'])
+        .withTempFilePatterns(['*.bak']);
+
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['cover.jpg']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.totalCompleted).be.exactly(1);
+      should(result.skippedItems.sort((a, b) => a.localPath.localeCompare(b.localPath)))
+        .deepEqual([
+          { localPath: '/test/dir/._cover.jpg', reason: 'temp' },
+          { localPath: '/test/dir/.cache', reason: 'temp' },
+          { localPath: '/test/dir/.DS_Store', reason: 'temp' },
+          { localPath: '/test/dir/backup.bak', reason: 'temp' },
+        ]);
+    });
+
+    it('test file size, extension, and mime type rules', async () => {
+      MockFs({
+        '/test/dir': {
+          'cover.jpg': Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]),
+          'empty.jpg': '',
+          'large.jpg': Buffer.alloc(100, 0xFF),
+          'document.jpg': '%PDF-1.7',
+          'setup.exe': Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]),
+        },
+        '/test/notes.txt': 'notes',
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withMinFileSize(1)
+        .withMaxFileSize(64)
+        .withDeniedExtensions(['exe'])
+        .withAllowedMimeTypes(['image/*']);
+
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['cover.jpg']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir', '/test/notes.txt']);
+      should(result.totalCompleted).be.exactly(1);
+      should(result.skippedItems.sort((a, b) => a.localPath.localeCompare(b.localPath)))
+        .deepEqual([
+          { localPath: '/test/dir/document.jpg', reason: 'mimetype' },
+          { localPath: '/test/dir/empty.jpg', reason: 'filesize' },
+          { localPath: '/test/dir/large.jpg', reason: 'filesize' },
+          { localPath: '/test/dir/setup.exe', reason: 'extension' },
+          { localPath: '/test/notes.txt', reason: 'mimetype' },
+        ]);
+    });
+
+    it('test preflight validation', async () => {
+      MockFs({
+        '/test/dir': {
+          'cover.jpg': '1234',
+          'empty.jpg': '',
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withPreflightValidation(true);
+
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['cover.jpg']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const fileErrors = [];
+      fileSystemUpload.on('fileerror', (data) => fileErrors.push(data));
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.totalCompleted).be.exactly(1);
+      should(result.invalidFiles).deepEqual([{
+        localPath: '/test/dir/empty.jpg',
+        targetPath: '/target/empty.jpg',
+        error: {
+          message: 'File /test/dir/empty.jpg is empty',
+          code: ErrorCodes.FILE_EMPTY,
+        },
+      }]);
+      should(fileErrors.length).be.exactly(1);
+      should(fileErrors[0].targetFile).be.exactly('/target/empty.jpg');
+      should(fileErrors[0].errors[0].code).be.exactly(ErrorCodes.FILE_EMPTY);
+    });
+
+    it('test stability check', async () => {
+      MockFs({
+        '/test/dir': {
+          'stable.jpg': '1234',
+          'copied.jpg': '12',
+          'growing.jpg': '1',
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withStabilityCheckDelay(30)
+        .withMaxStabilityChecks(2);
+
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['copied.jpg', 'stable.jpg']);
+
+      // copied.jpg finishes before the second check, growing.jpg never does
+      const copied = setTimeout(() => appendFile('/test/dir/copied.jpg', '34'), 10);
+      const growing = setInterval(() => appendFile('/test/dir/growing.jpg', '1'), 10);
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      let result;
+      try {
+        result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      } finally {
+        clearTimeout(copied);
+        clearInterval(growing);
+      }
+      should(result.totalCompleted).be.exactly(2);
+      should(result.detailedResult.find(({ filePath }) => filePath === '/test/dir/copied.jpg')
+        .fileSize).be.exactly(4);
+      should(result.skippedItems).deepEqual([
+        { localPath: '/test/dir/growing.jpg', reason: 'unstable' },
+      ]);
+    });
+
+    it('test include paths', async () => {
+      MockFs({
+        '/test/dir': {
+          'cover.jpg': '1234',
+          'other.jpg': '123',
+          sub: {
+            'new.jpg': '12',
+            'old.jpg': '1',
+          },
+          unrelated: {
+            'file.jpg': '12345',
+          },
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withIncludePaths(['/test/dir/cover.jpg', '/test/dir/sub/new.jpg']);
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addCreateDirectory(HOST, '/target/dir/sub');
+      addDirectUpload(HOST, '/target/dir', ['cover.jpg']);
+      addDirectUpload(HOST, '/target/dir/sub', ['new.jpg']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      let result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.errors).deepEqual([]);
+      should(result.totalFiles).be.exactly(2);
+      should(result.totalCompleted).be.exactly(2);
+
+      // mirror mode can't tell which items were removed locally
+      resetHttp();
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addCreateDirectory(HOST, '/target/dir/sub');
+      addDirectUpload(HOST, '/target/dir', ['cover.jpg']);
+      addDirectUpload(HOST, '/target/dir/sub', ['new.jpg']);
+      result = await fileSystemUpload.upload(uploadOptions.withMirrorMode(true), ['/test/dir']);
+      should(result.totalCompleted).be.exactly(2);
+      should(result.errors.length).be.exactly(1);
+      should(result.errors[0].code).be.exactly(ErrorCodes.INVALID_OPTIONS);
+    });
+
+    it('test sidecar metadata', async () => {
+      MockFs({
+        '/test/dir': {
+          'photo.jpg': '1234',
+          'photo.jpg.json': JSON.stringify({ 'dc:title': 'Sunset', 'dc:rights': 'Editorial' }),
+          'photo.xmp': `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF>
+            <rdf:Description rdf:about="" dc:creator="Jane &amp; Co">
+              <dc:title><rdf:Alt><rdf:li xml:lang="x-default">Beach</rdf:li></rdf:Alt></dc:title>
+              <dc:subject><rdf:Bag><rdf:li>beach</rdf:li><rdf:li>sunset</rdf:li></rdf:Bag></dc:subject>
+            </rdf:Description>
+          </rdf:RDF></x:xmpmeta>`,
+          'notes.txt': '123',
+          'notes.txt.json': '{ "dc:title": ',
+          'data.json': '{}',
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withSidecarMetadata(true);
+
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['data.json', 'notes.txt', 'photo.jpg']);
+      const metadataRequests = [];
+      nock(HOST)
+        .put('/api/assets/target/photo.jpg')
+        .reply(200, (uri, body) => metadataRequests.push({ uri, body }));
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.totalCompleted).be.exactly(3);
+      should(result.skippedItems.sort((a, b) => a.localPath.localeCompare(b.localPath)))
+        .deepEqual([
+          { localPath: '/test/dir/notes.txt.json', reason: 'sidecar' },
+          { localPath: '/test/dir/photo.jpg.json', reason: 'sidecar' },
+          { localPath: '/test/dir/photo.xmp', reason: 'sidecar' },
+        ]);
+      should(metadataRequests).deepEqual([{
+        uri: '/api/assets/target/photo.jpg',
+        body: {
+          class: 'asset',
+          properties: {
+            'dc:creator': 'Jane & Co',
+            'dc:title': 'Sunset',
+            'dc:subject': ['beach', 'sunset'],
+            'dc:rights': 'Editorial',
+          },
+        },
+      }]);
+
+      const sidecarMetadata = result.sidecarMetadata
+        .sort((a, b) => a.targetPath.localeCompare(b.targetPath));
+      should(sidecarMetadata.length).be.exactly(2);
+      should(sidecarMetadata[0].targetPath).be.exactly('/target/notes.txt');
+      should(sidecarMetadata[0].error.code).be.exactly(ErrorCodes.INVALID_SIDECAR);
+      should(sidecarMetadata[1]).deepEqual({
+        targetPath: '/target/photo.jpg',
+        sidecarPaths: ['/test/dir/photo.xmp', '/test/dir/photo.jpg.json'],
+      });
+    });
+
+    it('test folder tags', async () => {
+      MockFs({
+        '/test/dir': {
+          'cover.jpg': '1234',
+          brand: {
+            'logo.jpg': '123',
+            summer: {
+              'beach.jpg': '12',
+            },
+          },
+          'My Brand': {
+            'Summer: 2024': {
+              'sun.jpg': '1',
+            },
+          },
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withFolderTags(true);
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addCreateDirectory(HOST, '/target/dir/brand');
+      addCreateDirectory(HOST, '/target/dir/brand/summer');
+      addCreateDirectory(HOST, '/target/dir/my-brand');
+      addCreateDirectory(HOST, '/target/dir/my-brand/summer--2024');
+      addDirectUpload(HOST, '/target/dir', ['cover.jpg']);
+      addDirectUpload(HOST, '/target/dir/brand', ['logo.jpg']);
+      addDirectUpload(HOST, '/target/dir/brand/summer', ['beach.jpg']);
+      addDirectUpload(HOST, '/target/dir/my-brand/summer--2024', ['sun.jpg']);
+      nock(HOST)
+        .head('/content/cq:tags/brand/summer.json')
+        .reply(200)
+        .head('/content/cq:tags/my-brand/summer--2024.json')
+        .reply(200);
+      const metadataRequests = [];
+      nock(HOST)
+        .get('/api/assets/target/dir/brand/summer/beach.jpg.json')
+        .reply(200, { properties: { metadata: { 'cq:tags': 'brand:summer' } } })
+        .put('/api/assets/target/dir/brand/summer/beach.jpg')
+        .reply(200, (uri, body) => metadataRequests.push({ uri, body }))
+        .get('/api/assets/target/dir/my-brand/summer--2024/sun.jpg.json')
+        .reply(200, { properties: { metadata: {} } })
+        .put('/api/assets/target/dir/my-brand/summer--2024/sun.jpg')
+        .reply(200, (uri, body) => metadataRequests.push({ uri, body }));
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.totalCompleted).be.exactly(4);
+      should(metadataRequests.sort((a, b) => a.uri.localeCompare(b.uri))).deepEqual([{
+        uri: '/api/assets/target/dir/brand/summer/beach.jpg',
+        body: { class: 'asset', properties: { 'cq:tags': ['brand:summer'] } },
+      }, {
+        uri: '/api/assets/target/dir/my-brand/summer--2024/sun.jpg',
+        body: { class: 'asset', properties: { 'cq:tags': ['my-brand:summer--2024'] } },
+      }]);
+      should(result.taggedAssets.length).be.exactly(2);
+    });
+
+    it('test symlink policy', async () => {
+      MockFs({
+        '/test/dir': {
+          'cover.jpg': '1234',
+          'linked.jpg': MockFs.symlink({ path: '/test/other.jpg' }),
+        },
+        '/test/other.jpg': '123',
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withSymlinkPolicy('skip');
+
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['cover.jpg']);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      let result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      should(result.totalCompleted).be.exactly(1);
+      should(result.skippedItems).deepEqual([
+        { localPath: '/test/dir/linked.jpg', reason: 'symlink' },
+      ]);
+
+      resetHttp();
+      addCreateDirectory(HOST, '/target');
+      addDirectUpload(HOST, '/target', ['cover.jpg']);
+      result = await fileSystemUpload.upload(
+        uploadOptions.withSymlinkPolicy('error'),
+        ['/test/dir'],
+      );
+      should(result.totalCompleted).be.exactly(1);
+      should(result.errors.length).be.exactly(1);
+      should(result.errors[0].code).be.exactly(ErrorCodes.SYMLINK_NOT_ALLOWED);
+    });
+
+    it('test streaming mode', async () => {
+      MockFs({
+        '/test/dir': {
+          'a.jpg': '12345',
+          'b.jpg': '1234',
+          sub: {
+            'c.jpg': '123',
+          },
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withMaxUploadFiles(2);
+
+      // more files than the maximum fail unless streaming
+      addCreateDirectory(HOST, '/target');
+      let fileSystemUpload = new FileSystemUpload(getTestOptions());
+      await should(fileSystemUpload.upload(uploadOptions, ['/test/dir']))
+        .be.rejectedWith({ code: ErrorCodes.TOO_LARGE });
+      resetHttp();
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addCreateDirectory(HOST, '/target/dir/sub');
+      addDirectUpload(HOST, '/target/dir', ['a.jpg', 'b.jpg']);
+      // each group is a separate transfer
+      expectDirectBinaryCheck();
+      addDirectUpload(HOST, '/target/dir/sub', ['c.jpg']);
+
+      fileSystemUpload = new FileSystemUpload(getTestOptions());
+      monitorEvents(fileSystemUpload);
+      const uploadEvents = [];
+      fileSystemUpload.on('fileuploadstart', (data) => uploadEvents.push(data));
+      fileSystemUpload.on('fileuploadend', (data) => uploadEvents.push(data));
+
+      const result = await fileSystemUpload.upload(
+        uploadOptions.withStreamingMode(true),
+        ['/test/dir'],
+      );
+      should(result.errors).deepEqual([]);
+      should(result.totalFiles).be.exactly(3);
+      should(result.totalCompleted).be.exactly(3);
+      should(result.totalFileSize).be.exactly(12);
+      should(getFolderCreates().length).be.exactly(3);
+      should(getEvent('fileend', '/target/dir/sub/c.jpg')).be.ok();
+
+      should(uploadEvents.length).be.exactly(2);
+      should(uploadEvents[0].fileCount).be.exactly(0);
+      should(uploadEvents[1].fileCount).be.exactly(3);
+      should(uploadEvents[1].totalSize).be.exactly(12);
+      should(uploadEvents[1].directoryCount).be.exactly(2);
+    });
+    it('test streaming mode with a large walk', async () => {
+      const folderCount = 8;
+      const filesPerFolder = 10;
+      const maxUploadFiles = 25;
+      const folders = {};
+      for (let i = 0; i < folderCount; i += 1) {
+        const files = {};
+        for (let j = 0; j < filesPerFolder; j += 1) {
+          files[`file${j}.jpg`] = '1';
+        }
+        folders[`folder${i}`] = files;
+      }
+      MockFs({ '/test/dir': folders });
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      Object.keys(folders).forEach((folderName, index) => {
+        addCreateDirectory(HOST, `/target/dir/${folderName}`);
+        // each group of three folders is a separate transfer
+        if (index % 3 === 0) {
+          expectDirectBinaryCheck();
+        }
+        addDirectUpload(HOST, `/target/dir/${folderName}`, Object.keys(folders[folderName]));
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withStreamingMode(true)
+        .withMaxUploadFiles(maxUploadFiles);
+
+      const groupSizes = [];
+      const addUploadFiles = Sinon.stub(DirectBinaryUploadProcess.prototype, 'addUploadFiles')
+        .callsFake(function groupUpload(groupResult, uploadFiles) {
+          groupSizes.push(uploadFiles.length);
+          return addUploadFiles.wrappedMethod.call(this, groupResult, uploadFiles);
+        });
+      let result;
+      try {
+        const fileSystemUpload = new FileSystemUpload(getTestOptions());
+        result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+      } finally {
+        addUploadFiles.restore();
+      }
+
+      // files are only held until their group is uploaded; a group may go over the
+      // maximum by at most the files of the folder that filled it
+      const totalFiles = folderCount * filesPerFolder;
+      should(groupSizes).deepEqual([30, 30, 20]);
+
+      // the result only keeps counts for items without problems
+      should(result.errors).deepEqual([]);
+      should(result.totalFiles).be.exactly(totalFiles);
+      should(result.totalCompleted).be.exactly(totalFiles);
+      should(result.totalFileSize).be.exactly(totalFiles);
+      should(result.detailedResult).deepEqual([]);
+      should(result.createdFolders).deepEqual([]);
+      should(result.summarizedItems.files).be.exactly(totalFiles);
+      should(result.summarizedItems.createdFolders).be.exactly(folderCount + 2);
+    });
+
+    it('test streaming mode applies sidecars and tags with each group', async () => {
+      MockFs({
+        '/test/dir': {
+          a: {
+            'a.jpg': '1',
+            'a.jpg.json': JSON.stringify({ 'dc:title': 'A' }),
+          },
+          b: {
+            'b.jpg': '12',
+            'b.jpg.json': '{ "dc:title": ',
+          },
+        },
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/target`)
+        .withDeepUpload(true)
+        .withStreamingMode(true)
+        .withMaxUploadFiles(1)
+        .withSidecarMetadata(true)
+        .withTags(['brand:summer']);
+
+      addCreateDirectory(HOST, '/target');
+      addCreateDirectory(HOST, '/target/dir');
+      addCreateDirectory(HOST, '/target/dir/a');
+      addCreateDirectory(HOST, '/target/dir/b');
+      addDirectUpload(HOST, '/target/dir/a', ['a.jpg']);
+      expectDirectBinaryCheck();
+      addDirectUpload(HOST, '/target/dir/b', ['b.jpg']);
+
+      const steps = [];
+      // each tag is only checked once
+      nock(HOST)
+        .head('/content/cq:tags/brand/summer.json')
+        .reply(200);
+      ['a/a.jpg', 'b/b.jpg'].forEach((assetPath) => {
+        nock(HOST)
+          .get(`/api/assets/target/dir/${assetPath}.json`)
+          .reply(200, { properties: { metadata: {} } })
+          .put(`/api/assets/target/dir/${assetPath}`)
+          .times(assetPath === 'a/a.jpg' ? 2 : 1)
+          .reply(200, (uri, { properties }) => steps.push(
+            `${properties['cq:tags'] ? 'tags' : 'sidecar'} ${uri}`,
+          ));
+      });
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      fileSystemUpload.on('filestart', ({ targetFile }) => steps.push(`filestart ${targetFile}`));
+      const result = await fileSystemUpload.upload(uploadOptions, ['/test/dir']);
+
+      should(steps).deepEqual([
+        'filestart /target/dir/a/a.jpg',
+        'sidecar /api/assets/target/dir/a/a.jpg',
+        'tags /api/assets/target/dir/a/a.jpg',
+        'filestart /target/dir/b/b.jpg',
+        'tags /api/assets/target/dir/b/b.jpg',
+      ]);
+      should(result.totalFiles).be.exactly(2);
+      should(result.totalCompleted).be.exactly(2);
+      should(result.totalSkipped).be.exactly(2);
+      should(result.detailedResult).deepEqual([]);
+      should(result.skippedItems).deepEqual([]);
+      should(result.taggedAssets).be.undefined();
+
+      // problems are still listed individually
+      should(result.sidecarMetadata.length).be.exactly(1);
+      should(result.sidecarMetadata[0].targetPath).be.exactly('/target/dir/b/b.jpg');
+      should(result.sidecarMetadata[0].error.code).be.exactly(ErrorCodes.INVALID_SIDECAR);
+      should(result.summarizedItems).deepEqual({
+        files: 2,
+        createdFolders: 4,
+        skippedItems: { sidecar: 2 },
+        sync: {
+          new: 0,
+          updated: 0,
+          unchanged: 0,
+        },
+        sidecarMetadata: 1,
+        taggedAssets: 2,
+      });
+    });
+  });
+
+  describe('plan', () => {
+    it('test plan deep upload', async () => {
+      MockFs({
+        '/test/My Folder': {
+          'asset #1.jpg': '12345',
+          sub: {
+            'two.jpg': '123',
+          },
+        },
+        '/test/missing.jpg': MockFs.symlink({ path: '/test/nothing' }),
+      });
+
+      const uploadOptions = new FileSystemUploadOptions()
+        .withUrl(`${HOST}/content/dam/target`)
+        .withDeepUpload(true);
+
+      const fileSystemUpload = new FileSystemUpload(getTestOptions());
+      const plan = await fileSystemUpload.plan(uploadOptions, [
+        '/test/My Folder',
+        '/test/missing.jpg',
+      ]);
+
+      should(plan.host).be.exactly(HOST);
+      should(plan.targetFolder).be.exactly('/content/dam/target');
+      should(plan.folders).deepEqual([
+        {
+          targetPath: '/content/dam/target',
+          folderTitle: 'target',
+          nodeName: 'target',
+          renamed: false,
+        },
+        {
+          localPath: '/test/My Folder',
+          targetPath: '/content/dam/target/my-folder',
+          folderTitle: 'My Folder',
+          nodeName: 'my-folder',
+          renamed: true,
+        },
+        {
+          localPath: '/test/My Folder/sub',
+          targetPath: '/content/dam/target/my-folder/sub',
+          folderTitle: 'sub',
+          nodeName: 'sub',
+          renamed: false,
+        },
+      ]);
+      should(plan.files).deepEqual([
+        {
+          localPath: '/test/My Folder/asset #1.jpg',
+          targetPath: '/content/dam/target/my-folder/asset -1.jpg',
+          fileUrl: `${HOST}/content/dam/target/my-folder/asset%20-1.jpg`,
+          fileSize: 5,
+          fileName: 'asset #1.jpg',
+          nodeName: 'asset -1.jpg',
+          renamed: true,
+        },
+        {
+          localPath: '/test/My Folder/sub/two.jpg',
+          targetPath: '/content/dam/target/my-folder/sub/two.jpg',
+          fileUrl: `${HOST}/content/dam/target/my-folder/sub/two.jpg`,
+          fileSize: 3,
+          fileName: 'two.jpg',
+          nodeName: 'two.jpg',
+          renamed: false,
+        },
+      ]);
+      should(plan.totalFiles).be.exactly(2);
+      should(plan.totalSize).be.exactly(8);
+      should(plan.errors.length).be.exactly(1);
+    });
   });
 });
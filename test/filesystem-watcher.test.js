@@ -0,0 +1,224 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+const nock = require('nock');
+const MockFs = require('mock-fs');
+
+const {
+  getTestOptions,
+  resetHttp,
+  allHttpUsed,
+  addDirectUpload,
+  addCreateDirectory,
+} = require('./testutils');
+
+const { appendFile } = require('../src/fs-promise');
+const ErrorCodes = require('../src/error-codes');
+const FileSystemUploadOptions = require('../src/filesystem-upload-options');
+const FileSystemWatcher = require('../src/filesystem-watcher');
+
+const HOST = 'http://reallyfakehostforaemuploadtesting';
+
+describe('FileSystemWatcher Tests', () => {
+  let watcher;
+
+  beforeEach(() => {
+    resetHttp();
+    watcher = new FileSystemWatcher(getTestOptions());
+  });
+
+  afterEach(async () => {
+    await watcher.stop();
+    should(allHttpUsed()).be.ok();
+    resetHttp();
+    MockFs.restore();
+  });
+
+  function waitForBatch() {
+    return new Promise((resolve) => {
+      watcher.once('watchbatchend', resolve);
+    });
+  }
+
+  it('test watch directory', async () => {
+    MockFs({
+      '/test/dir': {
+        'existing.jpg': '1234',
+        sub: {},
+      },
+    });
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/target`)
+      .withDeepUpload(true)
+      .withWatchUploadExisting(false)
+      .withWatchInterval(20);
+
+    addCreateDirectory(HOST, '/target');
+    addCreateDirectory(HOST, '/target/dir');
+    addCreateDirectory(HOST, '/target/dir/sub');
+    addDirectUpload(HOST, '/target/dir/sub', ['new.jpg']);
+
+    const events = [];
+    watcher.on('watchbatchstart', (data) => events.push({ event: 'watchbatchstart', data }));
+    watcher.on('fileend', (data) => events.push({ event: 'fileend', data }));
+
+    await watcher.start(uploadOptions, ['/test/dir']);
+    const batch = waitForBatch();
+    await appendFile('/test/dir/sub/new.jpg', '12');
+    await appendFile('/test/dir/sub/.DS_Store', '1');
+    const { result, ...batchData } = await batch;
+
+    should(batchData).deepEqual({
+      batchNumber: 1,
+      fileCount: 1,
+      localPaths: ['/test/dir/sub/new.jpg'],
+    });
+    should(result.totalFiles).be.exactly(1);
+    should(result.totalCompleted).be.exactly(1);
+    should(events.map(({ event }) => event)).deepEqual(['watchbatchstart', 'fileend']);
+    should(events[1].data.targetFile).be.exactly('/target/dir/sub/new.jpg');
+    should(watcher.getBatchCount()).be.exactly(1);
+  });
+
+  it('test upload existing files', async () => {
+    MockFs({
+      '/test/dir': {
+        'existing.jpg': '1234',
+      },
+    });
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/target`)
+      .withDeepUpload(true)
+      .withWatchInterval(20);
+
+    addCreateDirectory(HOST, '/target');
+    addCreateDirectory(HOST, '/target/dir');
+    addDirectUpload(HOST, '/target/dir', ['existing.jpg']);
+
+    const batch = waitForBatch();
+    await watcher.start(uploadOptions, ['/test/dir']);
+    const { result, localPaths } = await batch;
+    should(localPaths).deepEqual(['/test/dir/existing.jpg']);
+    should(result.totalCompleted).be.exactly(1);
+  });
+
+  it('test retry failed files', async () => {
+    MockFs({
+      '/test/dir': {
+        'retry.jpg': '1234',
+      },
+    });
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/target`)
+      .withDeepUpload(true)
+      .withWatchInterval(20);
+
+    addCreateDirectory(HOST, '/target');
+    addCreateDirectory(HOST, '/target/dir');
+    // the first upload's part is rejected
+    nock(HOST)
+      .post('/target/dir.initiateUpload.json')
+      .times(2) // twice for direct binary access enabled check
+      .reply(201, {
+        completeURI: '/target/dir.completeUpload.json',
+        folderPath: '/target/dir',
+        files: [{
+          fileName: 'retry.jpg',
+          mimeType: 'image/jpeg',
+          uploadToken: 'upload-token-retry',
+          uploadURIs: [`${HOST}/target/dir/retry.jpg`],
+          minPartSize: 256,
+          maxPartSize: 2048,
+        }],
+      });
+    nock(HOST)
+      .put('/target/dir/retry.jpg')
+      .reply(404);
+    addCreateDirectory(HOST, '/target');
+    addCreateDirectory(HOST, '/target/dir');
+    addDirectUpload(HOST, '/target/dir', ['retry.jpg']);
+
+    let batch = waitForBatch();
+    await watcher.start(uploadOptions, ['/test/dir']);
+    let { result } = await batch;
+    should(result.totalCompleted).be.exactly(0);
+
+    batch = waitForBatch();
+    ({ result } = await batch);
+    should(result.totalCompleted).be.exactly(1);
+    should(watcher.getBatchCount()).be.exactly(2);
+  });
+
+  it('test retry files that fail validation', async () => {
+    MockFs({
+      '/test/dir': {
+        'empty.jpg': '',
+      },
+    });
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/target`)
+      .withDeepUpload(true)
+      .withPreflightValidation(true)
+      .withWatchInterval(60000);
+    await watcher.start(uploadOptions, ['/test/dir']);
+
+    addCreateDirectory(HOST, '/target');
+    addCreateDirectory(HOST, '/target/dir');
+    const batch = waitForBatch();
+    await watcher.check();
+    const { result } = await batch;
+    should(result.totalCompleted).be.exactly(0);
+    should(result.invalidFiles.length).be.exactly(1);
+    should([...watcher.changedFiles]).deepEqual(['/test/dir/empty.jpg']);
+    should(watcher.failedFiles.get('/test/dir/empty.jpg')).be.exactly(1);
+  });
+
+  it('test maximum retries', async () => {
+    MockFs({
+      '/test/dir': {},
+    });
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/target`)
+      .withMaxWatchRetries(1)
+      .withWatchInterval(60000);
+    await watcher.start(uploadOptions, ['/test/dir']);
+
+    const paths = ['/test/dir/a.jpg', '/test/dir/b.jpg'];
+    paths.forEach((path) => watcher.changedFiles.add(path));
+    watcher.finishBatchFiles(paths, new Set(['/test/dir/a.jpg']));
+    should([...watcher.changedFiles]).deepEqual(['/test/dir/a.jpg']);
+
+    // the file's one retry also fails
+    watcher.finishBatchFiles(['/test/dir/a.jpg'], new Set(['/test/dir/a.jpg']));
+    should([...watcher.changedFiles]).deepEqual([]);
+  });
+
+  it('test already started', async () => {
+    MockFs({
+      '/test/dir': {},
+    });
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/target`);
+    await watcher.start(uploadOptions, ['/test/dir']);
+    await should(watcher.start(uploadOptions, ['/test/dir']))
+      .be.rejectedWith({ code: ErrorCodes.INVALID_OPTIONS });
+  });
+});
@@ -107,4 +107,13 @@ describe('HttpUtilsTest', () => {
       }],
     });
   });
+
+  it('test get http transfer options with controller', () => {
+    const controller = new AbortController();
+    const uploadOptions = new DirectBinaryUploadOptions()
+      .withUrl('http://localhost/content/dam')
+      .withController(controller);
+    const { requestOptions } = getHttpTransferOptions(getTestOptions(), uploadOptions);
+    should(requestOptions.signal).be.exactly(controller.signal);
+  });
 });
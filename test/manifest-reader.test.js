@@ -0,0 +1,158 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+const MockFs = require('mock-fs');
+
+const { parseCsv, readManifest } = require('../src/manifest-reader');
+const ErrorCodes = require('../src/error-codes');
+
+describe('ManifestReader Tests', () => {
+  afterEach(() => {
+    MockFs.restore();
+  });
+
+  it('test parse csv', () => {
+    should(parseCsv('\uFEFFa,b,c\r\n1,"two, ""2""",3\n\n"multi\nline",,\nlast')).deepEqual([
+      { line: 1, values: ['a', 'b', 'c'] },
+      { line: 2, values: ['1', 'two, "2"', '3'] },
+      { line: 3, values: [''] },
+      { line: 4, values: ['multi\nline', '', ''] },
+      { line: 6, values: ['last'] },
+    ]);
+    should(() => parseCsv('a,b\n1,"open\n')).throw({ code: ErrorCodes.INVALID_MANIFEST });
+  });
+
+  it('test read manifest', async () => {
+    MockFs({
+      '/test/manifest.csv': 'Local Path,target_path,Title,dc:description\n'
+        + 'photo.jpg,/target/photo.jpg,Beach,"Sunny, warm"\n'
+        + '\n'
+        + 'doc.pdf,docs/,,\n'
+        + 'extra.jpg,/target/extra.jpg,,,unexpected\n',
+      '/test/missing.csv': 'localPath,title\nphoto.jpg,Beach\n',
+      '/test/duplicate.csv': 'localPath,targetPath,title,dc:title\n',
+      '/test/manifest.txt': 'localPath,targetPath\n',
+    });
+
+    const { rows, folders } = await readManifest('/test/manifest.csv');
+    should(folders).deepEqual([]);
+    should(rows.length).be.exactly(3);
+    should(rows[0]).deepEqual({
+      line: 2,
+      localPath: 'photo.jpg',
+      targetPath: '/target/photo.jpg',
+      metadata: { 'dc:title': 'Beach', 'dc:description': 'Sunny, warm' },
+    });
+    should(rows[1]).deepEqual({
+      line: 4,
+      localPath: 'doc.pdf',
+      targetPath: 'docs/',
+      metadata: {},
+    });
+    should(rows[2].line).be.exactly(5);
+    should(rows[2].error.code).be.exactly(ErrorCodes.INVALID_MANIFEST);
+
+    await should(readManifest('/test/missing.csv')).be.rejectedWith({ code: ErrorCodes.INVALID_MANIFEST });
+    await should(readManifest('/test/duplicate.csv')).be.rejectedWith({ code: ErrorCodes.INVALID_MANIFEST });
+    await should(readManifest('/test/manifest.txt')).be.rejectedWith({ code: ErrorCodes.INVALID_MANIFEST });
+    await should(readManifest('/test/notfound.csv')).be.rejectedWith({ code: ErrorCodes.FILE_NOT_READABLE });
+  });
+
+  it('test read structured manifest', async () => {
+    const manifest = {
+      files: [{ localPath: 'readme.pdf', name: 'overview.pdf' }],
+      folders: [{
+        path: 'campaigns/summer/',
+        title: 'Summer',
+        properties: { 'dc:description': 'Summer campaign' },
+        files: [{
+          localPath: '/images/beach.jpg',
+          replace: true,
+          tags: ['brand:summer'],
+          metadata: { 'dc:title': 'Beach', 'dc:subject': ['beach', 'sun'] },
+        }],
+        folders: [{
+          path: '/content/dam/shared',
+          files: [{ name: 'missing.jpg' }],
+        }],
+      }],
+    };
+    MockFs({
+      '/test/manifest.json': JSON.stringify(manifest),
+      '/test/manifest.yaml': `
+files:
+  - localPath: readme.pdf
+    name: overview.pdf
+folders:
+  - path: campaigns/summer/
+    title: Summer
+    properties:
+      dc:description: Summer campaign
+    files:
+      - localPath: /images/beach.jpg
+        replace: true
+        tags: [brand:summer]
+        metadata:
+          dc:title: Beach
+          dc:subject: [beach, sun]
+    folders:
+      - path: /content/dam/shared
+        files:
+          - name: missing.jpg
+`,
+      '/test/unknown.yml': 'folders:\n  - path: a\n    files:\n      - localPath: a.jpg\n        versionLabel: 2\n',
+      '/test/nopath.json': JSON.stringify({ folders: [{ title: 'No Path' }] }),
+      '/test/array.json': '[]',
+    });
+
+    const expected = {
+      rows: [{
+        location: 'files[0]',
+        localPath: 'readme.pdf',
+        targetPath: 'overview.pdf',
+        metadata: {},
+        fileOptions: {},
+      }, {
+        location: 'folders[0].files[0]',
+        localPath: '/images/beach.jpg',
+        targetPath: 'campaigns/summer/beach.jpg',
+        metadata: { 'dc:title': 'Beach', 'dc:subject': ['beach', 'sun'] },
+        fileOptions: { replace: true, tags: ['brand:summer'] },
+      }, {
+        location: 'folders[0].folders[0].files[0]',
+        localPath: undefined,
+        metadata: {},
+        fileOptions: {},
+      }],
+      folders: [{
+        location: 'folders[0]',
+        path: 'campaigns/summer',
+        title: 'Summer',
+        properties: { 'dc:description': 'Summer campaign' },
+      }, {
+        location: 'folders[0].folders[0]',
+        path: '/content/dam/shared',
+        title: undefined,
+        properties: undefined,
+      }],
+    };
+    should(await readManifest('/test/manifest.json')).deepEqual(expected);
+    should(await readManifest('/test/manifest.yaml')).deepEqual(expected);
+
+    await should(readManifest('/test/unknown.yml')).be.rejectedWith({ code: ErrorCodes.INVALID_MANIFEST });
+    await should(readManifest('/test/nopath.json')).be.rejectedWith({ code: ErrorCodes.INVALID_MANIFEST });
+    await should(readManifest('/test/array.json')).be.rejectedWith({ code: ErrorCodes.INVALID_MANIFEST });
+  });
+});
@@ -0,0 +1,241 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const nock = require('nock');
+const should = require('should');
+const MockFs = require('mock-fs');
+
+const {
+  getTestOptions,
+  resetHttp,
+  allHttpUsed,
+  addDirectUpload,
+  addCreateDirectory,
+  getFolderCreates,
+} = require('./testutils');
+
+const ManifestUpload = require('../src/manifest-upload');
+const FileSystemUploadOptions = require('../src/filesystem-upload-options');
+const ErrorCodes = require('../src/error-codes');
+
+const HOST = 'http://reallyfakehostforaemuploadtesting';
+
+describe('ManifestUpload Tests', () => {
+  beforeEach(() => {
+    resetHttp();
+  });
+
+  afterEach(() => {
+    should(allHttpUsed()).be.ok();
+    resetHttp();
+    MockFs.restore();
+  });
+
+  it('test manifest upload', async () => {
+    MockFs({
+      '/test/import': {
+        'manifest.csv': 'localPath,targetPath,title,dc:description\n'
+          + 'photo.jpg,/content/dam/target/photos/beach.jpg,Beach,"Sunny, warm"\n'
+          + '/test/files/doc.pdf,docs/,,\n'
+          + 'missing.jpg,/content/dam/target/photos/missing.jpg,,\n'
+          + 'photo.jpg,/content/dam/target/photos/beach.jpg,Duplicate,\n'
+          + 'photo.jpg,,,\n',
+        'photo.jpg': '1234',
+      },
+      '/test/files/doc.pdf': '123',
+    });
+
+    addCreateDirectory(HOST, '/target');
+    addCreateDirectory(HOST, '/target/docs');
+    addCreateDirectory(HOST, '/target/photos');
+    addDirectUpload(HOST, '/content/dam/target/photos', ['beach.jpg']);
+    addDirectUpload(HOST, '/content/dam/target/docs', ['doc.pdf']);
+    const metadataRequests = [];
+    nock(HOST)
+      .put('/api/assets/target/photos/beach.jpg')
+      .reply(200, (uri, body) => metadataRequests.push(body));
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/content/dam/target`);
+    const manifestUpload = new ManifestUpload(getTestOptions());
+    const result = await manifestUpload.upload(uploadOptions, '/test/import/manifest.csv');
+
+    should(result.totalCompleted).be.exactly(2);
+    should(getFolderCreates().map(({ uri }) => uri)).deepEqual([
+      '/api/assets/target',
+      '/api/assets/target/docs',
+      '/api/assets/target/photos',
+    ]);
+    should(metadataRequests).deepEqual([{
+      class: 'asset',
+      properties: {
+        'dc:title': 'Beach',
+        'dc:description': 'Sunny, warm',
+      },
+    }]);
+    should(result.manifestMetadata).deepEqual([
+      { line: 2, targetPath: '/content/dam/target/photos/beach.jpg' },
+    ]);
+
+    const { invalidRows } = result;
+    should(invalidRows.map(({ line, localPath, targetPath }) => ({ line, localPath, targetPath })))
+      .deepEqual([
+        { line: 4, localPath: '/test/import/missing.jpg', targetPath: '/content/dam/target/photos/missing.jpg' },
+        { line: 5, localPath: '/test/import/photo.jpg', targetPath: '/content/dam/target/photos/beach.jpg' },
+        { line: 6, localPath: '/test/import/photo.jpg', targetPath: undefined },
+      ]);
+    should(invalidRows[0].error.code).be.exactly(ErrorCodes.FILE_NOT_READABLE);
+    should(invalidRows[1].error.code).be.exactly(ErrorCodes.INVALID_MANIFEST);
+    should(invalidRows[1].error.message).containEql('line 2');
+    should(invalidRows[2].error.code).be.exactly(ErrorCodes.INVALID_MANIFEST);
+  });
+
+  it('test structured manifest upload', async () => {
+    MockFs({
+      '/test/import': {
+        'manifest.yaml': `
+files:
+  - localPath: readme.pdf
+    name: overview.pdf
+folders:
+  - path: campaigns/summer
+    title: Summer Campaign
+    properties:
+      dc:description: Summer launch
+    files:
+      - localPath: /test/files/beach.jpg
+        createVersion: true
+        versionLabel: v2
+        metadata:
+          dc:subject: [beach, sun]
+      - name: missing.jpg
+  - path: empty
+`,
+        'readme.pdf': '123',
+      },
+      '/test/files/beach.jpg': '1234',
+    });
+
+    addCreateDirectory(HOST, '/target');
+    addCreateDirectory(HOST, '/target/campaigns');
+    addCreateDirectory(HOST, '/target/campaigns/summer');
+    addCreateDirectory(HOST, '/target/empty');
+    addDirectUpload(HOST, '/content/dam/target', ['overview.pdf']);
+    addDirectUpload(HOST, '/content/dam/target/campaigns/summer', ['beach.jpg']);
+    const metadataRequests = [];
+    nock(HOST)
+      .put('/api/assets/target/campaigns/summer/beach.jpg')
+      .reply(200, (uri, body) => metadataRequests.push(body));
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/content/dam/target`);
+    const manifestUpload = new ManifestUpload(getTestOptions());
+    const result = await manifestUpload.upload(uploadOptions, '/test/import/manifest.yaml');
+
+    should(result.totalCompleted).be.exactly(2);
+    should(getFolderCreates().map(({ body }) => body)).deepEqual([
+      { class: 'assetFolder', properties: { 'jcr:title': 'target' } },
+      { class: 'assetFolder', properties: { 'jcr:title': 'campaigns' } },
+      { class: 'assetFolder', properties: { 'dc:description': 'Summer launch', 'jcr:title': 'Summer Campaign' } },
+      { class: 'assetFolder', properties: { 'jcr:title': 'empty' } },
+    ]);
+    const beach = result.detailedResult
+      .find(({ fileUrl }) => fileUrl.endsWith('/beach.jpg'));
+    should(beach.createVersion).be.ok();
+    should(beach.versionLabel).be.exactly('v2');
+    should(metadataRequests).deepEqual([{
+      class: 'asset',
+      properties: { 'dc:subject': ['beach', 'sun'] },
+    }]);
+    should(result.manifestMetadata).deepEqual([
+      { location: 'folders[0].files[0]', targetPath: '/content/dam/target/campaigns/summer/beach.jpg' },
+    ]);
+    should(result.invalidRows.length).be.exactly(1);
+    should(result.invalidRows[0].location).be.exactly('folders[0].files[1]');
+    should(result.invalidRows[0].error.code).be.exactly(ErrorCodes.INVALID_MANIFEST);
+  });
+
+  it('test manifest target outside of dam', async () => {
+    MockFs({
+      '/test/import': {
+        'manifest.csv': 'localPath,targetPath\n'
+          + 'photo.jpg,/apps/photo.jpg\n'
+          + 'photo.jpg,../../../photo.jpg\n'
+          + 'photo.jpg,/content/dam/../photo.jpg\n'
+          + 'photo.jpg,../inside.jpg\n',
+        'photo.jpg': '1234',
+      },
+    });
+
+    addCreateDirectory(HOST, '/target');
+    addDirectUpload(HOST, '/content/dam/target', ['inside.jpg']);
+
+    // relative paths may leave the target folder, as long as they stay in the DAM
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/content/dam/target/sub`);
+    const manifestUpload = new ManifestUpload(getTestOptions());
+    const result = await manifestUpload.upload(uploadOptions, '/test/import/manifest.csv');
+
+    should(result.totalCompleted).be.exactly(1);
+    should(result.detailedResult[0].fileUrl).be.exactly(`${HOST}/content/dam/target/inside.jpg`);
+    const { invalidRows } = result;
+    should(invalidRows.map(({ line }) => line)).deepEqual([2, 3, 4]);
+    invalidRows.forEach(({ line, error }) => {
+      should(error.code).be.exactly(ErrorCodes.INVALID_MANIFEST);
+      should(error.message).containEql(`line ${line}`);
+      should(error.message).containEql('not under /content/dam');
+    });
+  });
+
+  it('test manifest with reserved characters', async () => {
+    MockFs({
+      '/test/import': {
+        'manifest.csv': 'localPath,targetPath\n'
+          + 'photo.jpg,"a,b/c+d.jpg"\n',
+        'photo.jpg': '1234',
+      },
+    });
+
+    addCreateDirectory(HOST, '/target');
+    addCreateDirectory(HOST, '/target/a,b');
+    addDirectUpload(HOST, '/content/dam/target/a,b', ['c+d.jpg']);
+
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/content/dam/target`);
+    const manifestUpload = new ManifestUpload(getTestOptions());
+    const result = await manifestUpload.upload(uploadOptions, '/test/import/manifest.csv');
+
+    should(result.totalCompleted).be.exactly(1);
+    should(getFolderCreates().map(({ uri, body }) => ({ uri, title: body.properties['jcr:title'] })))
+      .deepEqual([
+        { uri: '/api/assets/target', title: 'target' },
+        { uri: '/api/assets/target/a,b', title: 'a,b' },
+      ]);
+    should(result.createdFolders.map(({ folderPath }) => folderPath)).deepEqual([
+      '/content/dam/target',
+      '/content/dam/target/a,b',
+    ]);
+  });
+
+  it('test invalid manifest', async () => {
+    MockFs({
+      '/test/manifest.csv': 'localPath,title\nphoto.jpg,Beach\n',
+    });
+    const uploadOptions = new FileSystemUploadOptions()
+      .withUrl(`${HOST}/content/dam/target`);
+    const manifestUpload = new ManifestUpload(getTestOptions());
+    await should(manifestUpload.upload(uploadOptions, '/test/manifest.csv'))
+      .be.rejectedWith({ code: ErrorCodes.INVALID_MANIFEST });
+  });
+});
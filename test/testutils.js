@@ -89,6 +89,7 @@ module.exports.monitorEvents = (toMonitor) => {
   toMonitor.on('fileend', (data) => events.push({ event: 'fileend', data }));
   toMonitor.on('fileerror', (data) => events.push({ event: 'fileerror', data }));
   toMonitor.on('filecancelled', (data) => events.push({ event: 'filecancelled', data }));
+  toMonitor.on('fileskipped', (data) => events.push({ event: 'fileskipped', data }));
   toMonitor.on('foldercreated', (data) => events.push({ event: 'foldercreated', data }));
 };
 
@@ -254,7 +255,8 @@ module.exports.addDirectUpload = (
   });
 
   const completeURI = `${encodeURI(targetFolder)}.completeUpload.json`;
-  const initiatePath = `${encodeURI(targetFolder)}.initiateUpload.json`;
+  // the folder's URL is built from its encoded names, so reserved characters are encoded
+  const initiatePath = `${targetFolder.split('/').map(encodeURIComponent).join('/')}.initiateUpload.json`;
 
   // success reply for init
   nock(host)
@@ -280,6 +282,14 @@ module.exports.addDirectUpload = (
   firstCheck = false;
 };
 
+/**
+ * Indicates that the next direct binary upload added through addDirectUpload() will be the
+ * first in a new transfer, and will therefore also receive the direct binary access check.
+ */
+module.exports.expectDirectBinaryCheck = () => {
+  firstCheck = true;
+};
+
 /**
  * Create mock HTTP requests necessary for a directory creation request.
  *
@@ -295,6 +305,21 @@ module.exports.addCreateDirectory = (host, directoryPath, status = 201) => {
     .reply(status, (uri, body) => folderInfo.push({ uri, body }));
 };
 
+/**
+ * Create mock HTTP requests necessary for checking whether an asset exists.
+ *
+ * @param {string} host Host on which the asset will be checked.
+ * @param {string} assetPath Full path to the asset, relative to /content/dam.
+ * @param {boolean} [exists=true] Whether or not the asset will be reported as existing.
+ */
+module.exports.addAssetExists = (host, assetPath, exists = true) => {
+  nock.disableNetConnect();
+
+  nock(host)
+    .head(`/api/assets${encodeURI(assetPath)}.json`)
+    .reply(exists ? 200 : 404);
+};
+
 /**
  * Parses a raw query string and converts it to a simple javascript object whose keys
  * are param names, and values are the param's value.
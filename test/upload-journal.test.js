@@ -0,0 +1,90 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* eslint-env mocha */
+
+const should = require('should');
+const MockFs = require('mock-fs');
+const { readFile } = require('../src/fs-promise');
+
+const UploadJournal = require('../src/upload-journal');
+
+describe('UploadJournal Tests', () => {
+  afterEach(() => {
+    MockFs.restore();
+  });
+
+  it('test journal does not exist', async () => {
+    MockFs({});
+    const journal = new UploadJournal('/journal.log');
+    await journal.load();
+    should(journal.hasFolder('/content/dam/folder')).not.be.ok();
+    should(journal.hasFile('/content/dam/folder/file.jpg', 10)).not.be.ok();
+  });
+
+  it('test add and load entries', async () => {
+    MockFs({});
+    let journal = new UploadJournal('/journal.log');
+    await journal.load();
+    journal.addFolder('/content/dam/folder');
+    journal.addFolder('/content/dam/folder');
+    journal.addFile('/content/dam/folder/file.jpg', 10);
+    should(journal.hasFolder('/content/dam/folder')).be.ok();
+    should(journal.hasFile('/content/dam/folder/file.jpg', 10)).be.ok();
+    await journal.flush();
+    should((await readFile('/journal.log', 'utf8')).split('\n').length).be.exactly(3);
+
+    journal = new UploadJournal('/journal.log');
+    await journal.load();
+    should(journal.hasFolder('/content/dam/folder')).be.ok();
+    should(journal.hasFile('/content/dam/folder/file.jpg', 10)).be.ok();
+    should(journal.hasFile('/content/dam/folder/file.jpg', 11)).not.be.ok();
+  });
+
+  it('test modification time', async () => {
+    MockFs({});
+    let journal = new UploadJournal('/journal.log');
+    await journal.load();
+    journal.setModifiedTime('/content/dam/folder/file.jpg', 1000);
+    journal.addFile('/content/dam/folder/file.jpg', 10);
+    should(journal.hasFile('/content/dam/folder/file.jpg', 10, 1000)).be.ok();
+    await journal.flush();
+
+    journal = new UploadJournal('/journal.log');
+    await journal.load();
+    should(journal.hasFile('/content/dam/folder/file.jpg', 10, 1000)).be.ok();
+    should(journal.hasFile('/content/dam/folder/file.jpg', 10, 2000)).not.be.ok();
+    should(journal.hasFile('/content/dam/folder/file.jpg', 10)).not.be.ok();
+  });
+
+  it('test incomplete entry', async () => {
+    MockFs({
+      '/journal.log': '{"type":"folder","path":"/content/dam/folder"}\n{"type":"file","pa',
+    });
+    const journal = new UploadJournal('/journal.log');
+    await journal.load();
+    should(journal.hasFolder('/content/dam/folder')).be.ok();
+  });
+
+  it('test write error', async () => {
+    MockFs({});
+    const journal = new UploadJournal('/missing/journal.log');
+    await journal.load();
+    journal.addFolder('/content/dam/folder');
+    try {
+      await journal.flush();
+      should(false).be.ok();
+    } catch (e) {
+      should(e.message).startWith('Unable to write resume journal /missing/journal.log');
+    }
+  });
+});
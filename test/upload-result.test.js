@@ -15,7 +15,12 @@ governing permissions and limitations under the License.
 const should = require('should');
 const Sinon = require('sinon');
 
+const { getTestOptions } = require('./testutils');
 const UploadResult = require('../src/upload-result');
+const FileUploadResults = require('../src/file-upload-results');
+const DirectBinaryUploadOptions = require('../src/direct-binary-upload-options');
+const UploadError = require('../src/upload-error');
+const ErrorCodes = require('../src/error-codes');
 
 describe('UploadResult Tests', () => {
   // eslint-disable-next-line func-names
@@ -40,4 +45,68 @@ describe('UploadResult Tests', () => {
     uploadResult.stopTimer();
     should(uploadResult.getElapsedTime() >= 40).be.ok();
   });
+
+  it('test summarize items', () => {
+    const options = getTestOptions();
+    const uploadOptions = new DirectBinaryUploadOptions()
+      .withUrl('http://reallyfakehostforaemuploadtesting/content/dam/target');
+    const fileResults = new FileUploadResults(options, uploadOptions);
+    fileResults.addHttpTransferOptions({
+      uploadFiles: ['a.jpg', 'b.jpg', 'c.jpg'].map((fileName, index) => ({
+        fileUrl: `${uploadOptions.getUrl()}/${fileName}`,
+        fileSize: (index + 1) * 10,
+      })),
+    });
+    fileResults.addFileEventResult({ targetFile: '/content/dam/target/a.jpg' });
+    fileResults.addFileEventResult({
+      targetFile: '/content/dam/target/b.jpg',
+      errors: [{ message: 'failed' }],
+    });
+
+    const uploadResult = new UploadResult(options, uploadOptions);
+    uploadResult.setFileUploadResults(fileResults);
+    uploadResult.addSkippedItem({ localPath: '/test/a.jpg', reason: 'journal' });
+    uploadResult.addSyncItem('unchanged', {
+      localPath: '/test/d.jpg',
+      targetPath: '/content/dam/target/d.jpg',
+    });
+    uploadResult.addTaggedAsset({
+      targetPath: '/content/dam/target/a.jpg',
+      appliedTags: ['brand:summer'],
+      failedTags: [],
+    });
+    uploadResult.addTaggedAsset({
+      targetPath: '/content/dam/target/c.jpg',
+      appliedTags: [],
+      failedTags: [{ tag: 'brand:winter', error: new UploadError('missing', ErrorCodes.NOT_FOUND) }],
+    });
+    uploadResult.summarizeItems();
+
+    const json = uploadResult.toJSON();
+    should(json.totalFiles).be.exactly(3);
+    should(json.totalCompleted).be.exactly(1);
+    should(json.totalFileSize).be.exactly(60);
+    should(json.detailedResult.map(({ fileUrl }) => fileUrl)).deepEqual([
+      `${uploadOptions.getUrl()}/b.jpg`,
+      `${uploadOptions.getUrl()}/c.jpg`,
+    ]);
+    should(json.totalSkipped).be.exactly(1);
+    should(json.totalJournalSkipped).be.exactly(1);
+    should(json.skippedItems).deepEqual([]);
+    should(json.sync.unchanged).deepEqual([]);
+    should(json.taggedAssets.map(({ targetPath }) => targetPath))
+      .deepEqual(['/content/dam/target/c.jpg']);
+    should(json.summarizedItems).deepEqual({
+      files: 1,
+      createdFolders: 0,
+      skippedItems: { journal: 1 },
+      sync: {
+        new: 0,
+        updated: 0,
+        unchanged: 1,
+      },
+      sidecarMetadata: 0,
+      taggedAssets: 1,
+    });
+  });
 });
@@ -21,9 +21,12 @@ const {
   trimLeft,
   joinUrlPath,
   trimContentDam,
+  getTargetPath,
   walkDirectory,
+  streamDirectory,
 } = require('../src/utils');
 const { DefaultValues } = require('../src/constants');
+const ErrorCodes = require('../src/error-codes');
 
 describe('UtilsTest', () => {
   beforeEach(() => {
@@ -108,6 +111,11 @@ describe('UtilsTest', () => {
     should(trimContentDam('/test/')).be.exactly('/test');
   });
 
+  it('test get target path', () => {
+    should(getTargetPath('http://localhost/content/dam/a%2Cb%2Bc.jpg')).be.exactly('/content/dam/a,b+c.jpg');
+    should(getTargetPath(`http://localhost/content/dam/${encodeURIComponent('吏 #1.jpg')}`)).be.exactly('/content/dam/吏 #1.jpg');
+  });
+
   function getPathIndex(itemList, path) {
     for (let i = 0; i < itemList.length; i += 1) {
       const { path: comparePath } = itemList[i];
@@ -215,4 +223,114 @@ describe('UtilsTest', () => {
     should(file1 >= 0 && file1 < file2).be.ok();
     should(file2 >= 0).be.ok();
   });
+
+  it('test stream directory', async () => {
+    mock({
+      '/walk': {
+        'file1.jpg': '1234',
+        dir1: {
+          'file2.jpg': '1234',
+          dir2: {
+            'file3.jpg': '1234',
+          },
+        },
+        dir3: {
+          'file4.jpg': '1234',
+        },
+        '.aemignore': 'dir3/',
+      },
+    });
+
+    const walked = [];
+    await streamDirectory('/walk', true, {}, async ({
+      directories, files, excluded, totalSize,
+    }) => {
+      walked.push({
+        directories: directories.map(({ path }) => path).sort(),
+        files: files.map(({ path }) => path),
+        excluded: excluded.map(({ path, reason }) => ({ path, reason })),
+        totalSize,
+      });
+    });
+    should(walked).deepEqual([{
+      directories: ['/walk/dir1'],
+      files: ['/walk/file1.jpg'],
+      excluded: [{ path: '/walk/dir3', reason: 'ignored' }],
+      totalSize: 4,
+    }, {
+      directories: ['/walk/dir1/dir2'],
+      files: ['/walk/dir1/file2.jpg'],
+      excluded: [],
+      totalSize: 4,
+    }, {
+      directories: [],
+      files: ['/walk/dir1/dir2/file3.jpg'],
+      excluded: [],
+      totalSize: 4,
+    }]);
+
+    walked.length = 0;
+    await streamDirectory('/walk', false, {}, async (contents) => walked.push(contents));
+    should(walked.length).be.exactly(1);
+  });
+
+  it('test walk directory symlink policies', async () => {
+    mock({
+      '/links': {
+        'file1.jpg': '1234',
+        'linkedfile.jpg': mock.symlink({ path: '/linked/file2.jpg' }),
+        linkeddir: mock.symlink({ path: '/linked' }),
+        dir1: {
+          parent: mock.symlink({ path: '/links' }),
+        },
+      },
+      '/linked': {
+        'file2.jpg': '1234',
+        back: mock.symlink({ path: '/links/dir1' }),
+      },
+    });
+
+    async function walkLinks(symlinkPolicy) {
+      const {
+        directories,
+        files,
+        errors,
+        excluded,
+      } = await walkDirectory('/links', 1000, true, { symlinkPolicy });
+      return {
+        directories: directories.map(({ path }) => path).sort(),
+        files: files.map(({ path }) => path).sort(),
+        errors: errors.map(({ code }) => code),
+        excluded: excluded.map(({ path, reason }) => ({ path, reason }))
+          .sort((a, b) => a.path.localeCompare(b.path)),
+      };
+    }
+
+    should(await walkLinks('follow')).deepEqual({
+      directories: ['/links/dir1', '/links/linkeddir', '/links/linkeddir/back'],
+      files: ['/links/file1.jpg', '/links/linkeddir/file2.jpg', '/links/linkedfile.jpg'],
+      errors: [],
+      excluded: [
+        { path: '/links/dir1/parent', reason: 'symlinkcycle' },
+        { path: '/links/linkeddir/back/parent', reason: 'symlinkcycle' },
+      ],
+    });
+    should(await walkLinks('skip')).deepEqual({
+      directories: ['/links/dir1'],
+      files: ['/links/file1.jpg'],
+      errors: [],
+      excluded: [
+        { path: '/links/dir1/parent', reason: 'symlink' },
+        { path: '/links/linkeddir', reason: 'symlink' },
+        { path: '/links/linkedfile.jpg', reason: 'symlink' },
+      ],
+    });
+    const errorWalk = await walkLinks('error');
+    should(errorWalk.files).deepEqual(['/links/file1.jpg']);
+    should(errorWalk.errors).deepEqual([
+      ErrorCodes.SYMLINK_NOT_ALLOWED,
+      ErrorCodes.SYMLINK_NOT_ALLOWED,
+      ErrorCodes.SYMLINK_NOT_ALLOWED,
+    ]);
+  });
 });